@@ -212,6 +212,8 @@ const setupExtension = async () => {
     chrome.contextMenus.create({ id: 'open_panel', title: 'Open Nano Prompt', contexts: ['all'] });
     chrome.contextMenus.create({ id: 'summarize_sel', title: 'Summarize "%s"', contexts: ['selection'] });
     chrome.contextMenus.create({ id: 'rewrite_sel', title: 'Rewrite "%s" (Formal)', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'proofread_sel', title: 'Proofread "%s"', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: 'reply_sel', title: 'Draft a reply to "%s"', contexts: ['selection'] });
     chrome.contextMenus.create({ id: 'translate_sel', title: 'Translate "%s"', contexts: ['selection'] });
     // Image description enabled - multimodal now supported
     chrome.contextMenus.create({ id: 'describe_img', title: 'Describe image', contexts: ['image'] });
@@ -227,29 +229,91 @@ const setupExtension = async () => {
 chrome.runtime.onInstalled.addListener(setupExtension);
 chrome.runtime.onStartup.addListener(setupExtension);
 
+/**
+ * Queue an action for the side panel that was just opened.
+ * A panel that is still loading picks it up on PANEL_READY.
+ * @param {object|null} action - Message for the panel (null only opens it)
+ */
+function queuePanelAction(action) {
+  // Replaces any older action, so a plain open doesn't replay it later
+  pendingAction = action;
+  if (!action) return;
+
+  // If panel is already open, send immediately (it might not send PANEL_READY if already loaded).
+  // A panel that is still loading doesn't receive it; PANEL_READY sends it then.
+  setTimeout(() => {
+      chrome.runtime.sendMessage(action)
+        .then(() => {
+          if (pendingAction === action) pendingAction = null;
+        })
+        .catch(() => {});
+  }, TIMING.PANEL_READY_DELAY_MS);
+}
+
 /**
  * Handle context menu clicks and queue actions for side panel
  */
 chrome.contextMenus.onClicked.addListener(async (info, tab) => {
   await chrome.sidePanel.open({ windowId: tab.windowId });
 
+  let action = null;
   if (info.menuItemId === 'summarize_sel') {
-    pendingAction = { action: 'CMD_SUMMARIZE', text: info.selectionText };
+    action = { action: 'CMD_SUMMARIZE', text: info.selectionText };
   } else if (info.menuItemId === 'rewrite_sel') {
-    pendingAction = { action: 'CMD_REWRITE', text: info.selectionText };
+    action = { action: 'CMD_REWRITE', text: info.selectionText };
+  } else if (info.menuItemId === 'proofread_sel') {
+    action = { action: 'CMD_PROOFREAD', text: info.selectionText };
+  } else if (info.menuItemId === 'reply_sel') {
+    action = { action: 'CMD_WRITE_REPLY', text: info.selectionText };
   } else if (info.menuItemId === 'translate_sel') {
-    pendingAction = { action: 'CMD_TRANSLATE', text: info.selectionText };
+    action = { action: 'CMD_TRANSLATE', text: info.selectionText };
   } else if (info.menuItemId === 'describe_img') {
-    pendingAction = { action: 'CMD_DESCRIBE_IMAGE', url: info.srcUrl };
+    action = { action: 'CMD_DESCRIBE_IMAGE', url: info.srcUrl };
   }
+  queuePanelAction(action);
+});
 
-  // If panel is already open, send immediately (it might not send PANEL_READY if already loaded)
-  setTimeout(() => {
-      if (pendingAction) {
-          chrome.runtime.sendMessage(pendingAction).catch(() => {});
-          // We don't clear pendingAction here; we let PANEL_READY clear it to be safe for cold starts
-      }
-  }, TIMING.PANEL_READY_DELAY_MS);
+/**
+ * Read the text selected in a tab
+ * @param {number} tabId - Tab to read
+ * @returns {Promise<string>} Selected text, or '' (nothing selected, or a page we can't script)
+ */
+async function readSelection(tabId) {
+  try {
+    const [{ result }] = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.getSelection()?.toString() || ''
+    });
+    return result || '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Handle keyboard shortcuts (manifest "commands", changed at chrome://extensions/shortcuts)
+ * and queue actions for side panel like the context menus do
+ */
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  // Stopping only matters to a panel that is already open
+  if (command === 'stop_generation') {
+    chrome.runtime.sendMessage({ action: 'CMD_STOP' }).catch(() => {});
+    return;
+  }
+  if (!tab?.windowId) return;
+
+  // Open first: the shortcut's user gesture doesn't outlast other awaits
+  await chrome.sidePanel.open({ windowId: tab.windowId });
+
+  let action = null;
+  if (command === 'summarize_tab') {
+    action = { action: 'CMD_SUMMARIZE_TAB' };
+  } else if (command === 'ask_selection') {
+    action = { action: 'CMD_ASK_SELECTION', text: await readSelection(tab.id) };
+  } else if (command === 'start_voice') {
+    action = { action: 'CMD_START_VOICE' };
+  }
+  queuePanelAction(action);
 });
 
 /**
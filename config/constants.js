@@ -17,9 +17,11 @@ export const TIMING = {
   TOAST_ANIMATION_MS: 300,
   DELETE_CONFIRM_TIMEOUT_MS: 3_000,
   MIC_SETUP_DELAY_MS: 500, // Delay before auto-triggering mic on setup
+  SEARCH_HIT_HIGHLIGHT_MS: 2_000, // How long a jumped-to message stays highlighted
 
   // Storage persistence
-  SAVE_STATE_DEBOUNCE_MS: 500 // Debounce for IndexedDB writes to avoid thrash
+  SAVE_STATE_DEBOUNCE_MS: 500, // Debounce for IndexedDB writes to avoid thrash
+  VAULT_IDLE_LOCK_MS: 600_000 // Encrypted history locks after 10 minutes without input
 };
 
 // ============================================================================
@@ -37,6 +39,12 @@ export const LIMITS = {
   CONTEXT_BUDGET: 6_000, // Budget for page context
   USER_QUERY_BUDGET: 2_000, // Budget for current user query
   ATTACHMENT_BUDGET: 1_500, // Budget for attachment text content
+  HISTORY_TOKEN_BUDGET: 6_000, // Prior turns replayed when a model session is rebuilt
+
+  // Context window compaction (rolling summary of older turns)
+  COMPACTION_THRESHOLD: 0.8, // Compact when the next prompt would pass 80% of inputQuota
+  COMPACTION_KEEP_TURNS: 4, // Most recent turns kept verbatim after compaction
+  COMPACTION_INPUT_BUDGET: 3_000, // Max tokens of old turns fed to the summarizer
 
   // Image processing
   IMAGE_MAX_WIDTH: 1_024,
@@ -47,17 +55,37 @@ export const LIMITS = {
   PDF_MAX_CHARS: 50_000, // ~12,500 tokens
 
   // Storage
-  MAX_SESSIONS: 100,
+  MAX_SESSIONS: 100, // Default retention count limit (settings.retentionMaxSessions)
+  MAX_PINNED_SESSIONS: 20, // Pinned chats are never evicted, so cap them well below MAX_SESSIONS
+
+  // Session tags
+  MAX_SESSION_TAGS: 5, // Tags per chat
+  SESSION_TAG_MAX_LENGTH: 24,
+
+  // Message search (inverted index in IndexedDB)
+  MESSAGE_SEARCH_MAX_RESULTS: 100, // Matching messages fetched per query
+  MESSAGE_SEARCH_HITS_PER_SESSION: 3, // Snippets shown under each session row
+  MESSAGE_SEARCH_SNIPPET_CHARS: 120, // Snippet length around the first match
 
   // Context truncation
   TRUNCATE_CLEAN_CUT_THRESHOLD: 0.8, // If period is within last 20%, cut there
 
+  // Page retrieval (core/retrieval.js)
+  PAGE_INDEX_MAX_TABS: 8, // Tabs whose chunk index is kept in memory
+
   // UI
   SHORT_QUERY_THRESHOLD: 60, // Queries under this length might not need context
 
   // Title generation
   TITLE_MAX_LENGTH: 50,
-  TITLE_GENERATION_MAX_CHARS: 500 // Max chars from conversation to use for title generation
+  TITLE_GENERATION_MAX_CHARS: 500, // Max chars from conversation to use for title generation
+
+  // Structured output (responseConstraint)
+  STRUCTURED_OUTPUT_ATTEMPTS: 3, // Tries before giving up on schema-valid JSON
+
+  // Page tools (tool-calling loop)
+  MAX_TOOL_ROUNDS: 4, // Tool calls per prompt before the model must answer
+  TOOL_RESULT_MAX_CHARS: 1_500 // Tool result JSON fed back to the model
 };
 
 // ============================================================================
@@ -72,13 +100,50 @@ export const MODEL_CONFIG = {
   expectedOutputs: [{ type: 'text', format: 'plain-text', languages: ['en'] }]
 };
 
+// Native options for Chrome's task APIs (Summarizer, Writer, Rewriter, Proofreader).
+// Defaults: /summarize and /rewrite can choose others (SLASH_COMMANDS.*_OPTIONS).
+export const TASK_API_OPTIONS = {
+  summarize: { type: 'key-points', format: 'markdown', length: 'medium' },
+  write: { tone: 'neutral', format: 'markdown', length: 'short' },
+  rewrite: { tone: 'more-formal', format: 'as-is', length: 'as-is' },
+  proofread: {}
+};
+
+// Wording for Prompt API fallbacks when a task API is missing
+export const TASK_FALLBACK_PROMPTS = {
+  summarize: 'Summarize the following content into {style}:\n\n{text}',
+  summarizeTab: 'Summarize the current tab into {style}.',
+  write: 'Write a short reply to the following text:\n\n{text}',
+  rewrite: 'Rewrite the following text to be {tone}:\n\n{text}',
+  proofread: 'Proofread the following text. Return the corrected text, then list each correction:\n\n{text}'
+};
+
+// Summarizer API type -> wording for the Prompt API fallback
+export const SUMMARY_TYPE_LABELS = {
+  'key-points': 'key bullet points',
+  tldr: 'a short TL;DR',
+  teaser: 'a teaser that makes the reader want more',
+  headline: 'a single headline'
+};
+
+export const REWRITER_TONE_LABELS = {
+  'more-formal': 'more formal',
+  'more-casual': 'more casual',
+  'as-is': 'clearer, keeping the same tone'
+};
+
 export const DEFAULT_SETTINGS = {
   temperature: 1.0, // Default creativity level (0.0-2.0, 1.0 is balanced)
   topK: 64, // Default diversity setting (1-128, 64 is balanced)
   systemPrompt: 'You are a helpful assistant. Provide thorough, detailed responses.',
   tone: 'balanced',
   language: 'en', // Default language: English (UI can expose additional options)
-  theme: 'auto' // Theme preference: 'auto' (system), 'dark', or 'light'
+  theme: 'auto', // Theme preference: 'auto' (system), 'dark', or 'light'
+  // Retention policy (core/storage.js applyRetention); 0 turns a limit off
+  retentionMaxSessions: LIMITS.MAX_SESSIONS,
+  retentionMaxAgeDays: 0,
+  retentionMaxMB: 0,
+  retentionAction: 'archive' // 'archive' (compressed, restorable) or 'delete'
 };
 
 /**
@@ -103,13 +168,46 @@ Keep answers concise but helpful.`;
 
 // Title generation prompt for auto-naming chat sessions
 export const TITLE_GENERATION_PROMPT = `Based on the following conversation, generate a concise, descriptive title (3-6 words max).
-The title should capture the main topic or question.
-Return ONLY the title, nothing else. No quotes, no punctuation at the end.
+The title should capture the main topic or question. No quotes, no punctuation at the end.
+Respond with JSON of the form {"title": "..."}.
+
+Conversation:
+{conversation}`;
+
+// Rolling summary used when a chat outgrows the model's context window
+export const CONVERSATION_SUMMARY_PROMPT = `Condense the conversation below into a short "conversation so far" summary.
+Keep facts, decisions, names, numbers and open questions the assistant may need later.
+Fold in the previous summary if there is one. Use plain sentences, no preamble.
+
+Previous summary:
+{summary}
 
 Conversation:
 {conversation}
 
-Title:`;
+Summary:`;
+
+// Page tools offered to the model for find/scroll/highlight requests
+export const TOOL_CALL_PROMPT = `You can act on the user's current page with these tools:
+{tools}
+
+To use a tool, reply with ONLY a JSON object and nothing else:
+{"tool": "<tool name>", "arguments": {...}}
+You will get the tool result and can call another tool or answer.
+When no tool is needed, or after you have acted, answer the user normally.`;
+
+export const TOOL_RESULT_PROMPT = `Tool result for {tool}:
+{result}
+
+Call another tool if needed, otherwise tell the user what you found or did.`;
+
+export const TOOL_FINAL_PROMPT = `Tool result for {tool}:
+{result}
+
+No more tools are available. Answer the user now.`;
+
+// Appended to numbered context (see numberPassages in core/context.js)
+export const CITATION_PROMPT = 'Context paragraphs are numbered like [1]. When a sentence uses one, cite it right after the sentence, e.g. [2] or [2][5].';
 
 // ============================================================================
 // STORAGE KEYS
@@ -119,14 +217,67 @@ export const STORAGE_KEYS = {
   SYNC: 'nanoPromptUI.settings.v1', // Chrome sync storage for settings
   SESSION_DRAFT: 'nanoPromptUI.draft', // Session storage for context draft
   DB_NAME: 'NanoPromptDB',
-  DB_VERSION: 2,
+  DB_VERSION: 5, // Latest schema step in core/migrations.js
+  BRANCH_ROOT: 'root', // Branch key for a session's first-turn siblings
   STORES: {
     SESSIONS: 'sessions',
     META: 'meta',
-    ATTACHMENTS: 'attachments'
+    ATTACHMENTS: 'attachments',
+    SEARCH: 'search',
+    ARCHIVED: 'archived', // Sessions moved out by the retention policy (gzipped)
+    TEMPLATES: 'templates' // Prompt templates; sync storage only keeps an index
   }
 };
 
+// ============================================================================
+// RETENTION POLICY
+// ============================================================================
+
+export const RETENTION = {
+  MIN_SESSIONS: 10, // Lowest count limit the settings accept
+  MAX_SESSIONS: 1000,
+  MAX_AGE_DAYS: 3650,
+  MAX_MB: 10_000,
+  PREVIEW_MAX_ROWS: 50 // Sessions listed in the dry-run preview
+};
+
+// ============================================================================
+// CHAT HISTORY ENCRYPTION
+// ============================================================================
+
+export const VAULT = {
+  VERSION: 1,
+  PBKDF2_ITERATIONS: 600_000, // OWASP guidance for PBKDF2-HMAC-SHA256
+  TERM_TOKEN_BYTES: 12, // HMAC prefix kept per search term
+  CHECK_VALUE: 'nanoprompt-vault', // Sealed into the config to verify passphrases
+  MIN_PASSPHRASE_LENGTH: 8
+};
+
+// ============================================================================
+// SESSION ARCHIVES
+// ============================================================================
+
+export const ARCHIVE = {
+  FORMAT: 'nanoprompt-archive', // Marker checked on import
+  VERSION: 1, // Bump when the archive layout changes
+  FILE_PREFIX: 'nanoprompt-archive'
+};
+
+// ============================================================================
+// TEMPLATE PACKS
+// ============================================================================
+
+export const TEMPLATE_PACK = {
+  FORMAT: 'nanoprompt-templates', // Marker checked on import
+  VERSION: 1, // Bump when the pack layout changes
+  FILE_PREFIX: 'nanoprompt-templates',
+  MAX_TEMPLATES: 500, // Templates read from one pack
+  MAX_LABEL_LENGTH: 80,
+  MAX_FIELD_LENGTH: 60, // category and author
+  SYNC_INDEX_LIMIT: 100, // Entries in the synced template index (sync item quota is 8 KB)
+  SYNC_INDEX_LABEL_LENGTH: 40
+};
+
 // ============================================================================
 // UI CONSTANTS
 // ============================================================================
@@ -165,9 +316,16 @@ export const UI_MESSAGES = {
 
   // States
   STOPPED: '*(stopped)*',
+  COMPACTING: 'Compacting chat...',
+  USING_PAGE_TOOLS: 'Working on the page...',
+  CHAT_COMPACTED: 'Ready · earlier turns summarized',
+  WAIT_FOR_RESPONSE: 'Wait for the current response to finish.',
   TRUNCATED: '\n\n[...Content truncated due to length...]',
   SYSTEM_PAGE_AI_DISABLED: '[System Page: AI disabled for security.]',
-  RESTRICTED_PAGE: '[Error: Could not read page. Refresh the tab.]'
+  RESTRICTED_PAGE: '[Error: Could not read page. Refresh the tab.]',
+  TAB_NOT_READABLE: '[Could not read this tab: system page, or it needs a refresh.]',
+  TAB_CLOSED: 'That tab has been closed.',
+  PASSAGE_NOT_FOUND: 'Could not find that passage on the page. It may have changed.'
 };
 
 // ============================================================================
@@ -220,14 +378,101 @@ export const THEME_LABELS = {
 
 export const BLANK_TEMPLATE_ID = 'blank';
 
+// Template placeholders filled in from the browser (utils/template-vars.js)
+export const TEMPLATE_BUILTIN_VARIABLES = ['selection', 'page.title', 'page.url', 'date', 'clipboard'];
+
+// Per-template model settings for the turn a template is used in (utils/template-overrides.js)
+export const TEMPLATE_OVERRIDES = {
+  TEMPERATURE_MIN: 0,
+  TEMPERATURE_MAX: 2,
+  TOPK_MIN: 1,
+  TOPK_MAX: 128,
+  MAX_SYSTEM_PROMPT_LENGTH: 2000,
+  // Where the prompt runs; unset = side panel, falling back to the page
+  BACKENDS: {
+    panel: 'Side panel only',
+    page: 'Page context'
+  },
+  LANGUAGE_PROMPT: 'Always answer in {language}.' // Appended to the system prompt
+};
+
 export const DEFAULT_TEMPLATES = [
   { id: BLANK_TEMPLATE_ID, label: 'Templates…', text: '' },
   { id: 'translator', label: 'Translate text', text: 'Translate the following text to English and explain any idioms:' },
   { id: 'proof', label: 'Proofread', text: 'You are a meticulous proofreader. Improve grammar and clarity for this text:' },
   { id: 'summary', label: 'Summarize', text: 'Summarize the following content in concise bullet points:' },
-  { id: 'qa', label: 'Ask expert', text: 'You are an expert researcher. Answer thoroughly:' }
+  { id: 'qa', label: 'Ask expert', text: 'You are an expert researcher. Answer thoroughly:' },
+  {
+    id: 'explain-selection',
+    label: 'Explain selection',
+    text: 'Explain this passage from "{{page.title}}" in a {{tone|plain}} tone:\n\n{{selection}}'
+  },
+  {
+    id: 'facts',
+    label: 'Key facts (table)',
+    text: 'List the key facts from this page, one row per fact:',
+    outputSchema: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          fact: { type: 'string' },
+          detail: { type: 'string' }
+        },
+        required: ['fact', 'detail']
+      },
+      maxItems: 12
+    }
+  }
+];
+
+// ============================================================================
+// SLASH COMMANDS
+// ============================================================================
+
+export const SLASH_COMMANDS = {
+  NAME_PATTERN: /^[a-z][a-z0-9-]{0,23}$/, // Built-ins and template commands
+  MAX_SUGGESTIONS: 8,
+  // Built-in commands (handlers/command-handlers.js); templates can't reuse these names
+  BUILTIN: {
+    summarize: { usage: '/summarize [type] [length] [text]', description: 'Summarize text, or the current tab' },
+    translate: { usage: '/translate [language] [text]', description: 'Translate text or the page selection' },
+    rewrite: { usage: '/rewrite [tone] [shorter|longer] [text]', description: 'Rewrite text in another tone' },
+    snapshot: { usage: '/snapshot save', description: 'Save the page context as a snapshot' },
+    new: { usage: '/new', description: 'Start a new chat' },
+    tpl: { usage: '/tpl <template> [text]', description: 'Use a template' }
+  },
+  // Option words at the start of /summarize and /rewrite -> the API's native
+  // options, any order, each at most once (utils/slash-commands.js takeOptionWords)
+  SUMMARIZE_OPTIONS: {
+    type: { 'key-points': 'key-points', tldr: 'tldr', teaser: 'teaser', headline: 'headline' },
+    length: { short: 'short', medium: 'medium', long: 'long' },
+    format: { markdown: 'markdown', plain: 'plain-text' }
+  },
+  REWRITE_OPTIONS: {
+    tone: { formal: 'more-formal', casual: 'more-casual', neutral: 'as-is' },
+    length: { shorter: 'shorter', longer: 'longer' },
+    format: { markdown: 'markdown', plain: 'plain-text' }
+  }
+};
+
+// ============================================================================
+// KEYBOARD SHORTCUTS
+// ============================================================================
+
+// Browser-wide shortcuts are the manifest "commands" (handled in background.js);
+// these work inside the panel (handlers/shortcut-handlers.js). Ctrl also means ⌘.
+export const PANEL_SHORTCUTS = [
+  { keys: 'Enter', description: 'Send (Shift+Enter for a new line)' },
+  { keys: '/', description: 'Slash commands, at the start of the input' },
+  { keys: 'Alt+↑ / Alt+↓', description: 'Previous / next chat' },
+  { keys: 'Ctrl+K', description: 'Search chats' },
+  { keys: 'Ctrl+/', description: 'Show keyboard shortcuts' },
+  { keys: 'Esc', description: 'Close dialogs' }
 ];
 
+export const SHORTCUT_SETTINGS_URL = 'chrome://extensions/shortcuts';
+
 // ============================================================================
 // VALIDATION & SECURITY
 // ============================================================================
@@ -242,10 +487,51 @@ export const VALIDATION = {
 
   // HTML sanitization
   ALLOWED_HTML_TAGS: new Set([
-    'P', 'BR', 'STRONG', 'EM', 'CODE', 'PRE',
-    'UL', 'OL', 'LI', 'H1', 'H2', 'H3', 'A', 'SPAN', 'DIV'
+    'P', 'BR', 'STRONG', 'EM', 'DEL', 'CODE', 'PRE', 'BLOCKQUOTE', 'HR',
+    'UL', 'OL', 'LI', 'INPUT', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'A', 'SPAN', 'DIV',
+    'TABLE', 'THEAD', 'TBODY', 'TR', 'TH', 'TD'
   ]),
-  ALLOWED_LINK_ATTRIBUTES: ['href', 'target', 'rel'],
+  // Attributes kept per tag; all others are stripped
+  ALLOWED_TAG_ATTRIBUTES: {
+    A: ['href', 'target', 'rel', 'title'],
+    CODE: ['class'],
+    SPAN: ['class'],
+    OL: ['start'],
+    INPUT: ['type', 'checked', 'disabled'], // Task list checkboxes only
+    TH: ['align'],
+    TD: ['align']
+  },
+  // Class values kept per tag (fence language, highlighter tokens)
+  ALLOWED_CLASS_PATTERNS: {
+    CODE: /^language-[\w+#.-]+$/,
+    SPAN: /^tok-[a-z]+$/
+  },
+  // Tags markdown may contain as raw inline HTML (without attributes)
+  ALLOWED_INLINE_HTML_TAGS: new Set(['BR', 'STRONG', 'EM', 'DEL', 'CODE']),
+  // Generated math (utils/math.js) and diagrams (utils/diagram.js). Checked by
+  // lowercase local name inside their namespace; no links, scripts or styles
+  ALLOWED_MATHML_TAGS: new Set([
+    'math', 'mrow', 'mi', 'mn', 'mo', 'msup', 'msub', 'msubsup', 'mfrac', 'msqrt', 'mroot',
+    'mtext', 'mspace', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd', 'merror'
+  ]),
+  ALLOWED_MATHML_ATTRIBUTES: new Set([
+    'display', 'mathvariant', 'largeop', 'movablelimits', 'stretchy', 'fence', 'accent',
+    'accentunder', 'linethickness', 'width', 'columnalign'
+  ]),
+  ALLOWED_SVG_TAGS: new Set([
+    'svg', 'g', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'path', 'text',
+    'tspan', 'defs', 'marker', 'title'
+  ]),
+  ALLOWED_SVG_ATTRIBUTES: new Set([
+    'xmlns', 'viewbox', 'width', 'height', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r',
+    'rx', 'ry', 'points', 'd', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray',
+    'text-anchor', 'dominant-baseline', 'font-size', 'font-weight', 'class', 'id', 'transform',
+    'marker-end', 'marker-start', 'markerwidth', 'markerheight', 'refx', 'refy', 'orient',
+    'preserveaspectratio', 'role', 'aria-label'
+  ]),
+  // SVG class and id values (a fixed prefix, so ids cannot clobber page globals;
+  // digits for the per-diagram marker ids)
+  ALLOWED_SVG_CLASS_PATTERN: /^diagram(?:-[a-z0-9]+)*$/,
 
   // Content type validation
   IMAGE_CONTENT_TYPE_PREFIX: 'image/'
@@ -256,12 +542,14 @@ export const VALIDATION = {
 // ============================================================================
 
 export const INTENT_PATTERNS = {
+  action: /\b(find|locate|scroll|jump to|go to|take me to|highlight|show me where)\b/i,
   page: /\b(summari|page|article|tab|website|context|window)\b/i,
   time: /\b(time|date|today|now)\b/i,
   location: /\b(where|location|lat|long)\b/i
 };
 
 export const INTENT_TYPES = {
+  ACTION: 'action', // Act on the page with tools (find, scroll, highlight)
   PAGE: 'page',
   TIME: 'time',
   LOCATION: 'location',
@@ -364,10 +652,28 @@ export const USER_ERROR_MESSAGES = {
   AI_UNAVAILABLE: 'AI is not available. Please check that Gemini Nano is enabled in chrome://flags',
   AI_SYSTEM_PAGE: 'AI is disabled on system pages for security.',
   AI_SESSION_FAILED: 'Failed to create AI session. Try refreshing the page.',
+  AI_CONTEXT_FULL: 'This chat no longer fits in the model\'s context window. Start a new chat or fork from a recent message.',
+  STRUCTURED_OUTPUT_FAILED: 'The model could not answer in this template\'s format. Try again or edit the template\'s output schema.',
+
+  ATTACHMENTS_MISSING: 'Some attachments from this message could not be found and were not resent.',
 
   STORAGE_QUOTA_EXCEEDED: 'Storage is full! Please delete some old chat sessions.',
   STORAGE_SAVE_FAILED: 'Failed to save. Your changes might not be persisted.',
 
+  SESSION_PIN_LIMIT: 'You can pin up to 20 chats. Unpin one first.',
+  ARCHIVED_RESTORE_FAILED: 'Could not restore this chat from the archive.',
+
+  VAULT_WRONG_PASSPHRASE: 'That passphrase is not correct.',
+  VAULT_PASSPHRASE_TOO_SHORT: 'Use a passphrase of at least 8 characters.',
+  VAULT_PASSPHRASE_MISMATCH: 'The two passphrases do not match.',
+  VAULT_REKEY_FAILED: 'Could not re-encrypt your chats. Nothing was changed.',
+
+  ARCHIVE_INVALID: 'This file is not a NanoPrompt archive or is damaged.',
+  ARCHIVE_TOO_NEW: 'This archive was made by a newer version of the extension. Update it and try again.',
+  TEMPLATE_PACK_INVALID: 'This file is not a NanoPrompt template pack or is damaged.',
+  TEMPLATE_PACK_TOO_NEW: 'This template pack was made by a newer version of the extension. Update it and try again.',
+  TEMPLATE_PACK_EMPTY: 'This template pack has no usable templates.',
+
   CONTEXT_FETCH_FAILED: 'Could not read page content. Try refreshing the tab.',
 
   SPEECH_NOT_SUPPORTED: 'Speech recognition is not supported in this browser.',
@@ -3,6 +3,7 @@
  * Keep in sync with constants.js:
  * - CONTEXT_MAX_CHARS → LIMITS.MAX_CONTEXT_TOKENS * LIMITS.TOKEN_TO_CHAR_RATIO (constants.js:30-31)
  * - SCRAPING_CONSTANTS → unique to content.js (page scraping selectors/noise filters)
+ * - PAGE_INDEX_CONSTANTS → unique to content.js (chunking for core/retrieval.js)
  */
 const SCRAPING_CONSTANTS = {
   MAIN_CONTENT_SELECTORS: [
@@ -34,16 +35,37 @@ const SCRAPING_CONSTANTS = {
 
 // Keep in sync with LIMITS.MAX_CONTEXT_TOKENS * LIMITS.TOKEN_TO_CHAR_RATIO in constants.js (≈12k chars)
 const CONTEXT_MAX_CHARS = 12_000;
-const COLLECTION_SAFETY_MARGIN = 2_000;
-const MAX_VISITED_TEXT_NODES = 8_000;
+const MAX_VISITED_TEXT_NODES = 40_000;
+
+// Full-page chunks for the side panel's retrieval index (core/retrieval.js)
+const PAGE_INDEX_CONSTANTS = {
+  MAX_CHARS: 250_000,
+  CHUNK_MAX_CHARS: 1_200,
+  MAX_CHUNKS: 400
+};
 const SCRAPE_CACHE_TTL_MS = 30_000;
 
+// Page tools (FIND_IN_PAGE / SCROLL_TO_TEXT / HIGHLIGHT_TEXT / CLEAR_HIGHLIGHTS)
+const PAGE_TOOL_CONSTANTS = {
+  HIGHLIGHT_CLASS: 'nano-prompt-highlight',
+  HIGHLIGHT_STYLE: 'background-color: #ffe066; color: inherit; border-radius: 2px;',
+  DEFAULT_FIND_LIMIT: 5,
+  MAX_FIND_LIMIT: 20,
+  MAX_HIGHLIGHTS: 100,
+  SNIPPET_RADIUS: 80
+};
+// HIGHLIGHT_PASSAGE backs the side panel's citation chips rather than a model tool
+const PAGE_TOOL_ACTIONS = ['FIND_IN_PAGE', 'SCROLL_TO_TEXT', 'HIGHLIGHT_TEXT', 'CLEAR_HIGHLIGHTS', 'HIGHLIGHT_PASSAGE'];
+
 let lastScrapeCache = {
   url: '',
   ts: 0,
   payload: null
 };
 
+// Text nodes behind the last scrape, in page order, so cited passages can be mapped back to the DOM
+let lastScrapeTextNodes = [];
+
 // Track pathname for SPA navigation detection (History API)
 let lastPathname = window.location.pathname;
 
@@ -80,6 +102,19 @@ if (typeof chrome !== 'undefined' && chrome.runtime && chrome.runtime.onMessage)
       });
       return true; // Keep the messaging channel open for async response
     }
+
+    if (request.action === 'GET_SELECTION') {
+      sendResponse({ text: window.getSelection()?.toString().trim() || '' });
+      return;
+    }
+
+    if (PAGE_TOOL_ACTIONS.includes(request.action)) {
+      try {
+        sendResponse(runPageTool(request.action, request.payload || {}));
+      } catch (err) {
+        sendResponse({ error: err?.message || String(err) });
+      }
+    }
   });
 } else {
   console.warn('[NanoPrompt] Content script loaded but chrome.runtime is not available.');
@@ -144,6 +179,7 @@ function collectTextFromNode(node, parts, state) {
     if (parent && shouldSkipElement(parent)) return;
     if (parent && !isVisible(parent)) return;
     parts.push(txt);
+    state.textNodes?.push({ node, text: txt });
     state.charCount += txt.length;
     return;
   }
@@ -158,6 +194,7 @@ function collectTextFromNode(node, parts, state) {
   if (HEADING_TAGS.has(tag)) {
     const heading = normalizeText(el.textContent);
     if (heading) {
+      state.headingIndexes?.push(parts.length);
       parts.push('\n' + heading + '\n');
       state.charCount += heading.length + 2; // Count heading text + 2 newlines
     }
@@ -222,6 +259,49 @@ function dedupeParagraphs(text) {
   return out.join('\n\n');
 }
 
+/**
+ * Split collected text into chunks that each stay under one heading.
+ * Long sections are split at paragraph boundaries; repeated paragraphs are dropped.
+ * @param {string[]} parts - Output of collectTextFromNode
+ * @param {number[]} headingIndexes - Positions in `parts` that hold headings
+ * @returns {Array<{id: number, heading: string, text: string}>}
+ */
+function buildPageChunks(parts, headingIndexes = []) {
+  const headingAt = new Set(headingIndexes);
+  const sections = [{ heading: '', parts: [] }];
+  parts.forEach((part, i) => {
+    if (headingAt.has(i)) {
+      sections.push({ heading: part.trim(), parts: [] });
+    } else {
+      sections[sections.length - 1].parts.push(part);
+    }
+  });
+
+  const chunks = [];
+  const seen = new Set();
+  for (const section of sections) {
+    const paragraphs = section.parts.join('\n').split(/\n+/).map(p => p.trim()).filter((p) => {
+      const key = p.toLowerCase();
+      if (!p || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+
+    let buffer = '';
+    for (const paragraph of paragraphs) {
+      if (buffer && buffer.length + paragraph.length > PAGE_INDEX_CONSTANTS.CHUNK_MAX_CHARS) {
+        chunks.push({ heading: section.heading, text: buffer });
+        buffer = '';
+      }
+      buffer = buffer ? `${buffer}\n${paragraph}` : paragraph;
+    }
+    if (buffer) chunks.push({ heading: section.heading, text: buffer });
+    if (chunks.length >= PAGE_INDEX_CONSTANTS.MAX_CHUNKS) break;
+  }
+
+  return chunks.slice(0, PAGE_INDEX_CONSTANTS.MAX_CHUNKS).map((chunk, id) => ({ id, ...chunk }));
+}
+
 function waitForQuiescence() {
   return new Promise((resolve) => {
     const start = Date.now();
@@ -258,6 +338,14 @@ function waitForQuiescence() {
   });
 }
 
+function findContentRoot() {
+  for (const sel of SCRAPING_CONSTANTS.MAIN_CONTENT_SELECTORS) {
+    const el = document.querySelector(sel);
+    if (el && isVisible(el)) return el;
+  }
+  return document.body || document.documentElement;
+}
+
 async function handleGetContext() {
   return await scrapePage();
 }
@@ -294,19 +382,12 @@ async function scrapePage() {
       return { ...lastScrapeCache.payload };
     }
 
-    let root = document.body || document.documentElement;
-    for (const sel of SCRAPING_CONSTANTS.MAIN_CONTENT_SELECTORS) {
-      const el = document.querySelector(sel);
-      if (el && isVisible(el)) {
-        root = el;
-        break;
-      }
-    }
-
+    // Collect the whole page: `text` stays capped for the context panel,
+    // `chunks` carry everything for question-focused retrieval
     const parts = [];
-    const charCollectionLimit = CONTEXT_MAX_CHARS + COLLECTION_SAFETY_MARGIN;
-    const state = { visited: 0, charCount: 0, limit: charCollectionLimit };
-    collectTextFromNode(root, parts, state);
+    const state = { visited: 0, charCount: 0, limit: PAGE_INDEX_CONSTANTS.MAX_CHARS, headingIndexes: [], textNodes: [] };
+    collectTextFromNode(findContentRoot(), parts, state);
+    lastScrapeTextNodes = state.textNodes;
 
     let cleanText = parts.join('\n');
     cleanText = cleanText.replace(/\n{3,}/g, '\n\n');
@@ -320,6 +401,7 @@ async function scrapePage() {
       title: document.title,
       url: currentUrl,
       text: cleanText,
+      chunks: buildPageChunks(parts, state.headingIndexes),
       meta: { description: document.querySelector('meta[name="description"]')?.content || '' },
       isRestricted: false
     };
@@ -341,3 +423,182 @@ async function scrapePage() {
     };
   }
 }
+
+// ============================================================================
+// PAGE TOOLS - invoked by the model's tool-calling loop (core/model.js)
+// ============================================================================
+
+/**
+ * Visible text nodes containing `query` (case-insensitive).
+ * Matches are found within single text nodes; phrases split across
+ * inline elements (e.g. half-bold) are not found.
+ * @param {string} query
+ * @param {number} max - Stop after this many matches
+ * @returns {Array<{node: Text, start: number}>}
+ */
+function findTextMatches(query, max) {
+  const needle = normalizeText(query).toLowerCase();
+  const matches = [];
+  if (!needle || !document.body) return matches;
+
+  const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || SCRAPING_CONSTANTS.EXCLUDED_TAGS.includes(parent.tagName)) return NodeFilter.FILTER_REJECT;
+      if (!node.data.toLowerCase().includes(needle)) return NodeFilter.FILTER_SKIP;
+      return isVisible(parent) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+    }
+  });
+
+  let node;
+  while ((node = walker.nextNode()) && matches.length < max) {
+    const haystack = node.data.toLowerCase();
+    let start = haystack.indexOf(needle);
+    while (start !== -1 && matches.length < max) {
+      matches.push({ node, start, length: needle.length });
+      start = haystack.indexOf(needle, start + needle.length);
+    }
+  }
+  return matches;
+}
+
+function getMatchSnippet({ node, start, length }) {
+  const text = node.data;
+  const from = Math.max(0, start - PAGE_TOOL_CONSTANTS.SNIPPET_RADIUS);
+  const to = Math.min(text.length, start + length + PAGE_TOOL_CONSTANTS.SNIPPET_RADIUS);
+  return normalizeText(text.slice(from, to));
+}
+
+/** Nearest preceding heading, so the model can name the section a match is in */
+function getMatchSection(node) {
+  let el = node.parentElement;
+  while (el && el !== document.body) {
+    let sibling = el;
+    while (sibling) {
+      if (HEADING_TAGS.has(sibling.tagName)) return normalizeText(sibling.textContent);
+      sibling = sibling.previousElementSibling;
+    }
+    el = el.parentElement;
+  }
+  return '';
+}
+
+function scrollToMatch(match) {
+  match.node.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function clearHighlights() {
+  const marks = document.querySelectorAll(`mark.${PAGE_TOOL_CONSTANTS.HIGHLIGHT_CLASS}`);
+  marks.forEach((mark) => {
+    const parent = mark.parentNode;
+    if (!parent) return;
+    parent.replaceChild(document.createTextNode(mark.textContent), mark);
+    parent.normalize();
+  });
+  return marks.length;
+}
+
+/**
+ * Text nodes from the last scrape, re-collected when the page changed since
+ * (SPA re-render, or highlights that replaced nodes).
+ * @returns {Array<{node: Text, text: string}>}
+ */
+function getScrapedTextNodes() {
+  if (lastScrapeTextNodes.length && lastScrapeTextNodes.every(entry => entry.node.isConnected)) {
+    return lastScrapeTextNodes;
+  }
+  const state = { visited: 0, charCount: 0, limit: PAGE_INDEX_CONSTANTS.MAX_CHARS, textNodes: [] };
+  collectTextFromNode(findContentRoot(), [], state);
+  lastScrapeTextNodes = state.textNodes;
+  return lastScrapeTextNodes;
+}
+
+/**
+ * Map a passage the side panel received back to the text nodes it was built from.
+ * A passage is several scraped text nodes joined together, so this picks the
+ * longest run of consecutive nodes whose text all appears in the passage.
+ * @param {string} passage - Passage text as sent to the model
+ * @returns {Text[]} Nodes to highlight (empty when the page no longer has it)
+ */
+function findPassageNodes(passage) {
+  const haystack = normalizeText(passage).toLowerCase();
+  if (!haystack) return [];
+
+  let best = { nodes: [], chars: 0 };
+  let run = { nodes: [], chars: 0 };
+  for (const { node, text } of getScrapedTextNodes()) {
+    if (haystack.includes(text.toLowerCase())) {
+      run.nodes.push(node);
+      run.chars += text.length;
+      if (run.chars > best.chars) best = { nodes: run.nodes.slice(), chars: run.chars };
+    } else {
+      run = { nodes: [], chars: 0 };
+    }
+  }
+  return best.nodes;
+}
+
+function highlightMatches(matches) {
+  // Wrap back to front so earlier offsets in the same node stay valid
+  const marks = [];
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const { node, start, length } = matches[i];
+    const range = document.createRange();
+    range.setStart(node, start);
+    range.setEnd(node, start + length);
+
+    const mark = document.createElement('mark');
+    mark.className = PAGE_TOOL_CONSTANTS.HIGHLIGHT_CLASS;
+    mark.setAttribute('style', PAGE_TOOL_CONSTANTS.HIGHLIGHT_STYLE);
+    range.surroundContents(mark);
+    marks.unshift(mark);
+  }
+  marks[0]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return marks.length;
+}
+
+/**
+ * Run a page tool action
+ * @param {string} action - One of PAGE_TOOL_ACTIONS
+ * @param {object} payload - Action arguments
+ * @returns {object} Result sent back to the side panel
+ */
+function runPageTool(action, payload) {
+  switch (action) {
+    case 'FIND_IN_PAGE': {
+      const limit = Number(payload.limit) || PAGE_TOOL_CONSTANTS.DEFAULT_FIND_LIMIT;
+      const matches = findTextMatches(payload.query, Math.min(limit, PAGE_TOOL_CONSTANTS.MAX_FIND_LIMIT));
+      return {
+        count: matches.length,
+        matches: matches.map(match => ({ snippet: getMatchSnippet(match), section: getMatchSection(match.node) }))
+      };
+    }
+
+    case 'SCROLL_TO_TEXT': {
+      const [match] = findTextMatches(payload.text, 1);
+      if (!match) return { found: false };
+      scrollToMatch(match);
+      return { found: true, snippet: getMatchSnippet(match), section: getMatchSection(match.node) };
+    }
+
+    case 'HIGHLIGHT_TEXT': {
+      clearHighlights();
+      const matches = findTextMatches(payload.text, PAGE_TOOL_CONSTANTS.MAX_HIGHLIGHTS);
+      return { count: highlightMatches(matches) };
+    }
+
+    case 'CLEAR_HIGHLIGHTS':
+      return { cleared: clearHighlights() };
+
+    case 'HIGHLIGHT_PASSAGE': {
+      clearHighlights();
+      const nodes = findPassageNodes(payload.text);
+      if (!nodes.length) return { found: false };
+      const count = highlightMatches(nodes.map(node => ({ node, start: 0, length: node.data.length })));
+      return { found: true, count };
+    }
+
+    default:
+      return { error: `Unknown page action: ${action}` };
+  }
+}
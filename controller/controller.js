@@ -25,10 +25,19 @@ import {
   getCurrentSessionSync,
   upsertMessage,
   updateMessage,
+  rewindMessages,
+  switchBranch,
+  revealMessage,
+  loadMessageAttachments,
+  setSessionSummary,
   scheduleSaveState,
   flushSaveState,
   renameSession,
   searchSessions,
+  searchMessages,
+  setSessionPinned,
+  setSessionTags,
+  getSessionTags,
   setCurrentSession,
   createSessionFrom,
   deleteSession,
@@ -48,17 +57,46 @@ import {
   getActiveSnapshot,
   removeContextSnapshot,
   setActiveSnapshot,
+  // Multi-tab context
+  getContextTabIds,
+  setContextTabIds,
   // Template operations
   addTemplate as addStorageTemplate,
   updateTemplate as updateStorageTemplate,
   deleteTemplate as deleteStorageTemplate,
   resetTemplates as resetStorageTemplates,
+  // Encryption
+  getEncryptionStatus,
+  unlockHistory,
+  lockHistory,
+  enableEncryption,
+  changePassphrase,
+  disableEncryption,
+  // Retention
+  getRetentionPolicy,
+  planRetention,
+  applyRetention,
+  listArchivedSessions,
+  restoreArchivedSession,
+  deleteArchivedSession,
+  getStorageUsage,
+  getUnsyncedTemplates,
   // Constants
   BLANK_TEMPLATE_ID
 } from '../core/storage.js';
+import { buildArchive, parseArchive, importArchive } from '../core/archive.js';
+import {
+  buildTemplatePack,
+  parseTemplatePack,
+  findTemplateConflicts,
+  importTemplatePack
+} from '../core/template-pack.js';
 import { toast } from '../utils/toast.js';
 import {
   UI_MESSAGES,
+  LIMITS,
+  ARCHIVE,
+  TEMPLATE_PACK,
   getSettingOrDefault
 } from '../config/constants.js';
 
@@ -85,10 +123,44 @@ export async function switchSession(sessionId) {
   UI.closeMenu('session');
 }
 
+/**
+ * Open a session at a specific message (a search hit), selecting the branch
+ * that contains it if it is not on the active path
+ * @param {string} sessionId - Session to open
+ * @param {string} messageId - Message node id
+ * @returns {Promise<boolean>} Whether the session's active path changed
+ */
+export async function openSessionMessage(sessionId, messageId) {
+  await setCurrentSession(sessionId);
+  const { index, changed } = revealMessage(sessionId, messageId);
+  await flushSaveState(); // Immediate save for user action
+  renderSessionsList();
+  UI.renderLog(getCurrentSessionSync(), { force: changed });
+  UI.closeMenu('session');
+  if (index >= 0) UI.scrollToMessage(index);
+  return changed;
+}
+
+/**
+ * Fork the current conversation into a new session ending at a message
+ * @param {string} sessionId - Session to fork from
+ * @param {number} index - Last message index to include
+ */
+export async function forkSessionAt(sessionId, index) {
+  const session = await createSessionFrom(sessionId, { uptoIndex: index });
+  await setCurrentSession(session.id);
+  await flushSaveState(); // Immediate save for user action
+  await enforceRetention();
+  refreshSessionUI();
+  toast.success('Forked into a new chat');
+  return session;
+}
+
 export async function createNewSession() {
   const session = await createSessionFrom();
   await setCurrentSession(session.id);
   await flushSaveState(); // Immediate save for user action
+  await enforceRetention();
   refreshSessionUI();
   UI.closeMenu('session');
   return session;
@@ -113,35 +185,368 @@ export async function renameSessionById(sessionId, newTitle) {
   toast.success('Chat renamed');
 }
 
+/**
+ * Pin or unpin a session
+ * @param {string} sessionId - Session ID
+ * @param {boolean} pinned
+ * @returns {Promise<void>}
+ * @throws {Error} With a user-facing message when too many chats are pinned
+ */
+export async function pinSession(sessionId, pinned) {
+  await setSessionPinned(sessionId, pinned);
+  await flushSaveState(); // Immediate save for user action
+  renderSessionsList();
+}
+
+/**
+ * Replace a session's tags from comma-separated text
+ * @param {string} sessionId - Session ID
+ * @param {string} text - e.g. "work, ideas"
+ * @returns {Promise<string[]>} Tags as stored
+ */
+export async function tagSession(sessionId, text) {
+  const tags = await setSessionTags(sessionId, text.split(','));
+  await flushSaveState(); // Immediate save for user action
+  renderSessionsList();
+  return tags;
+}
+
 export function filterSessions(query) {
   return searchSessions(query);
 }
 
+// --- ARCHIVES ---
+
+/**
+ * Download sessions as a JSON archive
+ * @param {string[]|null} sessionIds - Sessions to include; null exports
+ *   everything (all sessions plus snapshots, templates and settings)
+ * @returns {Promise<number>} Sessions exported
+ */
+export async function exportArchive(sessionIds = null) {
+  await flushSaveState(); // Export what is on screen
+  const everything = sessionIds === null;
+  const archive = await buildArchive({
+    sessionIds: everything ? searchSessions('') : sessionIds,
+    everything
+  });
+  const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+  UI.downloadBlob(blob, `${ARCHIVE.FILE_PREFIX}-${Date.now()}.json`);
+  return archive.sessions.length;
+}
+
+/**
+ * Import a JSON archive file and refresh the affected UI
+ * @param {File} file - Archive chosen by the user
+ * @returns {Promise<object>} Import counts (see importArchive)
+ * @throws {Error} With a user-facing message when the file is not a valid archive
+ */
+export async function importArchiveFile(file) {
+  const data = parseArchive(await file.text());
+  const result = await importArchive(data);
+  await flushSaveState(); // Immediate save for user action
+  await enforceRetention();
+
+  if (result.settings) applyTheme(getSettingOrDefault(getStoredSettings(), 'theme'));
+  updateTemplatesUI();
+  refreshSessionUI();
+  renderContextUI();
+  return result;
+}
+
+export function renderArchiveSessionList() {
+  UI.renderArchiveSessionList(searchSessions(''), getSessions(), getSessionMeta());
+}
+
+export function getPickedArchiveSessionIds() {
+  return UI.getPickedArchiveSessionIds();
+}
+
+export function setArchivePickerOpen(open) {
+  UI.setArchivePickerOpen(open);
+}
+
+export function isArchivePickerOpen() {
+  return UI.isArchivePickerOpen();
+}
+
+export function openArchiveFilePicker() {
+  UI.triggerArchiveFilePicker();
+}
+
+// --- RETENTION & STORAGE ---
+
+/**
+ * Apply the retention policy and say what it did; chats are never removed
+ * without a notice
+ * @returns {Promise<string[]>} Archived or deleted session ids
+ */
+export async function enforceRetention() {
+  const { action, removed } = await applyRetention();
+  if (!removed.length) return removed;
+
+  await flushSaveState();
+  renderSessionsList();
+  const chats = removed.length === 1 ? '1 old chat' : `${removed.length} old chats`;
+  toast.info(action === 'archive'
+    ? `${chats} moved to Archived chats (Settings → Data)`
+    : `${chats} deleted by the retention policy`);
+  return removed;
+}
+
+/**
+ * Policy from the storage form, falling back to saved settings for blank fields
+ * @param {object} values - From getRetentionFormValues()
+ * @returns {object} Policy (see getRetentionPolicy)
+ */
+function policyFromForm(values) {
+  return getRetentionPolicy({ ...getStoredSettings(), ...values });
+}
+
+/**
+ * Show the dry run for the values in the storage form without changing anything
+ * @returns {object} Plan (see planRetention)
+ */
+export function previewRetention() {
+  const plan = planRetention(policyFromForm(UI.getRetentionFormValues()));
+  UI.renderRetentionPreview(plan);
+  return plan;
+}
+
+/**
+ * Save the storage form as the retention policy and apply it
+ * @returns {Promise<string[]>} Archived or deleted session ids
+ */
+export async function saveRetentionPolicy() {
+  const policy = policyFromForm(UI.getRetentionFormValues());
+  updateSettings({
+    retentionMaxSessions: policy.maxSessions,
+    retentionMaxAgeDays: policy.maxAgeDays,
+    retentionMaxMB: policy.maxBytes / (1024 * 1024),
+    retentionAction: policy.action
+  });
+  await flushSaveState();
+  const removed = await enforceRetention();
+  await renderStoragePanel();
+  return removed;
+}
+
+/**
+ * Render usage, the saved policy and the archived chats in the Data tab
+ * @returns {Promise<void>}
+ */
+export async function renderStoragePanel() {
+  const [usage, archived] = await Promise.all([getStorageUsage(), listArchivedSessions()]);
+  UI.renderStorageUsage(usage);
+  UI.syncRetentionForm(getRetentionPolicy());
+  UI.renderRetentionPreview(null);
+  UI.renderArchivedSessions(archived);
+}
+
+export function setRetentionBusy(busy) {
+  UI.setRetentionBusy(busy);
+}
+
+export function setArchivedDeleteConfirming(archivedId) {
+  UI.setArchivedDeleteConfirming(archivedId);
+}
+
+/**
+ * Move an archived chat back into the chat list
+ * @param {string} archivedId - Archived session id
+ * @returns {Promise<boolean>} False if it could not be restored
+ */
+export async function restoreArchivedChat(archivedId) {
+  let sessionId = null;
+  try {
+    sessionId = await restoreArchivedSession(archivedId);
+  } catch (e) {
+    console.warn('Failed to restore archived chat', e);
+  }
+  if (!sessionId) return false;
+
+  await flushSaveState(); // Immediate save for user action
+  refreshSessionUI({ log: false });
+  await renderStoragePanel();
+  return true;
+}
+
+/**
+ * @param {string} archivedId - Archived session id
+ * @returns {Promise<void>}
+ */
+export async function deleteArchivedChat(archivedId) {
+  await deleteArchivedSession(archivedId);
+  await renderStoragePanel();
+}
+
+// --- CHAT HISTORY ENCRYPTION ---
+
+export function isHistoryLocked() {
+  return getEncryptionStatus().locked;
+}
+
+export function isHistoryEncrypted() {
+  return getEncryptionStatus().enabled;
+}
+
+/**
+ * Try a passphrase from the lock screen; loads the history on success
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export async function unlockChatHistory(passphrase) {
+  return unlockHistory(passphrase);
+}
+
+/**
+ * Save, forget the keys and reload the panel so no decrypted chats stay in memory
+ * @returns {Promise<void>}
+ */
+export async function lockChatHistory() {
+  await lockHistory();
+  window.location.reload();
+}
+
+/**
+ * Turn encryption on, change its passphrase or turn it off
+ * @param {{action: 'enable'|'change'|'disable', current: string, next: string}} request
+ * @returns {Promise<void>}
+ * @throws {Error} With a user-facing message
+ */
+export async function applyEncryptionChange({ action, current, next }) {
+  if (action === 'enable') await enableEncryption(next);
+  if (action === 'change') await changePassphrase(current, next);
+  if (action === 'disable') await disableEncryption(current);
+  renderVaultStatus();
+}
+
+export function renderVaultStatus() {
+  UI.renderVaultStatus(getEncryptionStatus());
+}
+
+export function openVaultForm(action) {
+  UI.openVaultForm(action);
+}
+
+export function closeVaultForm() {
+  UI.closeVaultForm();
+}
+
+export function getVaultFormValues() {
+  return UI.getVaultFormValues();
+}
+
+export function setVaultFormError(message) {
+  UI.setVaultFormError(message);
+}
+
+export function setVaultFormBusy(busy) {
+  UI.setVaultFormBusy(busy);
+}
+
+export function setVaultLockScreen(locked) {
+  UI.setVaultLockScreen(locked);
+}
+
+export function getVaultUnlockPassphrase() {
+  return UI.getVaultUnlockPassphrase();
+}
+
+export function setVaultUnlockError(message) {
+  UI.setVaultUnlockError(message);
+}
+
+export function setVaultUnlockBusy(busy) {
+  UI.setVaultUnlockBusy(busy);
+}
+
 // --- UI RENDERING (passthrough) ---
 
 let sessionSearchTerm = '';
+let sessionTagFilter = null; // Only list sessions with this tag
+let messageSearch = { terms: [], hits: {} }; // Full-text hits for sessionSearchTerm, by session id
+let messageSearchSeq = 0;
 
 export function setSessionSearchTerm(term) {
+  if (term !== sessionSearchTerm) messageSearch = { terms: [], hits: {} };
   sessionSearchTerm = term;
   UI.setSessionSearchTerm(term);
 }
 
+/**
+ * Search message bodies for the current session search term.
+ * Keeps a few snippets per session for renderSessionsList().
+ * @returns {Promise<void>}
+ */
+export async function refreshMessageSearch() {
+  const term = sessionSearchTerm;
+  const seq = ++messageSearchSeq;
+  let result = { terms: [], hits: [] };
+  if (term.trim()) {
+    try {
+      result = await searchMessages(term);
+    } catch (e) {
+      console.warn('Message search failed', e);
+    }
+  }
+  // A newer query superseded this one
+  if (seq !== messageSearchSeq || term !== sessionSearchTerm) return;
+
+  const hits = {};
+  result.hits.forEach((hit) => {
+    const list = hits[hit.sessionId] || (hits[hit.sessionId] = []);
+    if (list.length < LIMITS.MESSAGE_SEARCH_HITS_PER_SESSION) list.push(hit);
+  });
+  messageSearch = { terms: result.terms, hits };
+}
+
 export function getSessionSearchTerm() {
   return sessionSearchTerm;
 }
 
-export function renderSessionsList(confirmingId = null, editingId = null) {
+/**
+ * @param {string|null} tag - Tag to filter the session list by (null = all)
+ */
+export function setSessionTagFilter(tag) {
+  sessionTagFilter = tag || null;
+}
+
+export function getSessionTagFilter() {
+  return sessionTagFilter;
+}
+
+/**
+ * @param {string|null} confirmingId - Session awaiting delete confirmation
+ * @param {string|null} editingId - Session with an inline editor open
+ * @param {'title'|'tags'} editingField - What the inline editor edits
+ */
+export function renderSessionsList(confirmingId = null, editingId = null, editingField = 'title') {
   const current = getCurrentSessionSync();
-  const matches = searchSessions(sessionSearchTerm);
+  const tags = getSessionTags();
+  // The last session with the filtered tag may have lost it
+  if (sessionTagFilter && !tags.some(tag => tag.toLowerCase() === sessionTagFilter.toLowerCase())) {
+    sessionTagFilter = null;
+  }
+  const filter = { tag: sessionTagFilter };
+  const titleMatches = new Set(searchSessions(sessionSearchTerm, filter));
+  // Sessions matching by title or by message text; pinned first, then by recency
+  const matches = searchSessions('', filter)
+    .filter(id => titleMatches.has(id) || messageSearch.hits[id]);
   UI.renderSessions({
     sessions: getSessions(),
     sessionMeta: getSessionMeta(),
     currentSessionId: getStoredCurrentSessionId(),
     currentTitle: current?.title,
     matches,
+    hits: messageSearch.hits,
+    highlightTerms: messageSearch.terms,
     searchTerm: sessionSearchTerm,
+    tags,
+    activeTag: sessionTagFilter,
     confirmingId,
-    editingId
+    editingId,
+    editingField
   });
 }
 
@@ -168,6 +573,50 @@ export function patchMessage(sessionId, index, patch) {
   updateMessage(sessionId, index, patch);
 }
 
+/**
+ * Drop messages from the active path (used to branch before resending).
+ * The dropped continuation stays reachable as a sibling branch.
+ * @param {string} sessionId
+ * @param {number} fromIndex
+ * @returns {Array} Messages removed from the active path
+ */
+export function rewindSession(sessionId, fromIndex) {
+  return rewindMessages(sessionId, fromIndex);
+}
+
+/**
+ * Show the previous/next sibling branch of a message
+ * @param {string} sessionId
+ * @param {number} index - Message index on the active path
+ * @param {number} offset - -1 or 1
+ * @returns {boolean} Whether the active path changed
+ */
+export function switchMessageBranch(sessionId, index, offset) {
+  const changed = switchBranch(sessionId, index, offset);
+  if (changed) {
+    scheduleSaveState();
+    refreshLog({ force: true });
+  }
+  return changed;
+}
+
+/**
+ * Persist the rolling summary from context compaction and tell the user
+ * @param {string} sessionId
+ * @param {{text: string, throughMessageId: string, createdAt: number}} summary
+ */
+export function recordCompaction(sessionId, summary) {
+  setSessionSummary(sessionId, summary);
+  scheduleSaveState();
+  if (getStoredCurrentSessionId() === sessionId) {
+    UI.showCompactionNotice();
+  }
+}
+
+export async function getMessageAttachments(attachments) {
+  return loadMessageAttachments(attachments);
+}
+
 /**
  * Persist current state (debounced by default)
  * @param {{immediate?: boolean}} options - Set immediate: true for critical saves
@@ -217,8 +666,9 @@ export function setRestrictedState(restricted) {
 }
 
 export function renderContextUI() {
-  UI.renderContextSnapshots(getContextSnapshots(), getActiveSnapshotId());
-  UI.setContextSourceLabel(getActiveSnapshot());
+  const tabCount = getContextTabIds().length;
+  UI.renderContextSnapshots(getContextSnapshots(), getActiveSnapshotId(), tabCount);
+  UI.setContextSourceLabel(getActiveSnapshot(), tabCount);
 }
 
 // --- CONTEXT SNAPSHOTS ---
@@ -243,6 +693,40 @@ export function getActiveContextSnapshot() {
   return getActiveSnapshot();
 }
 
+// --- MULTI-TAB CONTEXT ---
+
+export function getContextTabs() {
+  return getContextTabIds();
+}
+
+export function setContextTabs(ids) {
+  setContextTabIds(ids);
+}
+
+export function renderTabPicker(tabs, groups, selectedIds) {
+  UI.renderTabPicker(tabs, groups, selectedIds);
+}
+
+export function setTabPickerOpen(open) {
+  UI.setTabPickerOpen(open);
+}
+
+export function isTabPickerOpen() {
+  return UI.isTabPickerOpen();
+}
+
+export function setTabPickerGroupChecked(groupId, checked) {
+  UI.setTabPickerGroupChecked(groupId, checked);
+}
+
+export function syncTabPickerGroups() {
+  UI.syncTabPickerGroups();
+}
+
+export function getPickedTabIds() {
+  return UI.getPickedTabIds();
+}
+
 // --- ATTACHMENTS ---
 
 export function getAttachments() {
@@ -336,13 +820,43 @@ export function updateLastBubble(text, options = {}) {
   UI.updateLastMessageBubble(session, text, options);
 }
 
-export function refreshLog() {
+export function updateLastToolCalls() {
+  UI.updateLastMessageToolCalls(getCurrentSessionSync());
+}
+
+export function updateLastSources() {
+  UI.updateLastMessageSources(getCurrentSessionSync());
+}
+
+export function updateLastCitations() {
+  UI.updateLastMessageCitations(getCurrentSessionSync());
+}
+
+/**
+ * Re-render the chat log
+ * @param {{force?: boolean}} options - force: rebuild every bubble (e.g. after a branch switch)
+ */
+export function refreshLog(options = {}) {
   const session = getCurrentSessionSync();
-  UI.renderLog(session);
+  UI.renderLog(session, options);
+}
+
+export function showMessageEditor(index, text) {
+  UI.showMessageEditor(index, text);
+}
+
+export function hideMessageEditor(index) {
+  UI.hideMessageEditor(index);
+}
+
+export function toggleCodeWrap(block) {
+  UI.toggleCodeWrap(block);
 }
 
 // --- TEMPLATES ---
 
+let activeTemplateId = null;
+
 export function getTemplates() {
   return getStoredTemplates();
 }
@@ -351,8 +865,8 @@ export function updateTemplatesUI(editingId = null) {
   UI.updateTemplates(getStoredTemplates(), BLANK_TEMPLATE_ID, editingId);
 }
 
-export function addTemplate(label, text) {
-  const template = addStorageTemplate(label, text);
+export function addTemplate(label, text, options = {}) {
+  const template = addStorageTemplate(label, text, options);
   scheduleSaveState();
   return template;
 }
@@ -361,6 +875,7 @@ export function patchTemplate(id, patch) {
   const result = updateStorageTemplate(id, patch);
   if (result) {
     scheduleSaveState();
+    if (id === activeTemplateId) setActiveTemplate(id);
   }
   return result;
 }
@@ -369,15 +884,133 @@ export function removeTemplate(id) {
   const result = deleteStorageTemplate(id);
   if (result) {
     scheduleSaveState();
+    if (id === activeTemplateId) clearActiveTemplate();
   }
   return result;
 }
 
+/**
+ * Mark a template that changes how the next prompt is answered (an
+ * outputSchema or model overrides) as active for that prompt. Plain
+ * templates clear the selection.
+ * @param {string} id - Template ID
+ */
+export function setActiveTemplate(id) {
+  const template = getStoredTemplates().find(t => t.id === id);
+  activeTemplateId = template?.outputSchema || template?.overrides ? template.id : null;
+  UI.setActiveTemplateBadge(activeTemplateId ? template : null);
+}
+
+/** @returns {object|null} The active structured or overriding template, if any */
+export function getActiveTemplate() {
+  if (!activeTemplateId) return null;
+  return getStoredTemplates().find(t => t.id === activeTemplateId) || null;
+}
+
+export function clearActiveTemplate() {
+  activeTemplateId = null;
+  UI.setActiveTemplateBadge(null);
+}
+
+/**
+ * Ask for a template's unresolved variables
+ * @param {string} label - Template name
+ * @param {Array<{name: string, defaultValue: string}>} variables
+ */
+export function openTemplateVarsForm(label, variables) {
+  UI.renderTemplateVarsForm(label, variables);
+  UI.openTemplateVarsModal();
+}
+
+export function getTemplateVarsValues() {
+  return UI.getTemplateVarsValues();
+}
+
 export function resetAllTemplates() {
   resetStorageTemplates();
+  clearActiveTemplate();
   scheduleSaveState();
 }
 
+// --- TEMPLATE PACKS ---
+
+/**
+ * Download some templates as a template pack
+ * @param {string[]} templateIds - Templates to include
+ * @returns {number} Templates exported
+ */
+export function exportTemplatePack(templateIds) {
+  const pack = buildTemplatePack(templateIds);
+  const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+  UI.downloadBlob(blob, `${TEMPLATE_PACK.FILE_PREFIX}-${Date.now()}.json`);
+  return pack.templates.length;
+}
+
+/**
+ * Read a template pack file and find the templates that need a decision
+ * @param {File} file - Pack chosen by the user
+ * @returns {Promise<{data: object, conflicts: object[]}>} Parsed pack and its conflicts
+ * @throws {Error} With a user-facing message when the file is not a valid pack
+ */
+export async function readTemplatePackFile(file) {
+  const data = parseTemplatePack(await file.text());
+  return { data, conflicts: findTemplateConflicts(data.templates) };
+}
+
+/**
+ * Merge a parsed template pack and refresh the template menu
+ * @param {object} data - From readTemplatePackFile()
+ * @param {Object<string, 'keep'|'replace'|'both'>} choices - Resolution per conflicting id
+ * @returns {Promise<object>} Import counts (see importTemplatePack)
+ */
+export async function applyTemplatePack(data, choices = {}) {
+  const result = importTemplatePack(data, choices);
+  await flushSaveState(); // Immediate save for user action
+  if (activeTemplateId) setActiveTemplate(activeTemplateId);
+  updateTemplatesUI();
+  renderTemplateSyncNote();
+  return result;
+}
+
+export function renderTemplatePackList() {
+  UI.renderTemplatePackList(getStoredTemplates().filter(t => t.id !== BLANK_TEMPLATE_ID));
+}
+
+/**
+ * List synced templates that are missing here (their texts only move as packs)
+ */
+export function renderTemplateSyncNote() {
+  UI.setTemplateSyncNote(getUnsyncedTemplates());
+}
+
+export function getPickedPackTemplateIds() {
+  return UI.getPickedPackTemplateIds();
+}
+
+export function setTemplatePackPickerOpen(open) {
+  UI.setTemplatePackPickerOpen(open);
+}
+
+export function isTemplatePackPickerOpen() {
+  return UI.isTemplatePackPickerOpen();
+}
+
+export function openTemplatePackFilePicker() {
+  UI.triggerTemplatePackFilePicker();
+}
+
+/**
+ * Show (or, with an empty list, hide) the import conflict form
+ * @param {object[]} conflicts - From readTemplatePackFile()
+ */
+export function showTemplateConflicts(conflicts) {
+  UI.renderTemplateConflicts(conflicts);
+}
+
+export function getTemplateConflictChoices() {
+  return UI.getTemplateConflictChoices();
+}
+
 // --- THEME ---
 
 export function applyTheme(theme) {
@@ -398,6 +1031,19 @@ export function focusInput() {
   UI.focusInput();
 }
 
+/**
+ * Show (or, with an empty list, hide) slash command suggestions
+ * @param {Array<{label: string, description: string}>} items - Suggestions
+ * @param {number} activeIndex - Highlighted suggestion
+ */
+export function renderCommandPalette(items, activeIndex = 0) {
+  UI.renderCommandPalette(items, activeIndex);
+}
+
+export function getCommandOptionIndex(target) {
+  return UI.getCommandOptionIndex(target);
+}
+
 // --- MISC UI ---
 
 export function closeMenu(menuId) {
@@ -408,6 +1054,10 @@ export function toggleMenu(menuId) {
   UI.toggleMenu(menuId);
 }
 
+export function focusSessionSearch() {
+  UI.focusSessionSearch();
+}
+
 export function isModalOpen() {
   return UI.isModalOpen();
 }
@@ -420,6 +1070,20 @@ export function openContextModal() {
   UI.openContextModal();
 }
 
+/**
+ * Show the keyboard shortcut cheat sheet
+ * @param {Array<{description: string, shortcut: string}>} commands - From chrome.commands.getAll()
+ * @param {Array<{keys: string, description: string}>} panelShortcuts - Shortcuts inside the panel
+ */
+export function openShortcutsSheet(commands, panelShortcuts) {
+  UI.renderShortcuts(commands, panelShortcuts);
+  UI.openShortcutsModal();
+}
+
+export function isShortcutsSheetOpen() {
+  return UI.isShortcutsModalOpen();
+}
+
 export function downloadBlob(blob, filename) {
   UI.downloadBlob(blob, filename);
 }
@@ -0,0 +1,209 @@
+/**
+ * Session Archives - portable JSON export and import
+ *
+ * An archive is one versioned JSON document:
+ *   { format, version, exportedAt, sessions, attachments, snapshots?, templates?, settings? }
+ * Sessions carry their whole message tree (nodes + branches), so smart
+ * replies, sources, citations and every branch survive the round trip.
+ * Attachment payloads from the attachments store are base64-encoded.
+ * Snapshots, templates and settings are only included in full exports.
+ */
+
+import {
+  ARCHIVE,
+  DEFAULT_SETTINGS,
+  USER_ERROR_MESSAGES,
+  VALIDATION
+} from '../config/constants.js';
+import {
+  getSessionExportData,
+  importSessionData,
+  importContextSnapshots,
+  importTemplates,
+  getContextSnapshots,
+  getTemplates,
+  getSettings,
+  updateSettings,
+  normalizeSessionTags
+} from './storage.js';
+
+const BASE64_CHUNK = 0x8000; // Bytes per String.fromCharCode call
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+}
+
+function base64ToBlob(base64, type) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+/**
+ * Serialize an attachment record; Blobs become base64, extracted text stays text
+ * @param {object} record - Attachment store record
+ * @returns {Promise<object>} JSON-safe record
+ */
+async function encodeAttachment(record) {
+  const { data, ...rest } = record;
+  if (data instanceof Blob) {
+    return { ...rest, encoding: 'base64', data: await blobToBase64(data) };
+  }
+  return { ...rest, encoding: 'text', data: typeof data === 'string' ? data : '' };
+}
+
+/**
+ * @param {object} record - Archived attachment
+ * @returns {object|null} Store record, or null if malformed
+ */
+function decodeAttachment(record) {
+  if (!isObject(record) || typeof record.id !== 'string' || typeof record.sessionId !== 'string') return null;
+  if (typeof record.data !== 'string') return null;
+
+  const { encoding, data, ...rest } = record;
+  try {
+    return { ...rest, data: encoding === 'base64' ? base64ToBlob(data, rest.type) : data };
+  } catch (e) {
+    console.warn('Skipping unreadable archived attachment', record.id, e);
+    return null;
+  }
+}
+
+/**
+ * Check an archived session's message tree is self-consistent
+ * @param {object} session - Archived session
+ * @returns {boolean}
+ */
+function isValidSession(session) {
+  if (!isObject(session) || typeof session.id !== 'string' || !session.id) return false;
+  if (!isObject(session.nodes) || !isObject(session.branches)) return false;
+
+  const { nodes } = session;
+  const nodesValid = Object.entries(nodes).every(([id, node]) => isObject(node) &&
+    node.id === id &&
+    VALIDATION.VALID_MESSAGE_ROLES.includes(node.role) &&
+    typeof node.text === 'string' &&
+    (!node.parentId || Boolean(nodes[node.parentId])));
+  if (!nodesValid) return false;
+
+  return Object.values(session.branches).every(branch => isObject(branch) &&
+    Array.isArray(branch.children) &&
+    branch.children.every(id => Boolean(nodes[id])) &&
+    (!branch.active || Boolean(nodes[branch.active])));
+}
+
+/**
+ * Keep only known settings whose type matches the default
+ * @param {object} settings - Archived settings
+ * @returns {object|null} Settings patch
+ */
+function pickKnownSettings(settings) {
+  if (!isObject(settings)) return null;
+  const patch = {};
+  Object.keys(DEFAULT_SETTINGS).forEach((key) => {
+    if (typeof settings[key] === typeof DEFAULT_SETTINGS[key]) patch[key] = settings[key];
+  });
+  return Object.keys(patch).length ? patch : null;
+}
+
+/**
+ * Build an archive for some sessions, or for everything
+ * @param {{sessionIds: string[], everything?: boolean}} options - everything adds snapshots, templates and settings
+ * @returns {Promise<object>} Archive object (JSON-safe)
+ */
+export async function buildArchive({ sessionIds = [], everything = false } = {}) {
+  const { sessions, attachments } = await getSessionExportData(sessionIds);
+
+  const archive = {
+    format: ARCHIVE.FORMAT,
+    version: ARCHIVE.VERSION,
+    exportedAt: Date.now(),
+    sessions,
+    attachments: await Promise.all(attachments.map(encodeAttachment))
+  };
+
+  if (everything) {
+    archive.snapshots = getContextSnapshots();
+    archive.templates = getTemplates();
+    archive.settings = getSettings();
+  }
+
+  return archive;
+}
+
+/**
+ * Parse and validate archive file contents.
+ * Malformed sessions and attachments are dropped; a wrong format or a newer
+ * version rejects the whole file.
+ * @param {string} text - File contents
+ * @returns {{sessions: object[], attachments: object[], snapshots: object[], templates: object[], settings: object|null, skipped: number}}
+ * @throws {Error} With a user-facing message
+ */
+export function parseArchive(text) {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch (e) {
+    throw new Error(USER_ERROR_MESSAGES.ARCHIVE_INVALID);
+  }
+
+  if (!isObject(archive) || archive.format !== ARCHIVE.FORMAT ||
+      !Number.isInteger(archive.version) || !Array.isArray(archive.sessions)) {
+    throw new Error(USER_ERROR_MESSAGES.ARCHIVE_INVALID);
+  }
+  if (archive.version > ARCHIVE.VERSION) {
+    throw new Error(USER_ERROR_MESSAGES.ARCHIVE_TOO_NEW);
+  }
+
+  const sessions = archive.sessions.filter(isValidSession).map(session => ({
+    ...session,
+    title: typeof session.title === 'string' && session.title ? session.title : 'Imported chat',
+    createdAt: Number(session.createdAt) || Date.now(),
+    updatedAt: Number(session.updatedAt) || Date.now(),
+    pinned: session.pinned === true,
+    tags: Array.isArray(session.tags) ? normalizeSessionTags(session.tags.filter(tag => typeof tag === 'string')) : []
+  }));
+
+  const list = value => (Array.isArray(value) ? value : []);
+
+  return {
+    sessions,
+    attachments: list(archive.attachments).map(decodeAttachment).filter(Boolean),
+    snapshots: list(archive.snapshots)
+      .filter(s => isObject(s) && typeof s.id === 'string' && typeof s.text === 'string'),
+    templates: list(archive.templates)
+      .filter(t => isObject(t) && typeof t.id === 'string' && typeof t.label === 'string' && typeof t.text === 'string'),
+    settings: pickKnownSettings(archive.settings),
+    skipped: archive.sessions.length - sessions.length
+  };
+}
+
+/**
+ * Merge a parsed archive into local state (caller persists and re-renders)
+ * @param {ReturnType<typeof parseArchive>} data - Parsed archive
+ * @returns {Promise<{added: number, merged: number, skipped: number, snapshots: number, templates: number, settings: boolean}>}
+ */
+export async function importArchive(data) {
+  const result = await importSessionData(data);
+  const snapshots = importContextSnapshots(data.snapshots);
+  const templates = importTemplates(data.templates);
+  if (data.settings) updateSettings(data.settings);
+
+  return {
+    ...result,
+    skipped: data.skipped,
+    snapshots,
+    templates,
+    settings: Boolean(data.settings)
+  };
+}
@@ -1,6 +1,7 @@
 import { sanitizeText } from '../utils/utils.js';
 import {
   ASSISTANT_RULES,
+  CITATION_PROMPT,
   LIMITS,
   TIMING,
   UI_MESSAGES,
@@ -8,7 +9,8 @@ import {
   INTENT_TYPES,
   VALIDATION
 } from '../config/constants.js';
-import { getActiveSnapshot } from './storage.js';
+import { getActiveSnapshot, getContextTabIds, setContextTabIds } from './storage.js';
+import { setPageIndex, getPageIndex, clearPageIndex, searchIndex } from './retrieval.js';
 
 let cachedContext = {
   text: '',
@@ -18,7 +20,8 @@ let cachedContext = {
   title: '',
   url: '',
   source: 'live',
-  snapshotId: null
+  snapshotId: null,
+  tabIds: []
 };
 
 // ============================================================================
@@ -45,10 +48,11 @@ function getCachedPromptHeader() {
 /**
  * Classify user intent based on query text
  * @param {string} text - User query text
- * @returns {string} Intent type ('page', 'time', 'location', or 'none')
+ * @returns {string} Intent type ('action', 'page', 'time', 'location', or 'none')
  */
 export function classifyIntent(text) {
   const t = text.toLowerCase();
+  if (INTENT_PATTERNS.action.test(t)) return INTENT_TYPES.ACTION;
   if (INTENT_PATTERNS.page.test(t)) return INTENT_TYPES.PAGE;
   if (INTENT_PATTERNS.time.test(t)) return INTENT_TYPES.TIME;
   if (INTENT_PATTERNS.location.test(t)) return INTENT_TYPES.LOCATION;
@@ -175,7 +179,7 @@ function sliceToTokenBudget(text, maxTokens) {
 }
 
 /**
- * Fetch context from the active tab with caching
+ * Fetch context from the active tab (or the tabs picked in the context panel) with caching
  * @param {boolean} force - Force refresh ignoring cache
  * @param {{respectSnapshot?: boolean}} options - Fetch options
  * @returns {Promise<{text: string, tabId: number|null, isRestricted: boolean, title?: string, url?: string, source?: string, snapshotId?: string|null}>} Context object
@@ -198,6 +202,12 @@ export async function fetchContext(force = false, options = {}) {
     return cachedContext;
   }
 
+  const tabIds = getContextTabIds();
+  if (tabIds.length) {
+    const tabsContext = await fetchTabsContext(tabIds, force);
+    if (tabsContext) return tabsContext;
+  }
+
   const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
 
   if (!activeTab || !activeTab.id) {
@@ -215,7 +225,7 @@ export async function fetchContext(force = false, options = {}) {
   const activeTabId = activeTab.id;
   const isFresh = Date.now() - cachedContext.ts < TIMING.CONTEXT_CACHE_MS;
 
-  if (!force && cachedContext.text && isFresh && cachedContext.tabId === activeTabId) {
+  if (!force && cachedContext.text && isFresh && cachedContext.source === 'live' && cachedContext.tabId === activeTabId) {
     return cachedContext;
   }
 
@@ -243,15 +253,19 @@ export async function fetchContext(force = false, options = {}) {
       if (clean) pieces.push(clean);
     }
 
+    const pageUrl = rawData.url || activeTab.url || '';
+    indexPageChunks(activeTabId, pageUrl, rawData.chunks);
+
     cachedContext = {
       text: pieces.join('\n\n'),
       ts: Date.now(),
       tabId: activeTabId,
       isRestricted: false,
       title: sanitizeText(rawData.title || activeTab.title || ''),
-      url: rawData.url || activeTab.url || '',
+      url: pageUrl,
       source: 'live',
-      snapshotId: null
+      snapshotId: null,
+      tabIds: []
     };
 
     return cachedContext;
@@ -270,32 +284,348 @@ export async function fetchContext(force = false, options = {}) {
   }
 }
 
+/**
+ * Store a scrape's chunks as the tab's retrieval index.
+ * Selections come without chunks; don't answer them from an older full-page index.
+ * @param {number} tabId
+ * @param {string} url - Page URL the chunks belong to
+ * @param {Array<{id: number, heading: string, text: string}>} chunks
+ */
+function indexPageChunks(tabId, url, chunks) {
+  if (!chunks?.length) {
+    clearPageIndex(tabId);
+    return;
+  }
+  setPageIndex(tabId, url, chunks.map(chunk => ({
+    id: chunk.id,
+    heading: sanitizeText(chunk.heading || ''),
+    text: sanitizeText(chunk.text || ''),
+    tokens: estimateTokens(chunk.text)
+  })));
+}
+
+/**
+ * Scrape one picked tab for multi-tab context
+ * @param {number} tabId
+ * @returns {Promise<{tabId: number, title: string, url: string, text: string, readable: boolean}|null>}
+ *   Null when the tab no longer exists
+ */
+async function scrapeTab(tabId) {
+  let tab;
+  try {
+    tab = await chrome.tabs.get(tabId);
+  } catch {
+    return null;
+  }
+
+  const page = {
+    tabId,
+    title: sanitizeText(tab.title || ''),
+    url: tab.url || '',
+    text: '',
+    readable: false
+  };
+  if (!tab.url || !VALIDATION.ALLOWED_PAGE_PROTOCOLS.test(tab.url)) return page;
+
+  try {
+    const rawData = await sendMessageWithFallback(tabId);
+    page.title = sanitizeText(rawData.title || tab.title || '');
+    page.url = rawData.url || tab.url;
+    page.text = sanitizeText(rawData.text || '');
+    page.readable = Boolean(page.text);
+    indexPageChunks(tabId, page.url, rawData.chunks);
+  } catch (e) {
+    console.warn(`Context extraction failed for tab ${tabId}:`, e);
+  }
+  return page;
+}
+
+/**
+ * Split a token budget between pages: pages that need less than an even share
+ * keep their full text and the rest is shared among the longer ones.
+ * @param {number[]} needs - Tokens each page would use untrimmed
+ * @param {number} budget - Total tokens available
+ * @returns {number[]} Tokens allowed per page (same order as `needs`)
+ */
+function splitBudgetFairly(needs, budget) {
+  const shares = new Array(needs.length).fill(0);
+  const order = needs.map((_, i) => i).sort((a, b) => needs[a] - needs[b]);
+  let remaining = Math.max(0, budget);
+
+  order.forEach((i, pos) => {
+    const evenShare = Math.floor(remaining / (order.length - pos));
+    shares[i] = Math.min(needs[i], evenShare);
+    remaining -= shares[i];
+  });
+  return shares;
+}
+
+/**
+ * Fetch context from the tabs picked in the context panel.
+ * LIMITS.CONTEXT_BUDGET is split fairly between the readable tabs and each
+ * section is labelled with the tab's title and URL.
+ * @param {number[]} tabIds - Picked tab ids
+ * @param {boolean} force - Force refresh ignoring cache
+ * @returns {Promise<object|null>} Context object, or null when none of the tabs are still open
+ */
+async function fetchTabsContext(tabIds, force) {
+  const isFresh = Date.now() - cachedContext.ts < TIMING.CONTEXT_CACHE_MS;
+  const sameTabs = cachedContext.source === 'tabs' && cachedContext.tabIds.join(',') === tabIds.join(',');
+  if (!force && cachedContext.text && isFresh && sameTabs) return cachedContext;
+
+  const pages = (await Promise.all(tabIds.map(scrapeTab))).filter(Boolean);
+
+  // Drop tabs that were closed since they were picked
+  if (pages.length !== tabIds.length) setContextTabIds(pages.map(page => page.tabId));
+  if (!pages.length) return null;
+
+  const labels = pages.map((page, i) =>
+    `[Tab ${i + 1}: ${page.title || 'Untitled'}]\nURL: ${page.url}`);
+  const readable = pages.filter(page => page.readable);
+  const labelTokens = labels.reduce((sum, label) => sum + estimateTokens(label), 0);
+  const shares = splitBudgetFairly(
+    readable.map(page => estimateTokens(page.text)),
+    LIMITS.CONTEXT_BUDGET - labelTokens
+  );
+
+  const sections = pages.map((page, i) => {
+    if (!page.readable) return `${labels[i]}\n${UI_MESSAGES.TAB_NOT_READABLE}`;
+    const share = shares[readable.indexOf(page)];
+    const text = sliceToTokenBudget(page.text, share) || smartTruncate(page.text, share);
+    return `${labels[i]}\n${text}`;
+  });
+
+  cachedContext = {
+    text: sections.join('\n\n'),
+    ts: Date.now(),
+    tabId: null,
+    isRestricted: !readable.length,
+    title: pages.map(page => page.title).filter(Boolean).join(', '),
+    url: '',
+    source: 'tabs',
+    snapshotId: null,
+    tabIds: pages.map(page => page.tabId)
+  };
+  return cachedContext;
+}
+
 /**
  * Send message to content script with automatic injection fallback
  * @param {number} tabId - Tab ID to send message to
- * @returns {Promise<object>} Context data from content script
+ * @param {object} message - Message for content.js (defaults to GET_CONTEXT)
+ * @returns {Promise<object>} Response from content script
  */
-async function sendMessageWithFallback(tabId) {
+async function sendMessageWithFallback(tabId, message = { action: 'GET_CONTEXT' }) {
   try {
-    return await chrome.tabs.sendMessage(tabId, { action: 'GET_CONTEXT' });
+    return await chrome.tabs.sendMessage(tabId, message);
   } catch (e) {
     await chrome.scripting.executeScript({
       target: { tabId },
       files: ['content.js']
     });
-    return await chrome.tabs.sendMessage(tabId, { action: 'GET_CONTEXT' });
+    return await chrome.tabs.sendMessage(tabId, message);
+  }
+}
+
+/**
+ * Title, URL and selected text of the active tab, for template variables
+ * @returns {Promise<{title: string, url: string, selection: string}>} Empty strings where unavailable
+ */
+export async function fetchPageDetails() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  const details = { title: sanitizeText(tab?.title || ''), url: tab?.url || '', selection: '' };
+  if (!tab?.id || !VALIDATION.ALLOWED_PAGE_PROTOCOLS.test(details.url)) return details;
+
+  try {
+    const result = await sendMessageWithFallback(tab.id, { action: 'GET_SELECTION' });
+    details.selection = enforceContextLimits(result?.text || '');
+  } catch (e) {
+    console.warn('Selection fetch failed', e);
+  }
+  return details;
+}
+
+/**
+ * List the current window's tabs (and tab groups) for the context panel's tab picker
+ * @returns {Promise<{tabs: Array<{id: number, title: string, url: string, groupId: number, active: boolean, readable: boolean}>, groups: Array<{id: number, title: string}>}>}
+ */
+export async function listPickableTabs() {
+  const tabs = (await chrome.tabs.query({ currentWindow: true })).filter(tab => tab.id);
+
+  let groups = [];
+  const windowId = tabs[0]?.windowId;
+  if (chrome.tabGroups?.query && windowId !== undefined) {
+    groups = await chrome.tabGroups.query({ windowId }).catch(() => []);
   }
+
+  return {
+    tabs: tabs.map(tab => ({
+      id: tab.id,
+      title: tab.title || '',
+      url: tab.url || '',
+      groupId: tab.groupId ?? -1,
+      active: Boolean(tab.active),
+      readable: Boolean(tab.url && VALIDATION.ALLOWED_PAGE_PROTOCOLS.test(tab.url))
+    })),
+    groups: groups.map(group => ({ id: group.id, title: group.title || '' }))
+  };
+}
+
+/**
+ * Run a page action (FIND_IN_PAGE, SCROLL_TO_TEXT, HIGHLIGHT_PASSAGE, ...) in the active tab,
+ * or in `tabId` after switching to it.
+ * @param {string} action - content.js action name
+ * @param {object} payload - Action arguments
+ * @param {{tabId?: number|null}} options - Tab to run in (defaults to the active tab)
+ * @returns {Promise<object>} Action result from content.js
+ * @throws {Error} On system pages, closed tabs or when the content script reports an error
+ */
+export async function sendPageAction(action, payload = {}, { tabId = null } = {}) {
+  let tab;
+  if (tabId) {
+    try {
+      tab = await chrome.tabs.update(tabId, { active: true });
+    } catch {
+      throw new Error(UI_MESSAGES.TAB_CLOSED);
+    }
+  } else {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab?.id || !tab.url || !VALIDATION.ALLOWED_PAGE_PROTOCOLS.test(tab.url)) {
+    throw new Error(UI_MESSAGES.SYSTEM_PAGE_AI_DISABLED);
+  }
+
+  const result = await sendMessageWithFallback(tab.id, { action, payload });
+  if (result?.error) throw new Error(result.error);
+  return result || {};
+}
+
+/**
+ * Pick the page sections most relevant to the question from the tab's index.
+ * Only applies to unedited live context whose full page exceeds
+ * LIMITS.MAX_CONTEXT_TOKENS; chunks are ranked with BM25, packed into
+ * LIMITS.CONTEXT_BUDGET and restored to page order.
+ * @param {string} query - User question
+ * @param {string} contextText - Context the prompt would otherwise use
+ * @returns {{text: string, sources: Array<{id: number, heading: string}>}|null} Null to use plain truncation
+ */
+function selectRelevantContext(query, contextText) {
+  if (cachedContext.source !== 'live' || contextText !== cachedContext.text) return null;
+
+  const index = getPageIndex(cachedContext.tabId, cachedContext.url);
+  if (!index || index.totalTokens <= LIMITS.MAX_CONTEXT_TOKENS) return null;
+
+  const ranked = searchIndex(index, query);
+  if (!ranked.length) return null;
+
+  const picked = [];
+  let tokens = 0;
+  for (const { chunk } of ranked) {
+    if (tokens + chunk.tokens > LIMITS.CONTEXT_BUDGET) continue;
+    picked.push(chunk);
+    tokens += chunk.tokens;
+  }
+  if (!picked.length) return null;
+
+  picked.sort((a, b) => a.id - b.id);
+  const header = [`Title: ${cachedContext.title}`, `URL: ${cachedContext.url}`].join('\n');
+  const sections = picked.map(chunk => `[Section: ${chunk.heading || 'Top of page'}]\n${chunk.text}`);
+
+  return {
+    text: `${header}\n\n${sections.join('\n\n')}`,
+    sources: picked.map(chunk => ({ id: chunk.id, heading: chunk.heading || 'Top of page' }))
+  };
+}
+
+/**
+ * Whether the context is the untouched multi-tab context from fetchTabsContext
+ * @param {string} contextText
+ * @returns {boolean}
+ */
+function isUneditedTabsContext(contextText) {
+  return cachedContext.source === 'tabs' && contextText === cachedContext.text;
+}
+
+// Lines that label a context block rather than hold page text
+const CONTEXT_LABEL_LINE = /^(?:Title|URL): |^\[(?:Section|Tab \d+): .*\]$/;
+// Single-line notices such as UI_MESSAGES.TRUNCATED or TAB_NOT_READABLE
+const CONTEXT_NOTICE = /^\[[^\]\n]*\]$/;
+
+/**
+ * Number the context's paragraphs as [n] so answers can cite them.
+ * Label lines (Title/URL, [Section: ...], [Tab n: ...]) and notices stay unnumbered.
+ * Each passage remembers the tab it was scraped from, when known.
+ * @param {string} contextText - Budgeted context
+ * @param {{tabId?: number|null, tabIds?: number[]}} origin - Source tab, or the
+ *   tab of each `[Tab n: ...]` section for multi-tab context
+ * @returns {{text: string, passages: Array<{n: number, text: string, tabId: number|null}>}}
+ */
+function numberPassages(contextText, { tabId = null, tabIds = [] } = {}) {
+  const passages = [];
+  let currentTabId = tabId;
+
+  const blocks = contextText.split(/\n{2,}/).map((block) => {
+    const lines = block.split('\n');
+    const labels = [];
+    while (lines.length && CONTEXT_LABEL_LINE.test(lines[0])) {
+      const tabLabel = lines[0].match(/^\[Tab (\d+): /);
+      if (tabLabel) currentTabId = tabIds[Number(tabLabel[1]) - 1] ?? null;
+      labels.push(lines.shift());
+    }
+
+    const body = lines.join('\n').trim();
+    if (!body || CONTEXT_NOTICE.test(body)) return block;
+
+    const n = passages.length + 1;
+    passages.push({ n, text: body, tabId: currentTabId });
+    return [...labels, `[${n}] ${body}`].join('\n');
+  });
+
+  return { text: blocks.join('\n\n'), passages };
+}
+
+/**
+ * Passages an answer cites as [n], in citation order
+ * @param {string} answer - Model output
+ * @param {Array<{n: number, text: string, tabId: number|null}>} passages - From buildPromptWithContext
+ * @returns {Array<{n: number, text: string, tabId: number|null}>}
+ */
+export function getCitedPassages(answer = '', passages = []) {
+  if (!passages.length) return [];
+  const byNumber = new Map(passages.map(passage => [passage.n, passage]));
+  const cited = new Map();
+  for (const [, n] of answer.matchAll(/\[(\d{1,3})\]/g)) {
+    const passage = byNumber.get(Number(n));
+    if (passage && !cited.has(passage.n)) cited.set(passage.n, passage);
+  }
+  return [...cited.values()];
+}
+
+/**
+ * Where the context's passages were scraped from, for citation chips
+ * @param {string} contextText - Context the prompt uses
+ * @returns {{tabId?: number|null, tabIds?: number[]}}
+ */
+function getContextOrigin(contextText) {
+  if (contextText !== cachedContext.text) return {};
+  if (cachedContext.source === 'tabs') return { tabIds: cachedContext.tabIds };
+  if (cachedContext.source === 'live') return { tabId: cachedContext.tabId };
+  return {};
 }
 
 /**
  * Build the final prompt with context, attachments, and system rules
  * Uses cached headers and efficient string building to reduce churn.
+ * With `citations`, context paragraphs are numbered and the model is asked to cite them.
  * @param {string} userText - User's query
  * @param {string} contextOverride - Optional context to use instead of auto-fetched
  * @param {Array<{name: string}>} attachments - Attached files
- * @returns {Promise<{prompt: string, tokenEstimate: number}>} Complete prompt and token count
+ * @param {{citations?: boolean}} options
+ * @returns {Promise<{prompt: string, tokenEstimate: number, sources: Array<{id: number, heading: string}>, passages: Array<{n: number, text: string, tabId: number|null}>}>}
+ *   Complete prompt, token count, the page sections used (empty without retrieval)
+ *   and the numbered passages (empty without citations)
  */
-export async function buildPromptWithContext(userText, contextOverride = '', attachments = []) {
+export async function buildPromptWithContext(userText, contextOverride = '', attachments = [], { citations = false } = {}) {
   // Prompt intentionally stays minimal (no XML wrappers) for Nano model accuracy;
   // security rationale lives in SECURITY.md#prompt-injection-rationale-for-contextjs.
   const intent = classifyIntent(userText);
@@ -309,15 +639,34 @@ export async function buildPromptWithContext(userText, contextOverride = '', att
 
   parts[partIndex++] = header.text;
 
-  // Context section (budget-aware)
+  // Context section (budget-aware): relevant sections of long pages, picked tabs
+  // (already split within LIMITS.CONTEXT_BUDGET), else the truncated text
+  let sources = [];
+  let passages = [];
   if (contextOverride && contextOverride.length > 0) {
-    const safeContext = enforceContextLimits(contextOverride);
+    const retrieved = selectRelevantContext(userText, contextOverride);
+    const isTabsContext = !retrieved && isUneditedTabsContext(contextOverride);
+    let safeContext;
+    if (retrieved) safeContext = retrieved.text;
+    else if (isTabsContext) safeContext = contextOverride;
+    else safeContext = enforceContextLimits(contextOverride);
+
+    let numbered = null;
+    if (safeContext && citations) {
+      numbered = numberPassages(safeContext, getContextOrigin(contextOverride));
+      if (numbered.passages.length) safeContext = `${numbered.text}\n\n${CITATION_PROMPT}`;
+    }
+
     if (safeContext) {
-      const contextPart = `Context:\n${safeContext}`;
+      let contextPart = `Context:\n${safeContext}`;
+      if (retrieved) contextPart = `Context (sections of the page most relevant to the question):\n${safeContext}`;
+      if (isTabsContext) contextPart = `Context (several open tabs, each labelled with its title and URL):\n${safeContext}`;
       const contextTokens = estimateTokens(contextPart);
       if (totalTokens + contextTokens <= LIMITS.TOTAL_TOKEN_BUDGET - LIMITS.USER_QUERY_BUDGET) {
         parts[partIndex++] = contextPart;
         totalTokens += contextTokens;
+        if (retrieved) sources = retrieved.sources;
+        if (numbered) passages = numbered.passages;
       }
     }
   }
@@ -367,5 +716,5 @@ export async function buildPromptWithContext(userText, contextOverride = '', att
   // Efficient join - only include filled slots
   const prompt = parts.slice(0, partIndex).join('\n\n');
 
-  return { prompt, tokenEstimate: totalTokens };
+  return { prompt, tokenEstimate: totalTokens, sources, passages };
 }
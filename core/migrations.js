@@ -0,0 +1,112 @@
+/**
+ * Migrations - ordered, versioned upgrades of the IndexedDB data
+ *
+ * Two kinds of steps:
+ * - Schema steps run inside `onupgradeneeded`, one per DB_VERSION, and only
+ *   create stores and indexes. IndexedDB records the applied version itself
+ *   and rolls the whole upgrade back if a step throws.
+ * - Data steps run after the database opens, on loaded records (see
+ *   DATA_MIGRATIONS in core/storage.js). The version of the last completed
+ *   step is kept in meta `dataVersion` and written in the same transaction as
+ *   that step's records, so an interrupted run resumes at the first step that
+ *   was not recorded.
+ *
+ * Every step must be idempotent: it can meet records it already migrated,
+ * e.g. stores created by an older build or sessions saved mid-run.
+ */
+
+import { STORAGE_KEYS } from '../config/constants.js';
+
+const { STORES } = STORAGE_KEYS;
+
+/**
+ * Schema steps, ascending. Add a step and bump STORAGE_KEYS.DB_VERSION together.
+ */
+export const SCHEMA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Sessions and meta stores',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+        db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.META)) {
+        db.createObjectStore(STORES.META, { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Attachment payloads outside session records',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.ATTACHMENTS)) {
+        const store = db.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'id' });
+        store.createIndex('sessionId', 'sessionId', { unique: false });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Message search index',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.SEARCH)) {
+        const store = db.createObjectStore(STORES.SEARCH, { keyPath: 'id' });
+        store.createIndex('sessionId', 'sessionId', { unique: false });
+        // multiEntry: one index entry per term, i.e. the inverted index term -> messages
+        store.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Archive store for the retention policy',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.ARCHIVED)) {
+        db.createObjectStore(STORES.ARCHIVED, { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 5,
+    description: 'Template store (templates leave sync storage)',
+    upgrade(db) {
+      if (!db.objectStoreNames.contains(STORES.TEMPLATES)) {
+        db.createObjectStore(STORES.TEMPLATES, { keyPath: 'id' });
+      }
+    }
+  }
+];
+
+/**
+ * Apply the schema steps newer than the database (call from onupgradeneeded)
+ * @param {IDBDatabase} db - Database being upgraded
+ * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+ */
+export function upgradeSchema(db, oldVersion) {
+  SCHEMA_MIGRATIONS
+    .filter(step => step.version > oldVersion)
+    .forEach(step => step.upgrade(db));
+}
+
+/**
+ * Run the pending data steps in order, stopping at the first failure
+ * @param {Array<{version: number, description: string}>} steps - Data steps, ascending
+ * @param {number} appliedVersion - Version recorded in meta (0 if none)
+ * @param {(step: object) => Promise<void>} runStep - Runs one step and persists
+ *   its records together with its version
+ * @returns {Promise<number>} Version reached; later steps retry on the next load
+ */
+export async function runDataMigrations(steps, appliedVersion, runStep) {
+  let version = appliedVersion;
+  for (const step of steps) {
+    if (step.version <= version) continue;
+    try {
+      await runStep(step);
+    } catch (e) {
+      console.warn(`Data migration ${step.version} (${step.description}) failed`, e);
+      break;
+    }
+    version = step.version;
+  }
+  return version;
+}
@@ -5,8 +5,9 @@
  * Side effects are performed via callbacks supplied by the controller.
  */
 
-import { buildPromptWithContext } from './context.js';
+import { buildPromptWithContext, estimateTokens, sendPageAction } from './context.js';
 import { throttle, nanoid } from '../utils/utils.js';
+import { parseJsonResponse, validateJsonSchema } from '../utils/structured-output.js';
 import {
   MODEL_CONFIG,
   LIMITS,
@@ -16,8 +17,14 @@ import {
   SPEECH,
   DEFAULT_SETTINGS,
   TITLE_GENERATION_PROMPT,
+  CONVERSATION_SUMMARY_PROMPT,
+  TOOL_CALL_PROMPT,
+  TOOL_RESULT_PROMPT,
+  TOOL_FINAL_PROMPT,
+  TASK_API_OPTIONS,
   LANGUAGE_NAMES,
   PROMPT_API_OPTIMIZED_LANGUAGES,
+  TEMPLATE_OVERRIDES,
   getSettingOrDefault
 } from '../config/constants.js';
 
@@ -27,6 +34,27 @@ const SMART_REPLY_LIMIT = 3;
 const SMART_REPLY_CONTEXT_CHARS = 600;
 const SMART_REPLY_MAX_LENGTH = 120;
 
+const SMART_REPLY_SCHEMA = {
+  type: 'object',
+  properties: {
+    replies: {
+      type: 'array',
+      items: { type: 'string', minLength: 1, maxLength: SMART_REPLY_MAX_LENGTH },
+      minItems: 1,
+      maxItems: SMART_REPLY_LIMIT
+    }
+  },
+  required: ['replies']
+};
+
+const TITLE_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: LIMITS.TITLE_MAX_LENGTH }
+  },
+  required: ['title']
+};
+
 // FIXED: Generate a random key for page-context storage to prevent fingerprinting.
 // This key rotates every time the extension reloads.
 const PAGE_STORE_KEY = `__nano_${nanoid(12)}`;
@@ -104,16 +132,24 @@ class LocalAI {
 
   /**
    * Create or reuse an AI session.
+   * A new session is seeded with `history` (prior chat turns) and the rolling
+   * `summary`, so it picks up where the visible log left off, e.g. after a
+   * reload, resetModel() or compaction.
    * @param {string} sessionId - UI session ID
-   * @param {object} params - Session parameters
+   * @param {object} options - Session parameters plus optional `history`/`summary`
    * @returns {Promise<object>} AI session object
    */
-  async getOrCreateSession(sessionId, params = {}) {
+  async getOrCreateSession(sessionId, options = {}) {
     if (!sessionId) throw new Error('Missing session id');
     if (this.sessions.has(sessionId)) return this.sessions.get(sessionId);
     if (!this.engine) throw new Error('AI not supported');
 
+    const { history, summary, ...params } = options;
     const config = { ...MODEL_CONFIG, ...params };
+    if (history?.length || summary) {
+      config.initialPrompts = buildInitialPrompts(config.systemPrompt, history, summary);
+      delete config.systemPrompt;
+    }
     const session = await this.engine.create(config);
     this.sessions.set(sessionId, session);
     return session;
@@ -152,6 +188,53 @@ class LocalAI {
     return fullText;
   }
 
+  /**
+   * Input token usage of a live session.
+   * Reads inputUsage/inputQuota, falling back to the older tokensSoFar/maxTokens names.
+   * @param {string} sessionId - UI session ID
+   * @returns {{used: number, quota: number}|null} Null when unknown
+   */
+  getUsage(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+    const used = session.inputUsage ?? session.tokensSoFar;
+    const quota = session.inputQuota ?? session.maxTokens;
+    if (typeof used !== 'number' || !quota) return null;
+    return { used, quota };
+  }
+
+  /**
+   * Check whether sending `input` would push the session past LIMITS.COMPACTION_THRESHOLD.
+   * @param {string} sessionId - UI session ID
+   * @param {string|Array} input - Prompt input
+   * @returns {Promise<boolean>}
+   */
+  async isNearQuota(sessionId, input) {
+    const usage = this.getUsage(sessionId);
+    if (!usage) return false;
+
+    const session = this.sessions.get(sessionId);
+    let cost = estimateTokens(getPromptInputText(input));
+    if (typeof session.measureInputUsage === 'function') {
+      try {
+        cost = await session.measureInputUsage(input);
+      } catch { /* keep estimate */ }
+    }
+    return usage.used + cost > usage.quota * LIMITS.COMPACTION_THRESHOLD;
+  }
+
+  /**
+   * Drop a live session without aborting the in-flight request (used by compaction).
+   * @param {string} sessionId - UI session ID
+   */
+  discardSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session) {
+      try { session.destroy(); } catch { /* ignore */ }
+    }
+    this.sessions.delete(sessionId);
+  }
+
   destroy(sessionId = null) {
     if (sessionId) {
       const session = this.sessions.get(sessionId);
@@ -315,9 +398,12 @@ async function clearPageModelSessions(sessionId = null) {
 
 /**
  * Build model session config from settings.
+ * `overrides` are a template's model settings (utils/template-overrides.js);
+ * an overridden language is also asked for in the system prompt, since the
+ * Prompt API only takes it as a hint.
  */
-function getSessionConfig(settings) {
-  const userLanguage = getSettingOrDefault(settings, 'language');
+function getSessionConfig(settings, overrides = null) {
+  const userLanguage = overrides?.language || getSettingOrDefault(settings, 'language');
   // Validate language against Prompt API supported languages to prevent API failures.
   // The Prompt API treats languages as a preference hint, but unsupported codes may
   // cause errors or be silently ignored. Fall back to English for unsupported languages.
@@ -325,10 +411,16 @@ function getSessionConfig(settings) {
     ? userLanguage
     : DEFAULT_SETTINGS.language;
 
+  let systemPrompt = overrides?.systemPrompt || settings.systemPrompt || DEFAULT_SETTINGS.systemPrompt;
+  if (overrides?.language) {
+    const language = LANGUAGE_NAMES[overrides.language] || overrides.language;
+    systemPrompt += `\n\n${TEMPLATE_OVERRIDES.LANGUAGE_PROMPT.replace('{language}', language)}`;
+  }
+
   return {
-    topK: settings.topK,
-    temperature: settings.temperature,
-    systemPrompt: settings.systemPrompt || DEFAULT_SETTINGS.systemPrompt,
+    topK: overrides?.topK ?? settings.topK,
+    temperature: overrides?.temperature ?? settings.temperature,
+    systemPrompt,
     expectedInputs: [
       { type: 'text', languages: [languageHint] },
       { type: 'image' }
@@ -337,6 +429,129 @@ function getSessionConfig(settings) {
   };
 }
 
+/**
+ * Extract the text part of a prompt input (plain string or multimodal message list).
+ */
+function getPromptInputText(input) {
+  if (typeof input === 'string') return input;
+  if (!Array.isArray(input)) return '';
+  return input
+    .flatMap(msg => (Array.isArray(msg?.content) ? msg.content : []))
+    .filter(part => part?.type === 'text')
+    .map(part => part.value)
+    .join('\n');
+}
+
+/**
+ * Turns of `history` not yet covered by the rolling summary.
+ * A summary written on another branch (its last message is not on this path) is ignored.
+ * @returns {{turns: Array, summary: object|null}}
+ */
+function splitAtSummary(history = [], summary = null) {
+  const index = summary?.throughMessageId
+    ? history.findIndex(msg => msg?.id === summary.throughMessageId)
+    : -1;
+  if (index === -1) return { turns: history, summary: null };
+  return { turns: history.slice(index + 1), summary };
+}
+
+/**
+ * Convert stored chat messages into Prompt API initialPrompts.
+ * The system prompt leads (with the rolling summary appended, if any),
+ * followed by the most recent unsummarized turns that fit in
+ * LIMITS.HISTORY_TOKEN_BUDGET; empty turns (unfinished placeholders) are skipped.
+ * @param {string} systemPrompt - System prompt for the session
+ * @param {Array<{id: string, role: string, text: string}>} history - Prior chat messages, oldest first
+ * @param {{text: string, throughMessageId: string}|null} summary - Rolling summary
+ * @returns {Array<{role: string, content: string}>}
+ */
+function buildInitialPrompts(systemPrompt, history = [], summary = null) {
+  const { turns: pending, summary: activeSummary } = splitAtSummary(history, summary);
+  const turns = [];
+  let usedTokens = 0;
+
+  for (let i = pending.length - 1; i >= 0; i--) {
+    const msg = pending[i];
+    if (!VALIDATION.VALID_MESSAGE_ROLES.includes(msg?.role) || !msg.text?.trim()) continue;
+
+    const cost = estimateTokens(msg.text);
+    if (usedTokens + cost > LIMITS.HISTORY_TOKEN_BUDGET) break;
+    usedTokens += cost;
+    turns.unshift({ role: msg.role === 'ai' ? 'assistant' : 'user', content: msg.text });
+  }
+
+  const system = activeSummary
+    ? `${systemPrompt}\n\nConversation so far (summarized):\n${activeSummary.text}`
+    : systemPrompt;
+
+  return [{ role: 'system', content: system }, ...turns];
+}
+
+/**
+ * Whether an error means the prompt did not fit in the session's context window.
+ */
+function isQuotaError(err) {
+  return err?.name === 'QuotaExceededError' || /quota|too large|context window/i.test(err?.message || '');
+}
+
+/**
+ * Summarize chat turns (plus an earlier summary) with a throwaway model session.
+ * @param {Array<{role: string, text: string}>} turns - Turns to fold into the summary
+ * @param {string} previousSummary - Earlier summary text, if any
+ * @returns {Promise<string>} Summary text (empty on failure)
+ */
+async function summarizeTurns(turns, previousSummary = '') {
+  const maxChars = LIMITS.COMPACTION_INPUT_BUDGET * LIMITS.TOKEN_TO_CHAR_RATIO;
+  const transcript = turns
+    .filter(msg => msg?.text?.trim())
+    .map(msg => `${msg.role === 'ai' ? 'Assistant' : 'User'}: ${msg.text}`)
+    .join('\n\n')
+    .slice(-maxChars);
+
+  const prompt = CONVERSATION_SUMMARY_PROMPT
+    .replace('{summary}', () => previousSummary || '(none)')
+    .replace('{conversation}', () => transcript);
+
+  let summarySession;
+  try {
+    summarySession = await localAI.engine.create({
+      temperature: 0.2,
+      topK: 10,
+      systemPrompt: 'You write faithful, compact summaries of conversations.',
+      expectedOutputs: [{ type: 'text', format: 'plain-text', languages: ['en'] }]
+    });
+    return (await summarySession.prompt(prompt))?.trim() || '';
+  } finally {
+    if (summarySession?.destroy) {
+      try { await summarySession.destroy(); } catch { /* ignore */ }
+    }
+  }
+}
+
+/**
+ * Fold older turns into the rolling summary and recreate the model session from
+ * it, keeping the last LIMITS.COMPACTION_KEEP_TURNS turns verbatim.
+ * @param {string} sessionId - UI session ID
+ * @param {object} options - Session options (including `history` and `summary`)
+ * @returns {Promise<{text: string, throughMessageId: string, createdAt: number}|null>}
+ *   New summary, or null when there was nothing old enough to compact
+ */
+async function compactModelSession(sessionId, options) {
+  const { history = [], summary = null } = options;
+  const { turns, summary: activeSummary } = splitAtSummary(history, summary);
+  const older = turns.slice(0, Math.max(0, turns.length - LIMITS.COMPACTION_KEEP_TURNS));
+  const lastCovered = older[older.length - 1];
+  if (!lastCovered?.id) return null;
+
+  const text = await summarizeTurns(older, activeSummary?.text);
+  if (!text) return null;
+
+  const nextSummary = { text, throughMessageId: lastCovered.id, createdAt: Date.now() };
+  localAI.discardSession(sessionId);
+  await localAI.getOrCreateSession(sessionId, { ...options, summary: nextSummary });
+  return nextSummary;
+}
+
 /**
  * Reset/destroy AI model session(s).
  */
@@ -551,8 +766,10 @@ async function blobToCanvas(blob, maxWidth) {
 
 /**
  * Fallback: Run prompt using window.ai in page context.
+ * The page session is single-use, so prior turns always travel in `initialPrompts`.
+ * `params` are extra create() options (a template's temperature and topK).
  */
-async function runPromptInPage(prompt, sessionId, systemPrompt, attachments = []) {
+async function runPromptInPage(prompt, sessionId, initialPrompts, attachments = [], params = {}) {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab || !tab.url.startsWith('http')) {
     throw new Error('Restricted protocol');
@@ -580,7 +797,7 @@ async function runPromptInPage(prompt, sessionId, systemPrompt, attachments = []
   const [{ result }] = await chrome.scripting.executeScript({
     target: { tabId: tab.id },
     world: 'MAIN',
-    func: async (p, sys, atts, uiSessionId, storeKey) => {
+    func: async (p, initial, atts, uiSessionId, storeKey, createParams) => {
       try {
         const model = window.ai?.languageModel || self.ai?.languageModel;
         if (!model) return { error: 'AI not found in page' };
@@ -593,7 +810,8 @@ async function runPromptInPage(prompt, sessionId, systemPrompt, attachments = []
         let sess = store[uiSessionId];
         if (!sess) {
           sess = await model.create({
-            systemPrompt: sys,
+            ...createParams,
+            initialPrompts: initial,
             expectedOutputs: [{ type: 'text', format: 'plain-text', languages: ['en'] }]
           });
           store[uiSessionId] = sess;
@@ -645,7 +863,7 @@ async function runPromptInPage(prompt, sessionId, systemPrompt, attachments = []
         return { error: e.toString() };
       }
     },
-    args: [prompt, systemPrompt, serializedAttachments, sessionId, PAGE_STORE_KEY]
+    args: [prompt, initialPrompts, serializedAttachments, sessionId, PAGE_STORE_KEY, params]
   });
 
   if (result?.error) {
@@ -654,24 +872,193 @@ async function runPromptInPage(prompt, sessionId, systemPrompt, attachments = []
   return result?.data || '';
 }
 
+// --- TOOLS ---
+
+/**
+ * Tools the model may call during runPrompt({ tools: true }).
+ * Each entry: { name, description, parameters (JSON schema), execute(args), describe(args, result) }.
+ * @type {Map<string, object>}
+ */
+const toolRegistry = new Map();
+
+/**
+ * Register a tool for the tool-calling loop.
+ * @param {{name: string, description: string, parameters: object,
+ *   execute: (args: object) => Promise<object>, describe?: (args: object, result: object) => string}} tool
+ */
+export function registerTool(tool) {
+  if (!tool?.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute function');
+  }
+  toolRegistry.set(tool.name, tool);
+}
+
+/**
+ * Tool declarations as shown to the model (no execute functions).
+ * @returns {Array<{name: string, description: string, parameters: object}>}
+ */
+export function getToolDeclarations() {
+  return [...toolRegistry.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+}
+
+registerTool({
+  name: 'find_in_page',
+  description: 'Search the page text. Returns matching snippets and the section heading each is under.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: 20 }
+    },
+    required: ['query']
+  },
+  execute: (args) => sendPageAction('FIND_IN_PAGE', args),
+  describe: (args, result) => `${result.count} match${result.count === 1 ? '' : 'es'} for "${args.query}"`
+});
+
+registerTool({
+  name: 'scroll_to_text',
+  description: 'Scroll the page to the first place the text appears.',
+  parameters: {
+    type: 'object',
+    properties: { text: { type: 'string', minLength: 1 } },
+    required: ['text']
+  },
+  execute: (args) => sendPageAction('SCROLL_TO_TEXT', args),
+  describe: (args, result) => (result.found ? `Scrolled to "${args.text}"` : `"${args.text}" not found`)
+});
+
+registerTool({
+  name: 'highlight_text',
+  description: 'Highlight every occurrence of the text on the page (replaces earlier highlights).',
+  parameters: {
+    type: 'object',
+    properties: { text: { type: 'string', minLength: 1 } },
+    required: ['text']
+  },
+  execute: (args) => sendPageAction('HIGHLIGHT_TEXT', args),
+  describe: (args, result) => `Highlighted ${result.count} × "${args.text}"`
+});
+
+registerTool({
+  name: 'clear_highlights',
+  description: 'Remove all highlights added earlier.',
+  parameters: { type: 'object', properties: {} },
+  execute: () => sendPageAction('CLEAR_HIGHLIGHTS'),
+  describe: (args, result) => `Cleared ${result.cleared} highlight${result.cleared === 1 ? '' : 's'}`
+});
+
+function buildToolPrompt(promptText) {
+  const tools = getToolDeclarations()
+    .map(tool => `- ${tool.name}: ${tool.description} Arguments: ${JSON.stringify(tool.parameters.properties)}`)
+    .join('\n');
+  return `${TOOL_CALL_PROMPT.replace('{tools}', () => tools)}\n\n${promptText}`;
+}
+
+/**
+ * Whether streamed text is (the start of) a tool call, so it is not shown as an answer.
+ */
+function looksLikeToolCall(text) {
+  return /^\s*(```(json)?\s*)?\{\s*("|$)/.test(text);
+}
+
+/**
+ * Parse a complete model reply as a tool call.
+ * @returns {{name: string, arguments: object}|null} Null when the reply is a normal answer
+ */
+function parseToolCall(text) {
+  if (!looksLikeToolCall(text)) return null;
+  let call;
+  try {
+    call = parseJsonResponse(text);
+  } catch {
+    return null;
+  }
+  if (typeof call?.tool !== 'string') return null;
+  return { name: call.tool, arguments: call.arguments && typeof call.arguments === 'object' ? call.arguments : {} };
+}
+
+/**
+ * Validate and run a tool call. Failures are returned as results so the model can recover.
+ * @returns {Promise<{name: string, arguments: object, ok: boolean, result: object, summary: string}>}
+ */
+async function executeToolCall(call) {
+  const tool = toolRegistry.get(call.name);
+  if (!tool) {
+    const error = `Unknown tool "${call.name}". Available: ${[...toolRegistry.keys()].join(', ')}`;
+    return { ...call, ok: false, result: { error }, summary: error };
+  }
+
+  const errors = validateJsonSchema(call.arguments, tool.parameters, 'arguments');
+  if (errors.length) {
+    const error = `Invalid arguments: ${errors.join('; ')}`;
+    return { ...call, ok: false, result: { error }, summary: error };
+  }
+
+  try {
+    const result = await tool.execute(call.arguments);
+    const summary = tool.describe ? tool.describe(call.arguments, result) : 'Done';
+    return { ...call, ok: true, result, summary };
+  } catch (err) {
+    const error = err?.message || String(err);
+    return { ...call, ok: false, result: { error }, summary: error };
+  }
+}
+
+function formatToolResult(execution, isLastRound) {
+  const template = isLastRound ? TOOL_FINAL_PROMPT : TOOL_RESULT_PROMPT;
+  return template
+    .replace('{tool}', () => execution.name)
+    .replace('{result}', () => JSON.stringify(execution.result).slice(0, LIMITS.TOOL_RESULT_MAX_CHARS));
+}
+
 /**
  * Run AI prompt with streaming.
  * Uses request ID pattern to prevent stale callbacks when requests are superseded.
+ * `history` holds the chat turns before this prompt and `summary` the rolling
+ * summary of older ones; both are only used when a model session has to be
+ * created (or the page fallback runs). When the prompt would overflow the
+ * context window, older turns are compacted first and `onCompact` receives
+ * the new summary for persisting.
+ * With `tools`, the registered page tools are offered to the model; each call
+ * is executed, reported through `onToolCall` and its result fed back until the
+ * model answers (at most LIMITS.MAX_TOOL_ROUNDS calls).
+ * `sources` lists the page sections retrieval put in the prompt and `passages`
+ * the numbered context paragraphs answers cite as [n] (see buildPromptWithContext).
+ * `overrides` are the model settings of the template used for this turn. The
+ * chat's model session is rebuilt from history with them and dropped after
+ * the turn, so the next prompt gets the global settings again. Their
+ * `backend` picks the side panel only ('panel', no page fallback) or the
+ * page context straight away ('page').
  */
-export async function runPrompt({ sessionId, text, contextOverride, attachments, settings }, callbacks = {}) {
-  const { onChunk, onComplete, onError, onAbort } = callbacks;
+export async function runPrompt({ sessionId, text, contextOverride, attachments, settings, history = [], summary = null, tools = false, overrides = null }, callbacks = {}) {
+  const { onChunk, onComplete, onError, onAbort, onCompact, onToolCall } = callbacks;
 
   // Start new request (aborts any in-flight request)
   const request = localAI.startRequest();
   let lastAiText = '';
   let generationAborted = false;
+  let compacted = false;
+  let sources = [];
+  let passages = [];
 
   try {
     await localAI.ensureModelDownloaded().catch(() => {});
     await localAI.prime().catch(() => {});
 
-    const sessionConfig = getSessionConfig(settings);
-    const { prompt: finalText, tokenEstimate } = await buildPromptWithContext(text, contextOverride, attachments);
+    const sessionConfig = getSessionConfig(settings, overrides);
+    const backend = overrides?.backend || null;
+    if (overrides) localAI.discardSession(sessionId);
+    const {
+      prompt: finalText,
+      tokenEstimate,
+      sources: contextSources,
+      passages: contextPassages
+    } = await buildPromptWithContext(text, contextOverride, attachments, { citations: true });
+    sources = contextSources;
+    passages = contextPassages;
+    const useTools = tools && toolRegistry.size > 0;
+    const promptText = useTools ? buildToolPrompt(finalText) : finalText;
 
     if (tokenEstimate > LIMITS.TOTAL_TOKEN_BUDGET * 0.8) {
       console.warn(`Nano Prompt: High token usage (${tokenEstimate}/${LIMITS.TOTAL_TOKEN_BUDGET})`);
@@ -679,7 +1066,7 @@ export async function runPrompt({ sessionId, text, contextOverride, attachments,
 
     const imageAttachments = attachments?.filter(att => att.type.startsWith('image/')) || [];
 
-    let promptInput = finalText;
+    let promptInput = promptText;
     if (imageAttachments.length > 0) {
       try {
         const canvases = await Promise.all(
@@ -692,7 +1079,7 @@ export async function runPrompt({ sessionId, text, contextOverride, attachments,
         promptInput = [{
           role: "user",
           content: [
-            { type: "text", value: finalText },
+            { type: "text", value: promptText },
             ...canvases.map(canvas => ({ type: "image", value: canvas }))
           ]
         }];
@@ -708,14 +1095,62 @@ export async function runPrompt({ sessionId, text, contextOverride, attachments,
       if (onChunk) onChunk(chunk);
     }, STREAMING_THROTTLE_MS);
 
-    try {
-      const streamedText = await localAI.promptStreaming(
-        sessionId,
-        promptInput,
-        request.signal,
-        (chunk) => { throttledUpdate(chunk); },
-        sessionConfig
-      );
+    const sessionOptions = { ...sessionConfig, history, summary };
+
+    const compact = async () => {
+      let nextSummary = null;
+      try {
+        nextSummary = await compactModelSession(sessionId, sessionOptions);
+      } catch (e) {
+        console.warn('Context compaction failed', e);
+      }
+      if (!nextSummary) return false;
+      sessionOptions.summary = nextSummary;
+      compacted = true;
+      if (!request.isStale() && onCompact) onCompact(nextSummary);
+      return true;
+    };
+
+    const stream = (input) => localAI.promptStreaming(
+      sessionId,
+      input,
+      request.signal,
+      (chunk) => {
+        // Tool calls are executed, not shown
+        if (useTools && looksLikeToolCall(chunk)) return;
+        throttledUpdate(chunk);
+      },
+      sessionOptions
+    );
+
+    const send = async (input) => {
+      try {
+        return await stream(input);
+      } catch (err) {
+        // Retry once after compacting if the prompt did not fit
+        if (!isQuotaError(err) || !(await compact())) throw err;
+        return await stream(input);
+      }
+    };
+
+    const answerInPanel = async () => {
+      await localAI.getOrCreateSession(sessionId, sessionOptions);
+      if (await localAI.isNearQuota(sessionId, promptInput)) {
+        await compact();
+      }
+
+      let streamedText = await send(promptInput);
+
+      for (let round = 1; useTools && round <= LIMITS.MAX_TOOL_ROUNDS; round++) {
+        const call = parseToolCall(streamedText);
+        if (!call) break;
+
+        const execution = await executeToolCall(call);
+        if (request.isStale()) break;
+        if (onToolCall) onToolCall(execution);
+
+        streamedText = await send(formatToolResult(execution, round === LIMITS.MAX_TOOL_ROUNDS));
+      }
 
       throttledUpdate.flush();
       lastAiText = streamedText;
@@ -724,26 +1159,44 @@ export async function runPrompt({ sessionId, text, contextOverride, attachments,
       if (!request.isStale() && onComplete) {
         onComplete(streamedText);
       }
+    };
 
-    } catch (err) {
-      throttledUpdate.flush();
-      if (err?.name === 'AbortError') throw err;
-      console.error("Side Panel failed with error:", err);
-
+    const answerInPage = async () => {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
       if (tab && tab.url && (tab.url.startsWith('chrome://') || tab.url.startsWith('edge://'))) {
         throw new Error(USER_ERROR_MESSAGES.AI_SYSTEM_PAGE);
       }
 
-      // Fallback to page context - runPromptInPage handles image attachments
-      // by filtering and converting them to blobs (see lines 538-550)
-      const fallback = await runPromptInPage(finalText, sessionId, settings.systemPrompt, attachments);
-      lastAiText = fallback;
+      // runPromptInPage handles image attachments by filtering and
+      // converting them to blobs
+      const initialPrompts = buildInitialPrompts(sessionConfig.systemPrompt, history, sessionOptions.summary);
+      const pageParams = overrides ? { temperature: sessionConfig.temperature, topK: sessionConfig.topK } : {};
+      const pageText = await runPromptInPage(finalText, sessionId, initialPrompts, attachments, pageParams);
+      lastAiText = pageText;
       
       // Only fire completion callback if this request is still current
       if (!request.isStale() && onComplete) {
-        onComplete(fallback);
+        onComplete(pageText);
       }
+    };
+
+    try {
+      if (backend === 'page') {
+        await answerInPage();
+      } else {
+        await answerInPanel();
+      }
+    } catch (err) {
+      throttledUpdate.flush();
+      if (err?.name === 'AbortError') throw err;
+      // The page fallback has an even smaller window; don't retry there
+      if (isQuotaError(err)) throw new Error(USER_ERROR_MESSAGES.AI_CONTEXT_FULL);
+      // A template that picked its backend gets no fallback
+      if (backend) throw err;
+      console.error("Side Panel failed with error:", err);
+
+      // Fallback to page context
+      await answerInPage();
     } finally {
       throttledUpdate.cancel();
     }
@@ -767,9 +1220,11 @@ export async function runPrompt({ sessionId, text, contextOverride, attachments,
   } finally {
     // Clear controller only if this is still the current request
     localAI.clearRequest(request.requestId);
+    // Template overrides were for this turn only
+    if (overrides) localAI.discardSession(sessionId);
   }
 
-  return { text: lastAiText, aborted: generationAborted, superseded: request.isStale() };
+  return { text: lastAiText, aborted: generationAborted, superseded: request.isStale(), compacted, sources, passages };
 }
 
 /**
@@ -802,22 +1257,16 @@ AI: ${aiText.slice(0, LIMITS.TITLE_GENERATION_MAX_CHARS)}`;
 
     const prompt = TITLE_GENERATION_PROMPT.replace('{conversation}', conversationSnippet);
 
-    const titleSession = await localAI.engine.create({
-      temperature: 0.3,
-      topK: 10,
-      systemPrompt: 'You generate concise, descriptive titles for conversations.',
-      expectedOutputs: [{ type: 'text', format: 'plain-text', languages: ['en'] }]
+    const result = await promptStructured(prompt, TITLE_SCHEMA, {
+      config: {
+        temperature: 0.3,
+        topK: 10,
+        systemPrompt: 'You generate concise, descriptive titles for conversations.'
+      }
     });
 
-    const generatedTitle = await titleSession.prompt(prompt);
-    await titleSession.destroy();
-
-    if (!generatedTitle) return null;
-
-    let title = generatedTitle.trim()
-      .replace(/^["']|["']$/g, '')
-      .replace(/[.!?]$/, '')
-      .slice(0, LIMITS.TITLE_MAX_LENGTH);
+    let title = result.title.trim().slice(0, LIMITS.TITLE_MAX_LENGTH);
+    if (!title) return null;
 
     const now = new Date();
     const timeVariation = `${now.getHours()}:${now.getMinutes().toString().padStart(2, '0')}`;
@@ -837,16 +1286,85 @@ AI: ${aiText.slice(0, LIMITS.TITLE_GENERATION_MAX_CHARS)}`;
   }
 }
 
+// --- STRUCTURED OUTPUT ---
+
+/**
+ * Prompt a throwaway session for JSON matching `schema`.
+ * The schema is passed as `responseConstraint`; the parsed result is still
+ * validated (older builds ignore the constraint) and the model is told what
+ * was wrong and asked again, up to LIMITS.STRUCTURED_OUTPUT_ATTEMPTS times.
+ * @param {string|Array} input - Prompt input
+ * @param {object} schema - JSON schema (see utils/structured-output.js for the supported subset)
+ * @param {{config?: object, signal?: AbortSignal}} options - config: LanguageModel.create() options
+ * @returns {Promise<any>} Parsed, schema-valid value
+ */
+export async function promptStructured(input, schema, { config = {}, signal } = {}) {
+  if (!localAI.engine) throw new Error(USER_ERROR_MESSAGES.AI_UNAVAILABLE);
+
+  const session = await localAI.engine.create({ ...MODEL_CONFIG, ...config });
+  let nextInput = input;
+  let lastProblem = '';
+
+  try {
+    for (let attempt = 0; attempt < LIMITS.STRUCTURED_OUTPUT_ATTEMPTS; attempt++) {
+      const raw = await session.prompt(nextInput, { responseConstraint: schema, signal });
+
+      try {
+        const value = parseJsonResponse(raw);
+        const errors = validateJsonSchema(value, schema);
+        if (errors.length === 0) return value;
+        lastProblem = errors.slice(0, 3).join('; ');
+      } catch {
+        lastProblem = 'the reply was not valid JSON';
+      }
+
+      nextInput = `That reply did not match the required JSON schema (${lastProblem}). ` +
+        'Reply again with only JSON that matches the schema.';
+    }
+  } finally {
+    try { await session.destroy(); } catch { /* ignore */ }
+  }
+
+  throw new Error(`Structured output failed: ${lastProblem}`);
+}
+
+/**
+ * Run a chat prompt whose answer must match a template's output schema.
+ * Builds the same context-aware prompt as runPrompt() but answers in a
+ * throwaway session, so the chat's model session is reset afterwards to
+ * pick up the new turn from history.
+ * A template's model `overrides` apply to the throwaway session; their
+ * backend is ignored, since structured answers need the side panel.
+ * @param {{sessionId: string, text: string, contextOverride: string, attachments: Array, settings: object, schema: object, overrides?: object|null}} params
+ * @returns {Promise<{value: any, aborted: boolean}>}
+ */
+export async function runStructuredPrompt({ sessionId, text, contextOverride, attachments, settings, schema, overrides = null }) {
+  const request = localAI.startRequest();
+
+  try {
+    const { prompt } = await buildPromptWithContext(text, contextOverride, attachments);
+    const value = await promptStructured(prompt, schema, {
+      config: getSessionConfig(settings, overrides),
+      signal: request.signal
+    });
+    return { value, aborted: false };
+  } catch (err) {
+    if (err?.name === 'AbortError') return { value: null, aborted: true };
+    throw err;
+  } finally {
+    localAI.clearRequest(request.requestId);
+    localAI.discardSession(sessionId);
+  }
+}
+
 // --- SMART REPLIES ---
 
-function normalizeSmartReplies(rawText = '') {
-  if (!rawText) return [];
-  return rawText
-    .split('\n')
-    .map(line => line.replace(/^\s*[-*\d.]+\s*/, '').trim())
-    .filter(Boolean)
-    .slice(0, SMART_REPLY_LIMIT)
-    .map(line => line.slice(0, SMART_REPLY_MAX_LENGTH));
+function normalizeSmartReplies(replies = []) {
+  const seen = new Set();
+  return replies
+    .map(reply => reply.trim())
+    .filter(reply => reply && !seen.has(reply.toLowerCase()) && seen.add(reply.toLowerCase()))
+    .slice(0, SMART_REPLY_LIMIT);
 }
 
 function buildSmartReplyPrompt(userText, aiText) {
@@ -857,7 +1375,7 @@ function buildSmartReplyPrompt(userText, aiText) {
   return `Suggest ${SMART_REPLY_LIMIT} concise, actionable follow-up prompts the user might tap next. ` +
     `Write each as something the user would send to the assistant (commands/questions to the assistant), ` +
     `not as questions from the assistant to the user. Avoid yes/no confirmations, avoid repeating the last answer, ` +
-    `and keep each under 12 words. Return one suggestion per line with no numbering or bullets.\n\n` +
+    `and keep each under 12 words. Respond with JSON of the form {"replies": ["...", "..."]}.\n\n` +
     `User: ${trim(userText || '')}\nAssistant: ${trim(aiText || '')}`;
 }
 
@@ -876,13 +1394,8 @@ export async function generateSmartReplies(userText, aiText, settings) {
     systemPrompt: 'You propose short, helpful follow-up prompts for the user to click.'
   };
 
-  const suggestionSession = await localAI.engine.create(config);
-  try {
-    const raw = await suggestionSession.prompt(prompt);
-    return normalizeSmartReplies(raw);
-  } finally {
-    try { await suggestionSession.destroy(); } catch { /* ignore */ }
-  }
+  const result = await promptStructured(prompt, SMART_REPLY_SCHEMA, { config });
+  return normalizeSmartReplies(result.replies);
 }
 
 // --- TRANSLATION ---
@@ -952,6 +1465,144 @@ export async function translateText(text, targetLang, callbacks = {}) {
   return { translatedText, sourceLang, targetLang, sameLanguage: false };
 }
 
+// --- TASK APIS (Summarizer, Writer, Rewriter, Proofreader) ---
+
+const TASK_BACKENDS = {
+  summarize: {
+    label: 'summarizer',
+    getApi: () => self.Summarizer,
+    run: (instance, text, { signal }) => instance.summarizeStreaming(text, { signal })
+  },
+  write: {
+    label: 'writer',
+    getApi: () => self.Writer,
+    run: (instance, text, { signal, context }) => instance.writeStreaming(text, { signal, context })
+  },
+  rewrite: {
+    label: 'rewriter',
+    getApi: () => self.Rewriter,
+    run: (instance, text, { signal, context }) => instance.rewriteStreaming(text, { signal, context })
+  },
+  proofread: {
+    label: 'proofreader',
+    getApi: () => self.Proofreader,
+    run: async (instance, text, { signal }) => formatProofreadResult(text, await instance.proofread(text, { signal }))
+  }
+};
+
+function getTaskLanguage(settings) {
+  const language = getSettingOrDefault(settings, 'language');
+  return PROMPT_API_OPTIMIZED_LANGUAGES.includes(language) ? language : DEFAULT_SETTINGS.language;
+}
+
+/**
+ * Render a Proofreader result as markdown: corrected text plus the list of fixes.
+ * @param {string} original - Text that was proofread
+ * @param {{correctedInput: string, corrections: Array<{startIndex: number, endIndex: number, correction: string}>}} result
+ * @returns {string}
+ */
+function formatProofreadResult(original, result) {
+  const corrections = result?.corrections || [];
+  if (!corrections.length) return `No corrections needed.\n\n${original}`;
+
+  const fixes = corrections.map(({ startIndex, endIndex, correction }) =>
+    `- "${original.slice(startIndex, endIndex)}" → "${correction}"`);
+  return `${result.correctedInput}\n\n**Corrections:**\n${fixes.join('\n')}`;
+}
+
+/**
+ * Check whether a task API can be used (present and not 'unavailable').
+ * @param {'summarize'|'write'|'rewrite'|'proofread'} task
+ * @param {object} settings - Used for the output language
+ * @returns {Promise<boolean>}
+ */
+export async function isTaskApiAvailable(task, settings) {
+  const api = TASK_BACKENDS[task]?.getApi();
+  if (!api) return false;
+  try {
+    const language = getTaskLanguage(settings);
+    const result = await api.availability({ ...TASK_API_OPTIONS[task], outputLanguage: language });
+    const status = typeof result === 'object' ? result.availability : result;
+    return status !== 'unavailable' && status !== 'no';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Run a Chrome task API with streaming output.
+ * Uses the same request tracking as runPrompt, so Stop cancels it.
+ * @param {'summarize'|'write'|'rewrite'|'proofread'} task
+ * @param {string} text - Input text (for `write`, the writing task)
+ * @param {{settings: object, options?: object, context?: string}} params - options
+ *   override TASK_API_OPTIONS[task]; context is passed to write/rewrite calls
+ * @param {{onChunk?: Function, onStatusUpdate?: Function}} callbacks
+ * @returns {Promise<{text: string, aborted: boolean}>}
+ */
+export async function runTaskApi(task, text, { settings, options = {}, context } = {}, callbacks = {}) {
+  const { onChunk, onStatusUpdate } = callbacks;
+  const backend = TASK_BACKENDS[task];
+  const api = backend?.getApi();
+  if (!api) throw new Error(`The ${backend?.label || task} API is not available`);
+
+  const request = localAI.startRequest();
+  const language = getTaskLanguage(settings);
+  let instance;
+
+  try {
+    if (onStatusUpdate) onStatusUpdate(`Preparing ${backend.label}...`);
+    instance = await api.create({
+      ...TASK_API_OPTIONS[task],
+      ...options,
+      expectedInputLanguages: [language],
+      outputLanguage: language,
+      signal: request.signal,
+      monitor(m) {
+        m.addEventListener('downloadprogress', (e) => {
+          if (onStatusUpdate) onStatusUpdate(`Downloading ${backend.label} model... ${Math.round(e.loaded * 100)}%`);
+        });
+      }
+    });
+
+    if (onStatusUpdate) onStatusUpdate('Thinking...');
+    const output = await backend.run(instance, text, { signal: request.signal, context });
+
+    if (typeof output === 'string') {
+      if (onChunk && !request.isStale()) onChunk(output);
+      return { text: output, aborted: false };
+    }
+
+    const throttledUpdate = throttle((chunk) => {
+      if (!request.isStale() && onChunk) onChunk(chunk);
+    }, STREAMING_THROTTLE_MS);
+
+    let fullText = '';
+    try {
+      const reader = output.getReader();
+      while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (!value) continue;
+        // Older builds stream the full text so far, newer ones stream deltas
+        fullText = fullText && value.startsWith(fullText) ? value : fullText + value;
+        throttledUpdate(fullText);
+      }
+      throttledUpdate.flush();
+    } finally {
+      throttledUpdate.cancel();
+    }
+    return { text: fullText, aborted: false };
+  } catch (err) {
+    if (err?.name === 'AbortError') return { text: '', aborted: true };
+    throw err;
+  } finally {
+    if (instance?.destroy) {
+      try { instance.destroy(); } catch { /* ignore */ }
+    }
+    localAI.clearRequest(request.requestId);
+  }
+}
+
 // --- SPEECH SYNTHESIS ---
 
 export function speakText(text, callbacks = {}) {
@@ -0,0 +1,125 @@
+// retrieval.js - Per-tab BM25 index over page chunks for question-focused context
+
+import { LIMITS } from '../config/constants.js';
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const HEADING_WEIGHT = 2; // Heading terms count double: section titles are strong signals
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'page', 'so', 'that',
+  'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'why', 'with', 'you', 'your'
+]);
+
+// tabId → { url, index }; insertion order doubles as LRU order
+const pageIndexes = new Map();
+
+// Light plural folding so "costs" matches "cost" (no full stemmer)
+function foldPlural(term) {
+  if (term.length > 4 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Split text into lowercase search terms (letters/digits in any script, no stop words)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text = '') {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+    .map(foldPlural);
+}
+
+/**
+ * Build a BM25 index over page chunks
+ * @param {Array<{id: number, heading: string, text: string, tokens: number}>} chunks
+ * @returns {{chunks: Array, docs: Array<{tf: Map, length: number}>, df: Map, avgLength: number, totalTokens: number}}
+ */
+export function buildIndex(chunks = []) {
+  const df = new Map();
+  let totalLength = 0;
+
+  const docs = chunks.map((chunk) => {
+    const tf = new Map();
+    const add = (term, weight) => tf.set(term, (tf.get(term) || 0) + weight);
+    tokenize(chunk.heading).forEach(term => add(term, HEADING_WEIGHT));
+    tokenize(chunk.text).forEach(term => add(term, 1));
+
+    const length = [...tf.values()].reduce((sum, n) => sum + n, 0);
+    totalLength += length;
+    tf.forEach((_, term) => df.set(term, (df.get(term) || 0) + 1));
+    return { tf, length };
+  });
+
+  return {
+    chunks,
+    docs,
+    df,
+    avgLength: docs.length ? totalLength / docs.length : 0,
+    totalTokens: chunks.reduce((sum, chunk) => sum + (chunk.tokens || 0), 0)
+  };
+}
+
+/**
+ * Rank chunks against a query with BM25
+ * @param {object} index - From buildIndex()
+ * @param {string} query - User question
+ * @returns {Array<{chunk: object, score: number}>} Matching chunks, best first
+ */
+export function searchIndex(index, query) {
+  const terms = [...new Set(tokenize(query))];
+  if (!index?.docs.length || !terms.length) return [];
+
+  const total = index.docs.length;
+  const results = [];
+
+  index.docs.forEach((doc, i) => {
+    let score = 0;
+    for (const term of terms) {
+      const freq = doc.tf.get(term);
+      if (!freq) continue;
+      const df = index.df.get(term);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      const norm = freq + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / index.avgLength));
+      score += idf * ((freq * (BM25_K1 + 1)) / norm);
+    }
+    if (score > 0) results.push({ chunk: index.chunks[i], score });
+  });
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Index a tab's page chunks (replaces any earlier index for the tab)
+ * @param {number} tabId
+ * @param {string} url
+ * @param {Array} chunks - Chunks with token estimates
+ */
+export function setPageIndex(tabId, url, chunks) {
+  pageIndexes.delete(tabId);
+  pageIndexes.set(tabId, { url, index: buildIndex(chunks) });
+
+  while (pageIndexes.size > LIMITS.PAGE_INDEX_MAX_TABS) {
+    pageIndexes.delete(pageIndexes.keys().next().value);
+  }
+}
+
+/**
+ * Index for a tab, if it was built for the same URL
+ * @param {number} tabId
+ * @param {string} url
+ * @returns {object|null}
+ */
+export function getPageIndex(tabId, url) {
+  const entry = pageIndexes.get(tabId);
+  return entry && entry.url === url ? entry.index : null;
+}
+
+export function clearPageIndex(tabId) {
+  pageIndexes.delete(tabId);
+}
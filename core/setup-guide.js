@@ -75,6 +75,8 @@ export async function checkAllAPIs() {
     languageDetectionAPI: await checkLanguageDetectionAPI(),
     summarizationAPI: await checkSummarizationAPI(),
     rewriterAPI: await checkRewriterAPI(),
+    writerAPI: await checkWriterAPI(),
+    proofreaderAPI: await checkProofreaderAPI(),
 
     browserInfo: getBrowserInfo()
   };
@@ -428,6 +430,84 @@ async function checkRewriterAPI() {
   }
 }
 
+/**
+ * Check Writer API availability (nice-to-have)
+ */
+async function checkWriterAPI() {
+  const flag = 'chrome://flags/#writer-api-for-gemini-nano';
+  const flagValue = 'Enabled, Enabled multilingual, or Enabled Bypass';
+  try {
+    if (typeof Writer === 'undefined') {
+      return { available: false, status: 'not-supported', message: 'Writer API not detected', flag, flagValue, required: false };
+    }
+
+    const availabilityResult = await Writer.availability({ outputLanguage: 'en' });
+    const status = typeof availabilityResult === 'object' ? availabilityResult.availability : availabilityResult;
+
+    let isAvailable = status === 'readily' || status === 'after-download' || status === 'available' || status === 'downloadable';
+    let actuallyWorks = false;
+
+    if (!isAvailable) {
+      actuallyWorks = await tryCreateSession(() => Writer.create({
+        sharedContext: 'test',
+        tone: 'neutral',
+        format: 'plain-text',
+        length: 'short',
+        outputLanguage: 'en'
+      }));
+    }
+
+    isAvailable = isAvailable || actuallyWorks;
+
+    return {
+      available: isAvailable,
+      status: actuallyWorks ? 'working' : status,
+      message: getStatusMessage(status, actuallyWorks),
+      flag,
+      flagValue,
+      required: false
+    };
+  } catch (e) {
+    return { available: false, status: 'not-available', message: 'Not available', flag, flagValue, required: false };
+  }
+}
+
+/**
+ * Check Proofreader API availability (nice-to-have)
+ */
+async function checkProofreaderAPI() {
+  const flag = 'chrome://flags/#proofreader-api-for-gemini-nano';
+  const flagValue = 'Enabled';
+  try {
+    if (typeof Proofreader === 'undefined') {
+      return { available: false, status: 'not-supported', message: 'Proofreader API not detected', flag, flagValue, required: false };
+    }
+
+    const availabilityResult = await Proofreader.availability({ expectedInputLanguages: ['en'] });
+    const status = typeof availabilityResult === 'object' ? availabilityResult.availability : availabilityResult;
+
+    let isAvailable = status === 'readily' || status === 'after-download' || status === 'available' || status === 'downloadable';
+    let actuallyWorks = false;
+
+    if (!isAvailable) {
+      actuallyWorks = await tryCreateSession(() => Proofreader.create({ expectedInputLanguages: ['en'] }));
+    }
+
+    isAvailable = isAvailable || actuallyWorks;
+
+    return {
+      available: isAvailable,
+      status: actuallyWorks ? 'working' : status,
+      message: getStatusMessage(status, actuallyWorks),
+      flag,
+      flagValue,
+      required: false
+    };
+  } catch (e) {
+    return { available: false, status: 'not-available', message: 'Not available', flag, flagValue, required: false };
+  }
+}
+
 /**
  * Get browser information
  */
@@ -460,7 +540,9 @@ export async function getSetupStatus() {
     apis.translationAPI,
     apis.languageDetectionAPI,
     apis.summarizationAPI,
-    apis.rewriterAPI
+    apis.rewriterAPI,
+    apis.writerAPI,
+    apis.proofreaderAPI
   ];
 
   const allRequiredAvailable = requiredAPIs.every(api => api.available);
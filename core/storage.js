@@ -1,5 +1,19 @@
-import { nanoid, markdownToHtml } from '../utils/utils.js';
+import { nanoid, markdownToHtml, clampLabel } from '../utils/utils.js';
 import { toast } from '../utils/toast.js';
+import { tokenize } from './retrieval.js';
+import { upgradeSchema, runDataMigrations } from './migrations.js';
+import { normalizeTemplateOverrides } from '../utils/template-overrides.js';
+import {
+  seal,
+  open,
+  sealBytes,
+  openBytes,
+  blindTerm,
+  createVault,
+  verifyPassphrase,
+  setVaultKeys,
+  getVaultKeys
+} from './vault.js';
 import {
   STORAGE_KEYS,
   LIMITS,
@@ -8,13 +22,16 @@ import {
   DEFAULT_SETTINGS,
   VALIDATION,
   USER_ERROR_MESSAGES,
-  TIMING
+  TIMING,
+  RETENTION,
+  TEMPLATE_PACK
 } from '../config/constants.js';
 
 const { DB_NAME, DB_VERSION, STORES } = STORAGE_KEYS;
 const SYNC_KEY = STORAGE_KEYS.SYNC;
 const SESSION_KEY = STORAGE_KEYS.SESSION_DRAFT;
-const MAX_SESSIONS = LIMITS.MAX_SESSIONS;
+const BRANCH_ROOT = STORAGE_KEYS.BRANCH_ROOT;
+const SEARCH_INDEX_VERSION = 1; // Bump to rebuild the message search index on next load
 
 // Re-export for backwards compatibility
 export { BLANK_TEMPLATE_ID, DEFAULT_TEMPLATES };
@@ -32,13 +49,18 @@ const appState = {
   contextDraft: '',
   contextSnapshots: [], // Saved page contexts
   activeSnapshotId: null, // Currently applied snapshot id
+  contextTabIds: [], // Tabs picked for multi-tab context (not persisted; tab ids don't survive restarts)
   availability: 'unknown',
   availabilityCheckedAt: null,
   settings: { ...DEFAULT_SETTINGS },
   model: null,
-  lazyLoadEnabled: true // Enable lazy loading when MAX_SESSIONS is high
+  lazyLoadEnabled: true // Enable lazy loading when there are many sessions
 };
 
+let templatesDirty = false; // Template store needs rewriting on the next save
+const markTemplatesDirty = () => { templatesDirty = true; };
+let syncedTemplateIndex = []; // templateIndex found in sync storage at load, from the device that saved last
+
 // ============================================================================
 // STATE API - Encapsulated getters/setters for appState
 // ============================================================================
@@ -69,34 +91,52 @@ export function getTemplates() {
  */
 export function setTemplates(templates) {
   appState.templates = templates;
+  markTemplatesDirty();
 }
 
 /**
  * Add a new custom template
  * @param {string} label - Template display name
  * @param {string} text - Template prompt text
+ * @param {{outputSchema?: object|null, category?: string, overrides?: object|null, command?: string}} options -
+ *   Optional JSON schema for structured answers, category, model overrides
+ *   and slash command name (checked by the caller)
  * @returns {object} The created template
  */
-export function addTemplate(label, text) {
+export function addTemplate(label, text, { outputSchema = null, category = '', overrides = null, command = '' } = {}) {
   const template = {
     id: nanoid(),
     label: (label || '').trim() || 'New template',
     text: (text || '').trim(),
+    version: 1,
     custom: true
   };
+  if (outputSchema) template.outputSchema = outputSchema;
+  if (category?.trim()) template.category = category.trim();
+  const cleanOverrides = normalizeTemplateOverrides(overrides);
+  if (cleanOverrides) template.overrides = cleanOverrides;
+  if (command) template.command = command;
   appState.templates.push(template);
+  markTemplatesDirty();
   return template;
 }
 
 /**
- * Update an existing template
+ * Update an existing template. A changed label, text, category, schema,
+ * model override or command bumps its version, which template packs compare
+ * on import.
  * @param {string} id - Template ID
- * @param {{label?: string, text?: string}} patch - Fields to update
+ * @param {{label?: string, text?: string, category?: string, outputSchema?: object|null, overrides?: object|null, command?: string}} patch -
+ *   Fields to update (outputSchema or overrides null, or command '', removes them)
  * @returns {boolean} Whether the template was found and updated
  */
 export function updateTemplate(id, patch) {
-  const template = appState.templates.find(t => t.id === id);
-  if (!template) return false;
+  const index = appState.templates.findIndex(t => t.id === id);
+  if (index === -1) return false;
+
+  // Copy, so defaults shared with DEFAULT_TEMPLATES are never edited in place
+  const template = { ...appState.templates[index] };
+  const before = JSON.stringify(template);
 
   if (typeof patch.label === 'string') {
     template.label = patch.label.trim() || template.label;
@@ -104,6 +144,41 @@ export function updateTemplate(id, patch) {
   if (typeof patch.text === 'string') {
     template.text = patch.text.trim();
   }
+  if (typeof patch.category === 'string') {
+    if (patch.category.trim()) {
+      template.category = patch.category.trim();
+    } else {
+      delete template.category;
+    }
+  }
+  if (patch.outputSchema !== undefined) {
+    if (patch.outputSchema) {
+      template.outputSchema = patch.outputSchema;
+    } else {
+      delete template.outputSchema;
+    }
+  }
+  if (patch.overrides !== undefined) {
+    const overrides = normalizeTemplateOverrides(patch.overrides);
+    if (overrides) {
+      template.overrides = overrides;
+    } else {
+      delete template.overrides;
+    }
+  }
+  if (typeof patch.command === 'string') {
+    if (patch.command) {
+      template.command = patch.command;
+    } else {
+      delete template.command;
+    }
+  }
+
+  if (JSON.stringify(template) !== before) {
+    template.version = (template.version || 1) + 1;
+    appState.templates[index] = template;
+    markTemplatesDirty();
+  }
   return true;
 }
 
@@ -118,7 +193,9 @@ export function deleteTemplate(id) {
 
   const before = appState.templates.length;
   appState.templates = appState.templates.filter(t => t.id !== id);
-  return appState.templates.length < before;
+  if (appState.templates.length === before) return false;
+  markTemplatesDirty();
+  return true;
 }
 
 /**
@@ -126,6 +203,39 @@ export function deleteTemplate(id) {
  */
 export function resetTemplates() {
   appState.templates = DEFAULT_TEMPLATES.slice();
+  markTemplatesDirty();
+}
+
+/**
+ * Merge templates from a template pack
+ * @param {object[]} templates - Validated pack templates
+ * @param {Object<string, 'keep'|'replace'|'both'>} choices - What to do per
+ *   id that already exists: keep the local copy, replace it, or add the
+ *   incoming one as a copy with a new id (default 'keep')
+ * @returns {{added: number, replaced: number, kept: number}}
+ */
+export function mergeTemplates(templates = [], choices = {}) {
+  const result = { added: 0, replaced: 0, kept: 0 };
+  templates.forEach((incoming) => {
+    const index = appState.templates.findIndex(t => t.id === incoming.id);
+    if (index === -1) {
+      appState.templates.push({ ...incoming, custom: true });
+      result.added++;
+      return;
+    }
+    const choice = choices[incoming.id];
+    if (choice === 'replace') {
+      appState.templates[index] = { ...incoming, custom: true };
+      result.replaced++;
+    } else if (choice === 'both') {
+      appState.templates.push({ ...incoming, id: nanoid(), custom: true });
+      result.added++;
+    } else {
+      result.kept++;
+    }
+  });
+  if (result.added || result.replaced) markTemplatesDirty();
+  return result;
 }
 
 /** @returns {string} Current context draft text */
@@ -178,6 +288,7 @@ const dirtySessions = new Set();
 let metaDirty = false;
 const markMetaDirty = () => { metaDirty = true; };
 const MAX_CONTEXT_SNAPSHOTS = 15;
+const pendingSearchEntries = new Map(); // Search record id -> { sessionId, message } awaiting the next save
 
 // Track sessions that need attachment verification on next load
 // This handles the case where attachment writes fail but message metadata was saved
@@ -225,8 +336,9 @@ async function verifySessionAttachments(session) {
   if (!session?.messages?.length || !STORES.ATTACHMENTS) return false;
   
   let cleanedUp = false;
+  const messages = session.nodes ? Object.values(session.nodes) : session.messages;
   
-  for (const message of session.messages) {
+  for (const message of messages) {
     if (!message.attachments?.length) continue;
     
     const validAttachments = [];
@@ -259,19 +371,7 @@ async function verifySessionAttachments(session) {
 const dbPromise = new Promise((resolve, reject) => {
   const request = indexedDB.open(DB_NAME, DB_VERSION);
 
-  request.onupgradeneeded = (e) => {
-    const db = e.target.result;
-    if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
-      db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
-    }
-    if (!db.objectStoreNames.contains(STORES.META)) {
-      db.createObjectStore(STORES.META, { keyPath: 'id' });
-    }
-    if (STORES.ATTACHMENTS && !db.objectStoreNames.contains(STORES.ATTACHMENTS)) {
-      const store = db.createObjectStore(STORES.ATTACHMENTS, { keyPath: 'id' });
-      store.createIndex('sessionId', 'sessionId', { unique: false });
-    }
-  };
+  request.onupgradeneeded = (e) => upgradeSchema(e.target.result, e.oldVersion);
 
   request.onsuccess = () => resolve(request.result);
   request.onerror = () => reject(request.error);
@@ -310,6 +410,122 @@ async function dbOp(storeName, mode, callback) {
   });
 }
 
+// --- ENCRYPTION AT REST ---
+//
+// When the user turns encryption on, session records, attachment records,
+// archived chats and the saved page snapshots are sealed with core/vault.js
+// before they reach IndexedDB, and search records keep only blinded terms.
+// What stays readable: record ids, the session order, which session owns each
+// attachment, record sizes and counts, archive times, and the meta flags. Titles live inside the sealed session
+// records, so sessionMeta is only rebuilt after unlocking.
+
+let vaultConfig = null; // Stored vault config (salt, iterations, check) while encryption is on
+
+const isEncrypted = () => Boolean(vaultConfig);
+const isLocked = () => isEncrypted() && !getVaultKeys();
+
+/**
+ * @returns {{enabled: boolean, locked: boolean}} Encryption state of the chat history
+ */
+export function getEncryptionStatus() {
+  return { enabled: isEncrypted(), locked: isLocked() };
+}
+
+async function sealSessionRecord(session) {
+  if (!isEncrypted()) return session;
+  return { id: session.id, sealed: await seal(session) };
+}
+
+async function openSessionRecord(record) {
+  return record?.sealed ? open(record.sealed) : record;
+}
+
+async function sealAttachmentRecord(record) {
+  if (!isEncrypted()) return record;
+  const { id, sessionId, data, ...fields } = record;
+  // Blobs are sealed as raw bytes rather than inflating them through JSON
+  const isBlob = data instanceof Blob;
+  const sealedRecord = { id, sessionId, sealed: await seal(isBlob ? fields : { ...fields, data }) };
+  if (isBlob) sealedRecord.sealedData = await sealBytes(await data.arrayBuffer());
+  return sealedRecord;
+}
+
+async function openAttachmentRecord(record) {
+  if (!record?.sealed) return record;
+  const fields = await open(record.sealed);
+  const opened = { id: record.id, sessionId: record.sessionId, ...fields };
+  if (record.sealedData) {
+    opened.data = new Blob([await openBytes(record.sealedData)], { type: fields.type });
+  }
+  return opened;
+}
+
+async function sealMetaRecord(id, val) {
+  return isEncrypted() ? { id, sealed: await seal(val) } : { id, val };
+}
+
+async function openMetaRecord(record) {
+  return record?.sealed ? open(record.sealed) : record?.val;
+}
+
+async function sealArchivedRecord(record) {
+  if (!isEncrypted()) return record;
+  const { id, archivedAt, bytes, storedBytes, data, attachments = [], ...fields } = record;
+  return {
+    id,
+    archivedAt,
+    bytes,
+    storedBytes,
+    sealed: await seal(fields),
+    sealedData: await sealBytes(await data.arrayBuffer()),
+    attachments: await Promise.all(attachments.map(sealAttachmentRecord))
+  };
+}
+
+async function openArchivedRecord(record) {
+  if (!record?.sealed) return record;
+  const { id, archivedAt, bytes, storedBytes } = record;
+  return {
+    id,
+    archivedAt,
+    bytes,
+    storedBytes,
+    ...await open(record.sealed),
+    data: new Blob([await openBytes(record.sealedData)], { type: 'application/gzip' }),
+    attachments: await Promise.all((record.attachments || []).map(openAttachmentRecord))
+  };
+}
+
+const RECORD_CODECS = {
+  [STORES.SESSIONS]: { seal: sealSessionRecord, open: openSessionRecord },
+  [STORES.ATTACHMENTS]: { seal: sealAttachmentRecord, open: openAttachmentRecord },
+  [STORES.ARCHIVED]: { seal: sealArchivedRecord, open: openArchivedRecord }
+};
+
+/**
+ * Write a session, attachment or archived record via dbOp, sealed when
+ * encryption is on. Sealing happens before the transaction opens; IndexedDB
+ * transactions auto-commit while WebCrypto is awaited.
+ * @param {string} storeName - A store in RECORD_CODECS
+ * @param {object} record - Plain record
+ * @returns {Promise<any>} Put result
+ */
+async function putRecord(storeName, record) {
+  const stored = await RECORD_CODECS[storeName].seal(record);
+  return dbOp(storeName, 'readwrite', store => store.put(stored));
+}
+
+/**
+ * Read a record written by putRecord(), opening it if sealed
+ * @param {string} storeName - A store in RECORD_CODECS
+ * @param {string} key - Record id
+ * @returns {Promise<object|undefined>} Plain record
+ */
+async function getRecord(storeName, key) {
+  const record = await dbOp(storeName, 'readonly', store => store.get(key));
+  return RECORD_CODECS[storeName].open(record);
+}
+
 /**
  * Estimate attachment size for metadata tracking
  * @param {object} att - Attachment object
@@ -345,7 +561,7 @@ function persistAttachmentRecord(sessionId, messageIndex, att) {
     meta: att.meta ? { ...att.meta } : undefined
   };
 
-  const promise = dbOp(STORES.ATTACHMENTS, 'readwrite', store => store.put(record));
+  const promise = putRecord(STORES.ATTACHMENTS, record);
   const meta = { id: record.id, name: record.name, type: record.type, size: record.size };
 
   return { meta, promise };
@@ -395,14 +611,11 @@ function sanitizeMessageAttachments(sessionId, messageIndex, attachments = []) {
 }
 
 /**
- * Normalize a session's messages by decoupling attachments from message bodies
- * FIXED: Now async to ensure attachments are written before proceeding
- * @param {object} session - Session object
- * @returns {Promise<object>} Normalized session
+ * Move attachment payloads out of every message of a session
+ * @param {object} session - Session with a messages array
+ * @returns {{changed: boolean, attachmentPromises: Promise[]}} Whether messages changed, and write promises
  */
-async function normalizeSession(session) {
-  if (!session || !Array.isArray(session.messages)) return session;
-
+function extractSessionAttachments(session) {
   let mutated = false;
   const allAttachmentPromises = [];
   session.messages = session.messages.map((msg, idx) => {
@@ -414,6 +627,24 @@ async function normalizeSession(session) {
     }
     return { ...msg, attachments };
   });
+  return { changed: mutated, attachmentPromises: allAttachmentPromises };
+}
+
+/**
+ * Normalize a session entering at runtime (forks, lazy loads): decouple
+ * attachments from message bodies and link its message tree.
+ * Stored data is brought up to date by DATA_MIGRATIONS instead.
+ * Resolves once the extracted attachments have been written.
+ * @param {object} session - Session object
+ * @returns {Promise<object>} Normalized session
+ */
+async function normalizeSession(session) {
+  if (!session || !Array.isArray(session.messages)) return session;
+
+  const { changed, attachmentPromises: allAttachmentPromises } = extractSessionAttachments(session);
+  let mutated = changed;
+
+  if (ensureMessageTree(session)) mutated = true;
 
   if (mutated) dirtySessions.add(session.id);
 
@@ -438,28 +669,289 @@ async function deleteAttachmentsForSession(sessionId) {
   if (!STORES.ATTACHMENTS) return;
 
   try {
-    await dbOp(STORES.ATTACHMENTS, 'readwrite', store => {
-      const idx = store.index('sessionId');
-      const range = IDBKeyRange.only(sessionId);
-      const request = idx.openCursor(range);
+    await dbOp(STORES.ATTACHMENTS, 'readwrite', store => deleteBySessionId(store, sessionId));
+  } catch (e) {
+    console.warn('Failed to delete attachments for session', sessionId, e);
+  }
+}
+
+// --- MESSAGE SEARCH INDEX ---
+//
+// STORES.SEARCH holds one record per message node with its distinct terms
+// (same tokenizer as page retrieval). The multiEntry `terms` index makes
+// IndexedDB maintain the inverted index, so searching message text never
+// loads session bodies. Records are queued by upsertMessage/updateMessage and
+// written in the same transaction as the session on the next saveState().
+
+function searchRecordId(sessionId, messageId) {
+  return `${sessionId}/${messageId}`;
+}
+
+/**
+ * Queue a message node for (re)indexing on the next save
+ * @param {string} sessionId - Session owner
+ * @param {object} message - Message node (must have an id)
+ */
+function queueSearchEntry(sessionId, message) {
+  if (!STORES.SEARCH || !message?.id) return;
+  pendingSearchEntries.set(searchRecordId(sessionId, message.id), { sessionId, message });
+}
+
+/**
+ * Turn the queued entries into search records (taking the queue).
+ * Messages without text (e.g. a cancelled reply) map to a delete. With
+ * encryption on, terms are blinded and the text is sealed.
+ * @returns {Promise<Array<{id: string, record: object|null}>>} Records to write
+ */
+async function prepareSearchEntries() {
+  const entries = [...pendingSearchEntries];
+  pendingSearchEntries.clear();
+
+  return Promise.all(entries.map(async ([id, { sessionId, message }]) => {
+    const terms = [...new Set(tokenize(message.text || ''))];
+    if (!terms.length) return { id, record: null };
+
+    const fields = { role: message.role, ts: message.ts || 0, text: message.text };
+    const record = { id, sessionId, messageId: message.id };
+    if (!isEncrypted()) return { id, record: { ...record, ...fields, terms } };
+    return {
+      id,
+      record: {
+        ...record,
+        terms: await Promise.all(terms.map(term => blindTerm(term))),
+        sealed: await seal(fields)
+      }
+    };
+  }));
+}
+
+/**
+ * Write prepared search records into a transaction that includes STORES.SEARCH
+ * @param {IDBTransaction} tx - Open readwrite transaction
+ * @param {Array<{id: string, record: object|null}>} entries - From prepareSearchEntries()
+ */
+function writeSearchEntries(tx, entries) {
+  const store = tx.objectStore(STORES.SEARCH);
+  entries.forEach(({ id, record }) => {
+    if (record) {
+      store.put(record);
+    } else {
+      store.delete(id);
+    }
+  });
+}
+
+/**
+ * Drop queued search records for a session (it is being deleted)
+ * @param {string} sessionId - Session ID
+ */
+function discardSearchEntries(sessionId) {
+  pendingSearchEntries.forEach((entry, id) => {
+    if (entry.sessionId === sessionId) pendingSearchEntries.delete(id);
+  });
+}
+
+/**
+ * Delete a session's records from an index via cursor (attachments, search)
+ * @param {IDBObjectStore} store - Store with a `sessionId` index
+ * @param {string} sessionId - Session ID
+ * @returns {IDBRequest} Cursor request
+ */
+function deleteBySessionId(store, sessionId) {
+  const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      cursor.delete();
+      cursor.continue();
+    }
+  };
+  return request;
+}
+
+/**
+ * Remove all search records associated with a session
+ * @param {string} sessionId - Session ID to clean up
+ */
+async function deleteSearchEntriesForSession(sessionId) {
+  if (!STORES.SEARCH) return;
+  discardSearchEntries(sessionId);
+
+  try {
+    await dbOp(STORES.SEARCH, 'readwrite', store => deleteBySessionId(store, sessionId));
+  } catch (e) {
+    console.warn('Failed to delete search entries for session', sessionId, e);
+  }
+}
+
+/**
+ * Cut a snippet of the message around the earliest matching term
+ * @param {string} text - Message text
+ * @param {string[]} needles - Lowercased terms and query words
+ * @returns {string} Single-line snippet with ellipses where trimmed
+ */
+function buildSnippet(text, needles) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  const lower = flat.toLowerCase();
+  const positions = needles.map(needle => lower.indexOf(needle)).filter(pos => pos >= 0);
+  const hit = positions.length ? Math.min(...positions) : 0;
+
+  const size = LIMITS.MESSAGE_SEARCH_SNIPPET_CHARS;
+  const start = Math.max(0, Math.min(hit - Math.floor(size / 3), flat.length - size));
+  const end = Math.min(flat.length, start + size);
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Full-text search over message bodies using the persisted inverted index.
+ * Every query term must match; the last one also matches as a prefix so
+ * results keep up while the user is typing (exact only when encrypted, as
+ * blinded terms have no prefixes).
+ * @param {string} query - Search text
+ * @returns {Promise<{terms: string[], hits: Array<{sessionId: string, messageId: string, role: string, ts: number, snippet: string}>}>}
+ *   Matches newest first; `terms` are the normalized query terms for highlighting
+ */
+export async function searchMessages(query = '') {
+  const terms = [...new Set(tokenize(query))];
+  if (!STORES.SEARCH || !terms.length || isLocked()) return { terms, hits: [] };
+
+  const encrypted = isEncrypted();
+  const lookupTerms = encrypted ? await Promise.all(terms.map(term => blindTerm(term))) : terms;
+
+  const db = await dbPromise;
+  const stored = await new Promise((resolve, reject) => {
+    const tx = db.transaction(STORES.SEARCH, 'readonly');
+    const store = tx.objectStore(STORES.SEARCH);
+    const termIndex = store.index('terms');
+    const keySets = [];
+    const found = [];
+    let remaining = lookupTerms.length;
+
+    lookupTerms.forEach((term, i) => {
+      const range = i === lookupTerms.length - 1 && !encrypted
+        ? IDBKeyRange.bound(term, `${term}\uffff`)
+        : IDBKeyRange.only(term);
+      const request = termIndex.getAllKeys(range);
       request.onsuccess = () => {
-        const cursor = request.result;
-        if (cursor) {
-          cursor.delete();
-          cursor.continue();
-        }
+        keySets[i] = new Set(request.result);
+        remaining -= 1;
+        if (remaining > 0) return;
+
+        const [first, ...rest] = keySets;
+        [...first]
+          .filter(id => rest.every(set => set.has(id)))
+          .slice(0, LIMITS.MESSAGE_SEARCH_MAX_RESULTS)
+          .forEach((id) => {
+            store.get(id).onsuccess = (e) => {
+              if (e.target.result) found.push(e.target.result);
+            };
+          });
       };
-      return request;
     });
-  } catch (e) {
-    console.warn('Failed to delete attachments for session', sessionId, e);
+
+    tx.oncomplete = () => resolve(found);
+    tx.onerror = () => reject(tx.error);
+  });
+  const records = await Promise.all(stored.map(async record => (
+    record.sealed ? { ...record, ...await open(record.sealed) } : record
+  )));
+
+  const needles = [...terms, ...query.toLowerCase().split(/\s+/).filter(Boolean)];
+  const hits = records
+    .filter(record => appState.sessionMeta[record.sessionId] || appState.sessions[record.sessionId])
+    .sort((a, b) => b.ts - a.ts)
+    .map(record => ({
+      sessionId: record.sessionId,
+      messageId: record.messageId,
+      role: record.role,
+      ts: record.ts,
+      snippet: buildSnippet(record.text, needles)
+    }));
+
+  return { terms, hits };
+}
+
+// --- MESSAGE TREE ---
+//
+// Every message is a node in `session.nodes` (keyed by id, linked via parentId).
+// `session.branches` maps a parent id (or BRANCH_ROOT) to its ordered children
+// and the child currently selected. `session.messages` is the materialized
+// active path through that tree; all other code reads and renders it as before.
+
+function branchKey(parentId) {
+  return parentId || BRANCH_ROOT;
+}
+
+/**
+ * Register a node as the newest (and selected) child of its parent
+ * @param {object} session - Session object
+ * @param {object} message - Message with id and parentId set
+ */
+function linkMessageNode(session, message) {
+  const key = branchKey(message.parentId);
+  const branch = session.branches[key] || (session.branches[key] = { children: [], active: null });
+  if (!branch.children.includes(message.id)) branch.children.push(message.id);
+  branch.active = message.id;
+  session.nodes[message.id] = message;
+}
+
+/**
+ * Rebuild session.messages by following selected children from the root
+ * @param {object} session - Session object
+ */
+function materializeActivePath(session) {
+  const path = [];
+  const visited = new Set();
+  let key = BRANCH_ROOT;
+
+  while (session.branches[key]?.active && !visited.has(key)) {
+    visited.add(key);
+    const node = session.nodes[session.branches[key].active];
+    if (!node) break;
+    path.push(node);
+    key = node.id;
+  }
+
+  session.messages = path;
+}
+
+/**
+ * Ensure a session has a message tree.
+ * Sessions saved before branching existed get a single linear branch; for
+ * tree sessions the (possibly re-created) active path objects are relinked.
+ * @param {object} session - Session object
+ * @returns {boolean} Whether the session was migrated
+ */
+function ensureMessageTree(session) {
+  const isTree = session.nodes && session.branches &&
+    session.messages.every(msg => msg?.id && session.nodes[msg.id]);
+
+  if (isTree) {
+    session.messages.forEach((msg) => {
+      if (msg?.id && session.nodes[msg.id]) session.nodes[msg.id] = msg;
+    });
+    materializeActivePath(session);
+    return false;
   }
+
+  session.nodes = {};
+  session.branches = {};
+  let parentId = null;
+  session.messages.forEach((msg) => {
+    if (!msg) return;
+    msg.id = msg.id || nanoid();
+    msg.parentId = parentId;
+    linkMessageNode(session, msg);
+    parentId = msg.id;
+  });
+  materializeActivePath(session);
+  return true;
 }
 
 /**
  * Create a new empty session
  * @param {string} title - Session title
- * @returns {{id: string, title: string, createdAt: number, updatedAt: number, messages: Array}}
+ * @returns {{id: string, title: string, createdAt: number, updatedAt: number, messages: Array, nodes: object, branches: object}}
  */
 function createEmptySession(title = 'New chat') {
   return {
@@ -467,7 +959,28 @@ function createEmptySession(title = 'New chat') {
     title,
     createdAt: Date.now(),
     updatedAt: Date.now(),
-    messages: []
+    messages: [],
+    nodes: {},
+    branches: {}
+  };
+}
+
+/**
+ * Metadata kept for every session, loaded or not; lazy mode lists and
+ * filters sessions from this alone
+ * @param {object} session - Full session
+ * @returns {{id: string, title: string, createdAt: number, updatedAt: number, messageCount: number, pinned: boolean, tags: string[], bytes: number}}
+ */
+function buildSessionMeta(session) {
+  return {
+    id: session.id,
+    title: session.title,
+    createdAt: session.createdAt,
+    updatedAt: session.updatedAt,
+    messageCount: session.messages?.length || 0,
+    pinned: Boolean(session.pinned),
+    tags: Array.isArray(session.tags) ? [...session.tags] : [],
+    bytes: estimateSessionBytes(session)
   };
 }
 
@@ -478,13 +991,7 @@ function ensureDefaultSession() {
   if (!appState.currentSessionId || !appState.sessions[appState.currentSessionId]) {
     const session = createEmptySession();
     appState.sessions[session.id] = session;
-    appState.sessionMeta[session.id] = {
-      id: session.id,
-      title: session.title,
-      createdAt: session.createdAt,
-      updatedAt: session.updatedAt,
-      messageCount: 0
-    };
+    appState.sessionMeta[session.id] = buildSessionMeta(session);
     appState.sessionOrder = [session.id];
     appState.currentSessionId = session.id;
     dirtySessions.add(session.id);
@@ -499,7 +1006,7 @@ function ensureDefaultSession() {
  */
 async function loadSession(sessionId) {
   try {
-    const session = await dbOp(STORES.SESSIONS, 'readonly', store => store.get(sessionId));
+    const session = await getRecord(STORES.SESSIONS, sessionId);
     return await normalizeSession(session);
   } catch (e) {
     console.error('Failed to load session:', sessionId, e);
@@ -550,101 +1057,64 @@ export async function setCurrentSession(sessionId) {
   }
 }
 
+const isSessionPinned = id => Boolean((appState.sessionMeta[id] || appState.sessions[id])?.pinned);
+
 /**
- * Return ordered session ids filtered by a search query against metadata
- * @param {string} query - Search text to match against title/id
+ * Return session ids filtered by a search query against metadata,
+ * pinned sessions first and each group in recency order
+ * @param {string} query - Search text to match against title/tags/id
+ * @param {{tag?: string|null}} options - Only sessions with this tag (case-insensitive)
  * @returns {string[]} Filtered session ids
  */
-export function searchSessions(query = '') {
+export function searchSessions(query = '', { tag = null } = {}) {
   const term = query.trim().toLowerCase();
-  return appState.sessionOrder.filter((id) => {
-    if (!term) return true;
+  const tagKey = tag ? tag.toLowerCase() : null;
+  const matches = appState.sessionOrder.filter((id) => {
     const meta = appState.sessionMeta[id] || appState.sessions[id];
+    if (tagKey && !(meta?.tags || []).some(t => t.toLowerCase() === tagKey)) return false;
+    if (!term) return true;
     if (!meta) return false;
-    const haystack = `${meta.title || ''} ${meta.id}`.toLowerCase();
+    const haystack = `${meta.title || ''} ${(meta.tags || []).join(' ')} ${meta.id}`.toLowerCase();
     return haystack.includes(term);
   });
+  return [...matches.filter(isSessionPinned), ...matches.filter(id => !isSessionPinned(id))];
 }
 
 /**
  * Create a new session, optionally copying from existing session
  * FIXED: Now async to ensure attachments are persisted safely
  * @param {string|null} baseSessionId - Session ID to copy from (optional)
+ * @param {{uptoIndex?: number|null}} options - Fork point: copy the active path
+ *   only up to and including this message index (default: whole path)
  * @returns {Promise<{id: string, title: string, messages: Array}>} New session
  */
-export async function createSessionFrom(baseSessionId = null) {
+export async function createSessionFrom(baseSessionId = null, { uptoIndex = null } = {}) {
   const base = baseSessionId ? appState.sessions[baseSessionId] : null;
   const session = createEmptySession(base ? `${base.title} copy` : 'New chat');
   if (base) {
-    session.messages = base.messages.slice();
+    const end = uptoIndex === null ? base.messages.length : uptoIndex + 1;
+    // Copies get fresh node ids and their own attachment records, so the fork
+    // survives the original being edited or deleted.
+    session.messages = await Promise.all(base.messages.slice(0, end).map(async (msg) => {
+      const { id, parentId, messageId, ...rest } = msg;
+      if (!rest.attachments?.length) return rest;
+      const loaded = await loadMessageAttachments(rest.attachments);
+      return { ...rest, attachments: loaded.map(({ id: attachmentId, ...att }) => att) };
+    }));
   }
   
   // Await normalization to ensure attachments are saved
   await normalizeSession(session);
   
   appState.sessions[session.id] = session;
-  appState.sessionMeta[session.id] = {
-    id: session.id,
-    title: session.title,
-    createdAt: session.createdAt,
-    updatedAt: session.updatedAt,
-    messageCount: session.messages.length
-  };
+  appState.sessionMeta[session.id] = buildSessionMeta(session);
   appState.sessionOrder.unshift(session.id);
   appState.currentSessionId = session.id;
   dirtySessions.add(session.id);
+  Object.values(session.nodes).forEach(node => queueSearchEntry(session.id, node));
   // Persist ordering + active session change separately
   markMetaDirty();
 
-  // Remove oldest sessions if limit exceeded (batched in single transaction)
-  if (appState.sessionOrder.length > MAX_SESSIONS) {
-    const sessionsToRemove = appState.sessionOrder.slice(MAX_SESSIONS);
-    
-    // Clean memory first (optimistic update)
-    sessionsToRemove.forEach(oldId => {
-      delete appState.sessions[oldId];
-      delete appState.sessionMeta[oldId];
-      dirtySessions.delete(oldId);
-    });
-    appState.sessionOrder = appState.sessionOrder.slice(0, MAX_SESSIONS);
-    markMetaDirty();
-    
-    // Await batch IndexedDB delete with proper error handling
-    try {
-      const db = await dbPromise;
-      const storeNames = [STORES.SESSIONS];
-      if (STORES.ATTACHMENTS) storeNames.push(STORES.ATTACHMENTS);
-      
-      await new Promise((resolve, reject) => {
-        const tx = db.transaction(storeNames, 'readwrite');
-        const sessionStore = tx.objectStore(STORES.SESSIONS);
-        const attachmentStore = STORES.ATTACHMENTS ? tx.objectStore(STORES.ATTACHMENTS) : null;
-        
-        sessionsToRemove.forEach(oldId => {
-          sessionStore.delete(oldId);
-          
-          // Delete attachments via index cursor
-          if (attachmentStore) {
-            const idx = attachmentStore.index('sessionId');
-            idx.openCursor(IDBKeyRange.only(oldId)).onsuccess = (e) => {
-              const cursor = e.target.result;
-              if (cursor) {
-                cursor.delete();
-                cursor.continue();
-              }
-            };
-          }
-        });
-        
-        tx.oncomplete = () => resolve();
-        tx.onerror = () => reject(tx.error);
-      });
-    } catch (e) {
-      // Log but don't fail session creation - old sessions staying is acceptable
-      console.warn('Failed to batch delete old sessions from IDB', e);
-    }
-  }
-
   return session;
 }
 
@@ -681,6 +1151,7 @@ export async function deleteSession(sessionId) {
     // Await actual database deletion
     await dbOp(STORES.SESSIONS, 'readwrite', store => store.delete(sessionId));
     await deleteAttachmentsForSession(sessionId);
+    await deleteSearchEntriesForSession(sessionId);
     return true;
   } catch (e) {
     console.error('Failed to delete session from IDB, rolling back', e);
@@ -739,10 +1210,18 @@ export function upsertMessage(sessionId, message, replaceIndex = null) {
   }
 
   if (replaceIndex === null) {
+    storedMessage.id = storedMessage.id && !session.nodes[storedMessage.id] ? storedMessage.id : nanoid();
+    storedMessage.parentId = session.messages[session.messages.length - 1]?.id || null;
+    linkMessageNode(session, storedMessage);
     session.messages.push(storedMessage);
   } else {
+    const existing = session.messages[replaceIndex];
+    storedMessage.id = existing?.id || nanoid();
+    storedMessage.parentId = existing ? existing.parentId : (session.messages[replaceIndex - 1]?.id || null);
+    linkMessageNode(session, storedMessage);
     session.messages[replaceIndex] = storedMessage;
   }
+  queueSearchEntry(sessionId, storedMessage);
   session.updatedAt = Date.now();
   if (appState.sessionMeta[sessionId]) {
     appState.sessionMeta[sessionId].messageCount = session.messages.length;
@@ -786,6 +1265,8 @@ export function updateMessage(sessionId, messageIndex, patch) {
   }
 
   session.messages[messageIndex] = next;
+  if (next.id) session.nodes[next.id] = next;
+  if ('text' in patch) queueSearchEntry(sessionId, next);
   session.updatedAt = Date.now();
   if (appState.sessionMeta[sessionId]) {
     appState.sessionMeta[sessionId].updatedAt = session.updatedAt;
@@ -802,56 +1283,820 @@ export function updateMessage(sessionId, messageIndex, patch) {
 }
 
 /**
- * Rename a session
+ * Rewind the active path so the next appended message becomes a new sibling
+ * of the message at `fromIndex`. The old continuation stays in the tree and
+ * remains reachable through the branch switcher.
  * @param {string} sessionId - Session ID
- * @param {string} title - New title
+ * @param {number} fromIndex - First message index to drop from the active path
+ * @returns {Array} Messages removed from the active path
  */
-export function renameSession(sessionId, title) {
-  if (!appState.sessions[sessionId]) return;
-  appState.sessions[sessionId].title = title;
-  appState.sessions[sessionId].updatedAt = Date.now();
+export function rewindMessages(sessionId, fromIndex) {
+  const session = appState.sessions[sessionId];
+  if (!session || fromIndex < 0 || fromIndex >= session.messages.length) return [];
+
+  const removed = session.messages.slice(fromIndex);
+  const branch = session.branches[branchKey(removed[0].parentId)];
+  if (branch) branch.active = null;
+  session.messages = session.messages.slice(0, fromIndex);
+
+  session.updatedAt = Date.now();
   if (appState.sessionMeta[sessionId]) {
-    appState.sessionMeta[sessionId] = {
-      ...appState.sessionMeta[sessionId],
-      title,
-      updatedAt: appState.sessions[sessionId].updatedAt
-    };
+    appState.sessionMeta[sessionId].messageCount = session.messages.length;
+    appState.sessionMeta[sessionId].updatedAt = session.updatedAt;
   }
   dirtySessions.add(sessionId);
+
+  return removed;
 }
 
 /**
- * Save state to IndexedDB and chrome.storage.sync
- * @returns {Promise<void>}
+ * Select a sibling branch for the message at `messageIndex`
+ * @param {string} sessionId - Session ID
+ * @param {number} messageIndex - Index of the message on the active path
+ * @param {number} offset - -1 for the previous sibling, 1 for the next
+ * @returns {boolean} Whether the active path changed
  */
-export async function saveState() {
-  ensureDefaultSession();
+export function switchBranch(sessionId, messageIndex, offset) {
+  const session = appState.sessions[sessionId];
+  const message = session?.messages[messageIndex];
+  if (!message) return false;
 
-  try {
-    const hasSessionChanges = dirtySessions.size > 0;
-    const hasMetaChanges = metaDirty;
+  const branch = session.branches[branchKey(message.parentId)];
+  const position = branch ? branch.children.indexOf(message.id) : -1;
+  const nextId = branch?.children[position + offset];
+  if (position < 0 || !nextId) return false;
 
-    if (hasSessionChanges || hasMetaChanges) {
-      const db = await dbPromise;
-      const tx = db.transaction([STORES.SESSIONS, STORES.META], 'readwrite');
+  branch.active = nextId;
+  materializeActivePath(session);
 
-      if (hasMetaChanges) {
-        const metaStore = tx.objectStore(STORES.META);
-        metaStore.put({ id: 'sessionOrder', val: appState.sessionOrder });
-        metaStore.put({ id: 'currentSessionId', val: appState.currentSessionId });
-        metaStore.put({ id: 'contextSnapshots', val: appState.contextSnapshots });
-        metaStore.put({ id: 'activeSnapshotId', val: appState.activeSnapshotId });
-        metaDirty = false;
-      }
+  if (appState.sessionMeta[sessionId]) {
+    appState.sessionMeta[sessionId].messageCount = session.messages.length;
+  }
+  dirtySessions.add(sessionId);
+  return true;
+}
 
-      if (hasSessionChanges) {
-        const sessionStore = tx.objectStore(STORES.SESSIONS);
-        dirtySessions.forEach(id => {
-          const s = appState.sessions[id];
-          if (s) sessionStore.put(s);
-        });
-        dirtySessions.clear();
+/**
+ * Make a message node part of the active path by selecting its branch at
+ * every level above it (used when jumping to a search hit)
+ * @param {string} sessionId - Session ID (must be loaded)
+ * @param {string} messageId - Node id
+ * @returns {{index: number, changed: boolean}} Index on the active path (-1 if unknown)
+ */
+export function revealMessage(sessionId, messageId) {
+  const session = appState.sessions[sessionId];
+  if (!session?.nodes?.[messageId]) return { index: -1, changed: false };
+
+  const index = session.messages.findIndex(msg => msg.id === messageId);
+  if (index >= 0) return { index, changed: false };
+
+  const visited = new Set();
+  let node = session.nodes[messageId];
+  while (node && !visited.has(node.id)) {
+    visited.add(node.id);
+    const branch = session.branches[branchKey(node.parentId)];
+    if (branch) branch.active = node.id;
+    node = node.parentId ? session.nodes[node.parentId] : null;
+  }
+  materializeActivePath(session);
+
+  if (appState.sessionMeta[sessionId]) {
+    appState.sessionMeta[sessionId].messageCount = session.messages.length;
+  }
+  dirtySessions.add(sessionId);
+  return { index: session.messages.findIndex(msg => msg.id === messageId), changed: true };
+}
+
+/**
+ * Load full attachment records (including data) for message attachment metadata
+ * @param {Array} attachments - Attachment metadata from a stored message
+ * @returns {Promise<Array>} Attachments with data; missing records are skipped
+ */
+export async function loadMessageAttachments(attachments = []) {
+  if (!STORES.ATTACHMENTS || !attachments?.length) return [];
+
+  const records = await Promise.all(attachments.map(async (att) => {
+    if (!att?.id) return att?.data !== undefined ? att : null;
+    try {
+      const record = await getRecord(STORES.ATTACHMENTS, att.id);
+      if (!record) return null;
+      return {
+        id: record.id,
+        name: record.name,
+        type: record.type,
+        size: record.size,
+        data: record.data,
+        ...(record.meta ? { meta: record.meta } : {})
+      };
+    } catch (e) {
+      console.warn('Failed to load attachment', att.id, e);
+      return null;
+    }
+  }));
+
+  return records.filter(Boolean);
+}
+
+/**
+ * Store the rolling "conversation so far" summary produced by context compaction
+ * @param {string} sessionId - Session ID
+ * @param {{text: string, throughMessageId: string, createdAt: number}} summary - Summary record
+ */
+export function setSessionSummary(sessionId, summary) {
+  const session = appState.sessions[sessionId];
+  if (!session) return;
+  session.summary = summary;
+  dirtySessions.add(sessionId);
+}
+
+/**
+ * Rename a session
+ * @param {string} sessionId - Session ID
+ * @param {string} title - New title
+ */
+export function renameSession(sessionId, title) {
+  if (!appState.sessions[sessionId]) return;
+  appState.sessions[sessionId].title = title;
+  appState.sessions[sessionId].updatedAt = Date.now();
+  if (appState.sessionMeta[sessionId]) {
+    appState.sessionMeta[sessionId] = {
+      ...appState.sessionMeta[sessionId],
+      title,
+      updatedAt: appState.sessions[sessionId].updatedAt
+    };
+  }
+  dirtySessions.add(sessionId);
+}
+
+// --- PINS & TAGS ---
+//
+// Stored on the session record (so they are sealed with it when encryption
+// is on) and mirrored into sessionMeta, so pinning, tag lists and tag
+// filters never need the full sessions in lazy mode.
+
+/**
+ * Get a full session, loading it from IndexedDB in lazy mode
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} Session
+ */
+async function ensureSessionLoaded(sessionId) {
+  if (appState.sessions[sessionId]) return appState.sessions[sessionId];
+  if (!appState.sessionMeta[sessionId]) return null;
+  const session = await loadSession(sessionId);
+  if (session) appState.sessions[sessionId] = session;
+  return session;
+}
+
+/**
+ * Trim, shorten and de-duplicate (case-insensitively) a tag list
+ * @param {string[]} tags - Raw tags
+ * @returns {string[]} Clean tags (at most MAX_SESSION_TAGS)
+ */
+export function normalizeSessionTags(tags = []) {
+  const seen = new Set();
+  return tags
+    .map(tag => String(tag).replace(/\s+/g, ' ').trim().slice(0, LIMITS.SESSION_TAG_MAX_LENGTH).trim())
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, LIMITS.MAX_SESSION_TAGS);
+}
+
+/**
+ * Pin a session to the top of the list (and out of eviction) or unpin it
+ * @param {string} sessionId - Session ID
+ * @param {boolean} pinned
+ * @returns {Promise<void>}
+ * @throws {Error} SESSION_PIN_LIMIT when MAX_PINNED_SESSIONS are pinned already
+ */
+export async function setSessionPinned(sessionId, pinned) {
+  if (pinned && !isSessionPinned(sessionId) &&
+      appState.sessionOrder.filter(isSessionPinned).length >= LIMITS.MAX_PINNED_SESSIONS) {
+    throw new Error(USER_ERROR_MESSAGES.SESSION_PIN_LIMIT);
+  }
+  const session = await ensureSessionLoaded(sessionId);
+  if (!session) return;
+
+  session.pinned = pinned;
+  appState.sessionMeta[sessionId] = buildSessionMeta(session);
+  dirtySessions.add(sessionId);
+}
+
+/**
+ * Replace a session's tags
+ * @param {string} sessionId - Session ID
+ * @param {string[]} tags - New tags (normalized here)
+ * @returns {Promise<string[]>} Tags as stored
+ */
+export async function setSessionTags(sessionId, tags) {
+  const session = await ensureSessionLoaded(sessionId);
+  if (!session) return [];
+
+  session.tags = normalizeSessionTags(tags);
+  appState.sessionMeta[sessionId] = buildSessionMeta(session);
+  dirtySessions.add(sessionId);
+  return session.tags;
+}
+
+/**
+ * @returns {string[]} Every tag in use, sorted (first spelling wins)
+ */
+export function getSessionTags() {
+  const tags = new Map();
+  appState.sessionOrder.forEach((id) => {
+    const meta = appState.sessionMeta[id] || appState.sessions[id];
+    (meta?.tags || []).forEach((tag) => {
+      if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+    });
+  });
+  return [...tags.values()].sort((a, b) => a.localeCompare(b));
+}
+
+// --- RETENTION POLICY ---
+//
+// Limits on the saved chats by count, by age and by total size (settings
+// retentionMax*; 0 turns a limit off). Chats over a limit are moved to the
+// archived store as gzipped JSON, or deleted when retentionAction is
+// 'delete'. Pinned chats and the open chat are never touched.
+// planRetention() is the dry run; applyRetention() carries the plan out.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+/**
+ * Approximate stored size of a session: its record plus attachment payloads
+ * @param {object} session - Full session
+ * @returns {number} Bytes
+ */
+function estimateSessionBytes(session) {
+  const attachmentSizes = new Map();
+  Object.values(session.nodes || {}).forEach((node) => {
+    (node.attachments || []).forEach(att => attachmentSizes.set(att.id, estimateAttachmentSize(att)));
+  });
+  let bytes = JSON.stringify(session).length;
+  attachmentSizes.forEach((size) => { bytes += size; });
+  return bytes;
+}
+
+/**
+ * Size of a session by id; metadata holds the size from the last load for
+ * sessions that aren't in memory
+ * @param {string} sessionId - Session ID
+ * @returns {number} Bytes
+ */
+function getSessionBytes(sessionId) {
+  const session = appState.sessions[sessionId];
+  return session ? estimateSessionBytes(session) : appState.sessionMeta[sessionId]?.bytes || 0;
+}
+
+/**
+ * Read the retention policy from settings, clamped to the supported range
+ * @param {object} [settings] - Settings to read (default: stored settings)
+ * @returns {{maxSessions: number, maxAgeDays: number, maxBytes: number, action: 'archive'|'delete'}}
+ */
+export function getRetentionPolicy(settings = appState.settings) {
+  const read = (key, max, min = 0) => {
+    const value = Math.floor(Number(settings[key] ?? DEFAULT_SETTINGS[key]));
+    if (!Number.isFinite(value) || value <= 0) return 0;
+    return Math.min(max, Math.max(min, value));
+  };
+  return {
+    maxSessions: read('retentionMaxSessions', RETENTION.MAX_SESSIONS, RETENTION.MIN_SESSIONS),
+    maxAgeDays: read('retentionMaxAgeDays', RETENTION.MAX_AGE_DAYS),
+    maxBytes: read('retentionMaxMB', RETENTION.MAX_MB) * MB,
+    action: settings.retentionAction === 'delete' ? 'delete' : 'archive'
+  };
+}
+
+/**
+ * Dry run: which chats the policy would archive or delete, and why.
+ * Age goes first, then the oldest remaining chats until the count and size
+ * limits are met.
+ * @param {object} [policy] - From getRetentionPolicy() (default: current settings)
+ * @param {number} [now] - Reference time for the age limit
+ * @returns {{action: string, candidates: Array<{id: string, title: string, updatedAt: number, bytes: number, reason: 'age'|'count'|'size'}>, total: {count: number, bytes: number}, kept: {count: number, bytes: number}}}
+ */
+export function planRetention(policy = getRetentionPolicy(), now = Date.now()) {
+  const entries = appState.sessionOrder.map((id) => {
+    const meta = appState.sessions[id] || appState.sessionMeta[id] || {};
+    return {
+      id,
+      title: meta.title || 'Untitled',
+      updatedAt: meta.updatedAt || meta.createdAt || 0,
+      bytes: getSessionBytes(id)
+    };
+  });
+  const total = {
+    count: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0)
+  };
+  const kept = { ...total };
+  const candidates = [];
+  const picked = new Set();
+
+  const pick = (entry, reason) => {
+    if (picked.has(entry.id)) return;
+    picked.add(entry.id);
+    candidates.push({ ...entry, reason });
+    kept.count -= 1;
+    kept.bytes -= entry.bytes;
+  };
+
+  // Oldest first
+  const evictable = entries
+    .filter(entry => !isSessionPinned(entry.id) && entry.id !== appState.currentSessionId)
+    .sort((a, b) => a.updatedAt - b.updatedAt);
+
+  if (policy.maxAgeDays) {
+    const cutoff = now - policy.maxAgeDays * DAY_MS;
+    evictable.filter(entry => entry.updatedAt < cutoff).forEach(entry => pick(entry, 'age'));
+  }
+  if (policy.maxSessions) {
+    evictable.forEach((entry) => {
+      if (kept.count > policy.maxSessions) pick(entry, 'count');
+    });
+  }
+  if (policy.maxBytes) {
+    evictable.forEach((entry) => {
+      if (kept.bytes > policy.maxBytes) pick(entry, 'size');
+    });
+  }
+
+  return { action: policy.action, candidates, total, kept };
+}
+
+/**
+ * Gzip a JSON-serializable value
+ * @param {*} value - Value to compress
+ * @returns {Promise<Blob>} Compressed JSON
+ */
+async function compressJson(value) {
+  const stream = new Blob([JSON.stringify(value)]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).blob();
+}
+
+/**
+ * @param {Blob} blob - Output of compressJson()
+ * @returns {Promise<*>} Original value
+ */
+async function decompressJson(blob) {
+  const stream = blob.stream().pipeThrough(new DecompressionStream('gzip'));
+  return JSON.parse(await new Response(stream).text());
+}
+
+/**
+ * Build archived records for sessions, in the export shape (message tree
+ * only) plus their attachment records
+ * @param {string[]} sessionIds - Sessions to archive
+ * @returns {Promise<object[]>} Records ready to store (sealed when encryption is on)
+ */
+async function buildArchivedRecords(sessionIds) {
+  const { sessions, attachments } = await getSessionExportData(sessionIds);
+  const archivedAt = Date.now();
+
+  return Promise.all(sessions.map(async (session) => {
+    const data = await compressJson(session);
+    const sessionAttachments = attachments.filter(record => record.sessionId === session.id);
+    return sealArchivedRecord({
+      id: session.id,
+      archivedAt,
+      bytes: getSessionBytes(session.id),
+      storedBytes: sessionAttachments.reduce((sum, record) => sum + estimateAttachmentSize(record), data.size),
+      title: session.title,
+      updatedAt: session.updatedAt,
+      messageCount: appState.sessionMeta[session.id]?.messageCount || 0,
+      data,
+      attachments: sessionAttachments
+    });
+  }));
+}
+
+/**
+ * Remove sessions with their attachments and search records, storing
+ * archived records in the same transaction; memory is only updated once it
+ * has committed
+ * @param {string[]} sessionIds - Sessions to remove
+ * @param {object[]} archivedRecords - Records to add to the archived store
+ * @returns {Promise<void>}
+ */
+async function removeSessions(sessionIds, archivedRecords = []) {
+  const db = await dbPromise;
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.SESSIONS, STORES.ATTACHMENTS, STORES.SEARCH, STORES.ARCHIVED], 'readwrite');
+    const sessionStore = tx.objectStore(STORES.SESSIONS);
+    const attachmentStore = tx.objectStore(STORES.ATTACHMENTS);
+    const searchStore = tx.objectStore(STORES.SEARCH);
+    const archivedStore = tx.objectStore(STORES.ARCHIVED);
+
+    sessionIds.forEach((id) => {
+      sessionStore.delete(id);
+      deleteBySessionId(attachmentStore, id);
+      deleteBySessionId(searchStore, id);
+    });
+    archivedRecords.forEach(record => archivedStore.put(record));
+
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+
+  const removed = new Set(sessionIds);
+  sessionIds.forEach((id) => {
+    delete appState.sessions[id];
+    delete appState.sessionMeta[id];
+    dirtySessions.delete(id);
+    discardSearchEntries(id);
+  });
+  appState.sessionOrder = appState.sessionOrder.filter(id => !removed.has(id));
+  markMetaDirty();
+}
+
+/**
+ * Archive or delete the chats the policy selects (see planRetention)
+ * @param {object} [policy] - From getRetentionPolicy() (default: current settings)
+ * @returns {Promise<{action: string, removed: string[]}>} Sessions moved out; none on failure
+ */
+export async function applyRetention(policy = getRetentionPolicy()) {
+  const { action } = policy;
+  if (isLocked()) return { action, removed: [] };
+
+  return runExclusive(async () => {
+    const { candidates } = planRetention(policy);
+    if (!candidates.length) return { action, removed: [] };
+
+    try {
+      const ids = candidates.map(candidate => candidate.id);
+      const archivedRecords = action === 'archive' ? await buildArchivedRecords(ids) : [];
+      // A chat that couldn't be read stays rather than being deleted unarchived
+      const removed = action === 'archive' ? archivedRecords.map(record => record.id) : ids;
+      await removeSessions(removed, archivedRecords);
+      return { action, removed };
+    } catch (e) {
+      console.warn('Failed to apply the retention policy', e);
+      return { action, removed: [] };
+    }
+  });
+}
+
+/**
+ * @returns {Promise<Array<{id: string, title: string, updatedAt: number, archivedAt: number, messageCount: number, bytes: number, storedBytes: number}>>}
+ *   Archived chats, most recently archived first (without their data)
+ */
+export async function listArchivedSessions() {
+  if (isLocked()) return [];
+  const records = await dbOp(STORES.ARCHIVED, 'readonly', store => store.getAll());
+  const summaries = await Promise.all((records || []).map(async (record) => {
+    const fields = record.sealed ? await open(record.sealed) : record;
+    return {
+      id: record.id,
+      title: fields.title || 'Untitled',
+      updatedAt: fields.updatedAt || 0,
+      archivedAt: record.archivedAt || 0,
+      messageCount: fields.messageCount || 0,
+      bytes: record.bytes || 0,
+      storedBytes: record.storedBytes || 0
+    };
+  }));
+  return summaries.sort((a, b) => b.archivedAt - a.archivedAt);
+}
+
+/**
+ * Move an archived chat back into the session list as the most recent one,
+ * so the policy doesn't pick it again straight away
+ * @param {string} archivedId - Archived session id
+ * @returns {Promise<string|null>} Restored session id, or null if not found
+ */
+export async function restoreArchivedSession(archivedId) {
+  if (isLocked()) return null;
+  const record = await getRecord(STORES.ARCHIVED, archivedId);
+  if (!record) return null;
+
+  const session = await decompressJson(record.data);
+  session.updatedAt = Date.now();
+  await importSessionData({ sessions: [session], attachments: record.attachments || [] });
+  await dbOp(STORES.ARCHIVED, 'readwrite', store => store.delete(archivedId));
+  return session.id;
+}
+
+/**
+ * Permanently delete an archived chat
+ * @param {string} archivedId - Archived session id
+ * @returns {Promise<void>}
+ */
+export async function deleteArchivedSession(archivedId) {
+  await dbOp(STORES.ARCHIVED, 'readwrite', store => store.delete(archivedId));
+}
+
+/**
+ * Storage used by saved and archived chats, plus the browser's estimate for
+ * the whole extension
+ * @returns {Promise<{sessions: {count: number, bytes: number}, archived: {count: number, bytes: number}, usage: number|null, quota: number|null}>}
+ */
+export async function getStorageUsage() {
+  const archived = await listArchivedSessions();
+  const estimate = await navigator.storage?.estimate?.().catch(() => null);
+  return {
+    sessions: {
+      count: appState.sessionOrder.length,
+      bytes: appState.sessionOrder.reduce((sum, id) => sum + getSessionBytes(id), 0)
+    },
+    archived: {
+      count: archived.length,
+      bytes: archived.reduce((sum, entry) => sum + entry.storedBytes, 0)
+    },
+    usage: estimate?.usage ?? null,
+    quota: estimate?.quota ?? null
+  };
+}
+
+// --- ARCHIVE EXPORT / IMPORT ---
+//
+// core/archive.js owns the file format; these helpers read and merge the
+// session data it carries. Only the message tree is exported: `messages` is
+// the materialized active path and is rebuilt on import.
+
+/**
+ * Collect session records and their attachment records for an archive
+ * @param {string[]} sessionIds - Sessions to export
+ * @returns {Promise<{sessions: object[], attachments: object[]}>} Attachment records keep their Blob data
+ */
+export async function getSessionExportData(sessionIds = []) {
+  const sessions = [];
+  const attachments = [];
+
+  for (const id of sessionIds) {
+    const session = appState.sessions[id] || await loadSession(id);
+    if (!session) continue;
+
+    const { messages, nodes = {}, ...fields } = session;
+    const exportedNodes = {};
+    Object.values(nodes).forEach((node) => {
+      const { htmlCache, ...rest } = node; // Derived; rebuilt from text on render
+      exportedNodes[node.id] = rest;
+    });
+    sessions.push({ ...fields, nodes: exportedNodes });
+
+    if (STORES.ATTACHMENTS) {
+      const records = await dbOp(STORES.ATTACHMENTS, 'readonly',
+        store => store.index('sessionId').getAll(IDBKeyRange.only(id)));
+      attachments.push(...await Promise.all((records || []).map(openAttachmentRecord)));
+    }
+  }
+
+  return { sessions, attachments };
+}
+
+/**
+ * Insert a session id into sessionOrder by recency
+ * @param {string} sessionId - Session ID
+ * @param {number} updatedAt - Session timestamp
+ */
+function insertSessionByRecency(sessionId, updatedAt) {
+  const position = appState.sessionOrder.findIndex((id) => {
+    const meta = appState.sessionMeta[id];
+    return (meta?.updatedAt || 0) < updatedAt;
+  });
+  if (position < 0) {
+    appState.sessionOrder.push(sessionId);
+  } else {
+    appState.sessionOrder.splice(position, 0, sessionId);
+  }
+}
+
+/**
+ * Give imported attachments ids that don't collide with another session's
+ * records, and point the session's messages at the new ids
+ * @param {object} session - Imported session (nodes are rewritten in place)
+ * @param {object[]} records - Its attachment records (data decoded)
+ * @returns {Promise<object[]>} Records ready to store
+ */
+async function relinkImportedAttachments(session, records) {
+  const idMap = {};
+  const relinked = [];
+
+  for (const record of records) {
+    const clash = await dbOp(STORES.ATTACHMENTS, 'readonly', store => store.get(record.id));
+    const id = clash && clash.sessionId !== session.id ? nanoid() : record.id;
+    if (id !== record.id) idMap[record.id] = id;
+    relinked.push({ ...record, id, sessionId: session.id });
+  }
+
+  if (Object.keys(idMap).length) {
+    Object.values(session.nodes).forEach((node) => {
+      node.attachments = node.attachments?.map(att => (idMap[att.id] ? { ...att, id: idMap[att.id] } : att));
+    });
+  }
+  return relinked;
+}
+
+/**
+ * Merge archived sessions into local state.
+ * New sessions are added by recency. When a session id already exists the
+ * archived nodes and branches it lacks are merged in; local messages and the
+ * local branch selection win.
+ * @param {{sessions: object[], attachments: object[]}} data - Validated archive contents
+ * @returns {Promise<{added: number, merged: number}>} Counts (the caller applies the retention policy)
+ */
+export async function importSessionData({ sessions = [], attachments = [] } = {}) {
+  let added = 0;
+  let merged = 0;
+  const records = [];
+
+  for (const incoming of sessions) {
+    const sessionRecords = attachments.filter(record => record.sessionId === incoming.id);
+    if (STORES.ATTACHMENTS && sessionRecords.length) {
+      records.push(...await relinkImportedAttachments(incoming, sessionRecords));
+    }
+
+    const existing = appState.sessions[incoming.id] ||
+      (appState.sessionMeta[incoming.id] ? await loadSession(incoming.id) : null);
+
+    if (existing) {
+      Object.values(incoming.nodes).forEach((node) => {
+        if (existing.nodes[node.id]) return;
+        existing.nodes[node.id] = node;
+        queueSearchEntry(existing.id, node);
+      });
+      Object.entries(incoming.branches).forEach(([key, branch]) => {
+        const local = existing.branches[key] || (existing.branches[key] = { children: [], active: branch.active });
+        branch.children.forEach((id) => {
+          if (existing.nodes[id] && !local.children.includes(id)) local.children.push(id);
+        });
+      });
+      materializeActivePath(existing);
+      existing.updatedAt = Math.max(existing.updatedAt || 0, incoming.updatedAt || 0);
+      appState.sessions[existing.id] = existing;
+      merged += 1;
+    } else {
+      const session = { ...incoming, messages: [] };
+      // Pins past the limit are dropped so imports can't exempt extra chats from eviction
+      if (session.pinned && appState.sessionOrder.filter(isSessionPinned).length >= LIMITS.MAX_PINNED_SESSIONS) {
+        session.pinned = false;
       }
+      ensureMessageTree(session);
+      appState.sessions[session.id] = session;
+      insertSessionByRecency(session.id, session.updatedAt || 0);
+      Object.values(session.nodes).forEach(node => queueSearchEntry(session.id, node));
+      added += 1;
+    }
+
+    const session = appState.sessions[incoming.id];
+    appState.sessionMeta[session.id] = buildSessionMeta(session);
+    dirtySessions.add(session.id);
+  }
+
+  if (records.length) {
+    const storedRecords = await Promise.all(records.map(sealAttachmentRecord));
+    const db = await dbPromise;
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORES.ATTACHMENTS, 'readwrite');
+      const store = tx.objectStore(STORES.ATTACHMENTS);
+      storedRecords.forEach(record => store.put(record));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  markMetaDirty();
+  return { added, merged };
+}
+
+/**
+ * Add archived context snapshots that aren't already saved
+ * @param {object[]} snapshots - Snapshot records
+ * @returns {number} Snapshots added
+ */
+export function importContextSnapshots(snapshots = []) {
+  const known = new Set(appState.contextSnapshots.map(s => s.id));
+  const fresh = snapshots.filter(s => !known.has(s.id));
+  if (!fresh.length) return 0;
+
+  appState.contextSnapshots = [...appState.contextSnapshots, ...fresh]
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+    .slice(0, MAX_CONTEXT_SNAPSHOTS);
+  markMetaDirty();
+  return fresh.length;
+}
+
+/**
+ * Add archived templates whose ids aren't present (local templates win)
+ * @param {object[]} templates - Template records
+ * @returns {number} Templates added
+ */
+export function importTemplates(templates = []) {
+  const known = new Set(appState.templates.map(t => t.id));
+  const fresh = templates.filter(t => !known.has(t.id));
+  appState.templates.push(...fresh);
+  if (fresh.length) markTemplatesDirty();
+  return fresh.length;
+}
+
+/**
+ * Small listing of the templates for chrome.storage.sync, whose items are
+ * capped at 8 KB. The templates themselves live in STORES.TEMPLATES.
+ * @returns {{settings: object, templateIndex: Array<{id: string, label: string, version: number}>}}
+ */
+function buildSyncPayload() {
+  const templateIndex = appState.templates
+    .slice(0, TEMPLATE_PACK.SYNC_INDEX_LIMIT)
+    .map(t => ({
+      id: t.id,
+      label: clampLabel(t.label, TEMPLATE_PACK.SYNC_INDEX_LABEL_LENGTH),
+      version: t.version || 1
+    }));
+  return { settings: appState.settings, templateIndex };
+}
+
+/**
+ * Templates listed in the synced index that this device lacks, or has in an
+ * older version. Their texts don't sync; they come over as a template pack.
+ * @returns {Array<{id: string, label: string, version: number}>} Synced index entries
+ */
+export function getUnsyncedTemplates() {
+  const localVersions = new Map(appState.templates.map(t => [t.id, t.version || 1]));
+  return syncedTemplateIndex.filter(entry => (localVersions.get(entry.id) || 0) < entry.version);
+}
+
+/**
+ * Replace the template store with the current templates, in menu order
+ * @param {IDBTransaction} tx - Transaction that includes STORES.TEMPLATES
+ */
+function writeTemplateRecords(tx) {
+  const store = tx.objectStore(STORES.TEMPLATES);
+  store.clear();
+  appState.templates.forEach((template, position) => store.put({ ...template, position }));
+}
+
+/**
+ * @param {object[]} records - Template store records
+ * @returns {object[]} Templates in menu order
+ */
+function templatesFromRecords(records) {
+  return records
+    .slice()
+    .sort((a, b) => a.position - b.position)
+    .map((record) => {
+      const template = { ...record };
+      delete template.position;
+      return template;
+    });
+}
+
+/**
+ * Save state to IndexedDB and chrome.storage.sync
+ * @returns {Promise<void>}
+ */
+export async function saveState() {
+  // Nothing has been loaded while locked, so there is nothing to save
+  if (isLocked()) return;
+  ensureDefaultSession();
+
+  try {
+    const sessionIds = [...dirtySessions];
+    const hasMetaChanges = metaDirty;
+    const hasSearchChanges = pendingSearchEntries.size > 0;
+    const hasTemplateChanges = templatesDirty;
+
+    if (sessionIds.length || hasMetaChanges || hasSearchChanges || hasTemplateChanges) {
+      // Take the pending changes now: edits made while records are being
+      // sealed below mark them dirty again for the next save
+      dirtySessions.clear();
+      metaDirty = false;
+      templatesDirty = false;
+
+      const sessionRecords = await Promise.all(sessionIds
+        .map(id => appState.sessions[id])
+        .filter(Boolean)
+        .map(sealSessionRecord));
+      const snapshotsRecord = hasMetaChanges
+        ? await sealMetaRecord('contextSnapshots', appState.contextSnapshots)
+        : null;
+      const searchEntries = hasSearchChanges ? await prepareSearchEntries() : [];
+
+      const db = await dbPromise;
+      const storeNames = [STORES.SESSIONS, STORES.META];
+      if (hasSearchChanges) storeNames.push(STORES.SEARCH);
+      if (hasTemplateChanges) storeNames.push(STORES.TEMPLATES);
+      const tx = db.transaction(storeNames, 'readwrite');
+
+      if (hasMetaChanges) {
+        const metaStore = tx.objectStore(STORES.META);
+        metaStore.put({ id: 'sessionOrder', val: appState.sessionOrder });
+        metaStore.put({ id: 'currentSessionId', val: appState.currentSessionId });
+        metaStore.put(snapshotsRecord);
+        metaStore.put({ id: 'activeSnapshotId', val: appState.activeSnapshotId });
+      }
+
+      if (sessionRecords.length) {
+        const sessionStore = tx.objectStore(STORES.SESSIONS);
+        sessionRecords.forEach(record => sessionStore.put(record));
+      }
+
+      if (hasSearchChanges) writeSearchEntries(tx, searchEntries);
+      if (hasTemplateChanges) writeTemplateRecords(tx);
     }
 
   } catch (e) {
@@ -859,11 +2104,7 @@ export async function saveState() {
     toast.error(USER_ERROR_MESSAGES.STORAGE_SAVE_FAILED);
   }
 
-  const settingsPayload = {
-    templates: appState.templates,
-    settings: appState.settings
-  };
-  chrome.storage.sync.set({ [SYNC_KEY]: settingsPayload });
+  chrome.storage.sync.set({ [SYNC_KEY]: buildSyncPayload() });
 }
 
 /**
@@ -876,6 +2117,13 @@ export async function saveState() {
 let saveTimeout = null;
 let saveMutex = Promise.resolve(); // Mutex for serializing all saves
 
+/**
+ * @returns {boolean} Whether saveState() has anything to write
+ */
+function hasPendingWrites() {
+  return dirtySessions.size > 0 || metaDirty || templatesDirty || pendingSearchEntries.size > 0;
+}
+
 export function scheduleSaveState() {
   if (saveTimeout) return;
 
@@ -884,7 +2132,7 @@ export function scheduleSaveState() {
     // Chain onto mutex to ensure serialization with any in-flight saves
     saveMutex = saveMutex
       .then(async () => {
-        if (dirtySessions.size > 0 || metaDirty) {
+        if (hasPendingWrites()) {
           await saveState();
         }
       })
@@ -910,7 +2158,7 @@ export async function flushSaveState() {
 
   // Chain onto mutex: wait for in-flight save, then run ours exclusively
   const flushPromise = saveMutex.then(async () => {
-    if (dirtySessions.size > 0 || metaDirty) {
+    if (hasPendingWrites()) {
       await saveState();
     }
   });
@@ -1016,6 +2264,107 @@ export function getActiveSnapshot() {
   return getContextSnapshotById(appState.activeSnapshotId);
 }
 
+/** @returns {number[]} Tabs picked for multi-tab context (empty = active tab) */
+export function getContextTabIds() {
+  return appState.contextTabIds.slice();
+}
+
+/**
+ * Set the tabs used for multi-tab context (empty array returns to the active tab)
+ * @param {number[]} ids - Tab ids
+ */
+export function setContextTabIds(ids = []) {
+  appState.contextTabIds = [...new Set(ids)].filter(Number.isInteger);
+}
+
+// --- DATA MIGRATIONS ---
+//
+// Ordered data steps for runDataMigrations() (core/migrations.js). Each gets
+// the loaded, decrypted sessions and returns the ids of sessions it changed;
+// runDataStep() saves those together with the step's version. Append new
+// steps with the next version; never renumber or remove shipped ones.
+
+const LEGACY_SYSTEM_PROMPT = 'You are a helpful, concise assistant.';
+
+const DATA_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Replace the old concise default system prompt',
+    async migrate() {
+      if (appState.settings.systemPrompt !== LEGACY_SYSTEM_PROMPT) return [];
+      appState.settings.systemPrompt = DEFAULT_SETTINGS.systemPrompt;
+      await chrome.storage.sync.set({ [SYNC_KEY]: { settings: appState.settings, templates: appState.templates } });
+      return [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Move attachment payloads out of message bodies',
+    async migrate(sessions) {
+      const changedIds = [];
+      const writes = [];
+      sessions.forEach((session) => {
+        if (!Array.isArray(session.messages)) return;
+        const { changed, attachmentPromises } = extractSessionAttachments(session);
+        if (changed) changedIds.push(session.id);
+        writes.push(...attachmentPromises);
+      });
+      // A failed write leaves the step unrecorded, so it runs again next load
+      await Promise.all(writes);
+      return changedIds;
+    }
+  },
+  {
+    version: 3,
+    description: 'Turn linear message lists into message trees',
+    async migrate(sessions) {
+      return sessions
+        .filter(session => Array.isArray(session.messages) && ensureMessageTree(session))
+        .map(session => session.id);
+    }
+  },
+  {
+    version: 4,
+    description: 'Move templates from sync storage into the template store',
+    async migrate() {
+      // loadState() read the store first, so this rewrites what is there,
+      // or stores the templates it found in sync storage
+      const db = await dbPromise;
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(STORES.TEMPLATES, 'readwrite');
+        writeTemplateRecords(tx);
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+      });
+      await chrome.storage.sync.set({ [SYNC_KEY]: buildSyncPayload() });
+      return [];
+    }
+  }
+];
+
+/**
+ * Run one data step and save its sessions with its version in one transaction
+ * @param {object} step - Entry of DATA_MIGRATIONS
+ * @param {object[]} sessions - Loaded sessions (migrated in place)
+ * @returns {Promise<void>}
+ */
+async function runDataStep(step, sessions) {
+  const changedIds = new Set(await step.migrate(sessions));
+  const records = await Promise.all(sessions
+    .filter(session => changedIds.has(session.id))
+    .map(sealSessionRecord));
+
+  const db = await dbPromise;
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction([STORES.SESSIONS, STORES.META], 'readwrite');
+    const sessionStore = tx.objectStore(STORES.SESSIONS);
+    records.forEach(record => sessionStore.put(record));
+    tx.objectStore(STORES.META).put({ id: 'dataVersion', val: step.version });
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
 /**
  * Load state from IndexedDB and chrome.storage
  * Uses lazy loading for session data when enabled
@@ -1031,21 +2380,35 @@ export async function loadState() {
 
     if (syncData[SYNC_KEY]) {
       appState.settings = { ...appState.settings, ...syncData[SYNC_KEY].settings };
-
-      // Migration: Update old "concise" system prompt to new "detailed" default
-      if (appState.settings.systemPrompt === 'You are a helpful, concise assistant.') {
-        appState.settings.systemPrompt = DEFAULT_SETTINGS.systemPrompt;
-        // Save the migrated settings
-        await chrome.storage.sync.set({ [SYNC_KEY]: { settings: appState.settings, templates: appState.templates } });
+      // Older builds kept whole templates in sync storage (data step 4 moves them);
+      // mark them dirty so any save also stores them before the sync copy is replaced
+      if (Array.isArray(syncData[SYNC_KEY].templates)) {
+        appState.templates = syncData[SYNC_KEY].templates;
+        markTemplatesDirty();
+      }
+      if (Array.isArray(syncData[SYNC_KEY].templateIndex)) {
+        syncedTemplateIndex = syncData[SYNC_KEY].templateIndex
+          .filter(entry => typeof entry?.id === 'string')
+          .map(entry => ({ id: entry.id, label: String(entry.label || ''), version: Number(entry.version) || 1 }));
       }
-
-      if (syncData[SYNC_KEY].templates) appState.templates = syncData[SYNC_KEY].templates;
     }
 
     if (sessionData[SESSION_KEY]) {
       appState.contextDraft = sessionData[SESSION_KEY];
     }
 
+    // Encrypted history stays unread until unlockHistory() gets the passphrase
+    const encryption = await dbOp(STORES.META, 'readonly', store => store.get('encryption'));
+    vaultConfig = encryption?.val || null;
+
+    // Templates are not encrypted, so they load even while history is locked
+    const templateRecords = await dbOp(STORES.TEMPLATES, 'readonly', store => store.getAll());
+    if (templateRecords?.length) {
+      appState.templates = templatesFromRecords(templateRecords);
+      templatesDirty = false;
+    }
+    if (isLocked()) return appState;
+
     const tx = db.transaction([STORES.SESSIONS, STORES.META], 'readonly');
 
     // Helper to promise-ify requests manually since we are inside a transaction
@@ -1055,6 +2418,12 @@ export async function loadState() {
        req.onerror = () => r(null);
     });
 
+    const getRaw = (store, key) => new Promise(r => {
+       const req = store.get(key);
+       req.onsuccess = () => r(req.result);
+       req.onerror = () => r(null);
+    });
+
     const getAllVal = (store) => new Promise(r => {
         const req = store.getAll();
         req.onsuccess = () => r(req.result);
@@ -1064,15 +2433,26 @@ export async function loadState() {
     const metaStore = tx.objectStore(STORES.META);
     const sessionStore = tx.objectStore(STORES.SESSIONS);
 
-    const [order, currentId, snapshots, activeSnapshotId, sessionsToVerify, allSessions] = await Promise.all([
+    const [order, currentId, snapshotsRecord, activeSnapshotId, sessionsToVerify, searchIndexVersion, dataVersion, storedSessions] = await Promise.all([
         getVal(metaStore, 'sessionOrder'),
         getVal(metaStore, 'currentSessionId'),
-        getVal(metaStore, 'contextSnapshots'),
+        getRaw(metaStore, 'contextSnapshots'),
         getVal(metaStore, 'activeSnapshotId'),
         getVal(metaStore, 'sessionsNeedingAttachmentVerify'),
+        getVal(metaStore, 'searchIndexVersion'),
+        getVal(metaStore, 'dataVersion'),
         getAllVal(sessionStore)
     ]);
 
+    const snapshots = await openMetaRecord(snapshotsRecord);
+    const allSessions = (await Promise.all((storedSessions || []).map(record => openSessionRecord(record)
+      .catch((e) => {
+        console.warn('Skipping unreadable session', record?.id, e);
+        return null;
+      })))).filter(Boolean);
+
+    await runDataMigrations(DATA_MIGRATIONS, dataVersion || 0, step => runDataStep(step, allSessions));
+
     if (order) appState.sessionOrder = order;
     if (currentId) appState.currentSessionId = currentId;
     if (Array.isArray(snapshots)) appState.contextSnapshots = snapshots;
@@ -1087,8 +2467,12 @@ export async function loadState() {
     }
 
     if (allSessions && allSessions.length) {
-      // FIXED: Process normalizations in parallel and AWAIT them to ensure data migration safety
-      const normalizedSessions = await Promise.all(allSessions.map(s => normalizeSession(s)));
+      // Stored shapes are current after the migrations; this only re-links
+      // messages to their tree nodes, which JSON round trips split apart
+      const normalizedSessions = allSessions.map((session) => {
+        if (Array.isArray(session.messages)) ensureMessageTree(session);
+        return session;
+      });
       
       // Verify attachments for sessions that had write failures
       // This cleans up orphaned attachment references
@@ -1125,16 +2509,31 @@ export async function loadState() {
 
       const metaMap = {};
       normalizedSessions.forEach(s => {
-        metaMap[s.id] = {
-          id: s.id,
-          title: s.title,
-          createdAt: s.createdAt,
-          updatedAt: s.updatedAt,
-          messageCount: s.messages?.length || 0
-        };
+        metaMap[s.id] = buildSessionMeta(s);
       });
       appState.sessionMeta = metaMap;
 
+      // Build the message search index once for sessions saved before it
+      // existed; afterwards it is kept current incrementally.
+      if (STORES.SEARCH && searchIndexVersion !== SEARCH_INDEX_VERSION) {
+        normalizedSessions.forEach((session) => {
+          Object.values(session.nodes || {}).forEach(node => queueSearchEntry(session.id, node));
+        });
+        try {
+          const entries = await prepareSearchEntries();
+          await new Promise((resolve, reject) => {
+            const indexTx = db.transaction([STORES.SEARCH, STORES.META], 'readwrite');
+            indexTx.objectStore(STORES.SEARCH).clear();
+            writeSearchEntries(indexTx, entries);
+            indexTx.objectStore(STORES.META).put({ id: 'searchIndexVersion', val: SEARCH_INDEX_VERSION });
+            indexTx.oncomplete = () => resolve();
+            indexTx.onerror = () => reject(indexTx.error);
+          });
+        } catch (e) {
+          console.warn('Failed to build message search index', e);
+        }
+      }
+
       if (shouldLazyLoad) {
         // LAZY MODE: Only load current session's full data
         const currentSession = normalizedSessions.find(s => s.id === currentId);
@@ -1157,6 +2556,172 @@ export async function loadState() {
   return appState;
 }
 
+// ============================================================================
+// CHAT HISTORY ENCRYPTION - lock, unlock and re-key
+// ============================================================================
+
+/**
+ * Unlock encrypted history and load it
+ * @param {string} passphrase - Passphrase entered on the lock screen
+ * @returns {Promise<boolean>} False if the passphrase is wrong
+ */
+export async function unlockHistory(passphrase) {
+  if (!isLocked()) return true;
+  const keys = await verifyPassphrase(passphrase, vaultConfig);
+  if (!keys) return false;
+
+  setVaultKeys(keys);
+  await loadState();
+  return true;
+}
+
+/**
+ * Save pending changes and forget the keys. Decrypted chats are still in
+ * memory afterwards, so callers reload the panel.
+ * @returns {Promise<void>}
+ */
+export async function lockHistory() {
+  if (!isEncrypted()) return;
+  await flushSaveState();
+  setVaultKeys(null);
+}
+
+/**
+ * Run a storage task exclusively on the save mutex, after pending changes
+ * are saved (under the current keys)
+ * @param {Function} task - Async task
+ * @returns {Promise<any>} Task result
+ */
+function runExclusive(task) {
+  if (saveTimeout) {
+    clearTimeout(saveTimeout);
+    saveTimeout = null;
+  }
+
+  const run = saveMutex.then(async () => {
+    if (hasPendingWrites()) {
+      await saveState();
+    }
+    return task();
+  });
+  saveMutex = run.catch(() => {}); // The caller reports the failure
+  return run;
+}
+
+/**
+ * Re-write every session, attachment, archived and search record under a new vault
+ * config (null = plaintext) in one transaction. Everything is decrypted and
+ * re-sealed before the transaction opens; on failure nothing is written and
+ * the previous keys stay active.
+ * @param {object|null} nextConfig - Vault config to switch to
+ * @param {object|null} nextKeys - Matching keys
+ * @returns {Promise<void>}
+ * @throws {Error} VAULT_REKEY_FAILED
+ */
+async function rewriteHistory(nextConfig, nextKeys) {
+  const previous = { config: vaultConfig, keys: getVaultKeys() };
+
+  try {
+    const db = await dbPromise;
+    const [storedSessions, storedAttachments, storedArchived] = await new Promise((resolve, reject) => {
+      const tx = db.transaction([STORES.SESSIONS, STORES.ATTACHMENTS, STORES.ARCHIVED], 'readonly');
+      const sessionsReq = tx.objectStore(STORES.SESSIONS).getAll();
+      const attachmentsReq = tx.objectStore(STORES.ATTACHMENTS).getAll();
+      const archivedReq = tx.objectStore(STORES.ARCHIVED).getAll();
+      tx.oncomplete = () => resolve([sessionsReq.result || [], attachmentsReq.result || [], archivedReq.result || []]);
+      tx.onerror = () => reject(tx.error);
+    });
+
+    const sessions = await Promise.all(storedSessions.map(openSessionRecord));
+    const attachments = await Promise.all(storedAttachments.map(openAttachmentRecord));
+    const archived = await Promise.all(storedArchived.map(openArchivedRecord));
+
+    vaultConfig = nextConfig;
+    setVaultKeys(nextKeys);
+
+    const sessionRecords = await Promise.all(sessions.map(sealSessionRecord));
+    const attachmentRecords = await Promise.all(attachments.map(sealAttachmentRecord));
+    const archivedRecords = await Promise.all(archived.map(sealArchivedRecord));
+    const snapshotsRecord = await sealMetaRecord('contextSnapshots', appState.contextSnapshots);
+    sessions.forEach((session) => {
+      Object.values(session.nodes || {}).forEach(node => queueSearchEntry(session.id, node));
+    });
+    const searchEntries = await prepareSearchEntries();
+
+    await new Promise((resolve, reject) => {
+      const storeNames = [STORES.SESSIONS, STORES.ATTACHMENTS, STORES.ARCHIVED, STORES.SEARCH, STORES.META];
+      const tx = db.transaction(storeNames, 'readwrite');
+      const sessionStore = tx.objectStore(STORES.SESSIONS);
+      const attachmentStore = tx.objectStore(STORES.ATTACHMENTS);
+      const archivedStore = tx.objectStore(STORES.ARCHIVED);
+      const metaStore = tx.objectStore(STORES.META);
+
+      sessionRecords.forEach(record => sessionStore.put(record));
+      attachmentRecords.forEach(record => attachmentStore.put(record));
+      archivedRecords.forEach(record => archivedStore.put(record));
+      tx.objectStore(STORES.SEARCH).clear();
+      writeSearchEntries(tx, searchEntries);
+      metaStore.put(snapshotsRecord);
+      metaStore.put({ id: 'searchIndexVersion', val: SEARCH_INDEX_VERSION });
+      if (nextConfig) {
+        metaStore.put({ id: 'encryption', val: nextConfig });
+      } else {
+        metaStore.delete('encryption');
+      }
+
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } catch (e) {
+    console.warn('Failed to re-encrypt chat history', e);
+    vaultConfig = previous.config;
+    setVaultKeys(previous.keys);
+    throw new Error(USER_ERROR_MESSAGES.VAULT_REKEY_FAILED);
+  }
+}
+
+/**
+ * Turn on encryption: seal all existing history under a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<void>}
+ */
+export async function enableEncryption(passphrase) {
+  if (isEncrypted()) return;
+  const { config, keys } = await createVault(passphrase);
+  await runExclusive(() => rewriteHistory(config, keys));
+}
+
+/**
+ * Re-encrypt all history under a new passphrase (fresh salt and keys)
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} nextPassphrase - New passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} VAULT_WRONG_PASSPHRASE or VAULT_REKEY_FAILED
+ */
+export async function changePassphrase(currentPassphrase, nextPassphrase) {
+  if (!isEncrypted()) return;
+  if (!await verifyPassphrase(currentPassphrase, vaultConfig)) {
+    throw new Error(USER_ERROR_MESSAGES.VAULT_WRONG_PASSPHRASE);
+  }
+  const { config, keys } = await createVault(nextPassphrase);
+  await runExclusive(() => rewriteHistory(config, keys));
+}
+
+/**
+ * Turn off encryption: write all history back as plaintext
+ * @param {string} passphrase - Current passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} VAULT_WRONG_PASSPHRASE or VAULT_REKEY_FAILED
+ */
+export async function disableEncryption(passphrase) {
+  if (!isEncrypted()) return;
+  if (!await verifyPassphrase(passphrase, vaultConfig)) {
+    throw new Error(USER_ERROR_MESSAGES.VAULT_WRONG_PASSPHRASE);
+  }
+  await runExclusive(() => rewriteHistory(null, null));
+}
+
 /**
  * Add an attachment to the current attachments list
  * @param {{name: string, type: string, data: string}} entry - Attachment object
@@ -1195,4 +2760,5 @@ export function removePendingAttachment(index) {
  */
 export function updateSettings(patch) {
   appState.settings = { ...appState.settings, ...patch };
+  markMetaDirty(); // Settings are written by saveState, which skips clean state
 }
\ No newline at end of file
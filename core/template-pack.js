@@ -0,0 +1,184 @@
+/**
+ * Template Packs - shareable JSON files of prompt templates
+ *
+ * A pack is one versioned JSON document:
+ *   { format, version, exportedAt, templates }
+ * where each template is
+ *   { id, label, text, category, version, author, outputSchema?, overrides?, command? }.
+ * Ids survive the round trip, so importing a newer copy of a shared pack
+ * finds the local templates it came from; the per-template version tells
+ * which copy is newer.
+ */
+
+import {
+  BLANK_TEMPLATE_ID,
+  TEMPLATE_PACK,
+  USER_ERROR_MESSAGES
+} from '../config/constants.js';
+import { getTemplates, mergeTemplates } from './storage.js';
+import { checkOutputSchema } from '../utils/structured-output.js';
+import { normalizeTemplateOverrides } from '../utils/template-overrides.js';
+import { normalizeCommandName, checkTemplateCommand } from '../utils/slash-commands.js';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {unknown} value - Optional short text field (category, author)
+ * @returns {string} Trimmed and clamped text, or ''
+ */
+function readField(value) {
+  return typeof value === 'string' ? value.trim().slice(0, TEMPLATE_PACK.MAX_FIELD_LENGTH) : '';
+}
+
+/**
+ * @param {object} template - Local template
+ * @returns {object} Pack entry (JSON-safe)
+ */
+function toPackEntry(template) {
+  const entry = {
+    id: template.id,
+    label: template.label,
+    text: template.text || '',
+    category: template.category || '',
+    version: template.version || 1,
+    author: template.author || ''
+  };
+  if (template.outputSchema) entry.outputSchema = template.outputSchema;
+  if (template.overrides) entry.overrides = template.overrides;
+  if (template.command) entry.command = template.command;
+  return entry;
+}
+
+/**
+ * @param {object} entry - Pack entry
+ * @returns {object|null} Template, or null if malformed
+ */
+function readPackEntry(entry) {
+  if (!isObject(entry) || typeof entry.id !== 'string' || !entry.id || entry.id === BLANK_TEMPLATE_ID) return null;
+  if (typeof entry.label !== 'string' || !entry.label.trim() || typeof entry.text !== 'string') return null;
+
+  const template = {
+    id: entry.id,
+    label: entry.label.trim().slice(0, TEMPLATE_PACK.MAX_LABEL_LENGTH),
+    text: entry.text.trim(),
+    version: Number.isInteger(entry.version) && entry.version > 0 ? entry.version : 1
+  };
+  const category = readField(entry.category);
+  if (category) template.category = category;
+  const author = readField(entry.author);
+  if (author) template.author = author;
+
+  if (entry.outputSchema !== undefined && entry.outputSchema !== null) {
+    // A template whose answer format can't be used is left out entirely
+    if (checkOutputSchema(entry.outputSchema)) return null;
+    template.outputSchema = entry.outputSchema;
+  }
+  // Unusable model settings are dropped; the template still works with the defaults
+  const overrides = normalizeTemplateOverrides(entry.overrides);
+  if (overrides) template.overrides = overrides;
+  // Slash command names that clash with a local template are fine: the first one in the menu wins
+  const command = normalizeCommandName(entry.command);
+  if (command && !checkTemplateCommand(command)) template.command = command;
+  return template;
+}
+
+/**
+ * @param {object} a - Template
+ * @param {object} b - Template
+ * @returns {boolean} Whether both say the same thing (ignoring version and author)
+ */
+function sameContent(a, b) {
+  return a.label === b.label &&
+    (a.text || '') === (b.text || '') &&
+    (a.category || '') === (b.category || '') &&
+    JSON.stringify(a.outputSchema || null) === JSON.stringify(b.outputSchema || null) &&
+    JSON.stringify(a.overrides || null) === JSON.stringify(b.overrides || null) &&
+    (a.command || '') === (b.command || '');
+}
+
+/**
+ * Build a pack of some templates
+ * @param {string[]} ids - Templates to include, in menu order
+ * @returns {object} Template pack (JSON-safe)
+ */
+export function buildTemplatePack(ids = []) {
+  const wanted = new Set(ids);
+  return {
+    format: TEMPLATE_PACK.FORMAT,
+    version: TEMPLATE_PACK.VERSION,
+    exportedAt: Date.now(),
+    templates: getTemplates()
+      .filter(t => t.id !== BLANK_TEMPLATE_ID && wanted.has(t.id))
+      .map(toPackEntry)
+  };
+}
+
+/**
+ * Parse and validate template pack file contents.
+ * Malformed templates and repeated ids are dropped; a wrong format, a newer
+ * version or no usable template rejects the whole file.
+ * @param {string} text - File contents
+ * @returns {{templates: object[], skipped: number}}
+ * @throws {Error} With a user-facing message
+ */
+export function parseTemplatePack(text) {
+  let pack;
+  try {
+    pack = JSON.parse(text);
+  } catch (e) {
+    throw new Error(USER_ERROR_MESSAGES.TEMPLATE_PACK_INVALID);
+  }
+
+  if (!isObject(pack) || pack.format !== TEMPLATE_PACK.FORMAT ||
+      !Number.isInteger(pack.version) || !Array.isArray(pack.templates)) {
+    throw new Error(USER_ERROR_MESSAGES.TEMPLATE_PACK_INVALID);
+  }
+  if (pack.version > TEMPLATE_PACK.VERSION) {
+    throw new Error(USER_ERROR_MESSAGES.TEMPLATE_PACK_TOO_NEW);
+  }
+
+  const seen = new Set();
+  const templates = pack.templates
+    .slice(0, TEMPLATE_PACK.MAX_TEMPLATES)
+    .map(readPackEntry)
+    .filter((template) => {
+      if (!template || seen.has(template.id)) return false;
+      seen.add(template.id);
+      return true;
+    });
+  if (!templates.length) {
+    throw new Error(USER_ERROR_MESSAGES.TEMPLATE_PACK_EMPTY);
+  }
+
+  return { templates, skipped: pack.templates.length - templates.length };
+}
+
+/**
+ * Find pack templates whose id exists locally with different content
+ * @param {object[]} templates - Parsed pack templates
+ * @returns {Array<{incoming: object, local: object, suggested: 'keep'|'replace'}>}
+ *   suggested is 'replace' when the incoming copy has the higher version
+ */
+export function findTemplateConflicts(templates = []) {
+  const local = new Map(getTemplates().map(t => [t.id, t]));
+  return templates
+    .filter(incoming => local.has(incoming.id) && !sameContent(incoming, local.get(incoming.id)))
+    .map((incoming) => {
+      const existing = local.get(incoming.id);
+      return {
+        incoming,
+        local: existing,
+        suggested: incoming.version > (existing.version || 1) ? 'replace' : 'keep'
+      };
+    });
+}
+
+/**
+ * Merge a parsed pack into local templates (caller persists and re-renders)
+ * @param {ReturnType<typeof parseTemplatePack>} data - Parsed pack
+ * @param {Object<string, 'keep'|'replace'|'both'>} choices - Resolution per conflicting id
+ * @returns {{added: number, replaced: number, kept: number, skipped: number}}
+ */
+export function importTemplatePack(data, choices = {}) {
+  return { ...mergeTemplates(data.templates, choices), skipped: data.skipped };
+}
@@ -0,0 +1,148 @@
+/**
+ * Vault - optional passphrase encryption of chat history at rest
+ *
+ * Keys are derived from the passphrase with PBKDF2 (SHA-256) and are held in
+ * memory only, so closing or idle-locking the panel forgets them. Records are
+ * sealed with AES-GCM under a fresh 96-bit IV each time. A second derived key
+ * (HMAC) turns search terms into opaque tokens so the message search index
+ * holds no plaintext either.
+ *
+ * This module knows nothing about IndexedDB; core/storage.js decides which
+ * records are sealed.
+ */
+
+import { VAULT } from '../config/constants.js';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+let vaultKeys = null; // { aes: CryptoKey, hmac: CryptoKey } while unlocked
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Derive the AES-GCM and HMAC keys for a passphrase (non-extractable)
+ * @param {string} passphrase - User passphrase
+ * @param {{salt: string, iterations: number}} config - Vault config
+ * @returns {Promise<{aes: CryptoKey, hmac: CryptoKey}>}
+ */
+async function deriveKeys(passphrase, { salt, iterations }) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+  const bits = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(salt), iterations },
+    material,
+    512
+  ));
+
+  const [aes, hmac] = await Promise.all([
+    crypto.subtle.importKey('raw', bits.slice(0, 32), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']),
+    crypto.subtle.importKey('raw', bits.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  ]);
+  return { aes, hmac };
+}
+
+/**
+ * Encrypt raw bytes
+ * @param {ArrayBuffer|Uint8Array} bytes - Plaintext
+ * @param {{aes: CryptoKey}} [keys] - Keys to use (default: unlocked vault)
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>} Sealed payload (IndexedDB-storable)
+ */
+export async function sealBytes(bytes, keys = vaultKeys) {
+  if (!keys) throw new Error('Chat history is locked');
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keys.aes, bytes);
+  return { iv, data };
+}
+
+/**
+ * Decrypt bytes sealed by sealBytes()
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} sealed - Sealed payload
+ * @param {{aes: CryptoKey}} [keys] - Keys to use (default: unlocked vault)
+ * @returns {Promise<ArrayBuffer>} Plaintext
+ * @throws {Error} When the key is wrong or the data was tampered with
+ */
+export async function openBytes(sealed, keys = vaultKeys) {
+  if (!keys) throw new Error('Chat history is locked');
+  return crypto.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, keys.aes, sealed.data);
+}
+
+/**
+ * Encrypt a JSON-serializable value
+ * @param {*} value - Value to seal
+ * @param {object} [keys] - Keys to use (default: unlocked vault)
+ * @returns {Promise<{iv: Uint8Array, data: ArrayBuffer}>}
+ */
+export async function seal(value, keys = vaultKeys) {
+  return sealBytes(encoder.encode(JSON.stringify(value)), keys);
+}
+
+/**
+ * Decrypt a value sealed by seal()
+ * @param {{iv: Uint8Array, data: ArrayBuffer}} sealed - Sealed payload
+ * @param {object} [keys] - Keys to use (default: unlocked vault)
+ * @returns {Promise<*>} Original value
+ */
+export async function open(sealed, keys = vaultKeys) {
+  return JSON.parse(decoder.decode(await openBytes(sealed, keys)));
+}
+
+/**
+ * Turn a search term into an opaque, deterministic token
+ * @param {string} term - Normalized search term
+ * @param {{hmac: CryptoKey}} [keys] - Keys to use (default: unlocked vault)
+ * @returns {Promise<string>} Token (same term + key -> same token)
+ */
+export async function blindTerm(term, keys = vaultKeys) {
+  if (!keys) throw new Error('Chat history is locked');
+  const signature = await crypto.subtle.sign('HMAC', keys.hmac, encoder.encode(term));
+  return toBase64(new Uint8Array(signature).slice(0, VAULT.TERM_TOKEN_BYTES));
+}
+
+/**
+ * Create a vault config (salt, iteration count, passphrase check) and keys
+ * @param {string} passphrase - New passphrase
+ * @returns {Promise<{config: object, keys: object}>}
+ */
+export async function createVault(passphrase) {
+  const config = {
+    version: VAULT.VERSION,
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+    iterations: VAULT.PBKDF2_ITERATIONS
+  };
+  const keys = await deriveKeys(passphrase, config);
+  config.check = await seal(VAULT.CHECK_VALUE, keys);
+  return { config, keys };
+}
+
+/**
+ * Derive keys for a passphrase and verify them against the vault config
+ * @param {string} passphrase - Passphrase to try
+ * @param {object} config - Stored vault config
+ * @returns {Promise<object|null>} Keys, or null if the passphrase is wrong
+ */
+export async function verifyPassphrase(passphrase, config) {
+  const keys = await deriveKeys(passphrase, config);
+  try {
+    return (await open(config.check, keys)) === VAULT.CHECK_VALUE ? keys : null;
+  } catch {
+    return null;
+  }
+}
+
+/** @param {object|null} keys - Keys to hold in memory (null forgets them) */
+export function setVaultKeys(keys) {
+  vaultKeys = keys;
+}
+
+/** @returns {object|null} Keys of the unlocked vault */
+export function getVaultKeys() {
+  return vaultKeys;
+}
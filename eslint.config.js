@@ -20,6 +20,8 @@ export default [
         LanguageDetector: "readonly",
         Summarizer: "readonly",
         Rewriter: "readonly",
+        Writer: "readonly",
+        Proofreader: "readonly",
         // PDF.js globals
         pdfjsLib: "readonly",
         // Project globals (exported from modules)
@@ -106,6 +108,15 @@ export default [
       "space-infix-ops": "warn"
     }
   },
+  {
+    // Tests run in Node (node:test) with a jsdom window
+    files: ["test/**/*.js"],
+    languageOptions: {
+      globals: {
+        ...globals.node
+      }
+    }
+  },
   {
     // File-specific overrides for ui/core.js
     // Allow intentional omission of stop button disable in restricted state
@@ -0,0 +1,105 @@
+/**
+ * Archive Handlers - Session export/import event handlers
+ *
+ * Export one chat, a selection or everything as a JSON archive from the
+ * Data tab in settings, and import such an archive back.
+ */
+
+import * as Controller from '../controller/controller.js';
+import * as Model from '../core/model.js';
+import { USER_ERROR_MESSAGES } from '../config/constants.js';
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word}s`}`;
+}
+
+/**
+ * Export a set of sessions and report the result
+ * @param {string[]|null} ids - Sessions to export (null = everything)
+ * @returns {Promise<void>}
+ */
+async function exportSessions(ids) {
+  try {
+    const count = await Controller.exportArchive(ids);
+    Controller.showToast('success', `Exported ${plural(count, 'chat')}`);
+  } catch (e) {
+    console.error('Archive export failed', e);
+    Controller.showToast('error', 'Could not export chats.');
+  }
+}
+
+/**
+ * Handle This chat button click
+ * @returns {Promise<void>}
+ */
+export async function handleExportCurrentClick() {
+  await exportSessions([Controller.getCurrentSessionId()]);
+}
+
+/**
+ * Handle Everything button click
+ * @returns {Promise<void>}
+ */
+export async function handleExportAllClick() {
+  await exportSessions(null);
+}
+
+/**
+ * Handle Choose chats button click - open (or close) the session picker
+ */
+export function handleChooseExportClick() {
+  const open = !Controller.isArchivePickerOpen();
+  if (open) Controller.renderArchiveSessionList();
+  Controller.setArchivePickerOpen(open);
+}
+
+/**
+ * Handle Export selected button click
+ * @returns {Promise<void>}
+ */
+export async function handleExportPickedClick() {
+  const ids = Controller.getPickedArchiveSessionIds();
+  if (!ids.length) {
+    Controller.showToast('error', 'Tick at least one chat.');
+    return;
+  }
+  await exportSessions(ids);
+  Controller.setArchivePickerOpen(false);
+}
+
+/**
+ * Handle Import archive button click
+ */
+export function handleImportArchiveClick() {
+  Controller.openArchiveFilePicker();
+}
+
+/**
+ * Handle archive file selection - import and summarize what changed
+ * @param {Event} event - Change event from the file input
+ * @returns {Promise<void>}
+ */
+export async function handleArchiveFileChange(event) {
+  const input = event.target;
+  const file = input.files?.[0];
+  input.value = ''; // Allow picking the same file again
+  if (!file) return;
+
+  try {
+    const result = await Controller.importArchiveFile(file);
+    // Merged sessions may have a different active path now
+    Model.resetModel();
+
+    const parts = [plural(result.added, 'new chat')];
+    if (result.merged) parts.push(`${result.merged} merged`);
+    Controller.showToast('success', `Imported ${parts.join(', ')}`);
+
+    if (result.skipped) {
+      Controller.showToast('warning', `${plural(result.skipped, 'damaged chat')} skipped`);
+    }
+  } catch (e) {
+    console.error('Archive import failed', e);
+    const known = Object.values(USER_ERROR_MESSAGES).includes(e.message);
+    Controller.showToast('error', known ? e.message : 'Could not import the archive.');
+  }
+}
@@ -12,11 +12,13 @@ import * as Controller from '../controller/controller.js';
 import * as Model from '../core/model.js';
 import * as Storage from '../core/storage.js';
 import * as UI from '../ui/index.js';
-import { fetchContext } from '../core/context.js';
+import { fetchContext, sendPageAction } from '../core/context.js';
 import { debounce } from '../utils/utils.js';
+import { getCodeFileExtension } from '../utils/highlight.js';
 import {
   TIMING,
   UI_MESSAGES,
+  USER_ERROR_MESSAGES,
   getSettingOrDefault
 } from '../config/constants.js';
 import { registerContextMenuHandlers } from './context-menu-handlers.js';
@@ -26,14 +28,29 @@ import { getModelStatusSummary } from '../core/setup-guide.js';
 export * from './session-handlers.js';
 export * from './template-handlers.js';
 export * from './snapshot-handlers.js';
+export * from './tab-context-handlers.js';
+export * from './archive-handlers.js';
+export * from './template-pack-handlers.js';
+export * from './vault-handlers.js';
+export * from './retention-handlers.js';
 export * from './voice-handlers.js';
 export * from './prompt-handlers.js';
+export * from './command-handlers.js';
+export * from './shortcut-handlers.js';
 
 // Import for local use
 import { isTemplateEditingActive, cancelTemplateEdit } from './template-handlers.js';
 import { isSessionEditingActive, cancelInlineRename } from './session-handlers.js';
 import { handleMicClick } from './voice-handlers.js';
-import { refreshContextDraft, handleAskClick } from './prompt-handlers.js';
+import { startIdleLock } from './vault-handlers.js';
+import { handleCommandKeyDown, handlePromptSubmit } from './command-handlers.js';
+import { handlePanelShortcut } from './shortcut-handlers.js';
+import {
+  refreshContextDraft,
+  handleAskClick,
+  handleRegenerate,
+  resendFromMessage
+} from './prompt-handlers.js';
 
 let tabListenersAttached = false;
 
@@ -79,6 +96,21 @@ export async function bootstrap() {
 
   Controller.applyTheme(getSettingOrDefault(Storage.getSettings(), 'theme'));
 
+  // Encrypted history: the rest of startup waits for the passphrase
+  if (Controller.isHistoryLocked()) {
+    Controller.setVaultLockScreen(true);
+    return;
+  }
+
+  startPanel();
+}
+
+/**
+ * Render the loaded state and start syncing with the active tab
+ */
+function startPanel() {
+  startIdleLock();
+
   Controller.setSessionSearchTerm(Controller.getSessionSearchTerm());
 
   // Initialize templates UI
@@ -89,6 +121,8 @@ export async function bootstrap() {
   UI.renderPendingAttachments(Storage.getPendingAttachments());
   Controller.renderCurrentLog();
   Controller.renderContextUI();
+  // Age limits apply even on days no chat is created
+  Controller.enforceRetention().catch(e => console.warn('Retention policy failed', e));
 
   const urlParams = new URLSearchParams(window.location.search);
   if (urlParams.get('mic_setup') === 'true') {
@@ -102,6 +136,35 @@ export async function bootstrap() {
   chrome.runtime.sendMessage({ action: 'PANEL_READY' });
 }
 
+/**
+ * Handle lock screen submit - unlock the history and finish startup
+ * @param {SubmitEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleVaultUnlockSubmit(event) {
+  event.preventDefault();
+  const passphrase = Controller.getVaultUnlockPassphrase();
+  if (!passphrase) return;
+
+  Controller.setVaultUnlockBusy(true);
+  let unlocked = false;
+  try {
+    unlocked = await Controller.unlockChatHistory(passphrase);
+  } catch (e) {
+    console.error('Unlock failed', e);
+  } finally {
+    Controller.setVaultUnlockBusy(false);
+  }
+
+  if (!unlocked) {
+    Controller.setVaultUnlockError(USER_ERROR_MESSAGES.VAULT_WRONG_PASSPHRASE);
+    return;
+  }
+
+  Controller.setVaultLockScreen(false);
+  startPanel();
+}
+
 /**
  * Handle Copy Chat button click
  * @returns {Promise<void>}
@@ -127,13 +190,14 @@ export function handleSaveMarkdown() {
 }
 
 /**
- * Handle Enter key in input field
+ * Handle Enter key in input field (slash command suggestions get keys first)
  * @param {KeyboardEvent} event - Keyboard event
  */
 export function handleInputKeyDown(event) {
+  if (handleCommandKeyDown(event)) return;
   if (event.key === 'Enter' && !event.shiftKey) {
     event.preventDefault();
-    handleAskClick();
+    handlePromptSubmit();
   }
 }
 
@@ -156,6 +220,7 @@ export function handleDocumentKeyDown(event) {
     if (Controller.isModalOpen()) Controller.closeModal();
     return;
   }
+  if (handlePanelShortcut(event)) return;
   if (event.key === 'Tab') {
     const container = Controller.getTrapContainer();
     Controller.trapFocus(event, container);
@@ -190,7 +255,7 @@ export function handleModalClick(event) {
 }
 
 /**
- * Handle message bubble actions (copy, speak)
+ * Handle message bubble actions (copy, speak) and code block toolbars
  * @param {MouseEvent} event - Click event
  * @returns {Promise<void>}
  */
@@ -198,6 +263,12 @@ export async function handleLogClick(event) {
   const btn = event.target.closest('button');
   if (!btn) return;
 
+  const codeBlock = btn.closest('.code-block');
+  if (codeBlock) {
+    await handleCodeBlockAction(btn, codeBlock);
+    return;
+  }
+
   const idx = btn.dataset.idx;
   const session = Controller.getCurrentSession();
 
@@ -216,6 +287,29 @@ export async function handleLogClick(event) {
         onError: () => Controller.setStopEnabled(false)
       });
     }
+  } else if (btn.classList.contains('regenerate')) {
+    await handleRegenerate(Number(idx));
+  } else if (btn.classList.contains('branch-prev') || btn.classList.contains('branch-next')) {
+    if (Model.isGenerating()) {
+      Controller.showToast('warning', UI_MESSAGES.WAIT_FOR_RESPONSE);
+      return;
+    }
+    const offset = btn.classList.contains('branch-next') ? 1 : -1;
+    if (Controller.switchMessageBranch(session.id, Number(idx), offset)) {
+      // The live model session holds the old branch's turns
+      Model.resetModel(session.id);
+    }
+  } else if (btn.classList.contains('fork')) {
+    await Controller.forkSessionAt(session.id, Number(idx));
+  } else if (btn.classList.contains('msg-edit')) {
+    const msg = session.messages[idx];
+    if (msg) Controller.showMessageEditor(Number(idx), msg.text);
+  } else if (btn.classList.contains('msg-edit-save')) {
+    await submitMessageEdit(btn.closest('.msg-edit-form'), Number(idx));
+  } else if (btn.classList.contains('msg-edit-cancel')) {
+    Controller.hideMessageEditor(Number(idx));
+  } else if (btn.classList.contains('citation-chip')) {
+    await showCitation(session.messages[idx], Number(btn.dataset.n));
   } else if (btn.classList.contains('smart-reply-btn')) {
     const reply = btn.dataset.reply;
     if (reply) {
@@ -226,12 +320,72 @@ export async function handleLogClick(event) {
 }
 
 /**
- * Handle stop button click - cancel generation/speech
+ * Copy, wrap or save one code block of a message
+ * @param {HTMLButtonElement} btn - Toolbar button
+ * @param {HTMLElement} block - .code-block element
+ */
+async function handleCodeBlockAction(btn, block) {
+  const code = block.querySelector('pre')?.textContent ?? '';
+  if (btn.classList.contains('code-copy')) {
+    await navigator.clipboard.writeText(code);
+    Controller.showToast('success', 'Code copied');
+  } else if (btn.classList.contains('code-wrap')) {
+    Controller.toggleCodeWrap(block);
+  } else if (btn.classList.contains('code-save')) {
+    const blob = new Blob([code], { type: 'text/plain' });
+    Controller.downloadBlob(blob, `code-${Date.now()}.${getCodeFileExtension(block.dataset.lang)}`);
+  }
+}
+
+/**
+ * Scroll to and highlight a cited passage on the tab it came from
+ * @param {object} msg - AI message carrying `citations`
+ * @param {number} n - Citation number
+ */
+async function showCitation(msg, n) {
+  const citation = msg?.citations?.find(c => c.n === n);
+  if (!citation) return;
+  try {
+    const result = await sendPageAction('HIGHLIGHT_PASSAGE', { text: citation.text }, { tabId: citation.tabId });
+    if (!result.found) Controller.showToast('warning', UI_MESSAGES.PASSAGE_NOT_FOUND);
+  } catch (e) {
+    Controller.showToast('error', e.message);
+  }
+}
+
+/**
+ * Resend an edited user message from its inline editor
+ * @param {HTMLElement} form - Editor form element
+ * @param {number} idx - Message index being edited
  */
-export function handleStopClick() {
-  Model.cancelGeneration();
-  Model.stopSpeech();
-  Controller.setStopEnabled(false);
+async function submitMessageEdit(form, idx) {
+  const text = form?.querySelector('.msg-edit-text')?.value.trim();
+  if (!text) {
+    Controller.showToast('warning', 'Message cannot be empty');
+    return;
+  }
+  Controller.hideMessageEditor(idx);
+  await resendFromMessage(idx, text);
+}
+
+/**
+ * Handle keyboard shortcuts inside the inline message editor
+ * Enter sends, Shift+Enter inserts a newline, Escape cancels.
+ * @param {KeyboardEvent} event - Keydown event
+ */
+export async function handleLogKeyDown(event) {
+  const textarea = event.target.closest('.msg-edit-text');
+  if (!textarea) return;
+
+  const idx = Number(textarea.dataset.idx);
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    event.stopPropagation();
+    Controller.hideMessageEditor(idx);
+  } else if (event.key === 'Enter' && !event.shiftKey) {
+    event.preventDefault();
+    await submitMessageEdit(textarea.closest('.msg-edit-form'), idx);
+  }
 }
 
 /**
@@ -0,0 +1,339 @@
+/**
+ * Command Handlers - Slash commands typed in the prompt input
+ *
+ * `/summarize`, `/translate`, `/rewrite`, `/snapshot save`, `/new` and
+ * `/tpl` dispatch to the existing handlers, and a template with a `command`
+ * adds its own `/name`. While a command is being typed, a palette above the
+ * input suggests completions.
+ */
+
+import * as Controller from '../controller/controller.js';
+import {
+  BLANK_TEMPLATE_ID,
+  LANGUAGE_NAMES,
+  REWRITER_TONE_LABELS,
+  SLASH_COMMANDS
+} from '../config/constants.js';
+import {
+  parseSlashCommand,
+  splitFirstWord,
+  takeOptionWords,
+  findTemplateByName
+} from '../utils/slash-commands.js';
+import { hasTemplateVariables } from '../utils/template-vars.js';
+import { fetchPageDetails } from '../core/context.js';
+import {
+  handleAskClick,
+  summarizeTab,
+  runSummarizer,
+  runRewriter,
+  runTranslator
+} from './prompt-handlers.js';
+import { handleSaveSnapshotClick } from './snapshot-handlers.js';
+import { handleNewSessionClick } from './session-handlers.js';
+import { useTemplate } from './template-handlers.js';
+
+// Suggestions in the palette and the highlighted one
+let suggestions = [];
+let activeIndex = 0;
+
+/**
+ * @returns {object[]} Templates that can be used from a command (not the blank one)
+ */
+function getUsableTemplates() {
+  return Controller.getTemplates().filter(t => t.id !== BLANK_TEMPLATE_ID);
+}
+
+/**
+ * @param {string} word - Language code or English name, e.g. 'fr' or 'French'
+ * @returns {string|null} Language code
+ */
+function findLanguage(word = '') {
+  const lower = word.toLowerCase();
+  if (LANGUAGE_NAMES[lower]) return lower;
+  return Object.keys(LANGUAGE_NAMES).find(code => LANGUAGE_NAMES[code].toLowerCase() === lower) || null;
+}
+
+/**
+ * Text typed after a command, or else the text selected on the page
+ * @param {string} text - Argument text
+ * @param {string} name - Command name, for the hint
+ * @returns {Promise<string>} '' when there is neither (the user has been told)
+ */
+async function textOrSelection(text, name) {
+  if (text) return text;
+  try {
+    const page = await fetchPageDetails();
+    if (page.selection) return page.selection;
+  } catch (e) {
+    console.warn('Page details fetch failed', e);
+  }
+  Controller.showToast('warning', `Type some text after /${name}, or select some on the page.`);
+  return '';
+}
+
+/**
+ * Put a template to use from a command. Text after the command follows the
+ * template text; a template with variables is sent after it instead.
+ * @param {object} template - Template
+ * @param {string} text - Argument text
+ * @returns {Promise<void>}
+ */
+async function runTemplateCommand(template, text) {
+  if (hasTemplateVariables(template.text)) {
+    Controller.setInputValue(text ? `${text}\n\n` : '');
+    await useTemplate(template);
+    return;
+  }
+  await useTemplate(template);
+  if (text) {
+    const input = Controller.getInputValue();
+    Controller.setInputValue(input ? `${input}\n\n${text}` : text);
+  }
+}
+
+/**
+ * Argument completions for a command's option words
+ * @param {string} name - Command name
+ * @param {Object<string, Object<string, string>>} choices - SLASH_COMMANDS.*_OPTIONS
+ * @param {Object<string, Object<string, string>>} labels - Option name -> value -> description
+ * @returns {Array<{value: string, label: string, description: string}>}
+ */
+function suggestOptionWords(name, choices, labels = {}) {
+  return Object.entries(choices).flatMap(([option, words]) =>
+    Object.entries(words).map(([word, value]) => ({
+      value: `/${name} ${word} `,
+      label: word,
+      description: labels[option]?.[value] || `${option}: ${value}`
+    })));
+}
+
+/**
+ * Built-in commands. `run` gets the argument text; `suggest` lists argument
+ * completions; `ready` commands run as soon as they are picked.
+ */
+const BUILTIN_COMMANDS = {
+  summarize: {
+    suggest: () => suggestOptionWords('summarize', SLASH_COMMANDS.SUMMARIZE_OPTIONS),
+    run(args) {
+      const { options, rest } = takeOptionWords(args, SLASH_COMMANDS.SUMMARIZE_OPTIONS);
+      return rest ? runSummarizer(rest, options) : summarizeTab(options);
+    }
+  },
+  translate: {
+    suggest: () => Object.entries(LANGUAGE_NAMES).map(([code, name]) => ({
+      value: `/translate ${code} `,
+      label: code,
+      description: name
+    })),
+    async run(args) {
+      const [word, rest] = splitFirstWord(args);
+      const language = findLanguage(word);
+      const text = await textOrSelection(language ? rest : args, 'translate');
+      if (text) await runTranslator(text, language);
+    }
+  },
+  rewrite: {
+    suggest: () => suggestOptionWords('rewrite', SLASH_COMMANDS.REWRITE_OPTIONS, { tone: REWRITER_TONE_LABELS }),
+    async run(args) {
+      const { options, rest } = takeOptionWords(args, SLASH_COMMANDS.REWRITE_OPTIONS);
+      const text = await textOrSelection(rest, 'rewrite');
+      if (text) await runRewriter(text, options);
+    }
+  },
+  snapshot: {
+    suggest: () => [{ value: '/snapshot save', label: 'save', description: 'Save the page context', ready: true }],
+    run(args) {
+      if (args.toLowerCase() !== 'save') {
+        Controller.showToast('warning', `Usage: ${SLASH_COMMANDS.BUILTIN.snapshot.usage}`);
+        return;
+      }
+      return handleSaveSnapshotClick();
+    }
+  },
+  new: {
+    ready: true,
+    run: () => handleNewSessionClick()
+  },
+  tpl: {
+    suggest: () => getUsableTemplates().map(t => ({
+      value: `/tpl ${t.command || t.label}`,
+      label: t.label,
+      description: t.command ? `/${t.command}` : (t.category || ''),
+      ready: true
+    })),
+    run(args) {
+      const found = findTemplateByName(getUsableTemplates(), args);
+      if (!found) {
+        Controller.showToast('warning', args ? `No template called "${args}"` : `Usage: ${SLASH_COMMANDS.BUILTIN.tpl.usage}`);
+        return;
+      }
+      return runTemplateCommand(found.template, found.rest);
+    }
+  }
+};
+
+/**
+ * @returns {Array<{name: string, usage: string, description: string, ready?: boolean}>}
+ *   Built-ins, then template commands in menu order
+ */
+function listCommands() {
+  const builtins = Object.entries(SLASH_COMMANDS.BUILTIN).map(([name, info]) => ({
+    name,
+    ...info,
+    ready: Boolean(BUILTIN_COMMANDS[name].ready)
+  }));
+  const templates = getUsableTemplates()
+    .filter(t => t.command && !SLASH_COMMANDS.BUILTIN[t.command])
+    .map(t => ({ name: t.command, usage: `/${t.command} [text]`, description: t.label }));
+  return [...builtins, ...templates];
+}
+
+/**
+ * @param {string} name - Command name
+ * @returns {{run: Function, suggest?: Function}|null} Built-in, else the first template using the name
+ */
+function findCommand(name) {
+  if (BUILTIN_COMMANDS[name]) return BUILTIN_COMMANDS[name];
+  const template = getUsableTemplates().find(t => t.command === name);
+  return template ? { run: text => runTemplateCommand(template, text) } : null;
+}
+
+/**
+ * Completions for the input: command names while the name is being typed,
+ * then the command's own argument suggestions
+ * @param {string} input - Prompt input
+ * @returns {Array<{value: string, label: string, description: string, ready?: boolean}>}
+ */
+function getSuggestions(input) {
+  if (!input.startsWith('/') || input.includes('\n')) return [];
+
+  const lower = input.toLowerCase();
+  const nameEnd = input.search(/\s/);
+  const items = nameEnd === -1
+    ? listCommands().map(command => ({
+      value: command.ready ? `/${command.name}` : `/${command.name} `,
+      label: command.usage,
+      description: command.description,
+      ready: command.ready
+    }))
+    : (findCommand(lower.slice(1, nameEnd))?.suggest?.() || []);
+
+  // Only what the input can still grow into
+  return items
+    .filter(item => item.value !== input && item.value.toLowerCase().startsWith(lower))
+    .slice(0, SLASH_COMMANDS.MAX_SUGGESTIONS);
+}
+
+function showSuggestions(items) {
+  suggestions = items;
+  activeIndex = 0;
+  Controller.renderCommandPalette(suggestions, activeIndex);
+}
+
+function closePalette() {
+  if (suggestions.length) showSuggestions([]);
+}
+
+/**
+ * Put a suggestion in the input; a ready one runs right away
+ * @param {number} index - Suggestion index
+ * @returns {Promise<void>}
+ */
+async function acceptSuggestion(index) {
+  const item = suggestions[index];
+  if (!item) return;
+  Controller.setInputValue(item.value);
+  Controller.focusInput();
+  if (item.ready) {
+    await handlePromptSubmit();
+    return;
+  }
+  showSuggestions(getSuggestions(item.value));
+}
+
+/**
+ * Run the input as a slash command if it names one
+ * @param {string} input - Prompt input
+ * @returns {Promise<boolean>} Whether it was a command
+ */
+export async function runSlashCommand(input) {
+  const parsed = parseSlashCommand(input);
+  const command = parsed && findCommand(parsed.name);
+  if (!command) return false;
+
+  Controller.setInputValue('');
+  try {
+    await command.run(parsed.args);
+  } catch (e) {
+    console.error(`/${parsed.name} failed`, e);
+    Controller.showToast('error', `/${parsed.name} failed.`);
+  }
+  return true;
+}
+
+/**
+ * Handle Ask button click and Enter in the input - run a slash command, or
+ * send the prompt. Input starting with an unknown `/name` is sent as is.
+ * @param {Event} [event] - Click event
+ * @returns {Promise<void>}
+ */
+export async function handlePromptSubmit(event) {
+  if (event?.preventDefault) event.preventDefault();
+  closePalette();
+  if (await runSlashCommand(Controller.getInputValue())) return;
+  await handleAskClick();
+}
+
+/**
+ * Handle typing in the prompt input - refresh the suggestions
+ * @param {InputEvent} event - Input event
+ */
+export function handleCommandInput(event) {
+  showSuggestions(getSuggestions(event.target.value));
+}
+
+/**
+ * Handle the prompt input losing focus - hide the suggestions
+ */
+export function handleCommandInputBlur() {
+  closePalette();
+}
+
+/**
+ * Handle a press on a suggestion. Runs on mousedown so the input keeps focus.
+ * @param {MouseEvent} event - Mousedown event
+ */
+export function handleCommandPaletteMouseDown(event) {
+  event.preventDefault();
+  const index = Controller.getCommandOptionIndex(event.target);
+  if (index >= 0) acceptSuggestion(index);
+}
+
+/**
+ * Handle keys for the suggestions: arrows move, Tab or Enter picks, Escape hides
+ * @param {KeyboardEvent} event - Keydown event from the prompt input
+ * @returns {boolean} Whether the key was used (the caller ignores it then)
+ */
+export function handleCommandKeyDown(event) {
+  if (!suggestions.length) return false;
+
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    event.preventDefault();
+    const step = event.key === 'ArrowDown' ? 1 : -1;
+    activeIndex = (activeIndex + step + suggestions.length) % suggestions.length;
+    Controller.renderCommandPalette(suggestions, activeIndex);
+    return true;
+  }
+  if (event.key === 'Tab' || (event.key === 'Enter' && !event.shiftKey)) {
+    event.preventDefault();
+    acceptSuggestion(activeIndex);
+    return true;
+  }
+  if (event.key === 'Escape') {
+    event.preventDefault();
+    closePalette();
+    return true;
+  }
+  return false;
+}
@@ -1,19 +1,40 @@
 /**
  * Context Menu Handlers
  *
- * Handles context menu actions from background script.
+ * Handles context menu and keyboard shortcut actions from background script.
  * Routes to prompt-handlers for prompt execution.
  */
 
+import * as Controller from '../controller/controller.js';
 import {
   runSummarizer,
   runRewriter,
+  runProofreader,
+  runReplyWriter,
   runTranslator,
-  runImageDescription
+  runImageDescription,
+  handleSummarizeClick,
+  handleStopClick
 } from './prompt-handlers.js';
+import { handleMicClick } from './voice-handlers.js';
 
 let contextMenuRegistered = false;
 
+/**
+ * Quote the selected text in the input, ready for a question about it
+ * @param {string} text - Selected text
+ */
+function askAboutSelection(text) {
+  const selection = (text || '').trim();
+  if (!selection) {
+    Controller.showToast('warning', 'Select some text on the page first.');
+    return;
+  }
+  const quote = selection.split('\n').map(line => `> ${line}`).join('\n');
+  Controller.setInputValue(`${quote}\n\n`);
+  Controller.focusInput();
+}
+
 export function registerContextMenuHandlers() {
   if (contextMenuRegistered) return;
 
@@ -21,11 +42,23 @@ export function registerContextMenuHandlers() {
     if (req.action === 'CMD_SUMMARIZE') {
       runSummarizer(req.text);
     } else if (req.action === 'CMD_REWRITE') {
-      runRewriter(req.text, 'more-formal');
+      runRewriter(req.text);
+    } else if (req.action === 'CMD_PROOFREAD') {
+      runProofreader(req.text);
+    } else if (req.action === 'CMD_WRITE_REPLY') {
+      runReplyWriter(req.text);
     } else if (req.action === 'CMD_TRANSLATE') {
       runTranslator(req.text);
     } else if (req.action === 'CMD_DESCRIBE_IMAGE') {
       runImageDescription(req.url);
+    } else if (req.action === 'CMD_SUMMARIZE_TAB') {
+      handleSummarizeClick();
+    } else if (req.action === 'CMD_ASK_SELECTION') {
+      askAboutSelection(req.text);
+    } else if (req.action === 'CMD_STOP') {
+      handleStopClick();
+    } else if (req.action === 'CMD_START_VOICE') {
+      handleMicClick();
     }
     // Allow async response in future if needed
     return false; // or return true if any handler becomes async
@@ -6,12 +6,17 @@
 
 import * as Controller from '../controller/controller.js';
 import * as Model from '../core/model.js';
-import { fetchContext, classifyIntent } from '../core/context.js';
+import { fetchContext, classifyIntent, getCitedPassages } from '../core/context.js';
+import { structuredToMarkdown } from '../utils/structured-output.js';
 import {
   LIMITS,
   UI_MESSAGES,
   USER_ERROR_MESSAGES,
   INTENT_TYPES,
+  TASK_API_OPTIONS,
+  TASK_FALLBACK_PROMPTS,
+  SUMMARY_TYPE_LABELS,
+  REWRITER_TONE_LABELS,
   getSettingOrDefault
 } from '../config/constants.js';
 
@@ -49,21 +54,30 @@ export async function refreshContextDraft(force = false, shouldSave = true) {
  * @param {string} contextOverride - Context to use
  * @param {Array} attachments - Attachments
  * @param {string} displayText - Text to show in chat (optional)
+ * @param {{reuseUserMessage?: boolean, overrides?: object|null}} options - reuseUserMessage: answer the user
+ *   message already at the end of the log instead of appending a new one;
+ *   overrides: model settings of the template used for this turn
  */
-export async function executePrompt(text, contextOverride, attachments, displayText = null) {
+export async function executePrompt(text, contextOverride, attachments, displayText = null, { reuseUserMessage = false, overrides = null } = {}) {
   const session = Controller.getCurrentSession();
   const settings = Controller.getSettings();
 
   Controller.renderSmartReplies([]);
 
-  const userMessage = {
-    role: 'user',
-    text: displayText || text,
-    ts: Date.now(),
-    attachments
-  };
-  Controller.addMessage(session.id, userMessage);
-  Controller.refreshLog();
+  let userMessage = session.messages[session.messages.length - 1];
+  if (!reuseUserMessage || userMessage?.role !== 'user') {
+    userMessage = {
+      role: 'user',
+      text: displayText || text,
+      ts: Date.now(),
+      attachments
+    };
+    Controller.addMessage(session.id, userMessage);
+    Controller.refreshLog();
+  }
+
+  // Earlier turns, replayed if the model session has to be (re)created
+  const history = session.messages.slice(0, -1);
 
   // Set up AI message placeholder
   Controller.setBusy(true);
@@ -75,13 +89,19 @@ export async function executePrompt(text, contextOverride, attachments, displayT
   Controller.refreshLog();
 
   let lastAiText = '';
+  const toolCalls = [];
 
   const result = await Model.runPrompt({
     sessionId: session.id,
     text,
     contextOverride,
     attachments,
-    settings
+    settings,
+    history,
+    summary: session.summary,
+    // Page tools only when the user asks to act on a page we can reach
+    tools: Boolean(contextOverride) && classifyIntent(text) === INTENT_TYPES.ACTION,
+    overrides
   }, {
     onChunk: (chunk) => {
       Controller.patchMessage(session.id, aiMessageIndex, { text: chunk });
@@ -98,6 +118,15 @@ export async function executePrompt(text, contextOverride, attachments, displayT
       Controller.updateLastBubble(`Error: ${msg}`);
       Controller.showToast('error', msg);
     },
+    onCompact: (summary) => {
+      Controller.recordCompaction(session.id, summary);
+    },
+    onToolCall: ({ name, arguments: args, ok, summary }) => {
+      toolCalls.push({ name, arguments: args, ok, summary });
+      Controller.patchMessage(session.id, aiMessageIndex, { toolCalls: toolCalls.slice() });
+      Controller.updateLastToolCalls();
+      Controller.setStatus(UI_MESSAGES.USING_PAGE_TOOLS);
+    },
     onAbort: () => {
       const currentMessage = session.messages[aiMessageIndex];
       const currentText = currentMessage?.text || '';
@@ -113,9 +142,20 @@ export async function executePrompt(text, contextOverride, attachments, displayT
     }
   });
 
+  if (result.sources?.length && !result.superseded) {
+    Controller.patchMessage(session.id, aiMessageIndex, { sources: result.sources });
+    Controller.updateLastSources();
+  }
+
+  const citations = result.superseded ? [] : getCitedPassages(lastAiText, result.passages);
+  if (citations.length) {
+    Controller.patchMessage(session.id, aiMessageIndex, { citations });
+    Controller.updateLastCitations();
+  }
+
   Controller.setBusy(false);
   Controller.setStopEnabled(false);
-  Controller.setStatus('Ready to chat.');
+  Controller.setStatus(result.compacted ? UI_MESSAGES.CHAT_COMPACTED : 'Ready to chat.');
   await Controller.persistState();
 
   if (!result.aborted && lastAiText) {
@@ -127,6 +167,71 @@ export async function executePrompt(text, contextOverride, attachments, displayT
   }
 }
 
+/**
+ * Run a prompt whose answer must match a template's output schema.
+ * The reply is stored as markdown text (for copy, export and history replay)
+ * plus the validated `structured` value the log renders as a table or card.
+ * @param {string} text - Prompt text
+ * @param {string} contextOverride - Context to use
+ * @param {Array} attachments - Attachments
+ * @param {object} template - Template carrying `outputSchema` (and maybe `overrides`)
+ */
+export async function executeStructuredPrompt(text, contextOverride, attachments, template) {
+  const session = Controller.getCurrentSession();
+  const settings = Controller.getSettings();
+
+  Controller.renderSmartReplies([]);
+
+  const userMessage = { role: 'user', text, ts: Date.now(), attachments };
+  Controller.addMessage(session.id, userMessage);
+  Controller.refreshLog();
+
+  Controller.setBusy(true);
+  Controller.setStopEnabled(true);
+  Controller.setStatus('Thinking...');
+
+  const aiMessageIndex = session.messages.length;
+  Controller.addMessage(session.id, { role: 'ai', text: '', ts: Date.now() });
+  Controller.refreshLog();
+
+  try {
+    const { value, aborted } = await Model.runStructuredPrompt({
+      sessionId: session.id,
+      text,
+      contextOverride,
+      attachments,
+      settings,
+      schema: template.outputSchema,
+      overrides: template.overrides || null
+    });
+
+    if (aborted) {
+      Controller.patchMessage(session.id, aiMessageIndex, { text: UI_MESSAGES.STOPPED });
+      Controller.updateLastBubble(UI_MESSAGES.STOPPED);
+    } else {
+      Controller.patchMessage(session.id, aiMessageIndex, {
+        text: structuredToMarkdown(value),
+        structured: value
+      });
+      Controller.refreshLog({ force: true });
+    }
+  } catch (err) {
+    const msg = err.message || USER_ERROR_MESSAGES.AI_UNAVAILABLE;
+    Controller.patchMessage(session.id, aiMessageIndex, { text: `Error: ${msg}` });
+    Controller.updateLastBubble(`Error: ${msg}`);
+    Controller.showToast('error', USER_ERROR_MESSAGES.STRUCTURED_OUTPUT_FAILED);
+  }
+
+  Controller.setBusy(false);
+  Controller.setStopEnabled(false);
+  Controller.setStatus('Ready to chat.');
+  await Controller.persistState();
+
+  if (session.messages.length === 2) {
+    generateTitleBackground(session.id);
+  }
+}
+
 /**
  * Generate smart replies in the background
  * @param {string} sessionId - Session ID
@@ -217,7 +322,7 @@ async function resolveContextForQuery(queryText) {
     context = await refreshContextDraft(true);
     
     // If still on system page and query doesn't explicitly need page context, clear it
-    const isPageIntent = intent === INTENT_TYPES.PAGE;
+    const isPageIntent = intent === INTENT_TYPES.PAGE || intent === INTENT_TYPES.ACTION;
     if (context?.includes('[System Page]') && !isPageIntent) {
       return '';
     }
@@ -236,14 +341,69 @@ export async function handleAskClick(overrideText = null) {
   const rawInput = typeof overrideText === 'string' ? overrideText : Controller.getInputValue();
   const text = (rawInput || '').trim() || 'Hello';
   const attachments = Controller.getAttachments();
+  const activeTemplate = Controller.getActiveTemplate();
 
   Controller.setInputValue('');
   Controller.clearAttachments();
+  Controller.clearActiveTemplate();
+
+  const contextOverride = await resolveContextForQuery(text);
+
+  try {
+    if (activeTemplate?.outputSchema) {
+      await executeStructuredPrompt(text, contextOverride, attachments, activeTemplate);
+    } else {
+      await executePrompt(text, contextOverride, attachments, null, { overrides: activeTemplate?.overrides || null });
+    }
+  } catch (e) {
+    console.error('Prompt Execution Failed:', e);
+    Controller.setStatus(UI_MESSAGES.ERROR);
+    Controller.showToast('error', USER_ERROR_MESSAGES.AI_SESSION_FAILED);
+  }
+}
+
+/**
+ * Handle stop button click - cancel generation/speech
+ */
+export function handleStopClick() {
+  Model.cancelGeneration();
+  Model.stopSpeech();
+  Controller.setStopEnabled(false);
+}
+
+/**
+ * Branch the conversation at a user message and send it again.
+ * @param {number} userIndex - Index of the user message to resend
+ * @param {string} text - Prompt text to send (edited or original)
+ * @param {{regenerate?: boolean}} options - regenerate: keep the user message
+ *   and branch only the reply after it; otherwise the user message itself
+ *   gets a new sibling carrying `text`
+ * @returns {Promise<void>}
+ */
+async function branchAndResend(userIndex, text, { regenerate = false } = {}) {
+  const session = Controller.getCurrentSession();
+  const original = session.messages[userIndex];
+  if (!original || original.role !== 'user') return;
+
+  if (Model.isGenerating()) {
+    Controller.showToast('warning', UI_MESSAGES.WAIT_FOR_RESPONSE);
+    return;
+  }
+
+  const attachments = await Controller.getMessageAttachments(original.attachments);
+  if (attachments.length < (original.attachments?.length || 0)) {
+    Controller.showToast('warning', USER_ERROR_MESSAGES.ATTACHMENTS_MISSING);
+  }
 
   const contextOverride = await resolveContextForQuery(text);
 
+  // Resolve context before rewinding so the new branch is appended right away
+  Controller.rewindSession(session.id, regenerate ? userIndex + 1 : userIndex);
+  Model.resetModel(session.id);
+  Controller.refreshLog({ force: true });
+
   try {
-    await executePrompt(text, contextOverride, attachments);
+    await executePrompt(text, contextOverride, attachments, null, { reuseUserMessage: regenerate });
   } catch (e) {
     console.error('Prompt Execution Failed:', e);
     Controller.setStatus(UI_MESSAGES.ERROR);
@@ -251,52 +411,222 @@ export async function handleAskClick(overrideText = null) {
   }
 }
 
+/**
+ * Resend an edited user message as a new branch of the conversation.
+ * The previous continuation is kept and reachable via the branch switcher.
+ * @param {number} userIndex - Index of the user message being edited
+ * @param {string} text - Edited prompt text
+ * @returns {Promise<void>}
+ */
+export async function resendFromMessage(userIndex, text) {
+  await branchAndResend(userIndex, text);
+}
+
+/**
+ * Regenerate an AI response as a sibling of the existing one
+ * @param {number} aiIndex - Index of the AI message to regenerate
+ * @returns {Promise<void>}
+ */
+export async function handleRegenerate(aiIndex) {
+  const session = Controller.getCurrentSession();
+  let userIndex = aiIndex - 1;
+  while (userIndex >= 0 && session.messages[userIndex]?.role !== 'user') {
+    userIndex--;
+  }
+
+  if (userIndex < 0) {
+    Controller.showToast('warning', 'Nothing to regenerate for this message');
+    return;
+  }
+
+  await branchAndResend(userIndex, session.messages[userIndex].text, { regenerate: true });
+}
+
 /**
  * Handle Summarize Tab button click
  * @returns {Promise<void>}
  */
 export async function handleSummarizeClick() {
+  await summarizeTab();
+}
+
+/**
+ * Summarize the current tab - the page text goes to the Summarizer API,
+ * or to the Prompt API as context when the Summarizer is missing
+ * @param {{type?: string, length?: string, format?: string}} options - Summarizer options
+ *   (default TASK_API_OPTIONS.summarize)
+ * @returns {Promise<void>}
+ */
+export async function summarizeTab(options = {}) {
   Controller.setStatus(UI_MESSAGES.READING_TAB);
   const session = Controller.getCurrentSession();
   Model.resetModel(session.id);
   const freshText = await refreshContextDraft(true);
-  await executePrompt('Summarize the current tab in seven detailed bullet points.', freshText, []);
+  const { isRestricted } = await fetchContext(); // Cached by the refresh above
+  const fallbackPrompt = TASK_FALLBACK_PROMPTS.summarizeTab
+    .replace('{style}', () => summaryStyle(options, 'seven detailed bullet points'));
+
+  // Nothing readable to summarize: let the model explain
+  if (isRestricted || !freshText.trim()) {
+    await executePrompt(fallbackPrompt, freshText, []);
+    return;
+  }
+  await runTaskAction('summarize', freshText, {
+    displayText: `Summarize this tab${optionsLabel(options)}`,
+    options,
+    fallbackPrompt,
+    fallbackContext: freshText
+  });
 }
 
-// --- TRANSLATION & SUMMARIZER (using model via controller) ---
+// --- TASK APIS & TRANSLATION (using model via controller) ---
+
+/**
+ * Run a Chrome task API (Summarizer, Writer, Rewriter, Proofreader) as a chat turn.
+ * Falls back to the Prompt API with `fallbackPrompt` (and `fallbackContext` as
+ * page context) when the API is missing.
+ * @param {'summarize'|'write'|'rewrite'|'proofread'} task - Task API to use
+ * @param {string} input - Text passed to the API
+ * @param {{displayText: string, fallbackPrompt: string, fallbackContext?: string, options?: object, context?: string}} params
+ */
+async function runTaskAction(task, input, { displayText, fallbackPrompt, fallbackContext = '', options = {}, context } = {}) {
+  const settings = Controller.getSettings();
+
+  if (!(await Model.isTaskApiAvailable(task, settings))) {
+    await executePrompt(fallbackPrompt, fallbackContext, [], displayText);
+    return;
+  }
+
+  const session = Controller.getCurrentSession();
+  Controller.renderSmartReplies([]);
+  Controller.addMessage(session.id, { role: 'user', text: displayText, ts: Date.now() });
+
+  Controller.setBusy(true);
+  Controller.setStopEnabled(true);
+
+  const aiMessageIndex = session.messages.length;
+  Controller.addMessage(session.id, { role: 'ai', text: '', ts: Date.now() });
+  Controller.refreshLog();
+
+  try {
+    const result = await Model.runTaskApi(task, input, { settings, options, context }, {
+      onChunk: (chunk) => {
+        Controller.patchMessage(session.id, aiMessageIndex, { text: chunk });
+        Controller.updateLastBubble(chunk, { streaming: true });
+      },
+      onStatusUpdate: (status) => Controller.setStatus(status)
+    });
+
+    const partial = session.messages[aiMessageIndex]?.text || '';
+    const finalText = result.aborted
+      ? (partial.trim() ? `${partial}\n\n${UI_MESSAGES.STOPPED}` : UI_MESSAGES.STOPPED)
+      : result.text;
+    Controller.patchMessage(session.id, aiMessageIndex, { text: finalText });
+    Controller.updateLastBubble(finalText);
+  } catch (err) {
+    console.error(`${task} failed:`, err);
+    const msg = err.message || USER_ERROR_MESSAGES.AI_UNAVAILABLE;
+    Controller.patchMessage(session.id, aiMessageIndex, { text: `Error: ${msg}` });
+    Controller.updateLastBubble(`Error: ${msg}`);
+    Controller.showToast('error', msg);
+  }
+
+  Controller.setBusy(false);
+  Controller.setStopEnabled(false);
+  Controller.setStatus('Ready to chat.');
+  // The live model session has not seen this turn; rebuild it from history next time
+  Model.resetModel(session.id);
+  await Controller.persistState();
+
+  if (session.messages.length === 2) {
+    generateTitleBackground(session.id);
+  }
+}
+
+/**
+ * @param {object} options - Task API options chosen by the user
+ * @returns {string} e.g. ' (tldr, short)', or '' for none
+ */
+function optionsLabel(options) {
+  const values = Object.values(options);
+  return values.length ? ` (${values.join(', ')})` : '';
+}
+
+/**
+ * Wording of a summary for the Prompt API fallback
+ * @param {{type?: string, length?: string}} options - Summarizer options
+ * @param {string} defaultStyle - Wording when no type was chosen
+ * @returns {string} e.g. 'a short TL;DR, long'
+ */
+function summaryStyle({ type, length } = {}, defaultStyle = SUMMARY_TYPE_LABELS['key-points']) {
+  const style = type ? SUMMARY_TYPE_LABELS[type] : defaultStyle;
+  return length ? `${style}, ${length}` : style;
+}
 
 /**
  * Run summarizer on provided text
  * @param {string} text - Text to summarize
+ * @param {{type?: string, length?: string, format?: string}} options - Summarizer options
+ *   (default TASK_API_OPTIONS.summarize)
  */
-export async function runSummarizer(text) {
-  await executePrompt(
-    `Summarize the following content into key bullet points:\n\n${text}`,
-    '',
-    []
-  );
+export async function runSummarizer(text, options = {}) {
+  await runTaskAction('summarize', text, {
+    displayText: `Summarize${optionsLabel(options)}: ${text}`,
+    options,
+    fallbackPrompt: TASK_FALLBACK_PROMPTS.summarize
+      .replace('{style}', () => summaryStyle(options))
+      .replace('{text}', () => text)
+  });
 }
 
 /**
- * Rewrite text with specified tone
+ * Rewrite text with the Rewriter API
  * @param {string} text - Text to rewrite
- * @param {string} tone - Desired tone (default: 'professional')
+ * @param {{tone?: string, length?: string, format?: string}} options - Rewriter options
+ *   (default TASK_API_OPTIONS.rewrite, i.e. tone 'more-formal')
  */
-export async function runRewriter(text, tone = 'professional') {
-  await executePrompt(
-    `Rewrite the following text to be more ${tone}:\n\n${text}`,
-    '',
-    []
-  );
+export async function runRewriter(text, options = {}) {
+  const { tone = TASK_API_OPTIONS.rewrite.tone, length } = options;
+  const toneLabel = REWRITER_TONE_LABELS[tone] || tone;
+  const change = length && length !== 'as-is' ? `${toneLabel} and ${length}` : toneLabel;
+  await runTaskAction('rewrite', text, {
+    displayText: `Rewrite (${change}): ${text}`,
+    options: { ...options, tone },
+    fallbackPrompt: TASK_FALLBACK_PROMPTS.rewrite.replace('{tone}', () => change).replace('{text}', () => text)
+  });
+}
+
+/**
+ * Proofread text and list the corrections
+ * @param {string} text - Text to proofread
+ */
+export async function runProofreader(text) {
+  await runTaskAction('proofread', text, {
+    displayText: `Proofread: ${text}`,
+    fallbackPrompt: TASK_FALLBACK_PROMPTS.proofread.replace('{text}', () => text)
+  });
+}
+
+/**
+ * Draft a reply to the given text with the Writer API
+ * @param {string} text - Text to reply to
+ */
+export async function runReplyWriter(text) {
+  await runTaskAction('write', 'Write a reply to this text.', {
+    displayText: `Draft a reply: ${text}`,
+    context: text,
+    fallbackPrompt: TASK_FALLBACK_PROMPTS.write.replace('{text}', () => text)
+  });
 }
 
 /**
  * Translate text to user's selected language
  * @param {string} text - Text to translate
+ * @param {string|null} language - Target language code (default: the language setting)
  */
-export async function runTranslator(text) {
+export async function runTranslator(text, language = null) {
   const settings = Controller.getSettings();
-  const targetLang = getSettingOrDefault(settings, 'language');
+  const targetLang = language || getSettingOrDefault(settings, 'language');
   const session = Controller.getCurrentSession();
 
   Controller.setBusy(true);
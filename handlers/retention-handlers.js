@@ -0,0 +1,70 @@
+/**
+ * Retention Handlers - Storage usage and retention policy event handlers
+ *
+ * The retention form and archived chat list in the Data tab of settings.
+ */
+
+import * as Controller from '../controller/controller.js';
+import { USER_ERROR_MESSAGES } from '../config/constants.js';
+
+/**
+ * Handle Preview button click - dry run of the form values
+ */
+export function handleRetentionPreviewClick() {
+  Controller.previewRetention();
+}
+
+/**
+ * Handle retention form submit - save the policy and apply it
+ * @param {SubmitEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleRetentionFormSubmit(event) {
+  event.preventDefault();
+  Controller.setRetentionBusy(true);
+  try {
+    const removed = await Controller.saveRetentionPolicy();
+    // enforceRetention already announced any removals
+    if (!removed.length) Controller.showToast('success', 'Retention policy saved');
+  } catch (e) {
+    console.error('Saving retention policy failed', e);
+    Controller.showToast('error', USER_ERROR_MESSAGES.STORAGE_SAVE_FAILED);
+  } finally {
+    Controller.setRetentionBusy(false);
+  }
+}
+
+/**
+ * Handle clicks in the archived chat list (Restore / Delete with confirmation)
+ * @param {MouseEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleArchivedListClick(event) {
+  const restoreBtn = event.target.closest('[data-restore-archived]');
+  if (restoreBtn) {
+    restoreBtn.disabled = true;
+    const restored = await Controller.restoreArchivedChat(restoreBtn.dataset.restoreArchived);
+    if (restored) {
+      Controller.showToast('success', 'Chat restored');
+    } else {
+      restoreBtn.disabled = false;
+      Controller.showToast('error', USER_ERROR_MESSAGES.ARCHIVED_RESTORE_FAILED);
+    }
+    return;
+  }
+
+  const deleteBtn = event.target.closest('[data-delete-archived]');
+  if (!deleteBtn) return;
+  const id = deleteBtn.dataset.deleteArchived;
+  if (deleteBtn.dataset.confirming !== 'true') {
+    Controller.setArchivedDeleteConfirming(id);
+    return;
+  }
+  try {
+    await Controller.deleteArchivedChat(id);
+    Controller.showToast('success', 'Archived chat deleted');
+  } catch (e) {
+    console.error('Deleting archived chat failed', e);
+    Controller.showToast('error', USER_ERROR_MESSAGES.STORAGE_SAVE_FAILED);
+  }
+}
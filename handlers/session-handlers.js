@@ -1,7 +1,7 @@
 /**
  * Session Handlers - Session management UI event handlers
  *
- * Handles session switching, renaming, deletion, and search.
+ * Handles session switching, renaming, deletion, pinning, tagging, and search.
  */
 
 import * as Controller from '../controller/controller.js';
@@ -66,17 +66,20 @@ const deleteConfirmation = {
 
 /**
  * Inline edit state machine.
- * Manages the session rename editing state.
+ * Manages the session rename / tag editing state.
  */
 const editState = {
   sessionId: null,
+  field: 'title',
   
   /**
    * Start editing a session
    * @param {string} id - Session ID to edit
+   * @param {'title'|'tags'} field - What to edit
    */
-  start(id) {
+  start(id, field = 'title') {
     this.sessionId = id;
+    this.field = field;
   },
   
   /**
@@ -84,6 +87,7 @@ const editState = {
    */
   cancel() {
     this.sessionId = null;
+    this.field = 'title';
   },
   
   /**
@@ -113,8 +117,10 @@ const editState = {
 };
 
 // Debounced session search to avoid excessive re-renders
-const debouncedSessionSearch = debounce((value) => {
+const debouncedSessionSearch = debounce(async (value) => {
   Controller.setSessionSearchTerm(value || '');
+  Controller.renderSessionsList(); // Title matches right away
+  await Controller.refreshMessageSearch();
   Controller.renderSessionsList();
 }, 150);
 
@@ -182,6 +188,53 @@ export async function saveInlineRename(id, newTitle) {
   }
 }
 
+/**
+ * Start inline tag editing for a session
+ * @param {string} id - Session ID
+ */
+export function startTagEdit(id) {
+  editState.start(id, 'tags');
+  Controller.renderSessionsList(null, id, 'tags');
+}
+
+/**
+ * Save inline tag edit (an empty value clears the tags)
+ * @param {string} id - Session ID
+ * @param {string} text - Comma-separated tags
+ * @returns {Promise<void>}
+ */
+export async function saveTagEdit(id, text) {
+  editState.cancel();
+  await Controller.tagSession(id, text || '');
+}
+
+/**
+ * Toggle a session's pin
+ * @param {HTMLElement} btn - Pin button
+ * @param {string} id - Session ID
+ * @returns {Promise<void>}
+ */
+export async function togglePinHandler(btn, id) {
+  try {
+    await Controller.pinSession(id, btn.getAttribute('aria-pressed') !== 'true');
+  } catch (e) {
+    Controller.showToast('error', e.message);
+  }
+}
+
+/**
+ * Filter the session list by a tag (empty = show all)
+ * @param {HTMLElement} chip - Element with data-filter-tag
+ */
+export function filterByTagHandler(chip) {
+  const tag = chip.dataset.filterTag || null;
+  const current = Controller.getSessionTagFilter();
+  // Clicking the active tag again clears the filter
+  const same = tag && current && tag.toLowerCase() === current.toLowerCase();
+  Controller.setSessionTagFilter(same ? null : tag);
+  Controller.renderSessionsList();
+}
+
 /**
  * Handle session switch
  * @param {HTMLElement} row - Session row element
@@ -193,6 +246,36 @@ export async function switchSessionHandler(row) {
   await Controller.switchSession(id);
 }
 
+/**
+ * Switch to the chat before or after the current one, in chat menu order
+ * (pinned first), wrapping around at either end
+ * @param {number} offset - -1 for the previous chat, 1 for the next
+ * @returns {Promise<void>}
+ */
+export async function switchSessionByOffset(offset) {
+  const order = Controller.filterSessions('');
+  if (order.length < 2) return;
+  const index = order.indexOf(Controller.getCurrentSessionId());
+  const next = order[(index + offset + order.length) % order.length];
+  Model.cancelGeneration();
+  await Controller.switchSession(next);
+}
+
+/**
+ * Handle click on a message search hit - open its session at that message
+ * @param {HTMLElement} hit - Search hit element
+ * @returns {Promise<void>}
+ */
+export async function openSearchHitHandler(hit) {
+  const id = hit.closest('.session-row')?.dataset.id;
+  if (!id) return;
+  Model.cancelGeneration();
+  if (await Controller.openSessionMessage(id, hit.dataset.messageId)) {
+    // The live model session holds the previous branch's turns
+    Model.resetModel(id);
+  }
+}
+
 /**
  * Handle session search input
  * @param {InputEvent} event - Input event
@@ -211,14 +294,14 @@ export function handleSessionTriggerClick(event) {
 }
 
 /**
- * Handle session menu interactions (switch, rename, delete)
+ * Handle session menu interactions (switch, rename, pin, tag, filter, delete)
  * @param {Event} event - Click event
  * @returns {Promise<void>}
  */
 export async function handleSessionMenuClick(event) {
   const btn = event.target.closest('button');
   const row = event.target.closest('.session-row');
-  const input = event.target.closest('.session-rename-input');
+  const input = event.target.closest('.session-rename-input, .session-tags-input');
 
   // If clicking on rename input, don't bubble to row switch
   if (input) {
@@ -238,6 +321,12 @@ export async function handleSessionMenuClick(event) {
       return;
     }
 
+    if (btn.dataset.action === 'save-tags') {
+      const inputEl = row?.querySelector('.session-tags-input');
+      await saveTagEdit(id, inputEl?.value || '');
+      return;
+    }
+
     if (btn.dataset.action === 'cancel-rename') {
       cancelInlineRename();
       return;
@@ -247,6 +336,10 @@ export async function handleSessionMenuClick(event) {
       await deleteSessionHandler(btn, id);
     } else if (btn.classList.contains('edit')) {
       startInlineRename(id);
+    } else if (btn.classList.contains('pin')) {
+      await togglePinHandler(btn, id);
+    } else if (btn.classList.contains('tag')) {
+      startTagEdit(id);
     }
     return;
   }
@@ -256,16 +349,29 @@ export async function handleSessionMenuClick(event) {
     return;
   }
 
+  const filterChip = event.target.closest('[data-filter-tag]');
+  if (filterChip) {
+    event.stopPropagation();
+    filterByTagHandler(filterChip);
+    return;
+  }
+
+  const hit = event.target.closest('.session-hit');
+  if (hit) {
+    await openSearchHitHandler(hit);
+    return;
+  }
+
   if (row) await switchSessionHandler(row);
 }
 
 /**
- * Handle keyboard events on rename input
+ * Handle keyboard events on the rename and tags inputs
  * @param {KeyboardEvent} event - Keyboard event
  * @returns {Promise<void>}
  */
 export async function handleRenameInputKeyDown(event) {
-  const input = event.target.closest('.session-rename-input');
+  const input = event.target.closest('.session-rename-input, .session-tags-input');
   if (!input) return;
 
   const id = input.dataset.id;
@@ -273,7 +379,11 @@ export async function handleRenameInputKeyDown(event) {
   if (event.key === 'Enter') {
     event.preventDefault();
     event.stopPropagation();
-    await saveInlineRename(id, input.value);
+    if (input.classList.contains('session-tags-input')) {
+      await saveTagEdit(id, input.value);
+    } else {
+      await saveInlineRename(id, input.value);
+    }
   } else if (event.key === 'Escape') {
     event.preventDefault();
     event.stopPropagation();
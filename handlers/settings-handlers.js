@@ -17,7 +17,7 @@ import { toast } from '../utils/toast.js';
 import * as UI from '../ui/index.js';
 import { escapeHtml } from '../utils/utils.js';
 
-const SETTINGS_TABS = ['general', 'diagnostics'];
+const SETTINGS_TABS = ['general', 'diagnostics', 'data'];
 
 function updateLanguageGuidance(lang) {
   const isOptimized = PROMPT_API_OPTIMIZED_LANGUAGES.includes(lang);
@@ -51,6 +51,10 @@ export function handleOpenSettings() {
   updateLanguageGuidance(currentLang);
 
   renderDiagnosticsPanel();
+  Controller.renderStoragePanel().catch(e => console.warn('Failed to render storage panel', e));
+  Controller.renderVaultStatus();
+  Controller.renderTemplateSyncNote();
+  Controller.closeVaultForm();
   setActiveSettingsTab('general');
 }
 
@@ -0,0 +1,73 @@
+/**
+ * Shortcut Handlers - Keyboard shortcuts inside the panel and the cheat sheet
+ *
+ * Browser-wide shortcuts are manifest commands handled in background.js and
+ * routed through context-menu-handlers.js; these are the in-panel keys.
+ */
+
+import * as Controller from '../controller/controller.js';
+import { PANEL_SHORTCUTS, SHORTCUT_SETTINGS_URL } from '../config/constants.js';
+import { switchSessionByOffset } from './session-handlers.js';
+
+/**
+ * Handle the keyboard shortcut button - show the cheat sheet with the
+ * browser-wide shortcuts as currently assigned in Chrome
+ * @returns {Promise<void>}
+ */
+export async function handleOpenShortcutsClick() {
+  let commands = [];
+  try {
+    commands = (await chrome.commands.getAll())
+      .filter(command => command.description)
+      .map(({ description, shortcut }) => ({ description, shortcut: shortcut || '' }));
+  } catch (e) {
+    console.warn('Reading keyboard shortcuts failed', e);
+  }
+  Controller.openShortcutsSheet(commands, PANEL_SHORTCUTS);
+}
+
+/**
+ * Handle "Change shortcuts" - Chrome assigns extension shortcuts on its own page
+ * @returns {Promise<void>}
+ */
+export async function handleEditShortcutsClick() {
+  try {
+    await chrome.tabs.create({ url: SHORTCUT_SETTINGS_URL });
+  } catch (e) {
+    console.warn('Opening shortcut settings failed', e);
+    Controller.showToast('info', `Open ${SHORTCUT_SETTINGS_URL} to change shortcuts.`);
+  }
+}
+
+/**
+ * Handle in-panel shortcuts: Alt+Up/Down switch chats, Ctrl/⌘+K searches
+ * chats, Ctrl/⌘+/ toggles the cheat sheet. Other keys are ignored while a
+ * dialog is open.
+ * @param {KeyboardEvent} event - Document keydown event
+ * @returns {boolean} Whether the key was used
+ */
+export function handlePanelShortcut(event) {
+  // Keys already taken, e.g. arrows moving through slash command suggestions
+  if (event.defaultPrevented) return false;
+  const mod = event.ctrlKey || event.metaKey;
+
+  if (mod && !event.altKey && event.key === '/') {
+    event.preventDefault();
+    if (Controller.isShortcutsSheetOpen()) Controller.closeModal();
+    else if (!Controller.isModalOpen()) handleOpenShortcutsClick();
+    return true;
+  }
+  if (Controller.isModalOpen()) return false;
+
+  if (mod && !event.altKey && !event.shiftKey && event.key.toLowerCase() === 'k') {
+    event.preventDefault();
+    Controller.focusSessionSearch();
+    return true;
+  }
+  if (event.altKey && !mod && !event.shiftKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+    event.preventDefault();
+    switchSessionByOffset(event.key === 'ArrowUp' ? -1 : 1);
+    return true;
+  }
+  return false;
+}
@@ -41,7 +41,7 @@ export async function applySnapshotById(id) {
 }
 
 /**
- * Use live context from the active tab
+ * Use live context from the active tab (drops any multi-tab selection)
  * @param {Object} options - Options
  * @param {boolean} options.quiet - Suppress toast notification
  */
@@ -50,6 +50,7 @@ export async function useLiveContext({ quiet = false } = {}) {
   isSnapshotBusy = true;
   try {
     Controller.activateSnapshot(null);
+    Controller.setContextTabs([]);
     Controller.renderContextUI();
 
     const liveCtx = await fetchContext(true, { respectSnapshot: false });
@@ -0,0 +1,81 @@
+/**
+ * Tab Context Handlers - Multi-tab context picker event handlers
+ *
+ * Lets the user tick several tabs (or a whole tab group) in the context panel
+ * and use them together as the prompt context.
+ */
+
+import * as Controller from '../controller/controller.js';
+import { listPickableTabs } from '../core/context.js';
+import { refreshContextDraft } from './prompt-handlers.js';
+
+/**
+ * Handle Choose tabs button click - open (or close) the tab picker
+ * @returns {Promise<void>}
+ */
+export async function handlePickTabsClick() {
+  if (Controller.isTabPickerOpen()) {
+    Controller.setTabPickerOpen(false);
+    return;
+  }
+
+  try {
+    const { tabs, groups } = await listPickableTabs();
+    const selected = Controller.getContextTabs();
+    const activeTab = tabs.find(tab => tab.active);
+    const preselected = selected.length ? selected : [activeTab?.id].filter(Boolean);
+
+    Controller.renderTabPicker(tabs, groups, preselected);
+    Controller.setTabPickerOpen(true);
+  } catch (e) {
+    console.warn('Failed to list tabs', e);
+    Controller.showToast('error', 'Could not list open tabs.');
+  }
+}
+
+/**
+ * Handle checkbox changes in the tab picker (group toggles tick all their tabs)
+ * @param {Event} event - Change event
+ */
+export function handleTabPickerChange(event) {
+  const groupId = event.target?.dataset?.groupToggle;
+  if (groupId) {
+    Controller.setTabPickerGroupChecked(groupId, event.target.checked);
+    return;
+  }
+  Controller.syncTabPickerGroups();
+}
+
+/**
+ * Handle Use selected tabs button click
+ * @returns {Promise<void>}
+ */
+export async function handleApplyTabsClick() {
+  const ids = Controller.getPickedTabIds();
+  if (!ids.length) {
+    Controller.showToast('error', 'Tick at least one tab.');
+    return;
+  }
+
+  Controller.setContextTabs(ids);
+  Controller.activateSnapshot(null);
+  Controller.setTabPickerOpen(false);
+  Controller.renderContextUI();
+
+  await refreshContextDraft(true);
+  // Tabs that closed meanwhile are dropped while fetching
+  Controller.renderContextUI();
+  await Controller.persistState({ immediate: true }); // User action
+
+  const count = Controller.getContextTabs().length;
+  Controller.showToast('success', `Using ${count} ${count === 1 ? 'tab' : 'tabs'} as context`);
+}
+
+/**
+ * Handle Cancel button click in the tab picker
+ * @param {Event} event - Click event
+ */
+export function handleCancelTabsClick(event) {
+  event?.preventDefault();
+  Controller.setTabPickerOpen(false);
+}
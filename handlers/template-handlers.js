@@ -1,14 +1,166 @@
 /**
  * Template Handlers - Template management UI event handlers
  *
- * Handles template selection, editing, creation, and deletion.
+ * Handles template selection, editing, creation, and deletion, and fills in
+ * template variables before sending.
  */
 
 import * as Controller from '../controller/controller.js';
 import * as UI from '../ui/index.js';
+import { checkOutputSchema } from '../utils/structured-output.js';
+import { parseTemplateVariables, expandTemplate } from '../utils/template-vars.js';
+import { checkTemplateOverrides, normalizeTemplateOverrides } from '../utils/template-overrides.js';
+import { normalizeCommandName, checkTemplateCommand } from '../utils/slash-commands.js';
+import { fetchPageDetails } from '../core/context.js';
+import { handleAskClick } from './prompt-handlers.js';
 
 let editingTemplateId = null;
 let isAddingTemplate = false;
+// Template waiting for the fill-in form: { template, values }
+let pendingTemplate = null;
+
+/**
+ * Parse the optional output schema field of a template form
+ * @param {string} raw - Schema JSON text
+ * @returns {{ok: boolean, schema: object|null}}
+ */
+function parseSchemaField(raw) {
+  if (!raw) return { ok: true, schema: null };
+  let schema;
+  try {
+    schema = JSON.parse(raw);
+  } catch {
+    Controller.showToast('error', 'Output schema is not valid JSON');
+    return { ok: false, schema: null };
+  }
+  const problem = checkOutputSchema(schema);
+  if (problem) {
+    Controller.showToast('error', problem);
+    return { ok: false, schema: null };
+  }
+  return { ok: true, schema };
+}
+
+/**
+ * Parse the model setting fields of a template form
+ * @param {Object<string, string>} fields - Raw field values ('' = default)
+ * @returns {{ok: boolean, overrides: object|null}}
+ */
+function parseOverrideFields(fields = {}) {
+  const toNumber = value => (value ? Number(value) : undefined);
+  const raw = {
+    ...fields,
+    temperature: toNumber(fields.temperature),
+    topK: toNumber(fields.topK)
+  };
+  const problem = checkTemplateOverrides(raw);
+  if (problem) {
+    Controller.showToast('error', problem);
+    return { ok: false, overrides: null };
+  }
+  return { ok: true, overrides: normalizeTemplateOverrides(raw) };
+}
+
+/**
+ * Parse the optional slash command field of a template form
+ * @param {string} raw - Field value, with or without the slash
+ * @param {string|null} id - Template being edited (null when new)
+ * @returns {{ok: boolean, command: string}}
+ */
+function parseCommandField(raw, id) {
+  const command = normalizeCommandName(raw);
+  const problem = checkTemplateCommand(command, Controller.getTemplates(), id);
+  if (problem) {
+    Controller.showToast('error', problem);
+    return { ok: false, command: '' };
+  }
+  return { ok: true, command };
+}
+
+/**
+ * Fill in built-in template variables from the browser. Values that come
+ * back empty (no selection, clipboard not readable) are left out so the
+ * form asks for them.
+ * @param {Array<{name: string}>} variables - Variables of the template
+ * @returns {Promise<Object<string, string>>} Values by variable name
+ */
+async function resolveBuiltinVariables(variables) {
+  const names = new Set(variables.map(v => v.name));
+  const values = {};
+
+  if (names.has('date')) {
+    values.date = new Date().toLocaleDateString(undefined, { dateStyle: 'long' });
+  }
+
+  if (names.has('clipboard')) {
+    try {
+      const text = await navigator.clipboard.readText();
+      if (text.trim()) values.clipboard = text.trim();
+    } catch (e) {
+      console.warn('Clipboard read failed', e);
+    }
+  }
+
+  if (names.has('selection') || names.has('page.title') || names.has('page.url')) {
+    try {
+      const page = await fetchPageDetails();
+      if (page.selection) values.selection = page.selection;
+      if (page.title) values['page.title'] = page.title;
+      if (page.url) values['page.url'] = page.url;
+    } catch (e) {
+      console.warn('Page details fetch failed', e);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Expand a template and send it after anything already typed in the input
+ * @param {object} template - Template
+ * @param {Object<string, string>} values - Variable values
+ * @returns {Promise<void>}
+ */
+function sendTemplate(template, values) {
+  Controller.setActiveTemplate(template.id);
+  return handleAskClick(Controller.getInputValue() + expandTemplate(template.text, values));
+}
+
+/**
+ * Use a template with variables: fill in the built-ins, ask for the rest,
+ * then send the expanded prompt
+ * @param {object} template - Template
+ * @param {Array<{name: string, defaultValue: string, builtin: boolean}>} variables
+ * @returns {Promise<void>}
+ */
+async function useTemplateWithVariables(template, variables) {
+  const values = await resolveBuiltinVariables(variables);
+  const missing = variables.filter(v => !(v.name in values));
+  if (!missing.length) {
+    await sendTemplate(template, values);
+    return;
+  }
+  pendingTemplate = { template, values };
+  Controller.openTemplateVarsForm(template.label, missing);
+}
+
+/**
+ * Handle the template fill-in form submit
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ */
+export async function handleTemplateVarsSubmit(event) {
+  event.preventDefault();
+  if (!pendingTemplate) {
+    Controller.closeModal();
+    return;
+  }
+  const { template, values } = pendingTemplate;
+  pendingTemplate = null;
+  Object.assign(values, Controller.getTemplateVarsValues());
+  Controller.closeModal();
+  await sendTemplate(template, values);
+}
 
 /**
  * Handle templates trigger click (open/close templates menu)
@@ -51,7 +203,21 @@ export function saveTemplateEdit(id) {
     return;
   }
 
-  const success = Controller.patchTemplate(id, values);
+  const { ok, schema } = parseSchemaField(values.schema);
+  if (!ok) return;
+  const parsed = parseOverrideFields(values.overrides);
+  if (!parsed.ok) return;
+  const { ok: commandOk, command } = parseCommandField(values.command, id);
+  if (!commandOk) return;
+
+  const success = Controller.patchTemplate(id, {
+    label: values.label,
+    text: values.text,
+    category: values.category,
+    command,
+    outputSchema: schema,
+    overrides: parsed.overrides
+  });
   if (success) {
     editingTemplateId = null;
     Controller.updateTemplatesUI();
@@ -94,7 +260,19 @@ export function saveNewTemplate() {
     return;
   }
 
-  Controller.addTemplate(values.label, values.text);
+  const { ok, schema } = parseSchemaField(values.schema);
+  if (!ok) return;
+  const parsed = parseOverrideFields(values.overrides);
+  if (!parsed.ok) return;
+  const { ok: commandOk, command } = parseCommandField(values.command, null);
+  if (!commandOk) return;
+
+  Controller.addTemplate(values.label, values.text, {
+    outputSchema: schema,
+    category: values.category,
+    overrides: parsed.overrides,
+    command
+  });
   isAddingTemplate = false;
   UI.setAddingNewTemplate(false);
   Controller.updateTemplatesUI();
@@ -116,7 +294,7 @@ export function cancelNewTemplate() {
  */
 export function handleTemplateMenuClick(event) {
   const btn = event.target.closest('button');
-  const input = event.target.closest('input, textarea');
+  const input = event.target.closest('input, textarea, select, summary');
 
   // If clicking on an input, don't close menu
   if (input) {
@@ -172,26 +350,52 @@ export function handleTemplateMenuClick(event) {
 
     // Handle template selection (use the template)
     if (btn.classList.contains('template-select')) {
-      const text = btn.dataset.text;
-      if (text) {
-        Controller.setInputValue(Controller.getInputValue() + text);
-        Controller.closeMenu('templates');
-        Controller.focusInput();
-      }
+      const template = Controller.getTemplates().find(t => t.id === btn.dataset.id);
+      Controller.closeMenu('templates');
+      if (template) useTemplate(template);
       return;
     }
   }
 }
 
+/**
+ * Use a template as if picked from the menu: a template with variables is
+ * filled in and sent, any other is appended to the input for editing
+ * @param {object} template - Template
+ * @returns {Promise<void>}
+ */
+export async function useTemplate(template) {
+  const variables = parseTemplateVariables(template.text);
+  if (variables.length) {
+    await useTemplateWithVariables(template, variables);
+    return;
+  }
+
+  Controller.setActiveTemplate(template.id);
+  if (template.text) {
+    Controller.setInputValue(Controller.getInputValue() + template.text);
+  }
+  Controller.focusInput();
+}
+
+/**
+ * Handle the active-template badge's clear button
+ */
+export function handleTemplateBadgeClear() {
+  Controller.clearActiveTemplate();
+  Controller.focusInput();
+}
+
 /**
  * Handle keyboard events on template edit inputs
  * @param {KeyboardEvent} event - Keyboard event
  */
 export function handleTemplateEditKeyDown(event) {
-  const input = event.target.closest('.template-edit-label, .template-edit-text');
+  const input = event.target.closest('.template-edit-label, .template-edit-text, .template-edit-category, .template-edit-command, .template-edit-schema, .template-edit-override');
   if (!input) return;
 
-  const id = input.dataset.id;
+  // Model setting fields carry no id of their own
+  const id = input.dataset.id || input.closest('.template-row')?.dataset.id;
 
   if (event.key === 'Escape') {
     event.preventDefault();
@@ -203,8 +407,8 @@ export function handleTemplateEditKeyDown(event) {
     }
   }
 
-  // Only save on Enter if it's the label input (not textarea)
-  if (event.key === 'Enter' && input.classList.contains('template-edit-label')) {
+  // Only save on Enter in the single-line inputs (not textareas)
+  if (event.key === 'Enter' && input.matches('.template-edit-label, .template-edit-category, .template-edit-command, input.template-edit-override')) {
     event.preventDefault();
     event.stopPropagation();
     if (id) {
@@ -0,0 +1,131 @@
+/**
+ * Template Pack Handlers - Template pack export/import event handlers
+ *
+ * Export chosen templates as a JSON template pack from the Data tab in
+ * settings, and import a pack, asking what to do with templates that
+ * already exist here with different content.
+ */
+
+import * as Controller from '../controller/controller.js';
+import { USER_ERROR_MESSAGES } from '../config/constants.js';
+
+// Parsed pack waiting for the conflict form
+let pendingPack = null;
+
+function plural(count, word) {
+  return `${count} ${count === 1 ? word : `${word}s`}`;
+}
+
+/**
+ * Merge a pack and report the result
+ * @param {object} data - Parsed pack
+ * @param {Object<string, string>} choices - Resolution per conflicting id
+ * @returns {Promise<void>}
+ */
+async function applyPack(data, choices) {
+  const result = await Controller.applyTemplatePack(data, choices);
+
+  const parts = [plural(result.added, 'new template')];
+  if (result.replaced) parts.push(`${result.replaced} updated`);
+  if (result.kept) parts.push(`${result.kept} kept`);
+  Controller.showToast('success', `Imported ${parts.join(', ')}`);
+
+  if (result.skipped) {
+    Controller.showToast('warning', `${plural(result.skipped, 'damaged template')} skipped`);
+  }
+}
+
+/**
+ * Handle Export templates button click - open (or close) the template picker
+ */
+export function handleChooseTemplateExportClick() {
+  const open = !Controller.isTemplatePackPickerOpen();
+  if (open) Controller.renderTemplatePackList();
+  Controller.setTemplatePackPickerOpen(open);
+}
+
+/**
+ * Handle Export selected (templates) button click
+ */
+export function handleExportPickedTemplatesClick() {
+  const ids = Controller.getPickedPackTemplateIds();
+  if (!ids.length) {
+    Controller.showToast('error', 'Tick at least one template.');
+    return;
+  }
+  try {
+    const count = Controller.exportTemplatePack(ids);
+    Controller.showToast('success', `Exported ${plural(count, 'template')}`);
+    Controller.setTemplatePackPickerOpen(false);
+  } catch (e) {
+    console.error('Template pack export failed', e);
+    Controller.showToast('error', 'Could not export templates.');
+  }
+}
+
+/**
+ * Handle Import pack button click
+ */
+export function handleImportTemplatePackClick() {
+  Controller.openTemplatePackFilePicker();
+}
+
+/**
+ * Handle template pack file selection - import directly, or ask about conflicts first
+ * @param {Event} event - Change event from the file input
+ * @returns {Promise<void>}
+ */
+export async function handleTemplatePackFileChange(event) {
+  const input = event.target;
+  const file = input.files?.[0];
+  input.value = ''; // Allow picking the same file again
+  if (!file) return;
+
+  try {
+    const { data, conflicts } = await Controller.readTemplatePackFile(file);
+    if (conflicts.length) {
+      pendingPack = data;
+      Controller.showTemplateConflicts(conflicts);
+      return;
+    }
+    pendingPack = null;
+    Controller.showTemplateConflicts([]);
+    await applyPack(data, {});
+  } catch (e) {
+    console.error('Template pack import failed', e);
+    const known = Object.values(USER_ERROR_MESSAGES).includes(e.message);
+    Controller.showToast('error', known ? e.message : 'Could not import the template pack.');
+  }
+}
+
+/**
+ * Handle the conflict form submit - import with the chosen resolutions
+ * @param {SubmitEvent} event - Submit event
+ * @returns {Promise<void>}
+ */
+export async function handleTemplateConflictSubmit(event) {
+  event.preventDefault();
+  if (!pendingPack) {
+    Controller.showTemplateConflicts([]);
+    return;
+  }
+  const data = pendingPack;
+  const choices = Controller.getTemplateConflictChoices();
+  pendingPack = null;
+  Controller.showTemplateConflicts([]);
+
+  try {
+    await applyPack(data, choices);
+  } catch (e) {
+    console.error('Template pack import failed', e);
+    Controller.showToast('error', 'Could not import the template pack.');
+  }
+}
+
+/**
+ * Handle the conflict form's Cancel button - drop the pending pack
+ */
+export function handleTemplateConflictCancel() {
+  pendingPack = null;
+  Controller.showTemplateConflicts([]);
+}
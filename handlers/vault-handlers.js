@@ -0,0 +1,111 @@
+/**
+ * Vault Handlers - Chat history encryption event handlers
+ *
+ * Turning encryption on/off and changing the passphrase from the Data tab
+ * in settings, plus the idle timer that locks the panel.
+ */
+
+import * as Controller from '../controller/controller.js';
+import * as Model from '../core/model.js';
+import { TIMING, VAULT, USER_ERROR_MESSAGES } from '../config/constants.js';
+
+const SUCCESS_MESSAGES = {
+  enable: 'Chats are now encrypted',
+  change: 'Passphrase changed',
+  disable: 'Chats are no longer encrypted'
+};
+
+let idleTimer = null;
+
+function scheduleIdleLock() {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(handleIdleTimeout, TIMING.VAULT_IDLE_LOCK_MS);
+}
+
+async function handleIdleTimeout() {
+  if (!Controller.isHistoryEncrypted()) return;
+  // Never lock mid-reply; try again after another idle period
+  if (Model.isSomethingRunning()) {
+    scheduleIdleLock();
+    return;
+  }
+  await Controller.lockChatHistory();
+}
+
+/**
+ * Start the idle lock timer; any input in the panel restarts it
+ */
+export function startIdleLock() {
+  if (idleTimer) return;
+  ['pointerdown', 'keydown', 'wheel'].forEach((type) => {
+    document.addEventListener(type, scheduleIdleLock, { capture: true, passive: true });
+  });
+  scheduleIdleLock();
+}
+
+/**
+ * Check the form before any key derivation
+ * @param {{action: string, next: string, confirm: string}} values - Form values
+ * @returns {string|null} Error message
+ */
+function validateVaultForm({ action, next, confirm }) {
+  if (action === 'disable') return null;
+  if (next.length < VAULT.MIN_PASSPHRASE_LENGTH) return USER_ERROR_MESSAGES.VAULT_PASSPHRASE_TOO_SHORT;
+  if (next !== confirm) return USER_ERROR_MESSAGES.VAULT_PASSPHRASE_MISMATCH;
+  return null;
+}
+
+export function handleVaultEnableClick() {
+  Controller.openVaultForm('enable');
+}
+
+export function handleVaultChangeClick() {
+  Controller.openVaultForm('change');
+}
+
+export function handleVaultDisableClick() {
+  Controller.openVaultForm('disable');
+}
+
+export function handleVaultCancelClick() {
+  Controller.closeVaultForm();
+}
+
+/**
+ * Handle Lock now button click
+ * @returns {Promise<void>}
+ */
+export async function handleVaultLockNowClick() {
+  await Controller.lockChatHistory();
+}
+
+/**
+ * Handle encryption form submit - re-encrypt the history
+ * @param {SubmitEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleVaultFormSubmit(event) {
+  event.preventDefault();
+  const values = Controller.getVaultFormValues();
+  if (!SUCCESS_MESSAGES[values.action]) return;
+
+  const invalid = validateVaultForm(values);
+  if (invalid) {
+    Controller.setVaultFormError(invalid);
+    return;
+  }
+
+  Controller.setVaultFormError('');
+  Controller.setVaultFormBusy(true);
+  try {
+    await Controller.applyEncryptionChange(values);
+    Controller.closeVaultForm();
+    Controller.showToast('success', SUCCESS_MESSAGES[values.action]);
+  } catch (e) {
+    console.error('Encryption change failed', e);
+    const known = Object.values(USER_ERROR_MESSAGES).includes(e.message);
+    Controller.setVaultFormError(known ? e.message : USER_ERROR_MESSAGES.VAULT_REKEY_FAILED);
+  } finally {
+    Controller.setVaultFormBusy(false);
+  }
+}
@@ -24,7 +24,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 
   // --- EVENT BINDINGS ---
   const bindings = [
-    { sel: '#ask', ev: 'click', fn: ChatHandlers.handleAskClick },
+    { sel: '#ask', ev: 'click', fn: ChatHandlers.handlePromptSubmit },
     { sel: '#sum', ev: 'click', fn: ChatHandlers.handleSummarizeClick },
     { sel: '#copy', ev: 'click', fn: ChatHandlers.handleCopyChatClick },
     { sel: '#save-md', ev: 'click', fn: ChatHandlers.handleSaveMarkdown },
@@ -33,6 +33,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Dropdown Triggers (Generic)
     { sel: '#templates-trigger', ev: 'click', fn: ChatHandlers.handleTemplatesTriggerClick },
     { sel: '#templates-menu', ev: 'click', fn: ChatHandlers.handleTemplateMenuClick },
+    { sel: '#template-badge-clear', ev: 'click', fn: ChatHandlers.handleTemplateBadgeClear },
     { sel: '#session-trigger', ev: 'click', fn: ChatHandlers.handleSessionTriggerClick },
     { sel: '#session-menu', ev: 'click', fn: ChatHandlers.handleSessionMenuClick },
     { sel: '#session-search', ev: 'input', fn: ChatHandlers.handleSessionSearchInput },
@@ -51,6 +52,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     { sel: '#stop', ev: 'click', fn: ChatHandlers.handleStopClick },
     { sel: '#in', ev: 'focus', fn: ChatHandlers.handleInputFocus },
 
+    // Slash commands
+    { sel: '#in', ev: 'input', fn: ChatHandlers.handleCommandInput },
+    { sel: '#in', ev: 'blur', fn: ChatHandlers.handleCommandInputBlur },
+    { sel: '#command-palette', ev: 'mousedown', fn: ChatHandlers.handleCommandPaletteMouseDown },
+
     // Context
     { sel: '#toggle-context', ev: 'click', fn: ChatHandlers.handleToggleContext },
     { sel: '#context-text', ev: 'input', fn: ChatHandlers.handleContextInput },
@@ -59,6 +65,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     { sel: '#save-context-snapshot', ev: 'click', fn: ChatHandlers.handleSaveSnapshotClick },
     { sel: '#use-live-context', ev: 'click', fn: ChatHandlers.handleUseLiveContext },
     { sel: '#context-snapshot-list', ev: 'click', fn: ChatHandlers.handleSnapshotListClick },
+    { sel: '#pick-context-tabs', ev: 'click', fn: ChatHandlers.handlePickTabsClick },
+    { sel: '#context-tab-list', ev: 'change', fn: ChatHandlers.handleTabPickerChange },
+    { sel: '#apply-context-tabs', ev: 'click', fn: ChatHandlers.handleApplyTabsClick },
+    { sel: '#cancel-context-tabs', ev: 'click', fn: ChatHandlers.handleCancelTabsClick },
 
     // Settings
     { sel: '#open-settings', ev: 'click', fn: SettingsHandlers.handleOpenSettings },
@@ -69,10 +79,49 @@ document.addEventListener('DOMContentLoaded', async () => {
     { sel: '#refresh-diagnostics', ev: 'click', fn: SettingsHandlers.handleDiagnosticsRefresh },
     { sel: '#warmup-now', ev: 'click', fn: SettingsHandlers.handleWarmupClick },
 
+    // Archives (settings Data tab)
+    { sel: '#export-current-session', ev: 'click', fn: ChatHandlers.handleExportCurrentClick },
+    { sel: '#choose-export-sessions', ev: 'click', fn: ChatHandlers.handleChooseExportClick },
+    { sel: '#export-all-sessions', ev: 'click', fn: ChatHandlers.handleExportAllClick },
+    { sel: '#export-picked-sessions', ev: 'click', fn: ChatHandlers.handleExportPickedClick },
+    { sel: '#import-archive', ev: 'click', fn: ChatHandlers.handleImportArchiveClick },
+    { sel: '#archive-file-input', ev: 'change', fn: ChatHandlers.handleArchiveFileChange },
+
+    // Template packs (settings Data tab)
+    { sel: '#choose-export-templates', ev: 'click', fn: ChatHandlers.handleChooseTemplateExportClick },
+    { sel: '#export-picked-templates', ev: 'click', fn: ChatHandlers.handleExportPickedTemplatesClick },
+    { sel: '#import-template-pack', ev: 'click', fn: ChatHandlers.handleImportTemplatePackClick },
+    { sel: '#template-pack-file-input', ev: 'change', fn: ChatHandlers.handleTemplatePackFileChange },
+    { sel: '#template-conflict-form', ev: 'submit', fn: ChatHandlers.handleTemplateConflictSubmit },
+    { sel: '#template-conflict-cancel', ev: 'click', fn: ChatHandlers.handleTemplateConflictCancel },
+
+    // Storage & retention
+    { sel: '#retention-preview', ev: 'click', fn: ChatHandlers.handleRetentionPreviewClick },
+    { sel: '#retention-form', ev: 'submit', fn: ChatHandlers.handleRetentionFormSubmit },
+    { sel: '#archived-session-list', ev: 'click', fn: ChatHandlers.handleArchivedListClick },
+
+    // Chat history encryption
+    { sel: '#vault-enable', ev: 'click', fn: ChatHandlers.handleVaultEnableClick },
+    { sel: '#vault-change', ev: 'click', fn: ChatHandlers.handleVaultChangeClick },
+    { sel: '#vault-disable', ev: 'click', fn: ChatHandlers.handleVaultDisableClick },
+    { sel: '#vault-lock-now', ev: 'click', fn: ChatHandlers.handleVaultLockNowClick },
+    { sel: '#vault-cancel', ev: 'click', fn: ChatHandlers.handleVaultCancelClick },
+    { sel: '#vault-form', ev: 'submit', fn: ChatHandlers.handleVaultFormSubmit },
+    { sel: '#vault-unlock-form', ev: 'submit', fn: ChatHandlers.handleVaultUnlockSubmit },
+
     // Setup Guide
     { sel: '#open-setup-guide', ev: 'click', fn: SettingsHandlers.handleOpenSetupGuide },
     { sel: '#setup-guide-modal', ev: 'click', fn: ChatHandlers.handleModalClick },
 
+    // Template fill-in form
+    { sel: '#template-vars-modal', ev: 'click', fn: ChatHandlers.handleModalClick },
+    { sel: '#template-vars-form', ev: 'submit', fn: ChatHandlers.handleTemplateVarsSubmit },
+
+    // Keyboard shortcuts
+    { sel: '#open-shortcuts', ev: 'click', fn: ChatHandlers.handleOpenShortcutsClick },
+    { sel: '#edit-shortcuts', ev: 'click', fn: ChatHandlers.handleEditShortcutsClick },
+    { sel: '#shortcuts-modal', ev: 'click', fn: ChatHandlers.handleModalClick },
+
     // Model Status Chip (click to open setup guide when issues exist)
     { sel: '#model-status', ev: 'click', fn: () => UI.handleModelStatusChipClick() }
   ];
@@ -90,6 +139,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.addEventListener('keydown', ChatHandlers.handleDocumentKeyDown, true);
   document.getElementById('session-menu')?.addEventListener('keydown', ChatHandlers.handleRenameInputKeyDown);
   document.getElementById('templates-menu')?.addEventListener('keydown', ChatHandlers.handleTemplateEditKeyDown);
+  document.getElementById('log')?.addEventListener('keydown', ChatHandlers.handleLogKeyDown);
 
   chrome.runtime.onMessage.addListener((message) => {
     if (message.action === 'MODEL_READY') {
@@ -0,0 +1,33 @@
+// fixtures.js - Input/expected file pairs under test/fixtures
+//
+// Each fixture directory holds `<name><inputSuffix>` files with the expected
+// output in `<name><expectedSuffix>`. Trailing newlines are ignored on both.
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+
+const FIXTURES_DIR = fileURLToPath(new URL('./fixtures/', import.meta.url));
+
+const read = path => readFileSync(path, 'utf8').replace(/\n+$/, '');
+
+/**
+ * @param {string} dir - Directory under test/fixtures
+ * @param {string} inputSuffix - e.g. '.md'
+ * @param {string} expectedSuffix - e.g. '.html'
+ * @returns {Array<{name: string, input: string, expected: string}>}
+ */
+export function loadFixtures(dir, inputSuffix, expectedSuffix) {
+  const base = join(FIXTURES_DIR, dir);
+  return readdirSync(base)
+    .filter(file => file.endsWith(inputSuffix))
+    .sort()
+    .map((file) => {
+      const name = file.slice(0, -inputSuffix.length);
+      return {
+        name,
+        input: read(join(base, file)),
+        expected: read(join(base, name + expectedSuffix))
+      };
+    });
+}
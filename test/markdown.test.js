@@ -0,0 +1,62 @@
+import './setup-dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseMarkdown, renderMarkdown } from '../utils/markdown.js';
+import { markdownToHtml } from '../utils/utils.js';
+import { loadFixtures } from './fixtures.js';
+
+const findNode = (node, type) => {
+  if (node.type === type) return node;
+  for (const child of node.children || []) {
+    const found = findNode(child, type);
+    if (found) return found;
+  }
+  return null;
+};
+
+describe('renderMarkdown fixtures', () => {
+  for (const { name, input, expected } of loadFixtures('markdown', '.md', '.html')) {
+    it(name, () => {
+      assert.equal(renderMarkdown(parseMarkdown(input)), expected);
+    });
+  }
+});
+
+describe('parseMarkdown', () => {
+  it('records table column alignment', () => {
+    const table = findNode(parseMarkdown('| a | b | c |\n|:--|:-:|--:|\n| 1 | 2 | 3 |'), 'table');
+    assert.deepEqual(table.align, ['left', 'center', 'right']);
+    assert.equal(table.children.length, 2);
+  });
+
+  it('marks task items as checked or not', () => {
+    const list = findNode(parseMarkdown('- [x] done\n- [ ] open\n- plain'), 'list');
+    assert.deepEqual(list.children.map(item => item.checked ?? null), [true, false, null]);
+  });
+
+  it('keeps emphasis markers inside code spans as code', () => {
+    const code = findNode(parseMarkdown('a `**b**` c'), 'inlineCode');
+    assert.equal(code.value, '**b**');
+    assert.equal(findNode(parseMarkdown('a `**b**` c'), 'strong'), null);
+  });
+
+  it('keeps raw HTML outside the allow-list as text', () => {
+    const root = parseMarkdown('<img src=x onerror=alert(1)>');
+    assert.equal(findNode(root, 'html'), null);
+    assert.match(renderMarkdown(root), /^<p>&lt;img /);
+  });
+});
+
+describe('markdownToHtml', () => {
+  it('returns an empty string for empty input', () => {
+    assert.equal(markdownToHtml(''), '');
+  });
+
+  it('renders soft line breaks as <br> by default', () => {
+    assert.equal(markdownToHtml('one\ntwo'), '<p>one<br>two</p>');
+  });
+
+  it('drops links with unsafe schemes', () => {
+    assert.equal(markdownToHtml('[x](javascript:alert(1)) [y](data:text/html,hi)'), '<p>x y</p>');
+  });
+});
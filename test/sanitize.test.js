@@ -0,0 +1,26 @@
+import './setup-dom.js';
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtmlString } from '../utils/utils.js';
+import { loadFixtures } from './fixtures.js';
+
+describe('sanitizeHtmlString fixtures', () => {
+  for (const { name, input, expected } of loadFixtures('sanitize', '.dirty.html', '.clean.html')) {
+    it(name, () => {
+      assert.equal(sanitizeHtmlString(input), expected);
+    });
+  }
+});
+
+describe('sanitizeHtmlString', () => {
+  it('leaves allowed markup unchanged', () => {
+    const html = '<p>a <strong>b</strong> <em>c</em> <del>d</del> <code>e</code></p><hr><h2>f</h2>';
+    assert.equal(sanitizeHtmlString(html), html);
+  });
+
+  it('is idempotent', () => {
+    const { input } = loadFixtures('sanitize', '.dirty.html', '.clean.html')[0];
+    const once = sanitizeHtmlString(input);
+    assert.equal(sanitizeHtmlString(once), once);
+  });
+});
@@ -0,0 +1,15 @@
+// setup-dom.js - Browser globals for tests of DOM-based code
+//
+// The sanitizer parses with DOMParser and walks with document.createTreeWalker;
+// import this before any module that uses them.
+
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('<!doctype html><html><body></body></html>');
+
+Object.assign(globalThis, {
+  window,
+  document: window.document,
+  DOMParser: window.DOMParser,
+  NodeFilter: window.NodeFilter
+});
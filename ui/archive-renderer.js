@@ -0,0 +1,89 @@
+import { getEls } from './core.js';
+import { clampLabel, formatDate } from '../utils/utils.js';
+
+function createSessionRow(session, checked) {
+  const row = document.createElement('li');
+  row.className = 'archive-session-row';
+
+  const label = document.createElement('label');
+
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.dataset.sessionId = session.id;
+  box.checked = checked;
+  label.appendChild(box);
+
+  const info = document.createElement('span');
+  info.className = 'snapshot-info';
+
+  const title = document.createElement('span');
+  title.className = 'snapshot-title';
+  title.textContent = clampLabel(session.title || 'Untitled');
+  info.appendChild(title);
+
+  const meta = document.createElement('span');
+  meta.className = 'snapshot-meta';
+  const count = session.messageCount ?? session.messages?.length ?? 0;
+  meta.textContent = `${count} ${count === 1 ? 'message' : 'messages'} • ${formatDate(session.updatedAt)}`;
+  info.appendChild(meta);
+
+  label.appendChild(info);
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Render every session as a checkbox row in the export picker
+ * @param {string[]} order - Session ids, most recent first
+ * @param {Object<string, object>} sessions - Loaded sessions
+ * @param {Object<string, object>} sessionMeta - Session metadata (lazy loading)
+ */
+export function renderArchiveSessionList(order = [], sessions = {}, sessionMeta = {}) {
+  const els = getEls();
+  if (!els.archiveSessionList) return;
+
+  // Keep ticks across re-renders
+  const picked = new Set(getPickedArchiveSessionIds());
+  const fragment = document.createDocumentFragment();
+
+  order.forEach((id) => {
+    const session = sessionMeta[id] || sessions[id];
+    if (session) fragment.appendChild(createSessionRow(session, picked.has(id)));
+  });
+
+  els.archiveSessionList.innerHTML = '';
+  els.archiveSessionList.appendChild(fragment);
+}
+
+/**
+ * @returns {string[]} Ids of the ticked sessions
+ */
+export function getPickedArchiveSessionIds() {
+  const els = getEls();
+  if (!els.archiveSessionList) return [];
+  return [...els.archiveSessionList.querySelectorAll('input[data-session-id]:checked')]
+    .map(box => box.dataset.sessionId);
+}
+
+/**
+ * Show or hide the export session picker
+ * @param {boolean} open
+ */
+export function setArchivePickerOpen(open) {
+  const els = getEls();
+  if (!els.archivePicker) return;
+  els.archivePicker.hidden = !open;
+  els.archivePickerToggle?.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * @returns {boolean} Whether the export session picker is showing
+ */
+export function isArchivePickerOpen() {
+  const { archivePicker } = getEls();
+  return Boolean(archivePicker && !archivePicker.hidden);
+}
+
+export function triggerArchiveFilePicker() {
+  getEls().archiveFileInput?.click();
+}
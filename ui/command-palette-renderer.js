@@ -0,0 +1,57 @@
+import { getEls } from './core.js';
+
+/**
+ * Show slash command suggestions above the prompt input (an empty list hides them)
+ * @param {Array<{label: string, description: string}>} items - Suggestions
+ * @param {number} activeIndex - Highlighted suggestion
+ */
+export function renderCommandPalette(items = [], activeIndex = 0) {
+  const els = getEls();
+  if (!els.commandPalette) return;
+
+  const fragment = document.createDocumentFragment();
+  items.forEach((item, index) => {
+    const option = document.createElement('li');
+    option.id = `command-option-${index}`;
+    option.className = 'command-option';
+    option.dataset.index = index;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(index === activeIndex));
+
+    const name = document.createElement('span');
+    name.className = 'command-name';
+    name.textContent = item.label;
+    option.appendChild(name);
+
+    if (item.description) {
+      const description = document.createElement('span');
+      description.className = 'command-description';
+      description.textContent = item.description;
+      option.appendChild(description);
+    }
+
+    fragment.appendChild(option);
+  });
+
+  els.commandPalette.innerHTML = '';
+  els.commandPalette.appendChild(fragment);
+
+  const open = items.length > 0;
+  els.commandPalette.hidden = !open;
+  els.input?.setAttribute('aria-expanded', String(open));
+  if (open) {
+    els.input?.setAttribute('aria-activedescendant', `command-option-${activeIndex}`);
+    els.commandPalette.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: 'nearest' });
+  } else {
+    els.input?.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * @param {EventTarget} target - Event target inside the palette
+ * @returns {number} Index of the suggestion it belongs to, or -1
+ */
+export function getCommandOptionIndex(target) {
+  const option = target?.closest?.('.command-option');
+  return option ? Number(option.dataset.index) : -1;
+}
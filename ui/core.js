@@ -60,6 +60,7 @@ export function initUI() {
     stop: $('#stop'),
     mic: $('#mic'),
     input: $('#in'),
+    commandPalette: $('#command-palette'),
     askBtn: $('#ask'),
     sumBtn: $('#sum'),
     attachBtn: $('#attach'),
@@ -74,7 +75,48 @@ export function initUI() {
     diagWarmup: $('#diag-warmup'),
     diagWarmupNote: $('#diag-warmup-note'),
     diagRefreshBtn: $('#refresh-diagnostics'),
-    diagWarmupBtn: $('#warmup-now')
+    diagWarmupBtn: $('#warmup-now'),
+    archivePicker: $('#archive-picker'),
+    archivePickerToggle: $('#choose-export-sessions'),
+    archiveSessionList: $('#archive-session-list'),
+    archiveFileInput: $('#archive-file-input'),
+    templatePackPicker: $('#template-pack-picker'),
+    templatePackPickerToggle: $('#choose-export-templates'),
+    templatePackList: $('#template-pack-list'),
+    templatePackFileInput: $('#template-pack-file-input'),
+    templateSyncNote: $('#template-sync-note'),
+    templateConflictForm: $('#template-conflict-form'),
+    templateConflictList: $('#template-conflict-list'),
+    storageUsage: $('#storage-usage'),
+    retentionForm: $('#retention-form'),
+    retentionMaxSessionsInput: $('#retention-max-sessions'),
+    retentionMaxAgeDaysInput: $('#retention-max-age-days'),
+    retentionMaxMbInput: $('#retention-max-mb'),
+    retentionDeleteInput: $('#retention-delete'),
+    retentionPreviewResult: $('#retention-preview-result'),
+    retentionPreviewSummary: $('#retention-preview-summary'),
+    retentionPreviewList: $('#retention-preview-list'),
+    archivedSessionList: $('#archived-session-list'),
+    archivedEmpty: $('#archived-empty'),
+    vaultStatus: $('#vault-status'),
+    vaultEnableBtn: $('#vault-enable'),
+    vaultChangeBtn: $('#vault-change'),
+    vaultDisableBtn: $('#vault-disable'),
+    vaultLockNowBtn: $('#vault-lock-now'),
+    vaultForm: $('#vault-form'),
+    vaultCurrentField: $('#vault-current-field'),
+    vaultNextField: $('#vault-next-field'),
+    vaultConfirmField: $('#vault-confirm-field'),
+    vaultCurrentInput: $('#vault-current'),
+    vaultNextInput: $('#vault-next'),
+    vaultConfirmInput: $('#vault-confirm'),
+    vaultFormError: $('#vault-form-error'),
+    vaultSubmitBtn: $('#vault-submit'),
+    vaultLock: $('#vault-lock'),
+    vaultUnlockForm: $('#vault-unlock-form'),
+    vaultPassphraseInput: $('#vault-passphrase'),
+    vaultUnlockBtn: $('#vault-unlock'),
+    vaultUnlockError: $('#vault-unlock-error')
   };
 
   // Cache container elements for centralized state management
@@ -291,6 +333,16 @@ export function setStatusText(text) {
   }
 }
 
+/**
+ * Briefly show in the status chip that older turns were summarized.
+ * Shown even while busy, since compaction happens mid-request.
+ */
+export function showCompactionNotice() {
+  if (!els.avail) return;
+  els.avail.textContent = UI_MESSAGES.COMPACTING;
+  els.avail.title = 'Earlier turns were summarized to fit the model\'s context window';
+}
+
 export function setRestrictedState(isRestrictedState) {
   isRestricted = isRestrictedState;
   const interactive = [
@@ -466,6 +518,13 @@ export function closeMenu(menuName) {
   }
 }
 
+// Open the chat list if needed and put the cursor in its search box
+export function focusSessionSearch() {
+  if (els.sessionMenu?.hidden) toggleMenu('session');
+  els.sessionSearch?.focus();
+  els.sessionSearch?.select();
+}
+
 // Mic state
 export function setMicState(active) {
   if (inputCardEl) inputCardEl.classList.toggle('is-recording', active);
@@ -15,6 +15,7 @@ export {
   applyTheme,
   setBusy,
   setStatusText,
+  showCompactionNotice,
   setRestrictedState,
   updateModelStatusChip,
   handleModelStatusChipClick,
@@ -25,6 +26,7 @@ export {
   getContextText,
   toggleMenu,
   closeMenu,
+  focusSessionSearch,
   setMicState,
   setInputError,
   getInputValue,
@@ -48,7 +50,14 @@ export {
 export {
   renderLog,
   updateLastMessageBubble,
+  updateLastMessageToolCalls,
+  updateLastMessageSources,
+  updateLastMessageCitations,
+  scrollToMessage,
   renderSmartReplies,
+  showMessageEditor,
+  hideMessageEditor,
+  toggleCodeWrap,
   createMessageElement,
   buildSmartReplyRow,
   scrollToBottom,
@@ -66,9 +75,24 @@ export {
 export {
   updateTemplates,
   getTemplateEditValues,
-  setAddingNewTemplate
+  setAddingNewTemplate,
+  setActiveTemplateBadge,
+  renderTemplateVarsForm,
+  getTemplateVarsValues
 } from './template-renderer.js';
 
+// Slash command suggestions
+export {
+  renderCommandPalette,
+  getCommandOptionIndex
+} from './command-palette-renderer.js';
+
+// Keyboard shortcut cheat sheet
+export {
+  renderShortcuts,
+  isShortcutsModalOpen
+} from './shortcuts-renderer.js';
+
 // Modal management
 export {
   trapFocus,
@@ -76,6 +100,8 @@ export {
   openSettingsModal,
   openContextModal,
   openSetupGuideModal,
+  openTemplateVarsModal,
+  openShortcutsModal,
   closeModal,
   isModalOpen,
   setSetupGuideContent,
@@ -96,6 +122,62 @@ export {
   renderContextSnapshots
 } from './snapshot-renderer.js';
 
+// Tab picker (multi-tab context)
+export {
+  renderTabPicker,
+  syncTabPickerGroups,
+  setTabPickerGroupChecked,
+  getPickedTabIds,
+  setTabPickerOpen,
+  isTabPickerOpen
+} from './tab-picker-renderer.js';
+
+// Archive export picker
+export {
+  renderArchiveSessionList,
+  getPickedArchiveSessionIds,
+  setArchivePickerOpen,
+  isArchivePickerOpen,
+  triggerArchiveFilePicker
+} from './archive-renderer.js';
+
+// Template pack export picker and import conflicts
+export {
+  renderTemplatePackList,
+  getPickedPackTemplateIds,
+  setTemplatePackPickerOpen,
+  isTemplatePackPickerOpen,
+  triggerTemplatePackFilePicker,
+  setTemplateSyncNote,
+  renderTemplateConflicts,
+  getTemplateConflictChoices
+} from './template-pack-renderer.js';
+
+// Storage usage and retention policy
+export {
+  renderStorageUsage,
+  syncRetentionForm,
+  getRetentionFormValues,
+  renderRetentionPreview,
+  setRetentionBusy,
+  renderArchivedSessions,
+  setArchivedDeleteConfirming
+} from './retention-renderer.js';
+
+// Chat history encryption
+export {
+  renderVaultStatus,
+  openVaultForm,
+  closeVaultForm,
+  getVaultFormValues,
+  setVaultFormError,
+  setVaultFormBusy,
+  setVaultLockScreen,
+  getVaultUnlockPassphrase,
+  setVaultUnlockError,
+  setVaultUnlockBusy
+} from './vault-renderer.js';
+
 // Initialize cross-module callbacks
 import { setOpenSetupGuideModalCallback, setBuildContextSnapshotUICallback, setCreateMessageElementCallback } from './core.js';
 import { openSetupGuideModal } from './modal-manager.js';
@@ -1,6 +1,9 @@
-import { formatTime, markdownToHtml } from '../utils/utils.js';
+import { formatTime, markdownToHtml, clampLabel } from '../utils/utils.js';
+import { formatCell, isRecordList } from '../utils/structured-output.js';
+import { STORAGE_KEYS, TIMING } from '../config/constants.js';
 import { VirtualScroller } from '../utils/virtual-scroll.js';
 import { formatPdfTruncationNote } from './attachment-renderer.js';
+import { renderStreamingMarkdown, endStreamingMarkdown } from './stream-renderer.js';
 import {
   getEls,
   getChatCardEl,
@@ -11,6 +14,13 @@ import {
 } from './core.js';
 
 let renderedSessionId = null;
+let renderedSession = null;
+// HTML each completed message body was last rendered with (before code toolbars)
+const finalHtml = new WeakMap();
+
+// Citation chip label and tooltip lengths (chars of the cited passage)
+const CITATION_CHIP_CHARS = 32;
+const CITATION_TOOLTIP_CHARS = 300;
 
 function scrollToBottom() {
   const els = getEls();
@@ -43,7 +53,30 @@ function createMessageActions(msg, idx) {
   copyBtn.className = 'bubble-copy';
   actions.appendChild(copyBtn);
 
+  if (msg.role === 'user') {
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.title = 'Edit and resend';
+    editBtn.dataset.idx = idx;
+    editBtn.className = 'msg-edit';
+    actions.appendChild(editBtn);
+  }
+
   if (msg.role === 'ai') {
+    const regenBtn = document.createElement('button');
+    regenBtn.textContent = '↻';
+    regenBtn.title = 'Regenerate response';
+    regenBtn.dataset.idx = idx;
+    regenBtn.className = 'regenerate';
+    actions.appendChild(regenBtn);
+
+    const forkBtn = document.createElement('button');
+    forkBtn.textContent = 'Fork';
+    forkBtn.title = 'Continue from here in a new chat';
+    forkBtn.dataset.idx = idx;
+    forkBtn.className = 'fork';
+    actions.appendChild(forkBtn);
+
     const speak = document.createElement('button');
     speak.textContent = '🔊';
     speak.dataset.idx = idx;
@@ -53,6 +86,162 @@ function createMessageActions(msg, idx) {
   return actions;
 }
 
+function createCodeButton(label, className, title) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.title = title;
+  btn.className = className;
+  return btn;
+}
+
+/**
+ * Wrap each code block of a rendered message in a toolbar with Copy, Wrap
+ * and Save buttons (clicks handled in handleLogClick). Skips blocks that
+ * already have one.
+ * @param {HTMLElement} body - Message body element
+ */
+function decorateCodeBlocks(body) {
+  body.querySelectorAll('pre').forEach((pre) => {
+    if (pre.parentElement.classList.contains('code-block')) return;
+
+    const lang = pre.querySelector('code')?.className.match(/^language-(.+)$/)?.[1] || '';
+    const block = document.createElement('div');
+    block.className = 'code-block';
+    block.dataset.lang = lang;
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-toolbar';
+    const langLabel = document.createElement('span');
+    langLabel.className = 'code-lang';
+    langLabel.textContent = lang;
+    const wrapBtn = createCodeButton('Wrap', 'code-wrap', 'Wrap long lines');
+    wrapBtn.setAttribute('aria-pressed', 'false');
+    toolbar.append(
+      langLabel,
+      createCodeButton('Copy', 'code-copy', 'Copy code'),
+      wrapBtn,
+      createCodeButton('Save', 'code-save', 'Save as file')
+    );
+
+    pre.replaceWith(block);
+    block.append(toolbar, pre);
+  });
+}
+
+/**
+ * Toggle line wrapping of a code block
+ * @param {HTMLElement} block - .code-block element
+ */
+export function toggleCodeWrap(block) {
+  const wrapped = block.classList.toggle('is-wrapped');
+  block.querySelector('.code-wrap')?.setAttribute('aria-pressed', String(wrapped));
+}
+
+/**
+ * Position of a message among its siblings in the session's branch tree
+ * @param {object} message - Message on the active path
+ * @returns {{position: number, total: number}|null} Null when the turn never forked
+ */
+function getBranchPosition(message) {
+  const key = message?.parentId || STORAGE_KEYS.BRANCH_ROOT;
+  const branch = renderedSession?.branches?.[key];
+  if (!branch || branch.children.length < 2) return null;
+  return {
+    position: branch.children.indexOf(message.id) + 1,
+    total: branch.children.length
+  };
+}
+
+function createBranchSwitcher(branchInfo, idx) {
+  const switcher = document.createElement('div');
+  switcher.className = 'branch-switcher';
+
+  const prev = document.createElement('button');
+  prev.className = 'branch-prev';
+  prev.textContent = '‹';
+  prev.dataset.idx = idx;
+  prev.disabled = branchInfo.position <= 1;
+  prev.setAttribute('aria-label', 'Previous version');
+  switcher.appendChild(prev);
+
+  const label = document.createElement('span');
+  label.className = 'branch-label';
+  label.textContent = `${branchInfo.position}/${branchInfo.total}`;
+  switcher.appendChild(label);
+
+  const next = document.createElement('button');
+  next.className = 'branch-next';
+  next.textContent = '›';
+  next.dataset.idx = idx;
+  next.disabled = branchInfo.position >= branchInfo.total;
+  next.setAttribute('aria-label', 'Next version');
+  switcher.appendChild(next);
+
+  return switcher;
+}
+
+function findMessageElement(idx) {
+  const els = getEls();
+  if (!els.log) return null;
+  return els.log.querySelector(`.msg[data-idx="${idx}"]`);
+}
+
+/**
+ * Swap a user bubble's body for an inline editor.
+ * @param {number} idx - Message index
+ * @param {string} text - Current message text
+ */
+export function showMessageEditor(idx, text) {
+  const msgEl = findMessageElement(idx);
+  if (!msgEl || msgEl.classList.contains('is-editing')) return;
+
+  msgEl.classList.add('is-editing');
+
+  const form = document.createElement('div');
+  form.className = 'msg-edit-form';
+
+  const textarea = document.createElement('textarea');
+  textarea.className = 'msg-edit-text';
+  textarea.value = text || '';
+  textarea.dataset.idx = idx;
+  textarea.rows = Math.min(8, Math.max(2, (text || '').split('\n').length));
+  textarea.setAttribute('aria-label', 'Edit message');
+  form.appendChild(textarea);
+
+  const actions = document.createElement('div');
+  actions.className = 'msg-edit-actions';
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'action-btn save msg-edit-save';
+  saveBtn.textContent = '✓ Send';
+  saveBtn.dataset.idx = idx;
+  actions.appendChild(saveBtn);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'action-btn cancel msg-edit-cancel';
+  cancelBtn.textContent = '✕ Cancel';
+  cancelBtn.dataset.idx = idx;
+  actions.appendChild(cancelBtn);
+
+  form.appendChild(actions);
+  msgEl.querySelector('.body')?.after(form);
+
+  textarea.focus();
+  textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+}
+
+/**
+ * Restore a bubble after inline editing was cancelled.
+ * @param {number} idx - Message index
+ */
+export function hideMessageEditor(idx) {
+  const msgEl = findMessageElement(idx);
+  if (!msgEl) return;
+  msgEl.classList.remove('is-editing');
+  msgEl.querySelector('.msg-edit-form')?.remove();
+}
+
 export function buildSmartReplyRow(replies = []) {
   if (!replies || replies.length === 0) return null;
 
@@ -80,9 +269,149 @@ export function buildSmartReplyRow(replies = []) {
   return container;
 }
 
+function createStructuredTable(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const table = document.createElement('table');
+  table.className = 'structured-table';
+
+  const headRow = table.createTHead().insertRow();
+  columns.forEach(col => {
+    const th = document.createElement('th');
+    th.textContent = col;
+    headRow.appendChild(th);
+  });
+
+  const tbody = table.createTBody();
+  rows.forEach(row => {
+    const tr = tbody.insertRow();
+    columns.forEach(col => {
+      tr.insertCell().textContent = formatCell(row[col]);
+    });
+  });
+  return table;
+}
+
+/**
+ * Render a structured (schema-validated) answer: a list of records becomes a
+ * table, an object becomes a key/value card with nested record lists as tables.
+ * @param {any} value - Structured value from a template with an output schema
+ * @returns {HTMLElement}
+ */
+function createStructuredView(value) {
+  const wrap = document.createElement('div');
+  wrap.className = 'structured-output';
+
+  if (isRecordList(value)) {
+    wrap.appendChild(createStructuredTable(value));
+    return wrap;
+  }
+
+  if (Array.isArray(value)) {
+    const list = document.createElement('ul');
+    value.forEach(item => {
+      const li = document.createElement('li');
+      li.textContent = formatCell(item);
+      list.appendChild(li);
+    });
+    wrap.appendChild(list);
+    return wrap;
+  }
+
+  const card = document.createElement('dl');
+  card.className = 'structured-card';
+  Object.entries(value || {}).forEach(([key, val]) => {
+    const dt = document.createElement('dt');
+    dt.textContent = key;
+    const dd = document.createElement('dd');
+    if (isRecordList(val)) {
+      dd.appendChild(createStructuredTable(val));
+    } else {
+      dd.textContent = Array.isArray(val) ? val.map(formatCell).join(', ') : formatCell(val);
+    }
+    card.append(dt, dd);
+  });
+  wrap.appendChild(card);
+  return wrap;
+}
+
+/**
+ * Inline record of the page tools the model used for a reply
+ * @param {Array<{name: string, ok: boolean, summary: string}>} toolCalls
+ * @returns {HTMLElement}
+ */
+function createToolCallList(toolCalls = []) {
+  const list = document.createElement('ul');
+  list.className = 'tool-calls';
+  toolCalls.forEach(call => {
+    const item = document.createElement('li');
+    item.className = call.ok ? 'tool-call' : 'tool-call is-error';
+
+    const name = document.createElement('code');
+    name.textContent = call.name;
+    item.appendChild(name);
+    item.append(` ${call.summary || ''}`);
+    list.appendChild(item);
+  });
+  return list;
+}
+
+/**
+ * "Sections used" line under answers built from retrieved page sections
+ * @param {Array<{id: number, heading: string}>} sources
+ * @returns {HTMLElement}
+ */
+function createSourcesLine(sources = []) {
+  const line = document.createElement('div');
+  line.className = 'msg-sources';
+
+  const label = document.createElement('span');
+  label.className = 'msg-sources-label';
+  label.textContent = 'Sections used:';
+  line.appendChild(label);
+
+  sources.forEach(source => {
+    const item = document.createElement('span');
+    item.className = 'msg-source';
+    item.textContent = source.heading;
+    line.appendChild(item);
+  });
+  return line;
+}
+
+/**
+ * Citation chips under answers that cite numbered context passages.
+ * Clicking a chip highlights the passage on its page (see handleLogClick).
+ * @param {Array<{n: number, text: string}>} citations
+ * @param {number} idx - Message index
+ * @returns {HTMLElement}
+ */
+function createCitationRow(citations = [], idx) {
+  const row = document.createElement('div');
+  row.className = 'msg-citations';
+
+  const label = document.createElement('span');
+  label.className = 'msg-sources-label';
+  label.textContent = 'Sources:';
+  row.appendChild(label);
+
+  citations.forEach(citation => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'citation-chip';
+    chip.dataset.idx = idx;
+    chip.dataset.n = citation.n;
+    chip.textContent = `[${citation.n}] ${clampLabel(citation.text, CITATION_CHIP_CHARS)}`;
+    chip.title = clampLabel(citation.text, CITATION_TOOLTIP_CHARS);
+    chip.setAttribute('aria-label', `Show source ${citation.n} on the page`);
+    row.appendChild(chip);
+  });
+  return row;
+}
+
 export function createMessageElement(m, idx) {
   const div = document.createElement('div');
   div.className = `msg ${m.role}`;
+  div.dataset.idx = idx;
 
   const header = document.createElement('div');
   header.className = 'msg-header';
@@ -97,18 +426,33 @@ export function createMessageElement(m, idx) {
   header.appendChild(time);
   div.appendChild(header);
 
+  if (m.toolCalls?.length) {
+    div.appendChild(createToolCallList(m.toolCalls));
+  }
+
   const body = document.createElement('div');
   body.className = 'body';
 
   // Show loading dots for empty AI messages
   if (m.role === 'ai' && (!m.text || m.text.trim() === '')) {
     body.innerHTML = '<div class="loading-dots"><span></span><span></span><span></span></div>';
+  } else if (m.structured !== undefined) {
+    body.appendChild(createStructuredView(m.structured));
   } else {
     // Use pre-cached HTML if available, otherwise parse markdown
     body.innerHTML = m.htmlCache || markdownToHtml(m.text || '');
+    decorateCodeBlocks(body);
   }
   div.appendChild(body);
 
+  if (m.sources?.length) {
+    div.appendChild(createSourcesLine(m.sources));
+  }
+
+  if (m.citations?.length) {
+    div.appendChild(createCitationRow(m.citations, idx));
+  }
+
   if (m.attachments?.length) {
     const attachmentSection = document.createElement('div');
     attachmentSection.className = 'message-attachments';
@@ -138,6 +482,11 @@ export function createMessageElement(m, idx) {
     div.appendChild(attachmentSection);
   }
 
+  const branchInfo = getBranchPosition(m);
+  if (branchInfo) {
+    div.appendChild(createBranchSwitcher(branchInfo, idx));
+  }
+
   const smartRepliesRow = buildSmartReplyRow(m.smartReplies);
   if (smartRepliesRow) {
     div.appendChild(smartRepliesRow);
@@ -156,16 +505,20 @@ export function createMessageElement(m, idx) {
 /**
  * Render the full chat log for a session.
  * NOT used during streaming - use updateLastMessageBubble() for that.
+ * @param {object} session - Session to render
+ * @param {{force?: boolean}} options - force: discard existing bubbles and rebuild
+ *   (needed when the active branch changes without the message count shrinking)
  */
-export function renderLog(session) {
+export function renderLog(session, { force = false } = {}) {
   const els = getEls();
   const chatCardEl = getChatCardEl();
   const wrapEl = getWrapEl();
   const virtualScroller = getVirtualScroller();
 
   if (!session || !els.log) return;
+  renderedSession = session;
 
-  if (renderedSessionId !== session.id) {
+  if (force || renderedSessionId !== session.id) {
     els.log.innerHTML = '';
     renderedSessionId = session.id;
     if (virtualScroller) {
@@ -248,24 +601,26 @@ export function renderSmartReplies(replies = []) {
  * Update the last AI message bubble with new content.
  * Used for streaming updates - does NOT re-render the full log.
  */
-export function updateLastMessageBubble(session, markdownText, { streaming = false } = {}) {
+function getLastMessageNode(session) {
   const els = getEls();
   const virtualScroller = getVirtualScroller();
-
-  if (!els.log || !session || !session.messages?.length) return;
-
   const lastIdx = session.messages.length - 1;
-  const lastMessage = session.messages[lastIdx];
-  let lastMsg = null;
 
   // VirtualScroller path: O(1) lookup via cached node map
   if (virtualScroller && virtualScroller.enabled) {
-    lastMsg = virtualScroller.getMessageNode(lastMessage, lastIdx);
-  } else {
-    // Fallback: DOM query (only for small sessions where virtual scroll is disabled)
-    const messages = els.log.querySelectorAll('.msg:not(.placeholder)');
-    lastMsg = messages[messages.length - 1];
+    return virtualScroller.getMessageNode(session.messages[lastIdx], lastIdx);
   }
+  // Fallback: DOM query (only for small sessions where virtual scroll is disabled)
+  const messages = els.log.querySelectorAll('.msg:not(.placeholder)');
+  return messages[messages.length - 1] || null;
+}
+
+export function updateLastMessageBubble(session, markdownText, { streaming = false } = {}) {
+  const els = getEls();
+
+  if (!els.log || !session || !session.messages?.length) return;
+
+  const lastMsg = getLastMessageNode(session);
 
   if (!lastMsg || !lastMsg.classList.contains('ai')) {
     if (!streaming) renderLog(session);
@@ -285,18 +640,113 @@ export function updateLastMessageBubble(session, markdownText, { streaming = fal
   }
 
   if (streaming) {
-    // Fast path: skip content comparison since throttle limits update frequency
-    body.textContent = markdownText;
-    body.dataset.renderMode = 'plain';
+    // Only the trailing open block is re-rendered per chunk
+    if (body.dataset.renderMode !== 'streaming') endStreamingMarkdown(body);
+    renderStreamingMarkdown(body, markdownText);
+    body.dataset.renderMode = 'streaming';
     return;
   }
 
+  // Full parse once the reply is complete (usually the same markup, so no DOM swap)
+  endStreamingMarkdown(body);
   const newHtml = markdownToHtml(markdownText);
-  if (body.dataset.renderMode !== 'markdown' || body.innerHTML !== newHtml) {
-    body.innerHTML = newHtml;
-    body.dataset.renderMode = 'markdown';
+  // Compared before decoration, so code toolbars (and their wrap state) survive repeat calls
+  if (body.dataset.renderMode === 'markdown' && finalHtml.get(body) === newHtml) return;
+  if (body.innerHTML !== newHtml) body.innerHTML = newHtml;
+  decorateCodeBlocks(body);
+  finalHtml.set(body, newHtml);
+  body.dataset.renderMode = 'markdown';
+}
+
+/**
+ * Refresh the tool-call list of the streaming AI message
+ * @param {object} session - Current session
+ */
+export function updateLastMessageToolCalls(session) {
+  const els = getEls();
+  if (!els.log || !session?.messages?.length) return;
+
+  const lastMsg = getLastMessageNode(session);
+  if (!lastMsg || !lastMsg.classList.contains('ai')) return;
+
+  const toolCalls = session.messages[session.messages.length - 1].toolCalls;
+  const next = createToolCallList(toolCalls);
+  const current = lastMsg.querySelector('.tool-calls');
+  if (current) {
+    current.replaceWith(next);
+  } else {
+    lastMsg.querySelector('.body')?.before(next);
+  }
+}
+
+/**
+ * Show the retrieved page sections under the just-finished AI message
+ * @param {object} session - Current session
+ */
+export function updateLastMessageSources(session) {
+  const els = getEls();
+  if (!els.log || !session?.messages?.length) return;
+
+  const lastMsg = getLastMessageNode(session);
+  const sources = session.messages[session.messages.length - 1].sources;
+  if (!lastMsg || !lastMsg.classList.contains('ai') || !sources?.length) return;
+
+  const next = createSourcesLine(sources);
+  const current = lastMsg.querySelector('.msg-sources');
+  if (current) {
+    current.replaceWith(next);
+  } else {
+    lastMsg.querySelector('.body')?.after(next);
+  }
+}
+
+/**
+ * Show citation chips under the just-finished AI message
+ * @param {object} session - Current session
+ */
+export function updateLastMessageCitations(session) {
+  const els = getEls();
+  if (!els.log || !session?.messages?.length) return;
+
+  const idx = session.messages.length - 1;
+  const lastMsg = getLastMessageNode(session);
+  const citations = session.messages[idx].citations;
+  if (!lastMsg || !lastMsg.classList.contains('ai') || !citations?.length) return;
+
+  const next = createCitationRow(citations, idx);
+  const current = lastMsg.querySelector('.msg-citations');
+  if (current) {
+    current.replaceWith(next);
+  } else {
+    (lastMsg.querySelector('.msg-sources') || lastMsg.querySelector('.body'))?.after(next);
   }
 }
 
+/**
+ * Scroll a message of the rendered session into view and briefly highlight it
+ * @param {number} index - Message index on the active path
+ */
+export function scrollToMessage(index) {
+  const els = getEls();
+  const virtualScroller = getVirtualScroller();
+  const message = renderedSession?.messages?.[index];
+  if (!els.log || !message) return;
+
+  let node;
+  if (virtualScroller && virtualScroller.enabled) {
+    // Move the rendered window to the message before looking its node up
+    els.log.scrollTop = index * virtualScroller.itemHeight;
+    virtualScroller.render();
+    node = virtualScroller.getMessageNode(message, index);
+  } else {
+    node = els.log.querySelectorAll('.msg:not(.placeholder)')[index];
+  }
+  if (!node) return;
+
+  node.scrollIntoView({ block: 'center' });
+  node.classList.add('is-search-hit');
+  setTimeout(() => node.classList.remove('is-search-hit'), TIMING.SEARCH_HIT_HIGHLIGHT_MS);
+}
+
 // Export for use in other modules
 export { scrollToBottom, observeLastMessage };
\ No newline at end of file
@@ -49,10 +49,28 @@ export function openSetupGuideModal() {
   }
 }
 
+export function openTemplateVarsModal() {
+  const modal = document.getElementById('template-vars-modal');
+  if (!modal) return;
+  modal.removeAttribute('hidden');
+  document.body?.classList.add('modal-open');
+  modal.querySelector('[data-variable]')?.focus();
+}
+
+export function openShortcutsModal() {
+  const modal = document.getElementById('shortcuts-modal');
+  if (!modal) return;
+  modal.removeAttribute('hidden');
+  document.body?.classList.add('modal-open');
+  modal.querySelector('#edit-shortcuts')?.focus();
+}
+
 export function closeModal() {
   const els = getEls();
   const setupModal = document.getElementById('setup-guide-modal');
-  [els.settingsModal, els.contextModal, setupModal].forEach(modal => {
+  const templateVarsModal = document.getElementById('template-vars-modal');
+  const shortcutsModal = document.getElementById('shortcuts-modal');
+  [els.settingsModal, els.contextModal, setupModal, templateVarsModal, shortcutsModal].forEach(modal => {
     if (modal) modal.setAttribute('hidden', 'true');
   });
   document.body?.classList.remove('modal-open');
@@ -75,6 +93,8 @@ function getAPIName(api) {
   if (api.flag.includes('language-detection')) return 'Language Detection API';
   if (api.flag.includes('summarization')) return 'Summarization API';
   if (api.flag.includes('rewriter')) return 'Rewriter API';
+  if (api.flag.includes('writer')) return 'Writer API';
+  if (api.flag.includes('proofreader')) return 'Proofreader API';
   return 'Unknown API';
 }
 
@@ -0,0 +1,183 @@
+import { getEls } from './core.js';
+import { clampLabel, formatBytes, formatDate } from '../utils/utils.js';
+import { RETENTION } from '../config/constants.js';
+
+const MB = 1024 * 1024;
+
+const REASON_LABELS = {
+  age: 'unused too long',
+  count: 'over the chat limit',
+  size: 'over the size limit'
+};
+
+function countLabel(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function createInfo(titleText, metaText) {
+  const info = document.createElement('span');
+  info.className = 'snapshot-info';
+
+  const title = document.createElement('span');
+  title.className = 'snapshot-title';
+  title.textContent = clampLabel(titleText || 'Untitled');
+  info.appendChild(title);
+
+  const meta = document.createElement('span');
+  meta.className = 'snapshot-meta';
+  meta.textContent = metaText;
+  info.appendChild(meta);
+  return info;
+}
+
+/**
+ * Show how much space chats take in the Data tab
+ * @param {object} usage - From getStorageUsage()
+ */
+export function renderStorageUsage({ sessions, archived, usage, quota }) {
+  const { storageUsage } = getEls();
+  if (!storageUsage) return;
+  const parts = [`${countLabel(sessions.count, 'chat')}, about ${formatBytes(sessions.bytes)}`];
+  if (archived.count) parts.push(`${archived.count} archived, ${formatBytes(archived.bytes)}`);
+  if (usage !== null && quota) parts.push(`${formatBytes(usage)} of ${formatBytes(quota)} used in total`);
+  storageUsage.textContent = `${parts.join(' • ')}.`;
+}
+
+/**
+ * Fill the retention form from a policy
+ * @param {object} policy - From getRetentionPolicy()
+ */
+export function syncRetentionForm(policy) {
+  const els = getEls();
+  if (!els.retentionForm) return;
+  els.retentionMaxSessionsInput.value = policy.maxSessions;
+  els.retentionMaxAgeDaysInput.value = policy.maxAgeDays;
+  els.retentionMaxMbInput.value = Math.round(policy.maxBytes / MB);
+  els.retentionDeleteInput.checked = policy.action === 'delete';
+}
+
+/**
+ * @returns {object} Settings patch for the filled-in fields (blank fields are left out)
+ */
+export function getRetentionFormValues() {
+  const els = getEls();
+  const values = {
+    retentionAction: els.retentionDeleteInput?.checked ? 'delete' : 'archive'
+  };
+  [
+    ['retentionMaxSessions', els.retentionMaxSessionsInput],
+    ['retentionMaxAgeDays', els.retentionMaxAgeDaysInput],
+    ['retentionMaxMB', els.retentionMaxMbInput]
+  ].forEach(([key, input]) => {
+    const text = input?.value.trim();
+    if (text) values[key] = Number(text);
+  });
+  return values;
+}
+
+/**
+ * Show the dry run: what the policy would remove and what stays
+ * @param {object|null} plan - From planRetention(), or null to hide
+ */
+export function renderRetentionPreview(plan) {
+  const els = getEls();
+  if (!els.retentionPreviewResult) return;
+  els.retentionPreviewList.innerHTML = '';
+  els.retentionPreviewResult.hidden = !plan;
+  if (!plan) return;
+
+  const { candidates, kept } = plan;
+  if (!candidates.length) {
+    els.retentionPreviewSummary.textContent = 'Nothing would be removed with these limits.';
+    return;
+  }
+
+  const verb = plan.action === 'delete' ? 'deleted' : 'archived';
+  const bytes = candidates.reduce((sum, candidate) => sum + candidate.bytes, 0);
+  els.retentionPreviewSummary.textContent =
+    `${countLabel(candidates.length, 'chat')} (${formatBytes(bytes)}) would be ${verb}; ` +
+    `${countLabel(kept.count, 'chat')} (${formatBytes(kept.bytes)}) would stay.`;
+
+  const fragment = document.createDocumentFragment();
+  candidates.slice(0, RETENTION.PREVIEW_MAX_ROWS).forEach((candidate) => {
+    const row = document.createElement('li');
+    row.className = 'retention-row';
+    row.appendChild(createInfo(candidate.title,
+      `${formatDate(candidate.updatedAt)} • ${formatBytes(candidate.bytes)} • ${REASON_LABELS[candidate.reason]}`));
+    fragment.appendChild(row);
+  });
+
+  const hidden = candidates.length - RETENTION.PREVIEW_MAX_ROWS;
+  if (hidden > 0) {
+    const more = document.createElement('li');
+    more.className = 'retention-row snapshot-meta';
+    more.textContent = `…and ${hidden} more`;
+    fragment.appendChild(more);
+  }
+  els.retentionPreviewList.appendChild(fragment);
+}
+
+/**
+ * Disable the retention form while chats are being archived
+ * @param {boolean} busy
+ */
+export function setRetentionBusy(busy) {
+  const els = getEls();
+  if (!els.retentionForm) return;
+  els.retentionForm.querySelectorAll('input, button').forEach((el) => { el.disabled = busy; });
+  els.retentionForm.setAttribute('aria-busy', String(busy));
+}
+
+function createArchivedRow(entry) {
+  const row = document.createElement('li');
+  row.className = 'archived-row';
+  row.appendChild(createInfo(entry.title,
+    `${countLabel(entry.messageCount, 'message')} • archived ${formatDate(entry.archivedAt)} • ${formatBytes(entry.storedBytes)}`));
+
+  const actions = document.createElement('div');
+  actions.className = 'snapshot-actions';
+
+  const restoreBtn = document.createElement('button');
+  restoreBtn.type = 'button';
+  restoreBtn.className = 'tonal';
+  restoreBtn.dataset.restoreArchived = entry.id;
+  restoreBtn.textContent = 'Restore';
+  actions.appendChild(restoreBtn);
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.type = 'button';
+  deleteBtn.className = 'tonal';
+  deleteBtn.dataset.deleteArchived = entry.id;
+  deleteBtn.textContent = 'Delete';
+  actions.appendChild(deleteBtn);
+
+  row.appendChild(actions);
+  return row;
+}
+
+/**
+ * Render the archived chats with Restore and Delete buttons
+ * @param {object[]} archived - From listArchivedSessions()
+ */
+export function renderArchivedSessions(archived = []) {
+  const els = getEls();
+  if (!els.archivedSessionList) return;
+  const fragment = document.createDocumentFragment();
+  archived.forEach(entry => fragment.appendChild(createArchivedRow(entry)));
+  els.archivedSessionList.innerHTML = '';
+  els.archivedSessionList.appendChild(fragment);
+  els.archivedEmpty.hidden = archived.length > 0;
+}
+
+/**
+ * Ask for a second click before an archived chat is deleted for good
+ * @param {string} archivedId - Archived session id
+ */
+export function setArchivedDeleteConfirming(archivedId) {
+  const { archivedSessionList } = getEls();
+  archivedSessionList?.querySelectorAll('[data-delete-archived]').forEach((button) => {
+    const confirming = button.dataset.deleteArchived === archivedId;
+    button.dataset.confirming = String(confirming);
+    button.textContent = confirming ? 'Delete forever?' : 'Delete';
+  });
+}
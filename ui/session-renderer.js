@@ -3,15 +3,101 @@ import { getEls } from './core.js';
 let sessionSearchTerm = '';
 let editingInputRef = null;
 
+/**
+ * Append text to a node, wrapping occurrences of the search terms in <mark>
+ * @param {HTMLElement} parent - Node to fill
+ * @param {string} text - Snippet text
+ * @param {string[]} terms - Lowercased search terms
+ */
+function appendHighlighted(parent, text, terms) {
+  const escaped = terms.filter(Boolean).map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  if (!escaped.length) {
+    parent.appendChild(document.createTextNode(text));
+    return;
+  }
+
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+  text.split(pattern).forEach((part, i) => {
+    if (!part) return;
+    // split() with a capture group puts the matches at odd indexes
+    if (i % 2 === 1) {
+      const mark = document.createElement('mark');
+      mark.textContent = part;
+      parent.appendChild(mark);
+    } else {
+      parent.appendChild(document.createTextNode(part));
+    }
+  });
+}
+
+function createSearchHit(hit, terms) {
+  const item = document.createElement('div');
+  item.className = 'session-hit';
+  item.dataset.messageId = hit.messageId;
+  item.title = 'Jump to this message';
+
+  const role = document.createElement('span');
+  role.className = 'session-hit-role';
+  role.textContent = hit.role === 'user' ? 'You: ' : 'Nano: ';
+  item.appendChild(role);
+
+  appendHighlighted(item, hit.snippet, terms);
+  return item;
+}
+
+/**
+ * Tag filter chips shown under the search box ("All" plus each tag in use)
+ * @param {string[]} tags - Tags in use
+ * @param {string|null} activeTag - Current filter
+ * @returns {HTMLLIElement}
+ */
+function createTagFilter(tags, activeTag) {
+  const item = document.createElement('li');
+  item.className = 'session-tag-filter';
+  item.setAttribute('role', 'group');
+  item.setAttribute('aria-label', 'Filter by tag');
+
+  [null, ...tags].forEach((tag) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'tag-filter-chip';
+    chip.dataset.filterTag = tag || '';
+    chip.textContent = tag ? `#${tag}` : 'All';
+    const active = tag ? tag.toLowerCase() === activeTag?.toLowerCase() : !activeTag;
+    chip.setAttribute('aria-pressed', String(active));
+    item.appendChild(chip);
+  });
+  return item;
+}
+
+function createTagList(tags) {
+  const list = document.createElement('div');
+  list.className = 'session-tags';
+  tags.forEach((tag) => {
+    const chip = document.createElement('span');
+    chip.className = 'session-tag';
+    chip.dataset.filterTag = tag;
+    chip.title = `Show chats tagged #${tag}`;
+    chip.textContent = `#${tag}`;
+    list.appendChild(chip);
+  });
+  return list;
+}
+
 export function renderSessions({
   sessions = {},
   sessionMeta = {},
   currentSessionId = null,
   matches = [],
+  hits = {},
+  highlightTerms = [],
   searchTerm = '',
+  tags = [],
+  activeTag = null,
   currentTitle = '',
   confirmingId = null,
-  editingId = null
+  editingId = null,
+  editingField = 'title'
 } = {}) {
   const els = getEls();
   if (!els.sessionMenu) return;
@@ -24,7 +110,7 @@ export function renderSessions({
   }
 
   // Remove any previously rendered session rows (preserve search input)
-  els.sessionMenu.querySelectorAll('.session-row, .session-empty').forEach(row => row.remove());
+  els.sessionMenu.querySelectorAll('.session-row, .session-empty, .session-tag-filter').forEach(row => row.remove());
 
   if (els.sessionTrigger) {
     els.sessionTrigger.textContent = currentTitle || 'Untitled Session';
@@ -32,6 +118,8 @@ export function renderSessions({
 
   const fragment = document.createDocumentFragment();
 
+  if (tags.length) fragment.appendChild(createTagFilter(tags, activeTag));
+
   if (matches.length === 0) {
     const empty = document.createElement('li');
     empty.className = 'session-empty';
@@ -45,17 +133,33 @@ export function renderSessions({
     if (!session) return;
 
     const isEditing = id === editingId;
+    const isEditingTags = isEditing && editingField === 'tags';
+    const sessionTags = session.tags || [];
 
     const row = document.createElement('li');
     row.className = 'session-row';
     if (id === currentSessionId) row.classList.add('is-active');
+    if (session.pinned) row.classList.add('is-pinned');
     if (isEditing) row.classList.add('is-editing');
     row.dataset.id = id;
 
     const info = document.createElement('div');
     info.className = 'session-info';
 
-    if (isEditing) {
+    if (isEditingTags) {
+      // Inline tags input (comma-separated)
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'session-tags-input';
+      input.value = sessionTags.join(', ');
+      input.placeholder = 'Tags, comma-separated';
+      input.dataset.id = id;
+      input.setAttribute('aria-label', 'Edit tags');
+      input.setAttribute('autocomplete', 'off');
+      info.appendChild(input);
+
+      editingInputRef = input;
+    } else if (isEditing) {
       // Inline rename input
       const input = document.createElement('input');
       input.type = 'text';
@@ -77,6 +181,10 @@ export function renderSessions({
       titleDiv.className = 'session-title';
       titleDiv.textContent = session.title || 'Untitled';
       info.appendChild(titleDiv);
+
+      if (sessionTags.length) info.appendChild(createTagList(sessionTags));
+
+      (hits[id] || []).forEach(hit => info.appendChild(createSearchHit(hit, highlightTerms)));
     }
 
     row.appendChild(info);
@@ -90,7 +198,7 @@ export function renderSessions({
       saveBtn.textContent = '✓';
       saveBtn.title = 'Save';
       saveBtn.dataset.id = id;
-      saveBtn.dataset.action = 'save-rename';
+      saveBtn.dataset.action = isEditingTags ? 'save-tags' : 'save-rename';
       actions.appendChild(saveBtn);
 
       const cancelBtn = document.createElement('button');
@@ -101,6 +209,21 @@ export function renderSessions({
       cancelBtn.dataset.action = 'cancel-rename';
       actions.appendChild(cancelBtn);
     } else {
+      const pinBtn = document.createElement('button');
+      pinBtn.className = 'action-btn pin';
+      pinBtn.textContent = session.pinned ? '★' : '☆';
+      pinBtn.title = session.pinned ? 'Unpin' : 'Pin to top';
+      pinBtn.dataset.id = id;
+      pinBtn.setAttribute('aria-pressed', String(Boolean(session.pinned)));
+      actions.appendChild(pinBtn);
+
+      const tagBtn = document.createElement('button');
+      tagBtn.className = 'action-btn tag';
+      tagBtn.textContent = '#';
+      tagBtn.title = 'Edit tags';
+      tagBtn.dataset.id = id;
+      actions.appendChild(tagBtn);
+
       const editBtn = document.createElement('button');
       editBtn.className = 'action-btn edit';
       editBtn.textContent = '✎';
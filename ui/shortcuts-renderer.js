@@ -0,0 +1,45 @@
+function createShortcutRow(description, keys) {
+  const row = document.createElement('li');
+  row.className = 'shortcut-row';
+
+  const label = document.createElement('span');
+  label.textContent = description;
+  row.appendChild(label);
+
+  const kbd = document.createElement('kbd');
+  kbd.className = 'shortcut-keys';
+  if (keys) {
+    kbd.textContent = keys;
+  } else {
+    kbd.classList.add('is-unset');
+    kbd.textContent = 'Not set';
+  }
+  row.appendChild(kbd);
+  return row;
+}
+
+function fillList(id, rows) {
+  const list = document.getElementById(id);
+  if (!list) return;
+  list.innerHTML = '';
+  rows.forEach(([description, keys]) => list.appendChild(createShortcutRow(description, keys)));
+}
+
+/**
+ * Fill the keyboard shortcut cheat sheet
+ * @param {Array<{description: string, shortcut: string}>} commands - Browser-wide
+ *   shortcuts from chrome.commands.getAll() (shortcut '' when unassigned)
+ * @param {Array<{keys: string, description: string}>} panelShortcuts - Shortcuts inside the panel
+ */
+export function renderShortcuts(commands = [], panelShortcuts = []) {
+  fillList('shortcut-global-list', commands.map(c => [c.description, c.shortcut]));
+  fillList('shortcut-panel-list', panelShortcuts.map(s => [s.description, s.keys]));
+}
+
+/**
+ * @returns {boolean} Whether the cheat sheet is showing
+ */
+export function isShortcutsModalOpen() {
+  const modal = document.getElementById('shortcuts-modal');
+  return Boolean(modal && !modal.hidden);
+}
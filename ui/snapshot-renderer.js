@@ -1,5 +1,6 @@
 import { getEls } from './core.js';
 import { formatDate, getSnapshotHost, clampLabel } from '../utils/utils.js';
+import { buildTabPickerUI } from './tab-picker-renderer.js';
 
 export function buildContextSnapshotUI() {
   const els = getEls();
@@ -39,6 +40,7 @@ export function buildContextSnapshotUI() {
   actions.appendChild(liveBtn);
 
   container.appendChild(actions);
+  buildTabPickerUI(container, actions);
 
   const list = document.createElement('ul');
   list.id = 'context-snapshot-list';
@@ -55,12 +57,14 @@ export function buildContextSnapshotUI() {
   setContextSourceLabel(null);
 }
 
-export function setContextSourceLabel(snapshot = null) {
+export function setContextSourceLabel(snapshot = null, tabCount = 0) {
   const els = getEls();
   if (!els.contextSource) return;
   if (snapshot) {
     const label = snapshot.title || snapshot.url || 'Saved context';
     els.contextSource.textContent = `Using saved context: ${label}`;
+  } else if (tabCount > 0) {
+    els.contextSource.textContent = `Using ${tabCount} selected ${tabCount === 1 ? 'tab' : 'tabs'}`;
   } else {
     els.contextSource.textContent = 'Using live tab context';
   }
@@ -68,7 +72,8 @@ export function setContextSourceLabel(snapshot = null) {
 
 export function renderContextSnapshots(
   snapshots = [],
-  activeId = null
+  activeId = null,
+  tabCount = 0
 ) {
   const els = getEls();
   if (!els.snapshotList) return;
@@ -79,7 +84,7 @@ export function renderContextSnapshots(
     empty.className = 'context-snapshot-empty';
     empty.textContent = 'No saved contexts yet.';
     els.snapshotList.appendChild(empty);
-    setContextSourceLabel();
+    setContextSourceLabel(null, tabCount);
     return;
   }
 
@@ -130,5 +135,5 @@ export function renderContextSnapshots(
 
   els.snapshotList.appendChild(fragment);
   const activeSnapshot = snapshots.find(s => s.id === activeId);
-  setContextSourceLabel(activeSnapshot || null);
+  setContextSourceLabel(activeSnapshot || null, tabCount);
 }
@@ -0,0 +1,65 @@
+import { markdownToHtml } from '../utils/utils.js';
+import { scanSettledMarkdown, createStreamScanState } from '../utils/markdown.js';
+
+// A last line holding only a list, heading, quote or fence marker (or a
+// setext underline) renders as a different block once its text arrives
+const PENDING_LINE = /(?:^|\n) {0,3}(?:[-+*=_~`#>]+|\d{1,9}[.)]?)?[ \t]*$/;
+
+// Stream state per message body; a body the virtual scroller rebuilt starts over
+const streams = new WeakMap();
+
+/**
+ * Append sanitized HTML to an element
+ * @param {HTMLElement} body
+ * @param {string} html - Output of markdownToHtml()
+ * @returns {Node[]} Appended nodes
+ */
+function appendHtml(body, html) {
+  const template = document.createElement('template');
+  template.innerHTML = html;
+  const nodes = Array.from(template.content.childNodes);
+  body.append(template.content);
+  return nodes;
+}
+
+/**
+ * Render a reply that is still streaming. Settled blocks are parsed once and
+ * stay in the DOM; only the trailing open block is re-rendered per chunk, so
+ * an update costs the size of that block rather than of the whole reply.
+ * An unterminated code fence renders as code up to the end of the text.
+ * @param {HTMLElement} body - Message body element
+ * @param {string} markdownText - Reply so far
+ */
+export function renderStreamingMarkdown(body, markdownText) {
+  let stream = streams.get(body);
+  if (!stream || !markdownText.startsWith(stream.text)) {
+    stream = { text: '', scan: createStreamScanState(), rendered: 0, tail: [], tailSource: null };
+    streams.set(body, stream);
+    body.textContent = '';
+  }
+  stream.text = markdownText;
+
+  const settled = scanSettledMarkdown(markdownText, stream.scan);
+  if (settled > stream.rendered) {
+    stream.tail.forEach(node => node.remove());
+    stream.tail = [];
+    stream.tailSource = null;
+    appendHtml(body, markdownToHtml(markdownText.slice(stream.rendered, settled)));
+    stream.rendered = settled;
+  }
+
+  const tailSource = markdownText.slice(stream.rendered).replace(PENDING_LINE, '');
+  if (tailSource === stream.tailSource) return;
+
+  stream.tail.forEach(node => node.remove());
+  stream.tail = appendHtml(body, markdownToHtml(tailSource));
+  stream.tailSource = tailSource;
+}
+
+/**
+ * Drop the stream state of a message body once its reply is complete
+ * @param {HTMLElement} body
+ */
+export function endStreamingMarkdown(body) {
+  streams.delete(body);
+}
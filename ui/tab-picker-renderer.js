@@ -0,0 +1,204 @@
+import { getEls } from './core.js';
+import { getSnapshotHost, clampLabel } from '../utils/utils.js';
+
+const NO_GROUP = -1;
+
+/**
+ * Add the "Choose tabs" button and the (hidden) tab picker to the context panel
+ * @param {HTMLElement} container - Context panel section to append the picker to
+ * @param {HTMLElement} actions - Action row that receives the toggle button
+ */
+export function buildTabPickerUI(container, actions) {
+  const els = getEls();
+
+  const toggleBtn = document.createElement('button');
+  toggleBtn.id = 'pick-context-tabs';
+  toggleBtn.type = 'button';
+  toggleBtn.className = 'tonal';
+  toggleBtn.textContent = 'Choose tabs';
+  toggleBtn.setAttribute('aria-expanded', 'false');
+  toggleBtn.setAttribute('aria-controls', 'context-tab-picker');
+  actions.appendChild(toggleBtn);
+
+  const picker = document.createElement('div');
+  picker.id = 'context-tab-picker';
+  picker.className = 'context-tab-picker';
+  picker.hidden = true;
+
+  const hint = document.createElement('p');
+  hint.className = 'context-snapshot-hint';
+  hint.textContent = 'Tick several tabs (or a whole group) to ask about them together.';
+  picker.appendChild(hint);
+
+  const list = document.createElement('ul');
+  list.id = 'context-tab-list';
+  list.className = 'context-tab-list';
+  picker.appendChild(list);
+
+  const pickerActions = document.createElement('div');
+  pickerActions.className = 'row context-snapshot-actions';
+
+  const applyBtn = document.createElement('button');
+  applyBtn.id = 'apply-context-tabs';
+  applyBtn.type = 'button';
+  applyBtn.className = 'filled';
+  applyBtn.textContent = 'Use selected tabs';
+  pickerActions.appendChild(applyBtn);
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.id = 'cancel-context-tabs';
+  cancelBtn.type = 'button';
+  cancelBtn.className = 'tonal';
+  cancelBtn.textContent = 'Cancel';
+  pickerActions.appendChild(cancelBtn);
+
+  picker.appendChild(pickerActions);
+  container.appendChild(picker);
+
+  els.tabPickerToggle = toggleBtn;
+  els.tabPicker = picker;
+  els.tabPickerList = list;
+}
+
+function createTabRow(tab, checked) {
+  const row = document.createElement('li');
+  row.className = 'tab-pick-row';
+  if (!tab.readable) row.classList.add('is-disabled');
+
+  const label = document.createElement('label');
+
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.dataset.tabId = String(tab.id);
+  if (tab.groupId !== NO_GROUP) box.dataset.groupId = String(tab.groupId);
+  box.checked = checked && tab.readable;
+  box.disabled = !tab.readable;
+  label.appendChild(box);
+
+  const info = document.createElement('span');
+  info.className = 'snapshot-info';
+
+  const title = document.createElement('span');
+  title.className = 'snapshot-title';
+  title.textContent = clampLabel(tab.title || getSnapshotHost(tab.url) || 'Untitled');
+  info.appendChild(title);
+
+  const meta = document.createElement('span');
+  meta.className = 'snapshot-meta';
+  const metaBits = [getSnapshotHost(tab.url), tab.active ? 'Current tab' : '', tab.readable ? '' : 'Not readable'];
+  meta.textContent = metaBits.filter(Boolean).join(' • ');
+  info.appendChild(meta);
+
+  label.appendChild(info);
+  row.appendChild(label);
+  return row;
+}
+
+function createGroupRow(group, tabCount) {
+  const row = document.createElement('li');
+  row.className = 'tab-pick-group';
+
+  const label = document.createElement('label');
+  const box = document.createElement('input');
+  box.type = 'checkbox';
+  box.className = 'tab-group-toggle';
+  box.dataset.groupToggle = String(group.id);
+  label.appendChild(box);
+
+  const title = document.createElement('span');
+  title.textContent = `${group.title || 'Unnamed group'} (${tabCount} ${tabCount === 1 ? 'tab' : 'tabs'})`;
+  label.appendChild(title);
+
+  row.appendChild(label);
+  return row;
+}
+
+/**
+ * Render the window's tabs in the picker, grouped by tab group
+ * @param {Array<{id: number, title: string, url: string, groupId: number, active: boolean, readable: boolean}>} tabs
+ * @param {Array<{id: number, title: string}>} groups
+ * @param {number[]} selectedIds - Tabs to pre-tick
+ */
+export function renderTabPicker(tabs = [], groups = [], selectedIds = []) {
+  const els = getEls();
+  if (!els.tabPickerList) return;
+
+  const selected = new Set(selectedIds);
+  const fragment = document.createDocumentFragment();
+
+  // Tab groups first (in window order), then ungrouped tabs
+  groups.forEach((group) => {
+    const groupTabs = tabs.filter(tab => tab.groupId === group.id);
+    if (!groupTabs.length) return;
+    fragment.appendChild(createGroupRow(group, groupTabs.length));
+    groupTabs.forEach(tab => fragment.appendChild(createTabRow(tab, selected.has(tab.id))));
+  });
+
+  const knownGroups = new Set(groups.map(group => group.id));
+  tabs
+    .filter(tab => tab.groupId === NO_GROUP || !knownGroups.has(tab.groupId))
+    .forEach(tab => fragment.appendChild(createTabRow({ ...tab, groupId: NO_GROUP }, selected.has(tab.id))));
+
+  els.tabPickerList.innerHTML = '';
+  els.tabPickerList.appendChild(fragment);
+  syncTabPickerGroups();
+}
+
+/**
+ * Reflect ticked tabs on their group checkboxes (checked / indeterminate)
+ */
+export function syncTabPickerGroups() {
+  const els = getEls();
+  if (!els.tabPickerList) return;
+
+  els.tabPickerList.querySelectorAll('[data-group-toggle]').forEach((groupBox) => {
+    const boxes = [...els.tabPickerList.querySelectorAll(`input[data-group-id="${groupBox.dataset.groupToggle}"]:not(:disabled)`)];
+    const ticked = boxes.filter(box => box.checked).length;
+    groupBox.checked = boxes.length > 0 && ticked === boxes.length;
+    groupBox.indeterminate = ticked > 0 && ticked < boxes.length;
+    groupBox.disabled = boxes.length === 0;
+  });
+}
+
+/**
+ * Tick or untick every readable tab in a group
+ * @param {string} groupId
+ * @param {boolean} checked
+ */
+export function setTabPickerGroupChecked(groupId, checked) {
+  const els = getEls();
+  if (!els.tabPickerList) return;
+  els.tabPickerList
+    .querySelectorAll(`input[data-group-id="${groupId}"]:not(:disabled)`)
+    .forEach((box) => { box.checked = checked; });
+  syncTabPickerGroups();
+}
+
+/**
+ * @returns {number[]} Ids of the ticked tabs
+ */
+export function getPickedTabIds() {
+  const els = getEls();
+  if (!els.tabPickerList) return [];
+  return [...els.tabPickerList.querySelectorAll('input[data-tab-id]:checked')]
+    .map(box => Number(box.dataset.tabId));
+}
+
+/**
+ * Show or hide the tab picker
+ * @param {boolean} open
+ */
+export function setTabPickerOpen(open) {
+  const els = getEls();
+  if (!els.tabPicker) return;
+  els.tabPicker.hidden = !open;
+  els.tabPickerToggle?.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * @returns {boolean} Whether the tab picker is showing
+ */
+export function isTabPickerOpen() {
+  const { tabPicker } = getEls();
+  return Boolean(tabPicker && !tabPicker.hidden);
+}
@@ -0,0 +1,166 @@
+import { getEls } from './core.js';
+import { clampLabel } from '../utils/utils.js';
+
+const SYNC_NOTE_NAMES = 5; // Template names listed before "N more"
+
+const CONFLICT_CHOICES = [
+  ['keep', 'Keep mine'],
+  ['replace', 'Use theirs'],
+  ['both', 'Keep both']
+];
+
+function createInfo(titleText, metaText) {
+  const info = document.createElement('span');
+  info.className = 'snapshot-info';
+
+  const title = document.createElement('span');
+  title.className = 'snapshot-title';
+  title.textContent = clampLabel(titleText || 'Untitled');
+  info.appendChild(title);
+
+  const meta = document.createElement('span');
+  meta.className = 'snapshot-meta';
+  meta.textContent = metaText;
+  info.appendChild(meta);
+  return info;
+}
+
+function describeTemplate(template) {
+  const parts = [`v${template.version || 1}`];
+  if (template.category) parts.push(template.category);
+  if (template.author) parts.push(`by ${template.author}`);
+  return parts.join(' • ');
+}
+
+/**
+ * Render every template as a checkbox row in the export picker
+ * @param {object[]} templates - Templates in menu order (without the blank one)
+ */
+export function renderTemplatePackList(templates = []) {
+  const els = getEls();
+  if (!els.templatePackList) return;
+
+  // Keep ticks across re-renders
+  const picked = new Set(getPickedPackTemplateIds());
+  const fragment = document.createDocumentFragment();
+
+  templates.forEach((template) => {
+    const row = document.createElement('li');
+    row.className = 'archive-session-row';
+
+    const label = document.createElement('label');
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.dataset.templateId = template.id;
+    box.checked = picked.has(template.id);
+    label.appendChild(box);
+    label.appendChild(createInfo(template.label, describeTemplate(template)));
+
+    row.appendChild(label);
+    fragment.appendChild(row);
+  });
+
+  els.templatePackList.innerHTML = '';
+  els.templatePackList.appendChild(fragment);
+}
+
+/**
+ * @returns {string[]} Ids of the ticked templates
+ */
+export function getPickedPackTemplateIds() {
+  const els = getEls();
+  if (!els.templatePackList) return [];
+  return [...els.templatePackList.querySelectorAll('input[data-template-id]:checked')]
+    .map(box => box.dataset.templateId);
+}
+
+/**
+ * Show or hide the template export picker
+ * @param {boolean} open
+ */
+export function setTemplatePackPickerOpen(open) {
+  const els = getEls();
+  if (!els.templatePackPicker) return;
+  els.templatePackPicker.hidden = !open;
+  els.templatePackPickerToggle?.setAttribute('aria-expanded', String(open));
+}
+
+/**
+ * @returns {boolean} Whether the template export picker is showing
+ */
+export function isTemplatePackPickerOpen() {
+  const { templatePackPicker } = getEls();
+  return Boolean(templatePackPicker && !templatePackPicker.hidden);
+}
+
+export function triggerTemplatePackFilePicker() {
+  getEls().templatePackFileInput?.click();
+}
+
+/**
+ * Name the synced templates this device doesn't have yet
+ * @param {Array<{label: string, version: number}>} entries - From getUnsyncedTemplates()
+ */
+export function setTemplateSyncNote(entries = []) {
+  const els = getEls();
+  if (!els.templateSyncNote) return;
+  const names = entries.slice(0, SYNC_NOTE_NAMES).map(entry => `${entry.label || 'Untitled'} (v${entry.version})`);
+  if (entries.length > SYNC_NOTE_NAMES) names.push(`${entries.length - SYNC_NOTE_NAMES} more`);
+  els.templateSyncNote.textContent = names.length
+    ? `Synced from another device but not here: ${names.join(', ')}. Export them there as a pack and import it here.`
+    : '';
+  els.templateSyncNote.hidden = names.length === 0;
+}
+
+/**
+ * Ask how to resolve templates that exist here with different content
+ * @param {Array<{incoming: object, local: object, suggested: string}>} conflicts - From findTemplateConflicts()
+ */
+export function renderTemplateConflicts(conflicts = []) {
+  const els = getEls();
+  if (!els.templateConflictForm || !els.templateConflictList) return;
+
+  const fragment = document.createDocumentFragment();
+  conflicts.forEach(({ incoming, local, suggested }, index) => {
+    const row = document.createElement('li');
+    row.className = 'template-conflict-row';
+
+    const selectId = `template-conflict-${index}`;
+    const info = createInfo(local.label,
+      `Yours: ${describeTemplate(local)} — theirs: ${describeTemplate(incoming)}`);
+    const label = document.createElement('label');
+    label.htmlFor = selectId;
+    label.appendChild(info);
+    row.appendChild(label);
+
+    const select = document.createElement('select');
+    select.id = selectId;
+    select.dataset.templateId = incoming.id;
+    CONFLICT_CHOICES.forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      option.selected = value === suggested;
+      select.appendChild(option);
+    });
+    row.appendChild(select);
+
+    fragment.appendChild(row);
+  });
+
+  els.templateConflictList.innerHTML = '';
+  els.templateConflictList.appendChild(fragment);
+  els.templateConflictForm.hidden = conflicts.length === 0;
+}
+
+/**
+ * @returns {Object<string, 'keep'|'replace'|'both'>} Chosen resolution per template id
+ */
+export function getTemplateConflictChoices() {
+  const els = getEls();
+  const choices = {};
+  els.templateConflictList?.querySelectorAll('select[data-template-id]').forEach((select) => {
+    choices[select.dataset.templateId] = select.value;
+  });
+  return choices;
+}
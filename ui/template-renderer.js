@@ -1,8 +1,157 @@
 import { getEls } from './core.js';
+import { describeTemplateOverrides } from '../utils/template-overrides.js';
+import { LANGUAGE_LABELS, TEMPLATE_OVERRIDES } from '../config/constants.js';
 
 let editingTemplateInputRef = null;
 let isAddingNewTemplate = false;
 
+const TEMPLATE_VARIABLE_LABELS = {
+  selection: 'Selected text',
+  clipboard: 'Clipboard text',
+  'page.title': 'Page title',
+  'page.url': 'Page URL',
+  date: 'Date'
+};
+const MULTILINE_TEMPLATE_VARIABLES = new Set(['selection', 'clipboard']);
+
+function createCategoryInput(category, id = null) {
+  const categoryInput = document.createElement('input');
+  categoryInput.type = 'text';
+  categoryInput.className = 'template-edit-category';
+  categoryInput.value = category || '';
+  categoryInput.placeholder = 'Category (optional)';
+  categoryInput.setAttribute('aria-label', 'Template category');
+  categoryInput.setAttribute('autocomplete', 'off');
+  if (id) {
+    categoryInput.dataset.id = id;
+    categoryInput.dataset.field = 'category';
+  } else {
+    categoryInput.id = 'new-template-category';
+  }
+  return categoryInput;
+}
+
+function createCommandInput(command, id = null) {
+  const commandInput = document.createElement('input');
+  commandInput.type = 'text';
+  commandInput.className = 'template-edit-command';
+  commandInput.value = command ? `/${command}` : '';
+  commandInput.placeholder = 'Slash command, e.g. /proof (optional)';
+  commandInput.setAttribute('aria-label', 'Template slash command');
+  commandInput.setAttribute('autocomplete', 'off');
+  commandInput.spellcheck = false;
+  if (id) {
+    commandInput.dataset.id = id;
+    commandInput.dataset.field = 'command';
+  } else {
+    commandInput.id = 'new-template-command';
+  }
+  return commandInput;
+}
+
+function createOverrideSelect(name, label, options, value) {
+  const select = document.createElement('select');
+  select.className = 'template-edit-override';
+  select.dataset.override = name;
+  select.setAttribute('aria-label', label);
+  [['', `${label}: default`], ...options].forEach(([optionValue, text]) => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = text;
+    option.selected = optionValue === (value || '');
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function createOverrideNumber(name, label, value, { min, max, step }) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'template-edit-override';
+  input.dataset.override = name;
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.value = value ?? '';
+  input.placeholder = `${label} (default)`;
+  input.setAttribute('aria-label', label);
+  return input;
+}
+
+/**
+ * Collapsible model settings that override the global ones for this template
+ * @param {object|null} overrides - Current overrides
+ * @returns {HTMLDetailsElement}
+ */
+function createOverridesFields(overrides) {
+  const values = overrides || {};
+  const details = document.createElement('details');
+  details.className = 'template-edit-overrides';
+  details.open = Boolean(overrides);
+
+  const summary = document.createElement('summary');
+  summary.textContent = 'Model settings';
+  details.appendChild(summary);
+
+  const numbers = document.createElement('div');
+  numbers.className = 'template-edit-override-row';
+  numbers.appendChild(createOverrideNumber('temperature', 'Creativity', values.temperature, {
+    min: TEMPLATE_OVERRIDES.TEMPERATURE_MIN, max: TEMPLATE_OVERRIDES.TEMPERATURE_MAX, step: 0.1
+  }));
+  numbers.appendChild(createOverrideNumber('topK', 'Vocabulary', values.topK, {
+    min: TEMPLATE_OVERRIDES.TOPK_MIN, max: TEMPLATE_OVERRIDES.TOPK_MAX, step: 1
+  }));
+  details.appendChild(numbers);
+
+  const systemPrompt = document.createElement('textarea');
+  systemPrompt.className = 'template-edit-override template-edit-system-prompt';
+  systemPrompt.dataset.override = 'systemPrompt';
+  systemPrompt.value = values.systemPrompt || '';
+  systemPrompt.placeholder = 'System prompt (default from settings)';
+  systemPrompt.setAttribute('aria-label', 'Template system prompt');
+  systemPrompt.rows = 2;
+  details.appendChild(systemPrompt);
+
+  const selects = document.createElement('div');
+  selects.className = 'template-edit-override-row';
+  selects.appendChild(createOverrideSelect('language', 'Answer language',
+    Object.entries(LANGUAGE_LABELS), values.language));
+  selects.appendChild(createOverrideSelect('backend', 'Run in',
+    Object.entries(TEMPLATE_OVERRIDES.BACKENDS), values.backend));
+  details.appendChild(selects);
+
+  return details;
+}
+
+/**
+ * @param {Element|null} container - Edit form row
+ * @returns {Object<string, string>} Raw override field values by name
+ */
+function readOverrideFields(container) {
+  const fields = {};
+  container?.querySelectorAll('[data-override]').forEach((field) => {
+    fields[field.dataset.override] = field.value.trim();
+  });
+  return fields;
+}
+
+function createSchemaInput(schema, id = null) {
+  const schemaInput = document.createElement('textarea');
+  schemaInput.className = 'template-edit-schema';
+  schemaInput.value = schema ? JSON.stringify(schema, null, 2) : '';
+  schemaInput.placeholder = 'Output schema (optional JSON schema for a table or card answer)';
+  schemaInput.setAttribute('aria-label', 'Template output schema');
+  schemaInput.spellcheck = false;
+  schemaInput.rows = 3;
+  if (id) {
+    schemaInput.dataset.id = id;
+    schemaInput.dataset.field = 'schema';
+  } else {
+    schemaInput.id = 'new-template-schema';
+  }
+  return schemaInput;
+}
+
 export function updateTemplates(templates, blankTemplateId = null, editingId = null) {
   const els = getEls();
   if (!els.templatesMenu) return;
@@ -39,12 +188,16 @@ export function updateTemplates(templates, blankTemplateId = null, editingId = n
       const textInput = document.createElement('textarea');
       textInput.className = 'template-edit-text';
       textInput.value = t.text || '';
-      textInput.placeholder = 'Template prompt text';
+      textInput.placeholder = 'Template prompt text ({{selection}}, {{page.title}}, {{tone|formal}} ...)';
       textInput.dataset.id = t.id;
       textInput.dataset.field = 'text';
       textInput.setAttribute('aria-label', 'Template prompt');
       textInput.rows = 3;
       editContainer.appendChild(textInput);
+      editContainer.appendChild(createCategoryInput(t.category, t.id));
+      editContainer.appendChild(createCommandInput(t.command, t.id));
+      editContainer.appendChild(createSchemaInput(t.outputSchema, t.id));
+      editContainer.appendChild(createOverridesFields(t.overrides));
 
       const actions = document.createElement('div');
       actions.className = 'template-edit-actions';
@@ -77,6 +230,14 @@ export function updateTemplates(templates, blankTemplateId = null, editingId = n
       btn.textContent = t.label;
       btn.dataset.text = t.text;
       btn.dataset.id = t.id;
+      const hints = describeTemplateOverrides(t.overrides);
+      if (t.outputSchema) {
+        btn.classList.add('is-structured');
+        hints.unshift('Answers as a table or card');
+      }
+      if (t.overrides) btn.classList.add('has-overrides');
+      if (t.command) hints.unshift(`/${t.command}`);
+      if (hints.length) btn.title = hints.join(' · ');
       content.appendChild(btn);
 
       item.appendChild(content);
@@ -140,10 +301,14 @@ export function updateTemplates(templates, blankTemplateId = null, editingId = n
     textInput.className = 'template-edit-text';
     textInput.id = 'new-template-text';
     textInput.value = '';
-    textInput.placeholder = 'Template prompt text';
+    textInput.placeholder = 'Template prompt text ({{selection}}, {{page.title}}, {{tone|formal}} ...)';
     textInput.setAttribute('aria-label', 'New template prompt');
     textInput.rows = 3;
     editContainer.appendChild(textInput);
+    editContainer.appendChild(createCategoryInput(''));
+    editContainer.appendChild(createCommandInput(''));
+    editContainer.appendChild(createSchemaInput(null));
+    editContainer.appendChild(createOverridesFields(null));
 
     const actions = document.createElement('div');
     actions.className = 'template-edit-actions';
@@ -185,7 +350,8 @@ export function updateTemplates(templates, blankTemplateId = null, editingId = n
 /**
  * Get template edit form values
  * @param {string} id - Template ID (or null for new template)
- * @returns {{label: string, text: string}|null}
+ * @returns {{label: string, text: string, category: string, command: string, schema: string, overrides: Object<string, string>}|null}
+ *   command, schema and overrides are the raw field values ('' = none or default)
  */
 export function getTemplateEditValues(id) {
   const els = getEls();
@@ -194,21 +360,103 @@ export function getTemplateEditValues(id) {
     if (!row) return null;
     const labelInput = row.querySelector('.template-edit-label');
     const textInput = row.querySelector('.template-edit-text');
+    const categoryInput = row.querySelector('.template-edit-category');
+    const commandInput = row.querySelector('.template-edit-command');
+    const schemaInput = row.querySelector('.template-edit-schema');
     return {
       label: labelInput?.value?.trim() || '',
-      text: textInput?.value?.trim() || ''
+      text: textInput?.value?.trim() || '',
+      category: categoryInput?.value?.trim() || '',
+      command: commandInput?.value?.trim() || '',
+      schema: schemaInput?.value?.trim() || '',
+      overrides: readOverrideFields(row)
     };
   } else {
     // New template form
     const labelInput = document.getElementById('new-template-label');
     const textInput = document.getElementById('new-template-text');
+    const categoryInput = document.getElementById('new-template-category');
+    const commandInput = document.getElementById('new-template-command');
+    const schemaInput = document.getElementById('new-template-schema');
     return {
       label: labelInput?.value?.trim() || '',
-      text: textInput?.value?.trim() || ''
+      text: textInput?.value?.trim() || '',
+      category: categoryInput?.value?.trim() || '',
+      command: commandInput?.value?.trim() || '',
+      schema: schemaInput?.value?.trim() || '',
+      overrides: readOverrideFields(els.templatesMenu?.querySelector('.new-template'))
     };
   }
 }
 
+/**
+ * Show or hide the badge listing what the active template changes for the next answer
+ * @param {object|null} template - Active template, or null to hide
+ */
+export function setActiveTemplateBadge(template) {
+  const badge = document.getElementById('template-badge');
+  if (!badge) return;
+  const label = badge.querySelector('.template-badge-label');
+  const clear = badge.querySelector('#template-badge-clear');
+  const parts = template ? describeTemplateOverrides(template.overrides) : [];
+  if (template?.outputSchema) parts.unshift('structured answer');
+
+  if (label) label.textContent = template ? [template.label, ...parts].join(' · ') : '';
+  badge.title = template?.overrides?.systemPrompt || '';
+  if (clear) {
+    const hint = template?.outputSchema ? 'Answer as plain text with default settings' : 'Use default settings';
+    clear.title = hint;
+    clear.setAttribute('aria-label', hint);
+  }
+  badge.hidden = !template;
+}
+
+/**
+ * Build the fill-in form for a template's unresolved variables
+ * @param {string} label - Template name, shown as the form title
+ * @param {Array<{name: string, defaultValue: string}>} variables - Variables to ask for
+ */
+export function renderTemplateVarsForm(label, variables) {
+  const fields = document.getElementById('template-vars-fields');
+  if (!fields) return;
+  const title = document.getElementById('template-vars-title');
+  if (title) title.textContent = label || 'Fill in template';
+
+  fields.innerHTML = '';
+  variables.forEach((variable, index) => {
+    const field = document.createElement('label');
+    const inputId = `template-var-${index}`;
+    field.htmlFor = inputId;
+    field.textContent = TEMPLATE_VARIABLE_LABELS[variable.name] || variable.name;
+
+    const multiline = MULTILINE_TEMPLATE_VARIABLES.has(variable.name);
+    const input = document.createElement(multiline ? 'textarea' : 'input');
+    input.id = inputId;
+    input.className = 'template-var-input';
+    input.dataset.variable = variable.name;
+    input.value = variable.defaultValue || '';
+    if (multiline) {
+      input.rows = 4;
+    } else {
+      input.type = 'text';
+    }
+    field.appendChild(input);
+    fields.appendChild(field);
+  });
+}
+
+/**
+ * Get the values entered in the template fill-in form
+ * @returns {Object<string, string>} Values by variable name
+ */
+export function getTemplateVarsValues() {
+  const values = {};
+  document.querySelectorAll('#template-vars-fields [data-variable]').forEach((input) => {
+    values[input.dataset.variable] = input.value.trim();
+  });
+  return values;
+}
+
 /**
  * Set whether we're adding a new template
  * @param {boolean} adding
@@ -0,0 +1,123 @@
+import { getEls } from './core.js';
+
+// Which passphrase fields each encryption form needs
+const FORM_FIELDS = {
+  enable: { current: false, next: true, submit: 'Encrypt chats' },
+  change: { current: true, next: true, submit: 'Change passphrase' },
+  disable: { current: true, next: false, submit: 'Decrypt chats' }
+};
+
+/**
+ * Show whether chat history encryption is on in the Data tab
+ * @param {{enabled: boolean}} status - From getEncryptionStatus()
+ */
+export function renderVaultStatus({ enabled }) {
+  const els = getEls();
+  if (!els.vaultStatus) return;
+  els.vaultStatus.textContent = enabled
+    ? 'On. Saved chats are encrypted on this device.'
+    : 'Off. Saved chats are stored unencrypted.';
+  els.vaultEnableBtn.hidden = enabled;
+  els.vaultChangeBtn.hidden = !enabled;
+  els.vaultDisableBtn.hidden = !enabled;
+  els.vaultLockNowBtn.hidden = !enabled;
+}
+
+/**
+ * Open the inline passphrase form for an encryption action
+ * @param {'enable'|'change'|'disable'} action
+ */
+export function openVaultForm(action) {
+  const els = getEls();
+  const fields = FORM_FIELDS[action];
+  if (!els.vaultForm || !fields) return;
+
+  els.vaultForm.reset();
+  els.vaultForm.dataset.action = action;
+  els.vaultCurrentField.hidden = !fields.current;
+  els.vaultNextField.hidden = !fields.next;
+  els.vaultConfirmField.hidden = !fields.next;
+  els.vaultSubmitBtn.textContent = fields.submit;
+  setVaultFormError('');
+  setVaultFormBusy(false);
+  els.vaultForm.hidden = false;
+  (fields.current ? els.vaultCurrentInput : els.vaultNextInput).focus();
+}
+
+export function closeVaultForm() {
+  const els = getEls();
+  if (!els.vaultForm) return;
+  els.vaultForm.reset();
+  els.vaultForm.hidden = true;
+  delete els.vaultForm.dataset.action;
+}
+
+/**
+ * @returns {{action: string, current: string, next: string, confirm: string}} Form contents
+ */
+export function getVaultFormValues() {
+  const els = getEls();
+  return {
+    action: els.vaultForm?.dataset.action || '',
+    current: els.vaultCurrentInput?.value || '',
+    next: els.vaultNextInput?.value || '',
+    confirm: els.vaultConfirmInput?.value || ''
+  };
+}
+
+export function setVaultFormError(message) {
+  const { vaultFormError } = getEls();
+  if (vaultFormError) vaultFormError.textContent = message;
+}
+
+/**
+ * Disable the form while records are being re-encrypted
+ * @param {boolean} busy
+ */
+export function setVaultFormBusy(busy) {
+  const els = getEls();
+  if (!els.vaultForm) return;
+  els.vaultForm.querySelectorAll('input, button').forEach((el) => { el.disabled = busy; });
+  els.vaultForm.setAttribute('aria-busy', String(busy));
+}
+
+/**
+ * Show or hide the lock screen that covers the panel
+ * @param {boolean} locked
+ */
+export function setVaultLockScreen(locked) {
+  const els = getEls();
+  if (!els.vaultLock) return;
+  els.vaultLock.hidden = !locked;
+  if (locked) {
+    els.vaultUnlockForm.reset();
+    setVaultUnlockError('');
+    els.vaultPassphraseInput.focus();
+  }
+}
+
+/**
+ * @returns {string} Passphrase typed on the lock screen
+ */
+export function getVaultUnlockPassphrase() {
+  return getEls().vaultPassphraseInput?.value || '';
+}
+
+export function setVaultUnlockError(message) {
+  const els = getEls();
+  if (!els.vaultUnlockError) return;
+  els.vaultUnlockError.textContent = message;
+  if (message) els.vaultPassphraseInput.select();
+}
+
+/**
+ * Disable the unlock form while the key is derived
+ * @param {boolean} busy
+ */
+export function setVaultUnlockBusy(busy) {
+  const els = getEls();
+  if (!els.vaultUnlockForm) return;
+  els.vaultPassphraseInput.disabled = busy;
+  els.vaultUnlockBtn.disabled = busy;
+  els.vaultUnlockBtn.textContent = busy ? 'Unlocking…' : 'Unlock';
+}
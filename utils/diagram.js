@@ -0,0 +1,677 @@
+// diagram.js - Mermaid-style diagrams to SVG for replies
+//
+// Renders the two diagram types models produce most, from ```mermaid fences:
+// - flowcharts (`graph`/`flowchart` TB, TD, BT, LR, RL): nodes with shapes,
+//   solid/dotted/thick edges with optional labels, `A & B --> C` groups.
+//   Layered layout: ranks by longest path (back edges of cycles ignored),
+//   order within a rank by a few barycenter sweeps, straight edges.
+// - sequence diagrams: participants/actors, messages, notes. Blocks such as
+//   loop/alt/opt and activations are accepted but not drawn.
+// Styling, subgraphs and click handlers are ignored. Output is an <svg> using
+// only VALIDATION.ALLOWED_SVG_TAGS/ATTRIBUTES with diagram-* classes (colors
+// in sidepanel/index.css). Anything unsupported or malformed returns null so
+// the caller can show the source as a code block.
+
+const MAX_SOURCE_LENGTH = 10_000;
+const MAX_NODES = 100;
+const MAX_EDGES = 300;
+const MAX_MESSAGES = 200;
+
+// Text metrics for the 13px sans-serif labels (approximate, no DOM measuring)
+const CHAR_WIDTH = 7.2;
+const LINE_HEIGHT = 17;
+const PAD_X = 14;
+const PAD_Y = 9;
+const RANK_GAP = 46;
+const NODE_GAP = 26;
+const MARGIN = 8;
+
+// url(#id) resolves to the first match in the document, so each diagram names
+// its arrow marker after a hash of its source. The id stays the same across
+// renders (htmlCache and the streamed HTML compare equal); identical diagrams
+// sharing a marker is harmless.
+let arrowMarkerId = 'diagram-arrow';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Input
+ * @returns {string} Base-36 digest
+ */
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+const round = value => Math.round(value * 10) / 10;
+
+class DiagramError extends Error {}
+
+const splitLabel = label => label.split(/<br\s*\/?>|\\n/i).map(line => line.trim());
+const textWidth = lines => Math.max(...lines.map(line => line.length)) * CHAR_WIDTH;
+
+/**
+ * Centered (possibly multi-line) text
+ * @param {string[]} lines
+ * @param {number} x - Center
+ * @param {number} y - Middle
+ * @param {string} className
+ * @returns {string} SVG
+ */
+function svgText(lines, x, y, className = 'diagram-text') {
+  const top = y - ((lines.length - 1) * LINE_HEIGHT) / 2;
+  return lines.map((line, i) => (
+    `<text x="${round(x)}" y="${round(top + i * LINE_HEIGHT)}" text-anchor="middle" ` +
+    `dominant-baseline="central" class="${className}">${escapeHtml(line)}</text>`
+  )).join('');
+}
+
+function svgDocument(width, height, label, content) {
+  const w = round(width + MARGIN * 2);
+  const h = round(height + MARGIN * 2);
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram" viewBox="0 0 ${w} ${h}" ` +
+    `width="${w}" height="${h}" role="img" aria-label="${escapeHtml(label)}">` +
+    `<defs><marker id="${arrowMarkerId}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" ` +
+    'markerHeight="7" orient="auto-start-reverse"><path d="M0,0L10,5L0,10z" class="diagram-arrowhead"></path>' +
+    `</marker></defs><g transform="translate(${MARGIN},${MARGIN})">${content}</g></svg>`;
+}
+
+// ---------------------------------------------------------------------------
+// Flowcharts
+// ---------------------------------------------------------------------------
+
+// Opening bracket -> closing bracket and shape, longest openers first
+const NODE_SHAPES = [
+  ['([', '])', 'stadium'], ['((', '))', 'circle'], ['[[', ']]', 'rect'], ['[(', ')]', 'rect'],
+  ['{{', '}}', 'hexagon'], ['[/', '/]', 'rect'], ['[\\', '\\]', 'rect'], ['[', ']', 'rect'],
+  ['(', ')', 'round'], ['{', '}', 'diamond'], ['>', ']', 'rect']
+];
+const NODE_ID = /[\p{L}\p{N}_$]+/uy;
+const LABELED_EDGE = /\s*(<?)(--|==|-\.)\s*([^\s\-=.>|][^|\n]*?)\s*(-{2,}|={2,}|\.+-)(>|x|o)?\s*/y;
+const PLAIN_EDGE = /\s*(<?)(-{2,}|={2,}|-?\.+-)(>|x|o)?(?:\s*\|([^|]*)\|)?\s*/y;
+const IGNORED_STATEMENT = /^(?:classDef|class|style|linkStyle|click|subgraph|end|direction)\b/;
+
+/**
+ * Split a line into statements at `;` outside brackets and quotes
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitStatements(line) {
+  const statements = [];
+  let depth = 0;
+  let quoted = false;
+  let start = 0;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') quoted = !quoted;
+    if (quoted) continue;
+    if ('[({'.includes(ch)) depth++;
+    if (')]}'.includes(ch)) depth = Math.max(0, depth - 1);
+    if (ch === ';' && depth === 0) {
+      statements.push(line.slice(start, i));
+      start = i + 1;
+    }
+  }
+  statements.push(line.slice(start));
+  return statements.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse `id`, `id[label]`, `id((label))`... at a position
+ * @returns {{id: string, label: string|null, shape: string|null, end: number}}
+ */
+function parseNodeRef(stmt, pos) {
+  let at = pos;
+  while (stmt[at] === ' ') at++;
+  NODE_ID.lastIndex = at;
+  const idMatch = NODE_ID.exec(stmt);
+  if (!idMatch) throw new DiagramError(`Expected a node at "${stmt.slice(at, at + 20)}"`);
+  const id = idMatch[0];
+  at += id.length;
+
+  let label = null;
+  let shape = null;
+  const opening = NODE_SHAPES.find(([open]) => stmt.startsWith(open, at));
+  if (opening) {
+    const [open, close, shapeName] = opening;
+    let inner = at + open.length;
+    let closeAt;
+    if (stmt[inner] === '"') {
+      const quoteEnd = stmt.indexOf('"', inner + 1);
+      if (quoteEnd < 0) throw new DiagramError('Unclosed quote');
+      label = stmt.slice(inner + 1, quoteEnd);
+      inner = quoteEnd + 1;
+      closeAt = stmt.indexOf(close, inner);
+    } else {
+      closeAt = stmt.indexOf(close, inner);
+      label = stmt.slice(inner, closeAt).trim();
+    }
+    if (closeAt < 0) throw new DiagramError(`Unclosed ${open}`);
+    shape = shapeName;
+    at = closeAt + close.length;
+  }
+
+  const classSuffix = stmt.slice(at).match(/^:::[\w-]+/);
+  if (classSuffix) at += classSuffix[0].length;
+  return { id, label, shape, end: at };
+}
+
+/**
+ * Parse `A`, `A & B[x]` ...
+ * @returns {{refs: object[], end: number}}
+ */
+function parseNodeGroup(stmt, pos) {
+  const refs = [];
+  let at = pos;
+  for (;;) {
+    const ref = parseNodeRef(stmt, at);
+    refs.push(ref);
+    at = ref.end;
+    const amp = stmt.slice(at).match(/^\s*&\s*/);
+    if (!amp) return { refs, end: at };
+    at += amp[0].length;
+  }
+}
+
+function matchEdge(stmt, pos) {
+  LABELED_EDGE.lastIndex = pos;
+  const labeled = LABELED_EDGE.exec(stmt);
+  if (labeled) {
+    const [match, back, open, label, , head] = labeled;
+    return { back: Boolean(back), line: open, label, head: Boolean(head), end: pos + match.length };
+  }
+  PLAIN_EDGE.lastIndex = pos;
+  const plain = PLAIN_EDGE.exec(stmt);
+  if (!plain) return null;
+  const [match, back, line, head, label] = plain;
+  return { back: Boolean(back), line, label: label?.trim() || null, head: Boolean(head), end: pos + match.length };
+}
+
+function edgeStyle(line) {
+  if (line.includes('=')) return 'thick';
+  return line.includes('.') ? 'dotted' : 'solid';
+}
+
+/**
+ * Parse flowchart statements into nodes and edges
+ * @param {string[]} lines - Lines after the header
+ * @returns {{nodes: Map<string, object>, edges: object[]}}
+ */
+function parseFlowchart(lines) {
+  const nodes = new Map();
+  const edges = [];
+
+  const addNode = (ref) => {
+    let node = nodes.get(ref.id);
+    if (!node) {
+      if (nodes.size >= MAX_NODES) throw new DiagramError('Too many nodes');
+      node = { id: ref.id, label: ref.id, shape: 'rect' };
+      nodes.set(ref.id, node);
+    }
+    if (ref.label !== null) node.label = ref.label;
+    if (ref.shape) node.shape = ref.shape;
+    return node;
+  };
+
+  lines.flatMap(splitStatements).forEach((stmt) => {
+    if (IGNORED_STATEMENT.test(stmt)) return;
+    let group = parseNodeGroup(stmt, 0);
+    let sources = group.refs.map(addNode);
+    let pos = group.end;
+
+    while (pos < stmt.length) {
+      const edge = matchEdge(stmt, pos);
+      if (!edge) throw new DiagramError(`Unexpected "${stmt.slice(pos, pos + 20)}"`);
+      group = parseNodeGroup(stmt, edge.end);
+      const targets = group.refs.map(addNode);
+      sources.forEach((from) => {
+        targets.forEach((to) => {
+          if (edges.length >= MAX_EDGES) throw new DiagramError('Too many edges');
+          edges.push({
+            from: from.id,
+            to: to.id,
+            label: edge.label,
+            style: edgeStyle(edge.line),
+            head: edge.head,
+            tail: edge.back
+          });
+        });
+      });
+      sources = targets;
+      pos = group.end;
+    }
+  });
+
+  if (!nodes.size) throw new DiagramError('Empty flowchart');
+  return { nodes, edges };
+}
+
+/**
+ * Rank nodes by longest path, ignoring the edges that close cycles
+ * @returns {Map<string, number>}
+ */
+function rankNodes(nodes, edges) {
+  const outgoing = new Map([...nodes.keys()].map(id => [id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+  // Iterative DFS in declaration order; edges to nodes on the stack are back edges
+  const state = new Map();
+  const forward = [];
+  for (const root of nodes.keys()) {
+    if (state.has(root)) continue;
+    const stack = [[root, 0]];
+    state.set(root, 'active');
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      const [id, index] = top;
+      const targets = outgoing.get(id);
+      if (index >= targets.length) {
+        state.set(id, 'done');
+        stack.pop();
+        continue;
+      }
+      top[1]++;
+      const next = targets[index];
+      if (state.get(next) === 'active') continue;
+      forward.push([id, next]);
+      if (!state.has(next)) {
+        state.set(next, 'active');
+        stack.push([next, 0]);
+      }
+    }
+  }
+
+  // Longest path over the acyclic forward edges (Kahn order)
+  const indegree = new Map([...nodes.keys()].map(id => [id, 0]));
+  const next = new Map([...nodes.keys()].map(id => [id, []]));
+  forward.forEach(([from, to]) => {
+    if (from === to) return;
+    next.get(from).push(to);
+    indegree.set(to, indegree.get(to) + 1);
+  });
+  const ranks = new Map([...nodes.keys()].map(id => [id, 0]));
+  const queue = [...nodes.keys()].filter(id => indegree.get(id) === 0);
+  while (queue.length) {
+    const id = queue.shift();
+    next.get(id).forEach((to) => {
+      ranks.set(to, Math.max(ranks.get(to), ranks.get(id) + 1));
+      indegree.set(to, indegree.get(to) - 1);
+      if (indegree.get(to) === 0) queue.push(to);
+    });
+  }
+  return ranks;
+}
+
+/**
+ * Order nodes within ranks to reduce crossings (barycenter heuristic)
+ * @returns {string[][]} Node ids per rank
+ */
+function orderLayers(nodes, edges, ranks) {
+  const layers = [];
+  for (const id of nodes.keys()) {
+    const rank = ranks.get(id);
+    (layers[rank] ||= []).push(id);
+  }
+  const neighbors = new Map([...nodes.keys()].map(id => [id, []]));
+  edges.forEach(({ from, to }) => {
+    if (from === to) return;
+    neighbors.get(from).push(to);
+    neighbors.get(to).push(from);
+  });
+
+  const sweep = (rankIndex, referenceIndex) => {
+    const reference = layers[referenceIndex];
+    if (!reference || !layers[rankIndex]) return;
+    const position = new Map(reference.map((id, i) => [id, i]));
+    const weight = new Map(layers[rankIndex].map((id, i) => {
+      const linked = neighbors.get(id).filter(n => position.has(n)).map(n => position.get(n));
+      return [id, linked.length ? linked.reduce((a, b) => a + b, 0) / linked.length : i];
+    }));
+    layers[rankIndex].sort((a, b) => weight.get(a) - weight.get(b));
+  };
+
+  for (let pass = 0; pass < 4; pass++) {
+    if (pass % 2 === 0) {
+      for (let r = 1; r < layers.length; r++) sweep(r, r - 1);
+    } else {
+      for (let r = layers.length - 2; r >= 0; r--) sweep(r, r + 1);
+    }
+  }
+  return layers.map(layer => layer || []);
+}
+
+function nodeSize(node) {
+  const lines = splitLabel(node.label);
+  const width = textWidth(lines) + PAD_X * 2;
+  const height = lines.length * LINE_HEIGHT + PAD_Y * 2;
+  switch (node.shape) {
+    case 'diamond': return { lines, width: width * 1.4 + 12, height: height * 1.6 };
+    case 'circle': {
+      const size = Math.max(width, height) + 4;
+      return { lines, width: size, height: size };
+    }
+    case 'hexagon': return { lines, width: width + 24, height };
+    default: return { lines, width: Math.max(width, 48), height };
+  }
+}
+
+/**
+ * Point where the segment from a node's center toward (dx, dy) leaves its shape
+ */
+function boundaryPoint(node, dx, dy) {
+  if (!dx && !dy) return { x: node.x, y: node.y };
+  const hw = node.width / 2;
+  const hh = node.height / 2;
+  let scale;
+  if (node.shape === 'circle') {
+    scale = hw / Math.hypot(dx, dy);
+  } else if (node.shape === 'diamond') {
+    scale = 1 / (Math.abs(dx) / hw + Math.abs(dy) / hh);
+  } else {
+    scale = Math.min(dx ? hw / Math.abs(dx) : Infinity, dy ? hh / Math.abs(dy) : Infinity);
+  }
+  return { x: node.x + dx * scale, y: node.y + dy * scale };
+}
+
+function renderNodeShape(node) {
+  const { x, y, width, height } = node;
+  const left = round(x - width / 2);
+  const top = round(y - height / 2);
+  switch (node.shape) {
+    case 'circle':
+      return `<circle cx="${round(x)}" cy="${round(y)}" r="${round(width / 2)}" class="diagram-node"></circle>`;
+    case 'diamond':
+      return `<polygon points="${round(x)},${top} ${round(x + width / 2)},${round(y)} ${round(x)},${round(y + height / 2)} ` +
+        `${left},${round(y)}" class="diagram-node"></polygon>`;
+    case 'hexagon': {
+      const inset = 12;
+      return `<polygon points="${round(left + inset)},${top} ${round(left + width - inset)},${top} ` +
+        `${round(left + width)},${round(y)} ${round(left + width - inset)},${round(top + height)} ` +
+        `${round(left + inset)},${round(top + height)} ${left},${round(y)}" class="diagram-node"></polygon>`;
+    }
+    default: {
+      let radius = 0;
+      if (node.shape === 'round') radius = 6;
+      if (node.shape === 'stadium') radius = height / 2;
+      return `<rect x="${left}" y="${top}" width="${round(width)}" height="${round(height)}" ` +
+        `rx="${round(radius)}" class="diagram-node"></rect>`;
+    }
+  }
+}
+
+function renderEdge(edge, from, to) {
+  const className = edge.style === 'solid' ? 'diagram-edge' : `diagram-edge-${edge.style}`;
+  const markers = (edge.head ? ` marker-end="url(#${arrowMarkerId})"` : '') +
+    (edge.tail ? ` marker-start="url(#${arrowMarkerId})"` : '');
+
+  let path;
+  let labelX;
+  let labelY;
+  if (from === to) {
+    // Self loop on the right side
+    const x = from.x + from.width / 2;
+    const y = from.y;
+    path = `M${round(x)},${round(y - 8)} C${round(x + 36)},${round(y - 30)} ${round(x + 36)},${round(y + 30)} ${round(x)},${round(y + 8)}`;
+    labelX = x + 34;
+    labelY = y;
+  } else {
+    const start = boundaryPoint(from, to.x - from.x, to.y - from.y);
+    const end = boundaryPoint(to, from.x - to.x, from.y - to.y);
+    path = `M${round(start.x)},${round(start.y)} L${round(end.x)},${round(end.y)}`;
+    labelX = (start.x + end.x) / 2;
+    labelY = (start.y + end.y) / 2;
+  }
+
+  let label = '';
+  if (edge.label) {
+    const lines = splitLabel(edge.label);
+    const width = textWidth(lines) + 8;
+    const height = lines.length * LINE_HEIGHT + 2;
+    label = `<rect x="${round(labelX - width / 2)}" y="${round(labelY - height / 2)}" width="${round(width)}" ` +
+      `height="${round(height)}" class="diagram-edge-label"></rect>${svgText(lines, labelX, labelY, 'diagram-edge-text')}`;
+  }
+  return `<path d="${path}" fill="none" class="${className}"${markers}></path>${label}`;
+}
+
+/**
+ * @param {string[]} lines - Source lines, header first
+ * @returns {string} SVG
+ */
+function renderFlowchart(lines) {
+  const [header, ...rest] = lines;
+  const [headerLine, ...inlineStatements] = splitStatements(header);
+  const direction = (headerLine.split(/\s+/)[1] || 'TB').toUpperCase();
+  if (!['TB', 'TD', 'BT', 'LR', 'RL'].includes(direction)) throw new DiagramError('Unknown direction');
+  const horizontal = direction === 'LR' || direction === 'RL';
+
+  const { nodes, edges } = parseFlowchart([...inlineStatements, ...rest]);
+  nodes.forEach(node => Object.assign(node, nodeSize(node)));
+  const layers = orderLayers(nodes, edges, rankNodes(nodes, edges));
+
+  // Along: rank axis (y for TB, x for LR); across: position within a rank
+  const along = node => (horizontal ? node.width : node.height);
+  const across = node => (horizontal ? node.height : node.width);
+  const layerSpans = layers.map(layer => layer.reduce((sum, id) => sum + across(nodes.get(id)), 0) +
+    NODE_GAP * Math.max(0, layer.length - 1));
+  const crossSize = Math.max(...layerSpans);
+
+  let offset = 0;
+  layers.forEach((layer, rank) => {
+    const depth = Math.max(...layer.map(id => along(nodes.get(id))));
+    let cursor = (crossSize - layerSpans[rank]) / 2;
+    layer.forEach((id) => {
+      const node = nodes.get(id);
+      const a = offset + depth / 2;
+      const c = cursor + across(node) / 2;
+      node.x = horizontal ? a : c;
+      node.y = horizontal ? c : a;
+      cursor += across(node) + NODE_GAP;
+    });
+    offset += depth + RANK_GAP;
+  });
+  const alongSize = offset - RANK_GAP;
+
+  const width = horizontal ? alongSize : crossSize;
+  const height = horizontal ? crossSize : alongSize;
+  // Self loops stick out on the right
+  const extra = edges.some(e => e.from === e.to) ? 40 : 0;
+  if (direction === 'BT') nodes.forEach((node) => { node.y = height - node.y; });
+  if (direction === 'RL') nodes.forEach((node) => { node.x = width - node.x; });
+
+  const edgeMarkup = edges.map(edge => renderEdge(edge, nodes.get(edge.from), nodes.get(edge.to))).join('');
+  const nodeMarkup = [...nodes.values()].map(node => renderNodeShape(node) + svgText(node.lines, node.x, node.y)).join('');
+  return svgDocument(width + extra, height, 'Flowchart', edgeMarkup + nodeMarkup);
+}
+
+// ---------------------------------------------------------------------------
+// Sequence diagrams
+// ---------------------------------------------------------------------------
+
+const PARTICIPANT = /^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/i;
+const MESSAGE = /^([\p{L}\p{N}_$.]+)\s*(--?>>|--?>|--?x|--?\))\s*[+-]?\s*([\p{L}\p{N}_$.]+)\s*:\s*(.*)$/u;
+const NOTE = /^note\s+(left of|right of|over)\s+([^:]+?)\s*:\s*(.*)$/i;
+const IGNORED_SEQUENCE = /^(?:autonumber|activate|deactivate|loop|alt|else|opt|par|and|end|rect|critical|break|title|box|option)\b/i;
+
+const ACTOR_HEIGHT = 34;
+const MESSAGE_ROW = 38;
+const SELF_MESSAGE_ROW = 50;
+
+/**
+ * @param {string[]} lines - Lines after the header
+ * @returns {{participants: object[], steps: object[]}}
+ */
+function parseSequence(lines) {
+  const participants = new Map();
+  const steps = [];
+  const participant = (id, label = id, kind = 'participant') => {
+    if (!participants.has(id)) {
+      if (participants.size >= MAX_NODES) throw new DiagramError('Too many participants');
+      participants.set(id, { id, label, kind, index: participants.size });
+    }
+    return participants.get(id);
+  };
+
+  lines.forEach((line) => {
+    if (IGNORED_SEQUENCE.test(line)) return;
+    const declared = line.match(PARTICIPANT);
+    if (declared) {
+      const [, kind, id, alias] = declared;
+      participant(id.trim(), (alias || id).trim(), kind.toLowerCase());
+      return;
+    }
+    const message = line.match(MESSAGE);
+    if (message) {
+      if (steps.length >= MAX_MESSAGES) throw new DiagramError('Too many messages');
+      const [, from, arrow, to, text] = message;
+      steps.push({
+        type: 'message',
+        from: participant(from),
+        to: participant(to),
+        text: text.trim(),
+        dashed: arrow.startsWith('--'),
+        head: !/^--?>$/.test(arrow)
+      });
+      return;
+    }
+    const note = line.match(NOTE);
+    if (note) {
+      if (steps.length >= MAX_MESSAGES) throw new DiagramError('Too many notes');
+      const [, placement, over, text] = note;
+      steps.push({
+        type: 'note',
+        placement: placement.toLowerCase(),
+        over: over.split(',').map(id => participant(id.trim())),
+        text: text.trim()
+      });
+      return;
+    }
+    throw new DiagramError(`Unsupported line "${line.slice(0, 20)}"`);
+  });
+
+  if (!participants.size) throw new DiagramError('Empty sequence diagram');
+  return { participants: [...participants.values()], steps };
+}
+
+/**
+ * @param {string[]} lines - Lines after the header
+ * @returns {string} SVG
+ */
+function renderSequence(lines) {
+  const { participants, steps } = parseSequence(lines);
+
+  participants.forEach((p) => {
+    p.lines = splitLabel(p.label);
+    p.width = Math.max(textWidth(p.lines) + PAD_X * 2, 80);
+  });
+
+  // Gap between neighboring lifelines: boxes must not touch, labels must fit
+  const gaps = participants.slice(1).map((p, i) => participants[i].width / 2 + p.width / 2 + 24);
+  steps.forEach((step) => {
+    if (step.type !== 'message') return;
+    const needed = textWidth(splitLabel(step.text)) + 24;
+    const [a, b] = [step.from.index, step.to.index].sort((x, y) => x - y);
+    if (a === b) {
+      if (a < gaps.length) gaps[a] = Math.max(gaps[a], needed + 30);
+      return;
+    }
+    const share = needed / (b - a);
+    for (let i = a; i < b; i++) gaps[i] = Math.max(gaps[i], share);
+  });
+
+  let x = participants[0].width / 2;
+  participants.forEach((p, i) => {
+    if (i > 0) x += gaps[i - 1];
+    p.x = x;
+  });
+
+  let y = ACTOR_HEIGHT + 16;
+  let content = '';
+  let right = x + participants[participants.length - 1].width / 2;
+
+  steps.forEach((step) => {
+    const textLines = splitLabel(step.text);
+    if (step.type === 'note') {
+      const xs = step.over.map(p => p.x);
+      const width = Math.max(textWidth(textLines) + 16, 60);
+      const height = textLines.length * LINE_HEIGHT + 10;
+      let left;
+      if (step.placement === 'left of') {
+        left = xs[0] - width - 10;
+      } else if (step.placement === 'right of') {
+        left = xs[0] + 10;
+      } else {
+        const span = Math.max(...xs) - Math.min(...xs);
+        const noteWidth = Math.max(width, span + 40);
+        left = (Math.min(...xs) + Math.max(...xs)) / 2 - noteWidth / 2;
+        content += `<rect x="${round(left)}" y="${round(y)}" width="${round(noteWidth)}" height="${round(height)}" class="diagram-note"></rect>`;
+        content += svgText(textLines, left + noteWidth / 2, y + height / 2);
+        right = Math.max(right, left + noteWidth);
+        y += height + 12;
+        return;
+      }
+      content += `<rect x="${round(left)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" class="diagram-note"></rect>`;
+      content += svgText(textLines, left + width / 2, y + height / 2);
+      right = Math.max(right, left + width);
+      y += height + 12;
+      return;
+    }
+
+    const className = step.dashed ? 'diagram-message-dashed' : 'diagram-message';
+    const marker = step.head ? ` marker-end="url(#${arrowMarkerId})"` : '';
+    const labelHeight = textLines.length * LINE_HEIGHT;
+    if (step.from === step.to) {
+      const sx = step.from.x;
+      const top = y + labelHeight;
+      content += svgText(textLines, sx + 24 + textWidth(textLines) / 2, y + labelHeight / 2);
+      content += `<path d="M${round(sx)},${round(top)} H${round(sx + 30)} V${round(top + 16)} H${round(sx + 2)}" ` +
+        `fill="none" class="${className}"${marker}></path>`;
+      right = Math.max(right, sx + 36 + textWidth(textLines));
+      y += SELF_MESSAGE_ROW + labelHeight - LINE_HEIGHT;
+      return;
+    }
+    const lineY = y + labelHeight + 4;
+    content += svgText(textLines, (step.from.x + step.to.x) / 2, y + labelHeight / 2);
+    content += `<path d="M${round(step.from.x)},${round(lineY)} H${round(step.to.x)}" fill="none" class="${className}"${marker}></path>`;
+    y += MESSAGE_ROW + labelHeight - LINE_HEIGHT;
+  });
+
+  const bottom = y + 4;
+  const left = Math.min(0, ...participants.map(p => p.x - p.width / 2));
+  const heads = participants.map((p) => {
+    const boxLeft = p.x - p.width / 2;
+    const radius = p.kind === 'actor' ? ACTOR_HEIGHT / 2 : 4;
+    return `<path d="M${round(p.x)},${ACTOR_HEIGHT} V${round(bottom)}" class="diagram-lifeline"></path>` +
+      `<rect x="${round(boxLeft)}" y="0" width="${round(p.width)}" height="${ACTOR_HEIGHT}" rx="${radius}" class="diagram-actor"></rect>` +
+      svgText(p.lines, p.x, ACTOR_HEIGHT / 2);
+  }).join('');
+
+  const shift = -left;
+  const body = `<g transform="translate(${round(shift)},0)">${heads}${content}</g>`;
+  return svgDocument(right + shift, bottom, 'Sequence diagram', body);
+}
+
+/**
+ * Render a Mermaid-style diagram
+ * @param {string} source - Contents of a ```mermaid fence
+ * @returns {string|null} <svg> markup, or null if the diagram is unsupported or malformed
+ */
+export function renderDiagram(source) {
+  const text = String(source).trim();
+  if (!text || text.length > MAX_SOURCE_LENGTH) return null;
+  const lines = text.split('\n').map(line => line.trim()).filter(line => line && !line.startsWith('%%'));
+
+  arrowMarkerId = `diagram-arrow-${hashString(text)}`;
+  try {
+    if (/^(?:graph|flowchart)\b/i.test(lines[0])) return renderFlowchart(lines);
+    if (/^sequenceDiagram\s*$/.test(lines[0])) return renderSequence(lines.slice(1));
+  } catch (e) {
+    if (e instanceof DiagramError) return null;
+    throw e;
+  }
+  return null;
+}
@@ -0,0 +1,224 @@
+// highlight.js - Syntax highlighting for code blocks in replies
+//
+// A small regex tokenizer: each language is an ordered list of sticky rules
+// tried at every position, the first match wins, and unmatched characters are
+// plain text. Output is escaped HTML with <span class="tok-*"> tokens and no
+// inline styles or scripts, so it passes the CSP and the HTML sanitizer.
+// Colors are in sidepanel/index.css.
+
+// Longer blocks are left plain; the tokenizer is linear but not free
+const MAX_HIGHLIGHT_CHARS = 50_000;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+const span = (type, text) => `<span class="tok-${type}">${escapeHtml(text)}</span>`;
+const words = list => new Set(list.split(' '));
+
+const JS_KEYWORDS = words(
+  'abstract as async await break case catch class const continue debugger declare default delete do ' +
+  'else enum export extends finally for from function get if implements import in instanceof interface ' +
+  'keyof let namespace new of private protected public readonly return satisfies set static super switch ' +
+  'throw try type typeof var void while with yield'
+);
+const JS_LITERALS = words('true false null undefined NaN Infinity this');
+const PYTHON_KEYWORDS = words(
+  'and as assert async await break class continue def del elif else except finally for from global if ' +
+  'import in is lambda match case nonlocal not or pass raise return try while with yield'
+);
+const PYTHON_LITERALS = words('True False None self cls');
+const SHELL_KEYWORDS = words(
+  'if then else elif fi for while until do done case esac function in select return exit export local ' +
+  'readonly unset source alias set'
+);
+const SQL_KEYWORDS = words(
+  'add all alter and as asc begin between by case check column commit constraint create cross default ' +
+  'delete desc distinct drop else end exists foreign from full group having if in index inner insert ' +
+  'into is join key left like limit not null offset on or order outer primary references returning right ' +
+  'rollback select set table then transaction union unique update using values view when where with'
+);
+const SQL_LITERALS = words('true false');
+
+const NUMBER = /(?:0[xX][\da-fA-F_]+|0[bB][01_]+|0[oO][0-7_]+|(?:\d[\d_]*(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?)n?\b/y;
+const DOUBLE_QUOTED = /"(?:[^"\\\n]|\\.)*"?/y;
+const SINGLE_QUOTED = /'(?:[^'\\\n]|\\.)*'?/y;
+const C_BLOCK_COMMENT = /\/\*[\s\S]*?(?:\*\/|$)/y;
+
+/**
+ * Classify identifiers by keyword sets; a name followed by `(` is a function
+ * @param {Set<string>} keywords
+ * @param {Set<string>} literals
+ * @param {{ignoreCase?: boolean}} options
+ * @returns {(word: string, src: string, end: number) => string|null} Token type
+ */
+function classifyWord(keywords, literals, { ignoreCase = false } = {}) {
+  return (word, src, end) => {
+    const key = ignoreCase ? word.toLowerCase() : word;
+    if (keywords.has(key)) return 'keyword';
+    if (literals.has(key)) return 'literal';
+    return /^\s*\(/.test(src.slice(end, end + 20)) ? 'function' : null;
+  };
+}
+
+/**
+ * Highlight one HTML/XML tag: name, attribute names and quoted values
+ * @param {string} tag - Whole tag text, `<` to `>`
+ * @returns {string} HTML
+ */
+function renderMarkupTag(tag) {
+  const [, open, name, rest] = tag.match(/^(<\/?)([^\s/>]*)([\s\S]*)$/);
+  const attrs = rest.replace(/("[^"]*"|'[^']*')|([^\s=/>"']+)(?=\s*=)|([^"']+?)/g, (part, quoted, attr) => {
+    if (quoted) return span('string', quoted);
+    if (attr) return span('attr', attr);
+    return escapeHtml(part);
+  });
+  return span('tag', open + name) + attrs;
+}
+
+const JS_RULES = [
+  { pattern: /\/\/.*/y, type: 'comment' },
+  { pattern: C_BLOCK_COMMENT, type: 'comment' },
+  { pattern: /`(?:[^`\\]|\\[\s\S])*`?/y, type: 'string' },
+  { pattern: DOUBLE_QUOTED, type: 'string' },
+  { pattern: SINGLE_QUOTED, type: 'string' },
+  { pattern: /[A-Za-z_$][\w$]*/y, type: classifyWord(JS_KEYWORDS, JS_LITERALS) },
+  { pattern: NUMBER, type: 'number' },
+  { pattern: /@[\w.]+/y, type: 'meta' }
+];
+
+const PYTHON_RULES = [
+  { pattern: /#.*/y, type: 'comment' },
+  { pattern: /[rRbBuUfF]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$))/y, type: 'string' },
+  { pattern: /[rRbBuUfF]{1,2}(?="|')/y, type: 'string' },
+  { pattern: DOUBLE_QUOTED, type: 'string' },
+  { pattern: SINGLE_QUOTED, type: 'string' },
+  { pattern: /@[\w.]+/y, type: 'meta' },
+  { pattern: /[A-Za-z_]\w*/y, type: classifyWord(PYTHON_KEYWORDS, PYTHON_LITERALS) },
+  { pattern: NUMBER, type: 'number' }
+];
+
+const JSON_RULES = [
+  { pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y, type: 'property' },
+  { pattern: DOUBLE_QUOTED, type: 'string' },
+  { pattern: /-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y, type: 'number' },
+  { pattern: /\b(?:true|false|null)\b/y, type: 'literal' }
+];
+
+const SHELL_RULES = [
+  { pattern: /(?<=^|\s)#.*/y, type: 'comment' },
+  { pattern: DOUBLE_QUOTED, type: 'string' },
+  { pattern: /'[^']*'?/y, type: 'string' },
+  { pattern: /\$(?:\{[^}\n]*\}?|\w+|[@#?$!*-])/y, type: 'variable' },
+  { pattern: /(?<=^|\s)--?[\w-]+/y, type: 'attr' },
+  { pattern: /[A-Za-z_][\w-]*/y, type: classifyWord(SHELL_KEYWORDS, new Set()) }
+];
+
+const MARKUP_RULES = [
+  { pattern: /<!--[\s\S]*?(?:-->|$)/y, type: 'comment' },
+  { pattern: /<!DOCTYPE[^>]*>?/iy, type: 'meta' },
+  { pattern: /<\/?[A-Za-z][^<>]*>?/y, render: renderMarkupTag },
+  { pattern: /&(?:#\d+|#x[\da-fA-F]+|\w+);/y, type: 'literal' }
+];
+
+const CSS_RULES = [
+  { pattern: C_BLOCK_COMMENT, type: 'comment' },
+  { pattern: DOUBLE_QUOTED, type: 'string' },
+  { pattern: SINGLE_QUOTED, type: 'string' },
+  { pattern: /@[\w-]+/y, type: 'keyword' },
+  { pattern: /!important\b/y, type: 'keyword' },
+  { pattern: /(?<=(?:^|[{;])\s*)--?[A-Za-z][\w-]*(?=\s*:)/y, type: 'property' },
+  { pattern: /(?<=(?:^|[{;])\s*)[A-Za-z][\w-]*(?=\s*:)/y, type: 'property' },
+  { pattern: /#[\da-fA-F]{3,8}\b/y, type: 'number' },
+  { pattern: /-?(?:\d+\.?\d*|\.\d+)(?:%|[A-Za-z]+)?/y, type: 'number' },
+  { pattern: /[A-Za-z_-][\w-]*(?=\()/y, type: 'function' },
+  { pattern: /[A-Za-z_-][\w-]*/y, type: null }
+];
+
+const SQL_RULES = [
+  { pattern: /--.*/y, type: 'comment' },
+  { pattern: C_BLOCK_COMMENT, type: 'comment' },
+  { pattern: /'(?:[^']|'')*'?/y, type: 'string' },
+  { pattern: /"[^"\n]*"?|`[^`\n]*`?/y, type: 'property' },
+  { pattern: /[A-Za-z_]\w*/y, type: classifyWord(SQL_KEYWORDS, SQL_LITERALS, { ignoreCase: true }) },
+  { pattern: NUMBER, type: 'number' }
+];
+
+// Fence language tags (lowercased) -> rules and the extension for "Save as file"
+const LANGUAGES = [
+  { names: ['js', 'javascript', 'jsx', 'mjs', 'cjs', 'node'], ext: 'js', rules: JS_RULES },
+  { names: ['ts', 'typescript', 'tsx', 'mts'], ext: 'ts', rules: JS_RULES },
+  { names: ['py', 'python', 'python3'], ext: 'py', rules: PYTHON_RULES },
+  { names: ['json', 'jsonc', 'json5'], ext: 'json', rules: JSON_RULES },
+  { names: ['sh', 'bash', 'shell', 'zsh', 'console', 'shellscript'], ext: 'sh', rules: SHELL_RULES },
+  { names: ['html', 'xml', 'svg', 'xhtml', 'vue'], ext: 'html', rules: MARKUP_RULES },
+  { names: ['css', 'scss', 'less'], ext: 'css', rules: CSS_RULES },
+  { names: ['sql', 'mysql', 'postgresql', 'postgres', 'sqlite'], ext: 'sql', rules: SQL_RULES }
+];
+
+const LANGUAGE_BY_NAME = new Map(
+  LANGUAGES.flatMap(language => language.names.map(name => [name, language]))
+);
+
+/**
+ * Tokenize code with a rule list
+ * @param {string} code
+ * @param {object[]} rules
+ * @returns {string} HTML
+ */
+function tokenize(code, rules) {
+  let html = '';
+  let plain = '';
+  let pos = 0;
+
+  while (pos < code.length) {
+    let matched = false;
+    for (const rule of rules) {
+      rule.pattern.lastIndex = pos;
+      const match = rule.pattern.exec(code);
+      if (!match || !match[0]) continue;
+
+      const text = match[0];
+      const end = pos + text.length;
+      const type = typeof rule.type === 'function' ? rule.type(text, code, end) : rule.type;
+      html += escapeHtml(plain);
+      plain = '';
+      if (rule.render) {
+        html += rule.render(text);
+      } else {
+        html += type ? span(type, text) : escapeHtml(text);
+      }
+      pos = end;
+      matched = true;
+      break;
+    }
+    if (!matched) {
+      plain += code[pos];
+      pos++;
+    }
+  }
+
+  return html + escapeHtml(plain);
+}
+
+/**
+ * Highlight a code block
+ * @param {string} code - Code text
+ * @param {string|null} lang - Fence language tag
+ * @returns {string} Escaped HTML; plain text for unknown languages and very long blocks
+ */
+export function highlightCode(code, lang) {
+  const language = lang ? LANGUAGE_BY_NAME.get(lang.toLowerCase()) : null;
+  if (!language || code.length > MAX_HIGHLIGHT_CHARS) return escapeHtml(code);
+  return tokenize(code, language.rules);
+}
+
+/**
+ * File extension for saving a code block
+ * @param {string|null} lang - Fence language tag
+ * @returns {string} Extension without the dot ("txt" if unknown)
+ */
+export function getCodeFileExtension(lang) {
+  const key = (lang || '').toLowerCase();
+  if (LANGUAGE_BY_NAME.has(key)) return LANGUAGE_BY_NAME.get(key).ext;
+  return /^[a-z0-9]{1,8}$/.test(key) ? key : 'txt';
+}
@@ -0,0 +1,1103 @@
+// markdown.js - CommonMark/GFM parser producing a sanitized AST, and its HTML renderer
+//
+// parseMarkdown() builds an mdast-style tree in two passes: block structure
+// first (collecting link reference definitions), then inline content. The
+// tree is sanitized by construction: only the node types below exist, link
+// and image URLs are checked here, and raw HTML survives only as bare tags
+// from VALIDATION.ALLOWED_INLINE_HTML_TAGS (no attributes). Everything else in the
+// source is text, which renderMarkdown() escapes.
+//
+// Blocks: ATX and setext headings, paragraphs, thematic breaks, block quotes,
+// bullet and ordered lists (nested, tight or loose, GFM task items), fenced
+// and indented code, GFM tables with column alignment.
+// Inlines: code spans, emphasis and strong (CommonMark delimiter rules),
+// ~~strikethrough~~, links and images (inline and reference), <autolinks>,
+// bare GFM URLs, backslash escapes, entities, hard and soft line breaks.
+// Not supported: HTML blocks, footnotes. Images render as links, so replies
+// never load remote content.
+//
+// Math: $inline$, \(inline\), $$display$$ and \[display\] (as blocks or
+// inline) and ```math fences become MathML (utils/math.js); ```mermaid fences
+// become SVG (utils/diagram.js). Either falls back to the source as code.
+//
+// scanSettledMarkdown() finds the part of a streaming reply that can be
+// rendered once and kept (see ui/stream-renderer.js).
+
+import { VALIDATION } from '../config/constants.js';
+import { highlightCode } from './highlight.js';
+import { texToMathml } from './math.js';
+import { renderDiagram } from './diagram.js';
+
+// Same escaping as escapeHtml() in utils.js, kept local so utils.js can import this module
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+// ---------------------------------------------------------------------------
+// Block patterns
+// ---------------------------------------------------------------------------
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?=[ \t]|$)(.*)$/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const TABLE_DELIMITER_CELL = /^:?-+:?$/;
+const TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+const MATH_BLOCK_OPEN = /^ {0,3}(\$\$|\\\[)(.*)$/;
+const MATH_CLOSERS = { $$: '$$', '\\[': '\\]' };
+const REFERENCE_DEFINITION = /^ {0,3}\[((?:[^\]\\]|\\.){1,999})\]:[ \t]*(<[^>\n]*>|\S+)(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^)\\]|\\.)*\)))?[ \t]*$/;
+
+// Deeper block quotes and lists are left as text (bounds recursion on hostile input)
+const MAX_NESTING = 32;
+
+const isBlank = line => /^[ \t]*$/.test(line);
+const indentOf = line => line.match(/^ */)[0].length;
+const expandTabs = line => line.replace(/^[ \t]+/, ws => ws.replace(/\t/g, '    '));
+
+/**
+ * Match a list item marker
+ * @param {string} line
+ * @returns {{ordered: boolean, marker: string, start: number|null, width: number, empty: boolean}|null}
+ *   width is the indent continuation lines need to belong to the item
+ */
+function matchListItem(line) {
+  const match = line.match(LIST_ITEM);
+  if (!match) return null;
+  const [, pad, marker, spaces = '', content = ''] = match;
+  const ordered = /\d/.test(marker);
+  let width = pad.length + marker.length;
+  // No content, or content indented 5+ (an indented code block): one space belongs to the marker
+  width += !content || spaces.length > 4 ? 1 : spaces.length;
+  return {
+    ordered,
+    marker: ordered ? marker.slice(-1) : marker,
+    start: ordered ? parseInt(marker, 10) : null,
+    width,
+    empty: !content.trim()
+  };
+}
+
+function isFenceOpen(line) {
+  const match = line.match(FENCE_OPEN);
+  return Boolean(match) && !(match[2][0] === '`' && match[3].includes('`'));
+}
+
+/**
+ * Content of a display math line before its closing delimiter
+ * @param {string} line
+ * @param {string} closer - `$$` or `\]`
+ * @returns {string|null} null if the line does not end the block
+ */
+function mathBlockEnd(line, closer) {
+  const trimmed = line.trimEnd();
+  return trimmed.endsWith(closer) ? trimmed.slice(0, -closer.length) : null;
+}
+
+/**
+ * Match a line opening display math: the delimiter alone, or the whole
+ * block on one line (`$$x$$ and more` is inline math in a paragraph)
+ * @param {string} line
+ * @returns {{closer: string, rest: string}|null}
+ */
+function matchMathBlockOpen(line) {
+  const match = line.match(MATH_BLOCK_OPEN);
+  if (!match) return null;
+  const closer = MATH_CLOSERS[match[1]];
+  const rest = match[2];
+  return isBlank(rest) || mathBlockEnd(rest, closer) !== null ? { closer, rest } : null;
+}
+
+/**
+ * Lines that start a block inside a container, ending lazy continuation
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  return ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || isFenceOpen(line) ||
+    Boolean(matchMathBlockOpen(line)) || BLOCKQUOTE.test(line) || Boolean(matchListItem(line));
+}
+
+/**
+ * Lines that end a paragraph. A list only interrupts one when its first
+ * item has content and, if ordered, starts at 1.
+ * @param {string} line
+ * @returns {boolean}
+ */
+function interruptsParagraph(line) {
+  if (ATX_HEADING.test(line) || THEMATIC_BREAK.test(line) || isFenceOpen(line) ||
+    matchMathBlockOpen(line) || BLOCKQUOTE.test(line)) {
+    return true;
+  }
+  const item = matchListItem(line);
+  return Boolean(item) && !item.empty && (!item.ordered || item.start === 1);
+}
+
+/**
+ * Split a table row into trimmed cells; `\|` is a literal pipe
+ * @param {string} line
+ * @returns {string[]}
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+  const cells = [];
+  let cell = '';
+  for (let i = 0; i < row.length; i++) {
+    if (row[i] === '\\' && row[i + 1] === '|') {
+      cell += '|';
+      i++;
+    } else if (row[i] === '|') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += row[i];
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+/**
+ * Whether a header row and the line below it start a GFM table
+ * @param {string} header
+ * @param {string|undefined} delimiter
+ * @returns {boolean}
+ */
+function startsTable(header, delimiter) {
+  if (delimiter === undefined || !header.includes('|') || !delimiter.includes('|')) return false;
+  if (indentOf(header) > 3) return false;
+  const cells = splitTableRow(delimiter);
+  return cells.every(cell => TABLE_DELIMITER_CELL.test(cell)) &&
+    cells.length === splitTableRow(header).length;
+}
+
+function tableAlignment(cell) {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  return left ? 'left' : null;
+}
+
+const normalizeLabel = label => label.trim().replace(/\s+/g, ' ').toLowerCase();
+
+// ---------------------------------------------------------------------------
+// Block parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse lines (container prefixes already removed) into block nodes.
+ * Paragraph, heading and table cell text stays raw in `raw` until the inline pass.
+ * @param {string[]} lines
+ * @param {{refs: Map, gap: boolean, depth: number}} ctx - Shared reference
+ *   definitions; `gap` is set when blank lines separate two of these blocks
+ *   (makes a list item loose); `depth` is the container nesting level
+ * @returns {object[]} Block nodes
+ */
+function parseBlocks(lines, ctx) {
+  const blocks = [];
+  const nested = () => ({ refs: ctx.refs, gap: false, depth: ctx.depth + 1 });
+  const canNest = ctx.depth < MAX_NESTING;
+  let blankBefore = false;
+  let i = 0;
+
+  const push = (block) => {
+    if (blankBefore && blocks.length) ctx.gap = true;
+    blankBefore = false;
+    blocks.push(block);
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (isBlank(line)) {
+      blankBefore = true;
+      i++;
+      continue;
+    }
+
+    // Indented code (cannot interrupt a paragraph, so only seen here)
+    if (indentOf(line) >= 4) {
+      const code = [];
+      while (i < lines.length && (isBlank(lines[i]) || indentOf(lines[i]) >= 4)) {
+        code.push(lines[i].slice(4));
+        i++;
+      }
+      while (code.length && isBlank(code[code.length - 1])) code.pop();
+      push({ type: 'code', lang: null, value: code.join('\n') });
+      continue;
+    }
+
+    if (isFenceOpen(line)) {
+      const [, pad, fence, info] = line.match(FENCE_OPEN);
+      const code = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(FENCE_CLOSE);
+        if (close && close[1][0] === fence[0] && close[1].length >= fence.length) {
+          i++;
+          break;
+        }
+        // Remove up to the opening fence's indentation
+        code.push(lines[i].replace(new RegExp(`^ {0,${pad.length}}`), ''));
+        i++;
+      }
+      const lang = unescapeString(info.trim().split(/\s+/)[0] || '').replace(/[^\w+#.-]/g, '');
+      push({ type: 'code', lang: lang || null, value: code.join('\n') });
+      continue;
+    }
+
+    const mathOpen = matchMathBlockOpen(line);
+    if (mathOpen) {
+      // Like a fence, an unclosed block runs to the end of the container
+      const tex = [];
+      let current = mathOpen.rest;
+      let inner = mathBlockEnd(current, mathOpen.closer);
+      i++;
+      while (inner === null && i < lines.length) {
+        tex.push(current);
+        current = lines[i];
+        inner = mathBlockEnd(current, mathOpen.closer);
+        i++;
+      }
+      tex.push(inner ?? current);
+      push({ type: 'math', value: tex.join('\n').trim() });
+      continue;
+    }
+
+    const heading = line.match(ATX_HEADING);
+    if (heading) {
+      const raw = heading[2].trim().replace(/(?:^|[ \t]+)#+[ \t]*$/, '');
+      push({ type: 'heading', depth: heading[1].length, raw });
+      i++;
+      continue;
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      push({ type: 'thematicBreak' });
+      i++;
+      continue;
+    }
+
+    if (canNest && BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length) {
+        const current = lines[i];
+        const prefix = current.match(BLOCKQUOTE);
+        if (prefix) {
+          quoted.push(expandTabs(current.slice(prefix[0].length)));
+        } else if (!isBlank(current) && quoted.length && !isBlank(quoted[quoted.length - 1]) &&
+          !startsBlock(current)) {
+          quoted.push(current); // Lazy paragraph continuation
+        } else {
+          break;
+        }
+        i++;
+      }
+      push({ type: 'blockquote', children: parseBlocks(quoted, nested()) });
+      continue;
+    }
+
+    const firstItem = canNest ? matchListItem(line) : null;
+    if (firstItem) {
+      const list = {
+        type: 'list',
+        ordered: firstItem.ordered,
+        start: firstItem.start,
+        spread: false,
+        children: []
+      };
+      let endedWithBlank = false;
+
+      while (i < lines.length) {
+        const item = matchListItem(lines[i]);
+        if (!item || item.ordered !== list.ordered || item.marker !== firstItem.marker ||
+          THEMATIC_BREAK.test(lines[i])) {
+          break;
+        }
+        if (endedWithBlank) list.spread = true;
+
+        const itemLines = [lines[i].length > item.width ? lines[i].slice(item.width) : ''];
+        i++;
+        while (i < lines.length) {
+          const current = lines[i];
+          if (isBlank(current)) {
+            // An item can begin with at most one blank line
+            if (itemLines.length === 1 && isBlank(itemLines[0])) break;
+            itemLines.push('');
+          } else if (indentOf(current) >= item.width) {
+            itemLines.push(current.slice(item.width));
+          } else if (!isBlank(itemLines[itemLines.length - 1]) && !startsBlock(current)) {
+            itemLines.push(current); // Lazy paragraph continuation
+          } else {
+            break;
+          }
+          i++;
+        }
+
+        endedWithBlank = false;
+        while (itemLines.length && isBlank(itemLines[itemLines.length - 1])) {
+          itemLines.pop();
+          endedWithBlank = true;
+        }
+
+        const itemCtx = nested();
+        const children = parseBlocks(itemLines, itemCtx);
+        if (itemCtx.gap) list.spread = true;
+
+        let checked = null;
+        const first = children[0];
+        const task = first?.type === 'paragraph' ? first.raw.match(TASK_MARKER) : null;
+        if (task) {
+          checked = task[1] !== ' ';
+          first.raw = first.raw.slice(task[0].length);
+        }
+        list.children.push({ type: 'listItem', checked, children });
+      }
+
+      push(list);
+      blankBefore = endedWithBlank;
+      continue;
+    }
+
+    if (startsTable(line, lines[i + 1])) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(tableAlignment);
+      const toRow = cells => ({
+        type: 'tableRow',
+        children: header.map((_, col) => ({ type: 'tableCell', raw: cells[col] || '' }))
+      });
+      const rows = [toRow(header)];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+        rows.push(toRow(splitTableRow(lines[i])));
+        i++;
+      }
+      push({ type: 'table', align, children: rows });
+      continue;
+    }
+
+    // Paragraph, possibly a setext heading
+    const paragraph = [line];
+    let setextDepth = 0;
+    i++;
+    while (i < lines.length) {
+      const current = lines[i];
+      if (isBlank(current)) break;
+      const underline = current.match(SETEXT_UNDERLINE);
+      if (underline) {
+        setextDepth = underline[1][0] === '=' ? 1 : 2;
+        i++;
+        break;
+      }
+      if (startsTable(current, lines[i + 1]) || interruptsParagraph(current)) break;
+      paragraph.push(current);
+      i++;
+    }
+
+    // Leading link reference definitions belong to no block
+    while (paragraph.length && !setextDepth) {
+      const definition = paragraph[0].match(REFERENCE_DEFINITION);
+      if (!definition) break;
+      const key = normalizeLabel(definition[1]);
+      if (key && !ctx.refs.has(key)) {
+        const url = definition[2].startsWith('<') ? definition[2].slice(1, -1) : definition[2];
+        const title = definition[3] ? unescapeString(definition[3].slice(1, -1)) : null;
+        ctx.refs.set(key, { url: unescapeString(url), title });
+      }
+      paragraph.shift();
+    }
+    if (!paragraph.length) continue;
+
+    const raw = paragraph.map(text => text.replace(/^[ \t]+/, '')).join('\n').replace(/[ \t]+$/, '');
+    push(setextDepth ? { type: 'heading', depth: setextDepth, raw } : { type: 'paragraph', raw });
+  }
+
+  return blocks;
+}
+
+// ---------------------------------------------------------------------------
+// Inline parsing
+// ---------------------------------------------------------------------------
+
+const ASCII_PUNCTUATION = /[!-/:-@[-`{-~]/;
+const UNICODE_PUNCTUATION = /[\p{P}\p{S}]/u;
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®',
+  trade: '™', hellip: '…', mdash: '—', ndash: '–', lsquo: '‘', rsquo: '’', ldquo: '“',
+  rdquo: '”', laquo: '«', raquo: '»', middot: '·', bull: '•', deg: '°', times: '×',
+  divide: '÷', plusmn: '±', le: '≤', ge: '≥', ne: '≠', larr: '←', rarr: '→', euro: '€'
+};
+const ENTITY = /^&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([a-zA-Z][a-zA-Z0-9]{1,31}));/;
+const AUTOLINK_URI = /^<([a-zA-Z][a-zA-Z0-9+.-]{1,31}:[^\s<>]*)>/;
+const AUTOLINK_EMAIL = /^<([a-zA-Z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*)>/;
+const RAW_TAG = /^<(\/?)([a-zA-Z][a-zA-Z0-9]*)(?:\s[^<>]*)?\/?>/;
+const URL_LITERAL = /(^|[\s*_~(])((?:https?:\/\/|www\.)[^\s<]+)/g;
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+const VOID_TAGS = new Set(['br']);
+// Later runs are left as text, which bounds emphasis nesting (and recursion) on hostile input
+const MAX_DELIMITERS = 1000;
+
+const isWhitespace = ch => !ch || /\s/.test(ch); // Start and end of text count as whitespace
+const isPunctuation = ch => Boolean(ch) && (ASCII_PUNCTUATION.test(ch) || UNICODE_PUNCTUATION.test(ch));
+
+function decodeEntity(match) {
+  const [, hex, decimal, name] = match;
+  if (name) return NAMED_ENTITIES[name] ?? null;
+  const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '�';
+}
+
+/**
+ * Resolve backslash escapes and entities (link destinations, titles, info strings)
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeString(text) {
+  return text
+    .replace(/\\([!-/:-@[-`{-~])/g, '$1')
+    .replace(/&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[a-zA-Z][a-zA-Z0-9]{1,31});/g, (entity) => {
+      return decodeEntity(entity.match(ENTITY)) ?? entity;
+    });
+}
+
+/**
+ * Keep http(s), mailto and relative URLs; anything else (javascript:, data:, ...) is dropped
+ * @param {string} url
+ * @returns {string|null}
+ */
+function sanitizeUrl(url) {
+  const trimmed = url.trim();
+  // Control characters and whitespace can hide a scheme from the check below
+  const scheme = trimmed.replace(/[\s\x00-\x1f]/g, '').match(/^([a-zA-Z][a-zA-Z0-9+.-]*:)/);
+  if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) return null;
+  return trimmed;
+}
+
+function plainText(nodes) {
+  return nodes.map((node) => {
+    if (node.type === 'text' || node.type === 'inlineCode' || node.type === 'inlineMath') return node.value;
+    if (node.type === 'image') return node.alt;
+    return node.children ? plainText(node.children) : '';
+  }).join('');
+}
+
+/**
+ * Parse an inline link target `(dest "title")` starting at `(`
+ * @param {string} src
+ * @param {number} start - Index of `(`
+ * @returns {{url: string, title: string|null, end: number}|null}
+ */
+function parseLinkTarget(src, start) {
+  if (src[start] !== '(') return null;
+  let pos = start + 1;
+  const skipSpace = () => {
+    while (pos < src.length && /[ \t\n]/.test(src[pos])) pos++;
+  };
+
+  skipSpace();
+  let url;
+  if (src[pos] === '<') {
+    const close = src.indexOf('>', pos);
+    if (close < 0 || /[\n<]/.test(src.slice(pos + 1, close))) return null;
+    url = src.slice(pos + 1, close);
+    pos = close + 1;
+  } else {
+    const from = pos;
+    let depth = 0;
+    while (pos < src.length) {
+      const ch = src[pos];
+      if (ch === '\\' && ASCII_PUNCTUATION.test(src[pos + 1] || '')) {
+        pos += 2;
+        continue;
+      }
+      if (/[\s\x00-\x1f]/.test(ch)) break;
+      if (ch === '(') depth++;
+      if (ch === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      pos++;
+    }
+    if (depth !== 0) return null;
+    url = src.slice(from, pos);
+  }
+
+  const beforeTitle = pos;
+  skipSpace();
+  let title = null;
+  const quote = src[pos];
+  if (pos > beforeTitle && (quote === '"' || quote === "'" || quote === '(')) {
+    const closeQuote = quote === '(' ? ')' : quote;
+    let end = pos + 1;
+    while (end < src.length && src[end] !== closeQuote) end += src[end] === '\\' ? 2 : 1;
+    if (end >= src.length) return null;
+    title = unescapeString(src.slice(pos + 1, end));
+    pos = end + 1;
+    skipSpace();
+  }
+
+  if (src[pos] !== ')') return null;
+  return { url: unescapeString(url), title, end: pos + 1 };
+}
+
+/**
+ * Whether a delimiter can close with an opener (CommonMark emphasis rules,
+ * including the "multiple of 3" rule; GFM strikethrough needs equal runs)
+ */
+function canMatch(opener, closer) {
+  if (opener.char !== closer.char || !opener.canOpen || opener.count === 0) return false;
+  if (closer.char === '~') return opener.count === closer.count;
+  const sum = opener.origCount + closer.origCount;
+  return !((opener.canClose || closer.canOpen) && sum % 3 === 0 &&
+    !(opener.origCount % 3 === 0 && closer.origCount % 3 === 0));
+}
+
+/**
+ * Turn matched `*`, `_` and `~` delimiter runs above `bottom` into emphasis,
+ * strong and delete nodes; unmatched runs stay text
+ * @param {object[]} nodes - Inline nodes of the current level (edited in place)
+ * @param {object[]} delims - Delimiter stack (truncated to `bottom`)
+ * @param {number} bottom - First delimiter to process
+ */
+function processEmphasis(nodes, delims, bottom) {
+  let closerIndex = bottom;
+  while (closerIndex < delims.length) {
+    const closer = delims[closerIndex];
+    if (!closer.canClose) {
+      closerIndex++;
+      continue;
+    }
+
+    let openerIndex = closerIndex - 1;
+    while (openerIndex >= bottom && !canMatch(delims[openerIndex], closer)) openerIndex--;
+    if (openerIndex < bottom) {
+      closerIndex++;
+      continue;
+    }
+
+    const opener = delims[openerIndex];
+    const used = closer.char === '~' ? closer.count : (opener.count >= 2 && closer.count >= 2 ? 2 : 1);
+    opener.count -= used;
+    closer.count -= used;
+    opener.node.value = opener.node.value.slice(0, opener.count);
+    closer.node.value = closer.node.value.slice(0, closer.count);
+
+    const from = nodes.indexOf(opener.node);
+    const to = nodes.indexOf(closer.node);
+    const children = nodes.splice(from + 1, to - from - 1);
+    let type = used === 2 ? 'strong' : 'emphasis';
+    if (closer.char === '~') type = 'delete';
+    nodes.splice(from + 1, 0, { type, children });
+
+    // Delimiters between the pair can no longer match anything
+    delims.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+    closerIndex = openerIndex + 1;
+    if (opener.count === 0) {
+      nodes.splice(nodes.indexOf(opener.node), 1);
+      delims.splice(openerIndex, 1);
+      closerIndex--;
+    }
+    if (closer.count === 0) {
+      nodes.splice(nodes.indexOf(closer.node), 1);
+      delims.splice(closerIndex, 1);
+    }
+  }
+  delims.length = bottom;
+}
+
+/**
+ * Split bare URLs (GFM autolink literals) out of text nodes outside links
+ * @param {object[]} nodes
+ * @returns {object[]}
+ */
+function linkifyText(nodes) {
+  return nodes.flatMap((node) => {
+    if (node.type !== 'text') {
+      if (node.children && node.type !== 'link') node.children = linkifyText(node.children);
+      return [node];
+    }
+
+    const parts = [];
+    let last = 0;
+    for (const match of node.value.matchAll(URL_LITERAL)) {
+      let literal = match[2];
+      // Trailing punctuation ends the sentence, not the URL; so does an unbalanced ")"
+      for (;;) {
+        if (/[?!.,:*_~'"]$/.test(literal)) {
+          literal = literal.slice(0, -1);
+        } else if (literal.endsWith(')') &&
+          literal.split(')').length > literal.split('(').length) {
+          literal = literal.slice(0, -1);
+        } else {
+          break;
+        }
+      }
+      const domain = literal.replace(/^(?:https?:\/\/)?/, '').split(/[/?#]/)[0];
+      if (!/^[\w-]+(?:\.[\w-]+)+$/.test(domain) && !literal.startsWith('www.')) continue;
+      if (!domain.includes('.')) continue;
+
+      const start = match.index + match[1].length;
+      if (start > last) parts.push({ type: 'text', value: node.value.slice(last, start) });
+      const url = literal.startsWith('www.') ? `http://${literal}` : literal;
+      parts.push({ type: 'link', url, title: null, children: [{ type: 'text', value: literal }] });
+      last = start + literal.length;
+    }
+    if (!parts.length) return [node];
+    if (last < node.value.length) parts.push({ type: 'text', value: node.value.slice(last) });
+    return parts;
+  });
+}
+
+/**
+ * Match inline math at `$` or `\\`: `$x$` (no space inside the dollars, no
+ * digit after the closer, so "$5 and $10" stays text), `$$x$$`, `\\(x\\)`, `\\[x\\]`
+ * @param {string} src
+ * @param {number} pos
+ * @param {{closers: number[]|null, next: number, missing: Set<string>}} scan -
+ *   Per-paragraph cache: valid single `$` closers (and the first one not yet
+ *   passed) and delimiters known to have no closer; keeps many openers linear
+ * @returns {{value: string, display: boolean, end: number}|null}
+ */
+function matchInlineMath(src, pos, scan) {
+  const open = ['$$', '\\(', '\\[', '$'].find(delimiter => src.startsWith(delimiter, pos));
+  if (!open) return null;
+
+  let close;
+  if (open === '$') {
+    if (isWhitespace(src[pos + 1]) || src[pos + 1] === '$') return null;
+    scan.closers ||= [...src.matchAll(/\$/g)].map(match => match.index).filter((at) => {
+      return !isWhitespace(src[at - 1]) && src[at - 1] !== '\\' && src[at - 1] !== '$' &&
+        src[at + 1] !== '$' && !/\d/.test(src[at + 1] || '');
+    });
+    while (scan.next < scan.closers.length && scan.closers[scan.next] <= pos + 1) scan.next++;
+    close = scan.closers[scan.next] ?? -1;
+  } else {
+    const closer = { $$: '$$', '\\(': '\\)', '\\[': '\\]' }[open];
+    close = scan.missing.has(open) ? -1 : src.indexOf(closer, pos + open.length + 1);
+    if (close < 0) scan.missing.add(open);
+  }
+  if (close < 0) return null;
+
+  const value = src.slice(pos + open.length, close);
+  if (!value.trim() || /\n[ \t]*\n/.test(value)) return null;
+  return { value: value.trim(), display: open === '$$' || open === '\\[', end: close + (open === '$' ? 1 : 2) };
+}
+
+function mergeText(nodes) {
+  const merged = [];
+  nodes.forEach((node) => {
+    if (node.children) node.children = mergeText(node.children);
+    const previous = merged[merged.length - 1];
+    if (node.type === 'text' && previous?.type === 'text') {
+      previous.value += node.value;
+    } else if (node.type !== 'text' || node.value) {
+      merged.push(node);
+    }
+  });
+  return merged;
+}
+
+/**
+ * Parse inline markdown into nodes
+ * @param {string} src - Raw text of one paragraph, heading or table cell
+ * @param {Map} refs - Link reference definitions
+ * @returns {object[]} Inline nodes
+ */
+function parseInlines(src, refs) {
+  const nodes = [];
+  const delims = [];
+  const brackets = [];
+  const mathScan = { closers: null, next: 0, missing: new Set() };
+  let text = '';
+  let pos = 0;
+
+  const flush = () => {
+    if (text) nodes.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (pos < src.length) {
+    const ch = src[pos];
+
+    const math = ch === '$' || ch === '\\' ? matchInlineMath(src, pos, mathScan) : null;
+    if (math) {
+      flush();
+      nodes.push({ type: 'inlineMath', value: math.value, display: math.display, source: src.slice(pos, math.end) });
+      pos = math.end;
+      continue;
+    }
+
+    if (ch === '\\') {
+      const next = src[pos + 1];
+      if (next === '\n') {
+        flush();
+        nodes.push({ type: 'break' });
+        pos += 2;
+        while (src[pos] === ' ') pos++;
+      } else if (next && ASCII_PUNCTUATION.test(next)) {
+        text += next;
+        pos += 2;
+      } else {
+        text += ch;
+        pos++;
+      }
+      continue;
+    }
+
+    if (ch === '\n') {
+      const hard = / {2,}$/.test(text);
+      text = text.replace(/ +$/, '');
+      flush();
+      nodes.push({ type: hard ? 'break' : 'softbreak' });
+      pos++;
+      while (src[pos] === ' ') pos++;
+      continue;
+    }
+
+    if (ch === '`') {
+      const run = src.slice(pos).match(/^`+/)[0];
+      const closing = /`+/g;
+      closing.lastIndex = pos + run.length;
+      let end = -1;
+      for (let match = closing.exec(src); match; match = closing.exec(src)) {
+        if (match[0].length === run.length) {
+          end = match.index;
+          break;
+        }
+      }
+      if (end < 0) {
+        text += run;
+        pos += run.length;
+        continue;
+      }
+      let value = src.slice(pos + run.length, end).replace(/\n/g, ' ');
+      if (value.startsWith(' ') && value.endsWith(' ') && value.trim()) value = value.slice(1, -1);
+      flush();
+      nodes.push({ type: 'inlineCode', value });
+      pos = end + run.length;
+      continue;
+    }
+
+    if (ch === '*' || ch === '_' || ch === '~') {
+      const run = src.slice(pos).match(/^(\*+|_+|~+)/)[0];
+      if ((ch === '~' && run.length > 2) || delims.length >= MAX_DELIMITERS) {
+        text += run;
+        pos += run.length;
+        continue;
+      }
+      const before = src[pos - 1];
+      const after = src[pos + run.length];
+      const leftFlanking = !isWhitespace(after) &&
+        (!isPunctuation(after) || isWhitespace(before) || isPunctuation(before));
+      const rightFlanking = !isWhitespace(before) &&
+        (!isPunctuation(before) || isWhitespace(after) || isPunctuation(after));
+      // Intraword underscores (snake_case) never emphasize
+      const canOpen = ch === '_' ? leftFlanking && (!rightFlanking || isPunctuation(before)) : leftFlanking;
+      const canClose = ch === '_' ? rightFlanking && (!leftFlanking || isPunctuation(after)) : rightFlanking;
+
+      flush();
+      const node = { type: 'text', value: run };
+      nodes.push(node);
+      delims.push({ node, char: ch, count: run.length, origCount: run.length, canOpen, canClose });
+      pos += run.length;
+      continue;
+    }
+
+    if (ch === '[' || (ch === '!' && src[pos + 1] === '[')) {
+      const image = ch === '!';
+      flush();
+      const node = { type: 'text', value: image ? '![' : '[' };
+      nodes.push(node);
+      pos += image ? 2 : 1;
+      brackets.push({ node, image, active: true, delimBottom: delims.length, labelStart: pos });
+      continue;
+    }
+
+    if (ch === ']') {
+      const opener = brackets[brackets.length - 1];
+      if (!opener || !opener.active) {
+        if (opener) brackets.pop();
+        text += ch;
+        pos++;
+        continue;
+      }
+
+      let target = parseLinkTarget(src, pos + 1);
+      if (!target) {
+        const reference = src.slice(pos + 1).match(/^\[((?:[^\]\\]|\\.)*)\]/);
+        const label = reference?.[1].trim() ? reference[1] : src.slice(opener.labelStart, pos);
+        const definition = refs.get(normalizeLabel(label));
+        if (definition) target = { ...definition, end: pos + 1 + (reference ? reference[0].length : 0) };
+      }
+      brackets.pop();
+      if (!target) {
+        text += ch;
+        pos++;
+        continue;
+      }
+
+      flush();
+      processEmphasis(nodes, delims, opener.delimBottom);
+      const start = nodes.indexOf(opener.node);
+      const children = nodes.splice(start + 1);
+      nodes.pop(); // The opening bracket
+      const url = sanitizeUrl(target.url);
+
+      if (opener.image) {
+        nodes.push({ type: 'image', url, alt: plainText(children), title: target.title });
+      } else if (url !== null) {
+        nodes.push({ type: 'link', url, title: target.title, children });
+        // No links inside links
+        brackets.forEach((bracket) => {
+          if (!bracket.image) bracket.active = false;
+        });
+      } else {
+        nodes.push(...children); // Unsafe URL: keep the link text only
+      }
+      pos = target.end;
+      continue;
+    }
+
+    if (ch === '<') {
+      const rest = src.slice(pos);
+      const uri = rest.match(AUTOLINK_URI);
+      const email = uri ? null : rest.match(AUTOLINK_EMAIL);
+      const tag = uri || email ? null : rest.match(RAW_TAG);
+
+      if (uri || email) {
+        const value = (uri || email)[1];
+        const url = uri ? sanitizeUrl(value) : `mailto:${value}`;
+        flush();
+        nodes.push(url === null
+          ? { type: 'text', value }
+          : { type: 'link', url, title: null, children: [{ type: 'text', value }] });
+        pos += (uri || email)[0].length;
+        continue;
+      }
+      if (tag && VALIDATION.ALLOWED_INLINE_HTML_TAGS.has(tag[2].toUpperCase())) {
+        const name = tag[2].toLowerCase();
+        flush();
+        if (!(tag[1] && VOID_TAGS.has(name))) nodes.push({ type: 'html', tag: name, closing: Boolean(tag[1]) });
+        pos += tag[0].length;
+        continue;
+      }
+      text += ch;
+      pos++;
+      continue;
+    }
+
+    if (ch === '&') {
+      const entity = src.slice(pos).match(ENTITY);
+      const decoded = entity ? decodeEntity(entity) : null;
+      if (decoded !== null) {
+        text += decoded;
+        pos += entity[0].length;
+        continue;
+      }
+    }
+
+    text += ch;
+    pos++;
+  }
+
+  flush();
+  processEmphasis(nodes, delims, 0);
+  return linkifyText(mergeText(nodes));
+}
+
+/**
+ * Replace the raw text of blocks with inline nodes
+ * @param {object[]} blocks
+ * @param {Map} refs
+ */
+function resolveInlines(blocks, refs) {
+  blocks.forEach((block) => {
+    if (typeof block.raw === 'string') {
+      block.children = parseInlines(block.raw, refs);
+      delete block.raw;
+    } else if (block.children) {
+      resolveInlines(block.children, refs);
+    }
+  });
+}
+
+/**
+ * Parse markdown into a sanitized mdast-style tree
+ * @param {string} markdown
+ * @returns {{type: 'root', children: object[]}}
+ */
+export function parseMarkdown(markdown = '') {
+  const lines = String(markdown)
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u0000/g, '�')
+    .split('\n')
+    .map(expandTabs);
+  const refs = new Map();
+  const children = parseBlocks(lines, { refs, gap: false, depth: 0 });
+  resolveInlines(children, refs);
+  return { type: 'root', children };
+}
+
+// ---------------------------------------------------------------------------
+// HTML rendering
+// ---------------------------------------------------------------------------
+
+function renderLink(url, title, content) {
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(url)}" target="_blank" rel="noopener"${titleAttr}>${content}</a>`;
+}
+
+function renderCodeBlock(code, lang) {
+  const langClass = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+  return `<pre><code${langClass}>${highlightCode(code, lang)}</code></pre>`;
+}
+
+function renderInlines(nodes, options) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text': return escapeHtml(node.value);
+      case 'inlineCode': return `<code>${escapeHtml(node.value)}</code>`;
+      case 'emphasis': return `<em>${renderInlines(node.children, options)}</em>`;
+      case 'strong': return `<strong>${renderInlines(node.children, options)}</strong>`;
+      case 'delete': return `<del>${renderInlines(node.children, options)}</del>`;
+      case 'link': return renderLink(node.url, node.title, renderInlines(node.children, options));
+      // Images become links so a reply never loads remote content
+      case 'image': return node.url === null
+        ? escapeHtml(node.alt)
+        : renderLink(node.url, node.title, escapeHtml(node.alt || node.url));
+      case 'break': return '<br>';
+      case 'softbreak': return options.breaks ? '<br>' : '\n';
+      case 'html': return `<${node.closing ? '/' : ''}${node.tag}>`;
+      case 'inlineMath':
+        return texToMathml(node.value, { display: node.display }) ?? escapeHtml(node.source);
+      default: return '';
+    }
+  }).join('');
+}
+
+function renderBlocks(blocks, options, tight = false) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'paragraph': {
+        const content = renderInlines(block.children, options);
+        return tight ? content : `<p>${content}</p>`;
+      }
+      case 'heading':
+        return `<h${block.depth}>${renderInlines(block.children, options)}</h${block.depth}>`;
+      case 'thematicBreak':
+        return '<hr>';
+      case 'blockquote':
+        return `<blockquote>${renderBlocks(block.children, options)}</blockquote>`;
+      case 'code': {
+        if (block.lang === 'mermaid') {
+          const svg = renderDiagram(block.value);
+          if (svg) return svg;
+        }
+        if (block.lang === 'math') {
+          const mathml = texToMathml(block.value, { display: true });
+          if (mathml) return mathml;
+        }
+        return renderCodeBlock(block.value, block.lang);
+      }
+      case 'math':
+        return texToMathml(block.value, { display: true }) ?? renderCodeBlock(block.value, 'latex');
+      case 'list': {
+        const tag = block.ordered ? 'ol' : 'ul';
+        const start = block.ordered && block.start !== 1 ? ` start="${block.start}"` : '';
+        const items = block.children.map((item) => {
+          const checkbox = item.checked === null
+            ? ''
+            : `<input type="checkbox" disabled${item.checked ? ' checked' : ''}> `;
+          return `<li>${checkbox}${renderBlocks(item.children, options, !block.spread)}</li>`;
+        }).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
+      }
+      case 'table': {
+        const renderRow = (row, cellTag) => `<tr>${row.children.map((cell, col) => {
+          const align = block.align[col] ? ` align="${block.align[col]}"` : '';
+          return `<${cellTag}${align}>${renderInlines(cell.children, options)}</${cellTag}>`;
+        }).join('')}</tr>`;
+        const [header, ...rows] = block.children;
+        const body = rows.length ? `<tbody>${rows.map(row => renderRow(row, 'td')).join('')}</tbody>` : '';
+        return `<table><thead>${renderRow(header, 'th')}</thead>${body}</table>`;
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render a tree from parseMarkdown() as HTML
+ * @param {{children: object[]}} root
+ * @param {{breaks?: boolean}} options - breaks: single newlines in a
+ *   paragraph become <br> (default, as chat replies expect)
+ * @returns {string} HTML
+ */
+export function renderMarkdown(root, { breaks = true } = {}) {
+  return renderBlocks(root.children, { breaks });
+}
+
+// ---------------------------------------------------------------------------
+// Streaming
+// ---------------------------------------------------------------------------
+
+/**
+ * Advance over the complete lines of a growing document and record where its
+ * settled part ends: a top-level block boundary that no later text can change.
+ * That is a blank line outside code fences and display math followed by an unindented line that
+ * does not continue a list or block quote. Rendering the settled part and the
+ * rest separately gives the same HTML as rendering the whole text (except for
+ * reference definitions that arrive after their use).
+ * @param {string} text - Document so far; must extend the text of earlier calls
+ * @param {{settled: number, scanned: number, fence: string|null, math: string|null, blank: boolean}} state -
+ *   Scan state, updated in place; start from createStreamScanState(). fence
+ *   is the open code fence, math the closer of open display math
+ * @returns {number} End of the settled part (state.settled)
+ */
+export function scanSettledMarkdown(text, state) {
+  let pos = state.scanned;
+  for (let end = text.indexOf('\n', pos); end >= 0; end = text.indexOf('\n', pos)) {
+    const line = expandTabs(text.slice(pos, end));
+
+    if (state.fence) {
+      const close = line.match(FENCE_CLOSE);
+      if (close && close[1][0] === state.fence[0] && close[1].length >= state.fence.length) {
+        state.fence = null;
+      }
+      state.blank = false;
+    } else if (state.math) {
+      if (mathBlockEnd(line, state.math) !== null) state.math = null;
+      state.blank = false;
+    } else if (isBlank(line)) {
+      state.blank = true;
+    } else {
+      if (state.blank && indentOf(line) === 0 && !matchListItem(line) && !BLOCKQUOTE.test(line)) {
+        state.settled = pos;
+      }
+      const mathOpen = matchMathBlockOpen(line);
+      if (isFenceOpen(line)) {
+        state.fence = line.match(FENCE_OPEN)[2];
+      } else if (mathOpen && mathBlockEnd(mathOpen.rest, mathOpen.closer) === null) {
+        state.math = mathOpen.closer;
+      }
+      state.blank = false;
+    }
+    pos = end + 1;
+  }
+  state.scanned = pos;
+  return state.settled;
+}
+
+/**
+ * @returns {{settled: number, scanned: number, fence: string|null, math: string|null, blank: boolean}}
+ *   Initial state for scanSettledMarkdown()
+ */
+export function createStreamScanState() {
+  return { settled: 0, scanned: 0, fence: null, math: null, blank: false };
+}
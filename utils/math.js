@@ -0,0 +1,442 @@
+// math.js - LaTeX math to MathML for replies
+//
+// Converts the TeX subset models use in answers (fractions, roots, scripts,
+// Greek letters, operators, big operators with limits, accents, \left/\right,
+// matrices, cases and aligned environments, \text and font commands) into
+// MathML, which Chrome renders natively: no fonts, stylesheets or scripts to
+// bundle. Output contains only elements and attributes from
+// VALIDATION.ALLOWED_MATHML_TAGS/ATTRIBUTES. Unknown commands render as
+// <merror>; unbalanced input returns null so the caller can show the source.
+
+// Longer expressions are shown as source
+const MAX_TEX_LENGTH = 5000;
+// Deeper groups are treated as malformed (bounds recursion)
+const MAX_DEPTH = 50;
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#039;' };
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+
+const GREEK = {
+  alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+  theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π',
+  varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ', upsilon: 'υ', phi: 'ϕ',
+  varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω'
+};
+// Capital Greek letters are upright
+const GREEK_UPPER = {
+  Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Upsilon: 'Υ',
+  Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+};
+// Symbols that are identifiers rather than operators
+const SYMBOL_IDENTIFIERS = {
+  infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+  Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', prime: '′', angle: '∠', triangle: '△', degree: '°', checkmark: '✓'
+};
+const OPERATORS = {
+  cdot: '⋅', times: '×', div: '÷', pm: '±', mp: '∓', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+  le: '≤', leq: '≤', ge: '≥', geq: '≥', ne: '≠', neq: '≠', approx: '≈', equiv: '≡', sim: '∼',
+  simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', to: '→', rightarrow: '→', leftarrow: '←',
+  gets: '←', Rightarrow: '⇒', Leftarrow: '⇐', leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺',
+  implies: '⟹', mapsto: '↦', uparrow: '↑', downarrow: '↓', longrightarrow: '⟶', in: '∈',
+  notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇', cup: '∪', cap: '∩',
+  setminus: '∖', forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬', land: '∧', wedge: '∧',
+  lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗', perp: '⊥', parallel: '∥', mid: '∣', ldots: '…',
+  dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱', therefore: '∴', because: '∵', colon: ':',
+  langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉', vert: '|', Vert: '‖'
+};
+const BIG_OPERATORS = {
+  sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+  bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀'
+};
+// Big operators (and limit-style functions) whose scripts go above and below in display math
+const LIMIT_OPERATORS = new Set([
+  'sum', 'prod', 'coprod', 'bigcup', 'bigcap', 'bigoplus', 'bigotimes', 'bigvee', 'bigwedge',
+  'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det', 'gcd', 'Pr', 'argmax', 'argmin'
+]);
+const FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+  'coth', 'log', 'ln', 'lg', 'exp', 'lim', 'limsup', 'liminf', 'max', 'min', 'sup', 'inf', 'det',
+  'gcd', 'lcm', 'deg', 'dim', 'ker', 'arg', 'Pr', 'mod', 'argmax', 'argmin', 'sgn', 'tr', 'rank'
+]);
+const ACCENTS = {
+  hat: 'ˆ', widehat: 'ˆ', bar: '¯', overline: '‾', vec: '→', overrightarrow: '→', dot: '˙',
+  ddot: '¨', tilde: '˜', widetilde: '˜', check: 'ˇ', breve: '˘', acute: '´', grave: '`'
+};
+const UNDER_ACCENTS = { underline: '_', underbrace: '⏟' };
+const SPACES = { ',': '0.1667em', ':': '0.2222em', ';': '0.2778em', ' ': '0.25em', quad: '1em', qquad: '2em', '!': '-0.1667em' };
+const DELIMITERS = {
+  '(': '(', ')': ')', '[': '[', ']': ']', '|': '|', '.': '', '/': '/', '\\{': '{', '\\}': '}',
+  '\\|': '‖', '\\langle': '⟨', '\\rangle': '⟩', '\\lfloor': '⌊', '\\rfloor': '⌋', '\\lceil': '⌈',
+  '\\rceil': '⌉', '\\vert': '|', '\\Vert': '‖', '\\lbrace': '{', '\\rbrace': '}', '<': '⟨', '>': '⟩'
+};
+// Environment -> fences around the table
+const MATRIX_FENCES = {
+  matrix: ['', ''], smallmatrix: ['', ''], array: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+  Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''], rcases: ['', '}']
+};
+const ALIGNED_ENVIRONMENTS = new Set(['aligned', 'align', 'align*', 'alignat', 'split', 'gathered', 'gather', 'gather*', 'eqnarray']);
+const SINGLE_CHAR_OPERATORS = '+-=<>()[],;:!|/*.?\'';
+
+// Font commands as Unicode math alphanumerics (MathML Core only renders mathvariant="normal")
+const FONT_OFFSETS = {
+  mathbf: { upper: 0x1d400, lower: 0x1d41a, digit: 0x1d7ce },
+  boldsymbol: { upper: 0x1d400, lower: 0x1d41a, digit: 0x1d7ce },
+  mathbb: { upper: 0x1d538, lower: 0x1d552, digit: 0x1d7d8 },
+  mathcal: { upper: 0x1d49c, lower: 0x1d4b6 },
+  mathfrak: { upper: 0x1d504, lower: 0x1d51e },
+  mathsf: { upper: 0x1d5a0, lower: 0x1d5ba, digit: 0x1d7e2 },
+  mathtt: { upper: 0x1d670, lower: 0x1d68a, digit: 0x1d7f6 }
+};
+// Letters that live in the Letterlike Symbols block instead of the gaps above
+const FONT_EXCEPTIONS = {
+  mathbb: { C: 'ℂ', H: 'ℍ', N: 'ℕ', P: 'ℙ', Q: 'ℚ', R: 'ℝ', Z: 'ℤ' },
+  mathcal: { B: 'ℬ', E: 'ℰ', F: 'ℱ', H: 'ℋ', I: 'ℐ', L: 'ℒ', M: 'ℳ', R: 'ℛ', e: 'ℯ', g: 'ℊ', o: 'ℴ' },
+  mathfrak: { C: 'ℭ', H: 'ℌ', I: 'ℑ', R: 'ℜ', Z: 'ℨ' }
+};
+
+class TexError extends Error {}
+
+function styleChar(ch, font) {
+  const exception = FONT_EXCEPTIONS[font]?.[ch];
+  if (exception) return exception;
+  const offsets = FONT_OFFSETS[font];
+  if (/[A-Z]/.test(ch)) return String.fromCodePoint(offsets.upper + ch.charCodeAt(0) - 65);
+  if (/[a-z]/.test(ch)) return String.fromCodePoint(offsets.lower + ch.charCodeAt(0) - 97);
+  if (/[0-9]/.test(ch) && offsets.digit) return String.fromCodePoint(offsets.digit + ch.charCodeAt(0) - 48);
+  return ch;
+}
+
+/**
+ * Split TeX into tokens: commands, single characters, numbers and text runs
+ * @param {string} tex
+ * @returns {string[]}
+ */
+function tokenizeTex(tex) {
+  const tokens = [];
+  const pattern = /\\(?:[a-zA-Z]+\*?|.)|\d+(?:\.\d+)?|%[^\n]*|\s+|[\s\S]/g;
+  for (const [token] of tex.matchAll(pattern)) {
+    if (token.startsWith('%')) continue; // Comment
+    tokens.push(/^\s+$/.test(token) ? ' ' : token);
+  }
+  return tokens;
+}
+
+const mo = (text, attrs = '') => `<mo${attrs}>${escapeHtml(text)}</mo>`;
+const mi = (text, attrs = '') => `<mi${attrs}>${escapeHtml(text)}</mi>`;
+const mrow = parts => (parts.length === 1 ? parts[0] : `<mrow>${parts.join('')}</mrow>`);
+
+class TexParser {
+  constructor(tex, display) {
+    this.tokens = tokenizeTex(tex);
+    this.pos = 0;
+    this.display = display;
+    this.depth = 0;
+  }
+
+  peek() {
+    while (this.tokens[this.pos] === ' ') this.pos++;
+    return this.tokens[this.pos];
+  }
+
+  next() {
+    const token = this.peek();
+    this.pos++;
+    return token;
+  }
+
+  expect(token) {
+    if (this.next() !== token) throw new TexError(`Expected ${token}`);
+  }
+
+  /**
+   * Raw text of a braced argument (for \text and friends), spaces kept
+   * @returns {string}
+   */
+  rawGroup() {
+    this.expect('{');
+    let depth = 1;
+    let text = '';
+    while (this.pos < this.tokens.length) {
+      const token = this.tokens[this.pos++];
+      if (token === '{') depth++;
+      if (token === '}' && --depth === 0) return text;
+      text += token.length === 2 && token[0] === '\\' && !/[a-zA-Z]/.test(token[1]) ? token[1] : token;
+    }
+    throw new TexError('Unclosed group');
+  }
+
+  /**
+   * Parse a list of atoms up to a stop token (not consumed)
+   * @param {(token: string) => boolean} isStop
+   * @returns {string[]} MathML of each atom
+   */
+  parseList(isStop) {
+    if (++this.depth > MAX_DEPTH) throw new TexError('Too deeply nested');
+    const parts = [];
+    for (let token = this.peek(); token !== undefined && !isStop(token); token = this.peek()) {
+      if (token === '}') throw new TexError('Unbalanced }');
+      if (token === '^' || token === '_' || token === "'") {
+        parts.push(this.parseScripts('<mrow></mrow>', null));
+        continue;
+      }
+      const { markup, name } = this.parseAtom();
+      if (markup !== null) parts.push(this.parseScripts(markup, name));
+    }
+    this.depth--;
+    return parts;
+  }
+
+  /**
+   * One required argument: a group or a single token
+   * @returns {string} MathML
+   */
+  parseArgument() {
+    const token = this.peek();
+    if (token === undefined) throw new TexError('Missing argument');
+    if (token === '{') {
+      this.next();
+      const parts = this.parseList(t => t === '}');
+      this.expect('}');
+      return mrow(parts.length ? parts : ['<mrow></mrow>']);
+    }
+    const { markup } = this.parseAtom();
+    return markup ?? '<mrow></mrow>';
+  }
+
+  /**
+   * Attach ^, _ and primes following a base
+   * @param {string} base - MathML of the base
+   * @param {string|null} name - Command name of the base, for limit placement
+   * @returns {string} MathML
+   */
+  parseScripts(base, name) {
+    let sub = null;
+    let sup = null;
+    let primes = '';
+    for (;;) {
+      const token = this.peek();
+      if (token === "'") {
+        this.next();
+        primes += '′';
+      } else if (token === '^' && sup === null) {
+        this.next();
+        sup = this.parseArgument();
+      } else if (token === '_' && sub === null) {
+        this.next();
+        sub = this.parseArgument();
+      } else {
+        break;
+      }
+    }
+    if (primes) sup = sup === null ? mo(primes) : mrow([mo(primes), sup]);
+    if (sub === null && sup === null) return base;
+
+    const limits = this.display && LIMIT_OPERATORS.has(name);
+    if (sub !== null && sup !== null) {
+      return limits ? `<munderover>${base}${sub}${sup}</munderover>` : `<msubsup>${base}${sub}${sup}</msubsup>`;
+    }
+    if (sub !== null) return limits ? `<munder>${base}${sub}</munder>` : `<msub>${base}${sub}</msub>`;
+    return limits ? `<mover>${base}${sup}</mover>` : `<msup>${base}${sup}</msup>`;
+  }
+
+  /**
+   * Parse one atom
+   * @returns {{markup: string|null, name: string|null}} markup is null for tokens that render nothing
+   */
+  parseAtom() {
+    const token = this.next();
+    if (token === '{') {
+      const parts = this.parseList(t => t === '}');
+      this.expect('}');
+      return { markup: mrow(parts.length ? parts : ['<mrow></mrow>']), name: null };
+    }
+    if (/^\d/.test(token)) return { markup: `<mn>${token}</mn>`, name: null };
+    if (/^[a-zA-Z]$/.test(token)) return { markup: mi(token), name: null };
+    if (token === '&' || token === '\\\\') throw new TexError('Alignment outside an environment');
+    if (token === '~') return { markup: '<mspace width="0.25em"></mspace>', name: null };
+    if (token === '-') return { markup: mo('−'), name: null };
+    if (token === '*') return { markup: mo('∗'), name: null };
+    if (SINGLE_CHAR_OPERATORS.includes(token)) return { markup: mo(token), name: null };
+    if (token[0] !== '\\') return { markup: mi(token), name: null };
+    return this.parseCommand(token.slice(1));
+  }
+
+  /**
+   * @param {string} name - Command name without the backslash
+   * @returns {{markup: string|null, name: string|null}}
+   */
+  parseCommand(name) {
+    const atom = markup => ({ markup, name });
+
+    if (GREEK[name]) return atom(mi(GREEK[name]));
+    if (GREEK_UPPER[name]) return atom(mi(GREEK_UPPER[name], ' mathvariant="normal"'));
+    if (SYMBOL_IDENTIFIERS[name]) return atom(mi(SYMBOL_IDENTIFIERS[name]));
+    if (OPERATORS[name]) return atom(mo(OPERATORS[name]));
+    if (BIG_OPERATORS[name]) {
+      const movable = LIMIT_OPERATORS.has(name) ? ' movablelimits="true"' : '';
+      return atom(mo(BIG_OPERATORS[name], ` largeop="true"${movable}`));
+    }
+    if (FUNCTIONS.has(name)) return atom(mi(name));
+    if (SPACES[name]) return atom(`<mspace width="${SPACES[name]}"></mspace>`);
+    if (name.length === 1 && !/[a-zA-Z]/.test(name)) {
+      // \{ \} \% \$ \# \& \_ \|
+      return atom(name === '|' ? mo('‖') : mo(name));
+    }
+
+    switch (name) {
+      case 'frac':
+      case 'dfrac':
+      case 'tfrac':
+      case 'cfrac': {
+        const numerator = this.parseArgument();
+        return atom(`<mfrac>${numerator}${this.parseArgument()}</mfrac>`);
+      }
+      case 'binom':
+      case 'dbinom':
+      case 'tbinom': {
+        const top = this.parseArgument();
+        return atom(mrow([mo('('), `<mfrac linethickness="0">${top}${this.parseArgument()}</mfrac>`, mo(')')]));
+      }
+      case 'sqrt': {
+        if (this.peek() === '[') {
+          this.next();
+          const index = mrow(this.parseList(t => t === ']'));
+          this.expect(']');
+          return atom(`<mroot>${this.parseArgument()}${index}</mroot>`);
+        }
+        return atom(`<msqrt>${this.parseArgument()}</msqrt>`);
+      }
+      case 'text':
+      case 'textrm':
+      case 'textit':
+      case 'textbf':
+      case 'mbox':
+      case 'hbox':
+        return atom(`<mtext>${escapeHtml(this.rawGroup())}</mtext>`);
+      case 'mathrm':
+      case 'operatorname':
+      case 'operatorname*':
+      case 'mathit':
+      case 'mathnormal': {
+        const text = this.rawGroup().trim();
+        const variant = name === 'mathit' || name === 'mathnormal' || text.length > 1 ? '' : ' mathvariant="normal"';
+        return atom(mi(text, variant));
+      }
+      case 'left': {
+        const open = this.parseDelimiter();
+        const parts = this.parseList(t => t === '\\right');
+        this.expect('\\right');
+        const close = this.parseDelimiter();
+        const fence = text => (text ? mo(text, ' stretchy="true" fence="true"') : '');
+        return atom(mrow([fence(open), ...parts, fence(close)].filter(Boolean)));
+      }
+      case 'big': case 'Big': case 'bigg': case 'Bigg':
+      case 'bigl': case 'Bigl': case 'biggl': case 'Biggl':
+      case 'bigr': case 'Bigr': case 'biggr': case 'Biggr':
+        return atom(mo(this.parseDelimiter()));
+      case 'begin':
+        return atom(this.parseEnvironment(this.rawGroup().trim()));
+      case 'displaystyle':
+      case 'textstyle':
+      case 'limits':
+      case 'nolimits':
+      case 'nonumber':
+      case 'notag':
+        return atom(null);
+      case 'not':
+        return atom(mo('̸'));
+      case 'pmod':
+        return atom(mrow([mo('('), mi('mod'), this.parseArgument(), mo(')')]));
+      case 'boxed':
+      case 'phantom':
+        return atom(this.parseArgument());
+      default:
+        break;
+    }
+
+    if (FONT_OFFSETS[name]) {
+      const text = this.rawGroup().replace(/\s+/g, '');
+      const styled = Array.from(text, ch => styleChar(ch, name)).join('');
+      return atom(/^[\d.]+$/.test(text) ? `<mn>${escapeHtml(styled)}</mn>` : mi(styled));
+    }
+    if (ACCENTS[name]) {
+      const stretchy = name.startsWith('wide') || name.startsWith('over') ? 'true' : 'false';
+      return atom(`<mover accent="true">${this.parseArgument()}${mo(ACCENTS[name], ` stretchy="${stretchy}"`)}</mover>`);
+    }
+    if (UNDER_ACCENTS[name]) {
+      return atom(`<munder accentunder="true">${this.parseArgument()}${mo(UNDER_ACCENTS[name], ' stretchy="true"')}</munder>`);
+    }
+    return atom(`<merror><mtext>\\${escapeHtml(name)}</mtext></merror>`);
+  }
+
+  /**
+   * Delimiter after \left, \right or \big
+   * @returns {string} Character ('' for ".")
+   */
+  parseDelimiter() {
+    const token = this.next();
+    if (token === undefined || !(token in DELIMITERS)) throw new TexError('Bad delimiter');
+    return DELIMITERS[token];
+  }
+
+  /**
+   * Matrices, cases and aligned equations as <mtable>
+   * @param {string} env - Environment name
+   * @returns {string} MathML
+   */
+  parseEnvironment(env) {
+    const fences = MATRIX_FENCES[env];
+    const aligned = ALIGNED_ENVIRONMENTS.has(env);
+    if (!fences && !aligned) throw new TexError(`Unknown environment ${env}`);
+    if ((env === 'array' || env === 'alignat') && this.peek() === '{') this.rawGroup(); // Column spec
+
+    const rows = [];
+    let cells = [];
+    for (;;) {
+      const parts = this.parseList(t => t === '&' || t === '\\\\' || t === '\\end');
+      cells.push(parts);
+      const token = this.next();
+      if (token === '&') continue;
+      rows.push(cells);
+      cells = [];
+      if (token === '\\end') break;
+      if (token === undefined) throw new TexError(`Unclosed ${env}`);
+    }
+    if (this.rawGroup().trim() !== env) throw new TexError(`Mismatched \\end for ${env}`);
+    // A trailing \\ leaves an empty last row
+    const last = rows[rows.length - 1];
+    if (rows.length > 1 && last.length === 1 && !last[0].length) rows.pop();
+
+    // Aligned rows alternate right/left columns around the & points; cases are left aligned
+    let columnAlign = '';
+    if (aligned) columnAlign = ' columnalign="right left right left right left"';
+    if (env === 'cases' || env === 'rcases') columnAlign = ' columnalign="left left"';
+    const table = `<mtable${columnAlign}>${rows.map(row => `<mtr>${row.map((cell) => {
+      return `<mtd>${mrow(cell.length ? cell : ['<mrow></mrow>'])}</mtd>`;
+    }).join('')}</mtr>`).join('')}</mtable>`;
+
+    if (!fences || (!fences[0] && !fences[1])) return table;
+    const fence = text => (text ? mo(text, ' stretchy="true" fence="true"') : '');
+    return mrow([fence(fences[0]), table, fence(fences[1])].filter(Boolean));
+  }
+}
+
+/**
+ * Convert TeX math to MathML
+ * @param {string} tex - Math source without its delimiters
+ * @param {{display?: boolean}} options - display: block math with limits above/below big operators
+ * @returns {string|null} <math> element markup, or null if the source is malformed
+ */
+export function texToMathml(tex, { display = false } = {}) {
+  const source = String(tex).trim();
+  if (!source || source.length > MAX_TEX_LENGTH) return null;
+  try {
+    const parser = new TexParser(source, display);
+    const parts = parser.parseList(() => false);
+    const body = mrow(parts.length ? parts : ['<mrow></mrow>']);
+    return `<math${display ? ' display="block"' : ''}>${body}</math>`;
+  } catch (e) {
+    if (e instanceof TexError) return null;
+    throw e;
+  }
+}
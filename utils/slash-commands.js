@@ -0,0 +1,110 @@
+// slash-commands.js - /commands typed in the prompt input
+//
+// Input starting with `/name` runs a command instead of prompting the model.
+// Names are the built-ins in SLASH_COMMANDS.BUILTIN plus the `command` of any
+// template; whatever follows the name is the command's argument text.
+
+import { SLASH_COMMANDS } from '../config/constants.js';
+
+const COMMAND_PATTERN = /^\/([a-z][a-z0-9-]*)(?:\s+([\s\S]*))?$/i;
+
+/**
+ * Split input into a command name and its argument text
+ * @param {string} text - Prompt input
+ * @returns {{name: string, args: string}|null} null when the input isn't shaped like a command
+ */
+export function parseSlashCommand(text = '') {
+  const match = text.trim().match(COMMAND_PATTERN);
+  if (!match) return null;
+  return { name: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * Split argument text at its first word: 'fr Bonjour' -> ['fr', 'Bonjour']
+ * @param {string} args - Argument text
+ * @returns {[string, string]} First word and the rest (newlines kept)
+ */
+export function splitFirstWord(args = '') {
+  const match = args.trim().match(/^(\S+)\s*([\s\S]*)$/);
+  return match ? [match[1], match[2]] : ['', ''];
+}
+
+/**
+ * Take option words off the start of argument text:
+ * 'tldr short Some text' -> { options: { type: 'tldr', length: 'short' }, rest: 'Some text' }
+ * @param {string} args - Argument text
+ * @param {Object<string, Object<string, string>>} choices - Option name -> word -> value
+ * @returns {{options: object, rest: string}} Each option taken at most once, in any order
+ */
+export function takeOptionWords(args = '', choices = {}) {
+  const options = {};
+  let rest = args.trim();
+  for (;;) {
+    const [word, after] = splitFirstWord(rest);
+    const lower = word.toLowerCase();
+    const name = Object.keys(choices).find(key => !(key in options) && Object.hasOwn(choices[key], lower));
+    if (!name) return { options, rest };
+    options[name] = choices[name][lower];
+    rest = after;
+  }
+}
+
+/**
+ * Clean what was typed in a template's command field: ' /Proof ' -> 'proof'
+ * @param {string} raw - Field value
+ * @returns {string} Command name without the slash, or ''
+ */
+export function normalizeCommandName(raw) {
+  return typeof raw === 'string' ? raw.trim().replace(/^\//, '').toLowerCase() : '';
+}
+
+/**
+ * Check a template's command name
+ * @param {string} name - Normalized name ('' = none)
+ * @param {object[]} templates - All templates
+ * @param {string|null} ownId - Template the name is for (null when new)
+ * @returns {string|null} Problem to show, or null if usable
+ */
+export function checkTemplateCommand(name, templates = [], ownId = null) {
+  if (!name) return null;
+  if (!SLASH_COMMANDS.NAME_PATTERN.test(name)) {
+    return 'Commands are lowercase letters, digits and dashes, starting with a letter';
+  }
+  if (SLASH_COMMANDS.BUILTIN[name]) return `/${name} is a built-in command`;
+  if (templates.some(t => t.id !== ownId && t.command === name)) {
+    return `/${name} is already used by another template`;
+  }
+  return null;
+}
+
+/**
+ * Find the template named at the start of `/tpl` argument text. Its command,
+ * id or label must match whole words (the longest match wins); failing that,
+ * the first template whose label or command starts with the first word.
+ * @param {object[]} templates - Templates in menu order
+ * @param {string} args - Argument text, e.g. 'proof some text'
+ * @returns {{template: object, rest: string}|null} rest is the text after the name
+ */
+export function findTemplateByName(templates = [], args = '') {
+  const text = args.trim();
+  const lower = text.toLowerCase();
+  let best = null;
+
+  templates.forEach((template) => {
+    [template.command, template.id, template.label].forEach((name) => {
+      const key = (name || '').toLowerCase();
+      if (!key || (best && best.key.length >= key.length)) return;
+      if (lower === key || (lower.startsWith(key) && /\s/.test(lower[key.length]))) {
+        best = { key, template };
+      }
+    });
+  });
+  if (best) return { template: best.template, rest: text.slice(best.key.length).trim() };
+
+  const [word, rest] = splitFirstWord(text);
+  if (!word) return null;
+  const prefix = word.toLowerCase();
+  const template = templates.find(t =>
+    (t.label || '').toLowerCase().startsWith(prefix) || (t.command || '').startsWith(prefix));
+  return template ? { template, rest } : null;
+}
@@ -0,0 +1,166 @@
+// structured-output.js - JSON schema validation and helpers for structured model output
+
+const SUPPORTED_ROOT_TYPES = ['object', 'array'];
+
+/**
+ * Parse a model response that should be JSON.
+ * Tolerates a surrounding ```json fence, which some model builds still emit.
+ * @param {string} raw - Raw model output
+ * @returns {any} Parsed value
+ * @throws {SyntaxError} When the text is not valid JSON
+ */
+export function parseJsonResponse(raw = '') {
+  const text = String(raw).trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+  return JSON.parse(text);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a JSON schema.
+ * Supports the subset templates and the model layer use: type, properties,
+ * required, additionalProperties (false), items, enum, min/maxItems,
+ * min/maxLength and minimum/maximum.
+ * @param {any} value - Value to check
+ * @param {object} schema - JSON schema
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}`];
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      errors.push(`${path} is shorter than ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      errors.push(`${path} is longer than ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      errors.push(`${path} is below ${schema.minimum}`);
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      errors.push(`${path} is above ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      errors.push(`${path} needs at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      errors.push(`${path} allows at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJsonSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.keys(value).forEach((key) => {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(value[key], properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Check that a user-supplied template schema is usable as an output schema.
+ * @param {any} schema - Parsed schema
+ * @returns {string|null} Error message, or null when usable
+ */
+export function checkOutputSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return 'Output schema must be a JSON object';
+  }
+  if (!SUPPORTED_ROOT_TYPES.includes(schema.type)) {
+    return 'Output schema "type" must be "object" or "array"';
+  }
+  return null;
+}
+
+/**
+ * Display text for a single structured value (nested values become JSON)
+ * @param {any} value
+ * @returns {string}
+ */
+export function formatCell(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Whether a value is a non-empty list of plain objects (renders as a table)
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isRecordList(value) {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+}
+
+function recordListToMarkdown(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const escape = (text) => formatCell(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${columns.join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${columns.map(col => escape(row[col])).join(' | ')} |`)
+  ].join('\n');
+}
+
+/**
+ * Plain markdown rendering of a structured result, stored as the message text
+ * so copy, export and history replay keep working.
+ * @param {any} value - Validated structured value
+ * @returns {string} Markdown text
+ */
+export function structuredToMarkdown(value) {
+  if (isRecordList(value)) return recordListToMarkdown(value);
+  if (Array.isArray(value)) return value.map(item => `- ${formatCell(item)}`).join('\n');
+  if (!value || typeof value !== 'object') return formatCell(value);
+
+  return Object.entries(value).map(([key, val]) => {
+    if (isRecordList(val)) return `**${key}:**\n\n${recordListToMarkdown(val)}`;
+    if (Array.isArray(val)) return `**${key}:** ${val.map(formatCell).join(', ')}`;
+    return `**${key}:** ${formatCell(val)}`;
+  }).join('\n\n');
+}
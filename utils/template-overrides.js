@@ -0,0 +1,71 @@
+// template-overrides.js - per-template model settings
+//
+// A template may carry `overrides` that apply only to the turn it is used
+// in: temperature, topK, systemPrompt, language (the answer language) and
+// backend (a key of TEMPLATE_OVERRIDES.BACKENDS). Fields left out fall back
+// to the global settings.
+
+import { TEMPLATE_OVERRIDES, LANGUAGE_LABELS, LANGUAGE_NAMES } from '../config/constants.js';
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isSet = value => value !== undefined && value !== null && value !== '';
+
+/**
+ * Check override values entered by the user or read from a template pack
+ * @param {object} raw - Override fields (unset fields may be undefined, null or '')
+ * @returns {string|null} Problem to show, or null if usable
+ */
+export function checkTemplateOverrides(raw) {
+  if (!isSet(raw)) return null;
+  if (!isObject(raw)) return 'Template model settings must be an object';
+
+  const { temperature, topK, systemPrompt, language, backend } = raw;
+  if (isSet(temperature) && !(Number.isFinite(temperature) &&
+      temperature >= TEMPLATE_OVERRIDES.TEMPERATURE_MIN && temperature <= TEMPLATE_OVERRIDES.TEMPERATURE_MAX)) {
+    return `Creativity must be between ${TEMPLATE_OVERRIDES.TEMPERATURE_MIN} and ${TEMPLATE_OVERRIDES.TEMPERATURE_MAX}`;
+  }
+  if (isSet(topK) && !(Number.isInteger(topK) &&
+      topK >= TEMPLATE_OVERRIDES.TOPK_MIN && topK <= TEMPLATE_OVERRIDES.TOPK_MAX)) {
+    return `Vocabulary must be a whole number from ${TEMPLATE_OVERRIDES.TOPK_MIN} to ${TEMPLATE_OVERRIDES.TOPK_MAX}`;
+  }
+  if (isSet(systemPrompt) && typeof systemPrompt !== 'string') return 'System prompt must be text';
+  if (isSet(language) && !LANGUAGE_LABELS[language]) return 'Unknown answer language';
+  if (isSet(backend) && !TEMPLATE_OVERRIDES.BACKENDS[backend]) return 'Unknown backend';
+  return null;
+}
+
+/**
+ * Keep the set, valid override fields
+ * @param {object} raw - Override fields
+ * @returns {object|null} Overrides, or null when none are set
+ */
+export function normalizeTemplateOverrides(raw) {
+  if (!isObject(raw) || checkTemplateOverrides(raw)) return null;
+
+  const overrides = {};
+  if (isSet(raw.temperature)) overrides.temperature = raw.temperature;
+  if (isSet(raw.topK)) overrides.topK = raw.topK;
+  const systemPrompt = typeof raw.systemPrompt === 'string'
+    ? raw.systemPrompt.trim().slice(0, TEMPLATE_OVERRIDES.MAX_SYSTEM_PROMPT_LENGTH)
+    : '';
+  if (systemPrompt) overrides.systemPrompt = systemPrompt;
+  if (isSet(raw.language)) overrides.language = raw.language;
+  if (isSet(raw.backend)) overrides.backend = raw.backend;
+  return Object.keys(overrides).length ? overrides : null;
+}
+
+/**
+ * Short labels for the active-template badge
+ * @param {object|null} overrides - Template overrides
+ * @returns {string[]} One label per set field, in a fixed order
+ */
+export function describeTemplateOverrides(overrides) {
+  if (!overrides) return [];
+  const parts = [];
+  if (isSet(overrides.temperature)) parts.push(`creativity ${overrides.temperature}`);
+  if (isSet(overrides.topK)) parts.push(`vocabulary ${overrides.topK}`);
+  if (overrides.systemPrompt) parts.push('own system prompt');
+  if (overrides.language) parts.push(`in ${LANGUAGE_NAMES[overrides.language] || overrides.language}`);
+  if (overrides.backend) parts.push(TEMPLATE_OVERRIDES.BACKENDS[overrides.backend].toLowerCase());
+  return parts;
+}
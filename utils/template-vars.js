@@ -0,0 +1,54 @@
+// template-vars.js - {{variables}} in prompt templates
+//
+// A template may contain `{{name}}` or `{{name|default}}` placeholders.
+// Names in TEMPLATE_BUILTIN_VARIABLES are filled in from the browser when the
+// template is used; any other name is free-form and asked for in a form,
+// prefilled with its default.
+
+import { TEMPLATE_BUILTIN_VARIABLES } from '../config/constants.js';
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*(?:\|([^{}]*))?\}\}/g;
+
+/**
+ * List the variables of a template, once each, in order of appearance
+ * @param {string} text - Template text
+ * @returns {Array<{name: string, defaultValue: string, builtin: boolean}>}
+ *   defaultValue is the first default given for the name ('' if none)
+ */
+export function parseTemplateVariables(text = '') {
+  const variables = new Map();
+  for (const [, name, defaultValue] of text.matchAll(VARIABLE_PATTERN)) {
+    const known = variables.get(name);
+    if (known) {
+      if (!known.defaultValue && defaultValue) known.defaultValue = defaultValue.trim();
+      continue;
+    }
+    variables.set(name, {
+      name,
+      defaultValue: (defaultValue || '').trim(),
+      builtin: TEMPLATE_BUILTIN_VARIABLES.includes(name)
+    });
+  }
+  return Array.from(variables.values());
+}
+
+/**
+ * @param {string} text - Template text
+ * @returns {boolean} Whether the template has any placeholders
+ */
+export function hasTemplateVariables(text = '') {
+  return parseTemplateVariables(text).length > 0;
+}
+
+/**
+ * Replace placeholders with values; missing values fall back to the default, then ''
+ * @param {string} text - Template text
+ * @param {Object<string, string>} values - Values by variable name
+ * @returns {string} Expanded prompt
+ */
+export function expandTemplate(text = '', values = {}) {
+  return text.replace(VARIABLE_PATTERN, (_, name, defaultValue) => {
+    const value = values[name];
+    return value !== undefined && value !== '' ? value : (defaultValue || '').trim();
+  });
+}
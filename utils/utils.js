@@ -1,6 +1,7 @@
 // utils.js - General utility functions
 
 import { VALIDATION } from '../config/constants.js';
+import { parseMarkdown, renderMarkdown } from './markdown.js';
 
 /**
  * Query selector helper
@@ -110,6 +111,22 @@ export function formatDate(ts) {
   }
 }
 
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "512 B", "1.4 MB"
+ */
+export function formatBytes(bytes = 0) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.max(0, bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
 /**
  * Sanitize text by removing control characters
  * @param {string} str - Text to sanitize
@@ -135,92 +152,15 @@ export function nanoid(size = 10) {
 }
 
 /**
- * PRODUCTION READY MARKDOWN SANITIZER
- * Convert markdown to HTML with strict sanitization
+ * Convert markdown to sanitized HTML
+ * Parsed by utils/markdown.js (which only emits whitelisted markup), then run
+ * through the DOM whitelist as a second layer.
  * @param {string} md - Markdown text
  * @returns {string} Sanitized HTML
  */
 export function markdownToHtml(md) {
   if (!md) return '';
-
-  // 1. Basic Transformations
-  let html = String(md)
-    .replace(/```([\s\S]*?)```/g, (_, code) => `<pre><code>${escapeHtml(code)}</code></pre>`)
-    .replace(/`([^`]+)`/g, (_, code) => `<code>${escapeHtml(code)}</code>`)
-    .replace(/^###\s+(.*)$/gm, '<h3>$1</h3>')
-    .replace(/^##\s+(.*)$/gm, '<h2>$1</h2>')
-    .replace(/^#\s+(.*)$/gm, '<h1>$1</h1>')
-    .replace(/\*\*\*(.*?)\*\*\*/g, '<strong><em>$1</em></strong>')
-    .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-    .replace(/\*(.*?)\*/g, '<em>$1</em>')
-    .replace(/\[(.*?)\]\((.*?)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-
-  // 2. Lists - Line-by-line parser for ordered and unordered lists
-  html = parseMarkdownLists(html);
-
-  // 3. Paragraphs
-  html = html.split(/\n{2,}/).map(block => {
-    if (/^<(ul|ol|pre|h\d)/.test(block.trim())) return block;
-    return `<p>${block.replace(/\n/g, '<br>')}</p>`;
-  }).join('');
-
-  return sanitizeHtmlString(html);
-}
-
-/**
- * Parse markdown lists (both ordered and unordered) using line-by-line parsing.
- * Handles: - item, * item, 1. item, 2. item, etc.
- * @param {string} html - HTML string with potential list markers
- * @returns {string} HTML with proper <ul>/<ol> lists
- */
-function parseMarkdownLists(html) {
-  const lines = html.split('\n');
-  const result = [];
-  let currentList = [];
-  let listType = null; // 'ul' or 'ol'
-
-  /**
-   * Close the current list and add to results
-   */
-  function closeCurrentList() {
-    if (currentList.length > 0 && listType) {
-      result.push(`<${listType}>${currentList.map(item => `<li>${item}</li>`).join('')}</${listType}>`);
-      currentList = [];
-      listType = null;
-    }
-  }
-
-  for (const line of lines) {
-    // Check for unordered list: - item or * item
-    const unorderedMatch = line.match(/^(\s*)([-*])\s+(.*)$/);
-    // Check for ordered list: 1. item, 2. item, etc.
-    const orderedMatch = line.match(/^(\s*)(\d+)\.\s+(.*)$/);
-
-    if (unorderedMatch) {
-      const content = unorderedMatch[3];
-      if (listType !== 'ul') {
-        closeCurrentList();
-        listType = 'ul';
-      }
-      currentList.push(content);
-    } else if (orderedMatch) {
-      const content = orderedMatch[3];
-      if (listType !== 'ol') {
-        closeCurrentList();
-        listType = 'ol';
-      }
-      currentList.push(content);
-    } else {
-      // Not a list item - close any open list and add the line
-      closeCurrentList();
-      result.push(line);
-    }
-  }
-
-  // Close any remaining open list
-  closeCurrentList();
-
-  return result.join('\n');
+  return sanitizeHtmlString(renderMarkdown(parseMarkdown(md)));
 }
 
 /**
@@ -261,12 +201,40 @@ export function clampLabel(text = '', max = 80) {
   return text.length > max ? text.slice(0, max - 1) + '...' : text;
 }
 
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * Sanitize one SVG or MathML element in place
+ * @param {Element} node - Element in the SVG or MathML namespace
+ * @returns {boolean} False if the element is not allowed at all
+ */
+function sanitizeForeignElement(node) {
+  const isSvg = node.namespaceURI === SVG_NAMESPACE;
+  const allowedTags = isSvg ? VALIDATION.ALLOWED_SVG_TAGS : VALIDATION.ALLOWED_MATHML_TAGS;
+  const allowedAttrs = isSvg ? VALIDATION.ALLOWED_SVG_ATTRIBUTES : VALIDATION.ALLOWED_MATHML_ATTRIBUTES;
+  if (!allowedTags.has(node.localName)) return false;
+
+  for (const attr of Array.from(node.attributes)) {
+    const attrName = attr.name.toLowerCase();
+    const val = attr.value.replace(/[\s\x00-\x1f]/g, '').toLowerCase();
+    // Marker references are the only url() values (same-document fragments)
+    const unsafeValue = /(?:javascript|data|vbscript):/.test(val) ||
+      (val.includes('url(') && !/^url\(#[\w-]+\)$/.test(val));
+    if (!allowedAttrs.has(attrName) || unsafeValue ||
+      ((attrName === 'class' || attrName === 'id') && !VALIDATION.ALLOWED_SVG_CLASS_PATTERN.test(attr.value))) {
+      node.removeAttribute(attr.name);
+    }
+  }
+  return true;
+}
+
 /**
  * Sanitize HTML string using whitelist approach
  * @param {string} dirtyHtml - Unsanitized HTML
  * @returns {string} Sanitized HTML
  */
-function sanitizeHtmlString(dirtyHtml) {
+export function sanitizeHtmlString(dirtyHtml) {
   const parser = new DOMParser();
   const doc = parser.parseFromString(dirtyHtml, 'text/html');
   const allowedTags = VALIDATION.ALLOWED_HTML_TAGS;
@@ -279,30 +247,44 @@ function sanitizeHtmlString(dirtyHtml) {
     const node = walker.currentNode;
     const tagName = node.tagName;
 
+    // Generated diagrams and formulas have their own allow-lists
+    if (node.namespaceURI === SVG_NAMESPACE || node.namespaceURI === MATHML_NAMESPACE) {
+      if (!sanitizeForeignElement(node)) nodesToRemove.push(node);
+      continue;
+    }
+
     if (blockedEmbedTags.has(tagName) || !allowedTags.has(tagName)) {
       nodesToRemove.push(node);
       continue;
     }
 
-    // Strip attributes (Allow only href/target/rel on A)
+    // Strip attributes (only those whitelisted per tag in VALIDATION.ALLOWED_TAG_ATTRIBUTES)
+    const allowedAttrs = VALIDATION.ALLOWED_TAG_ATTRIBUTES[tagName] || [];
     const attrs = Array.from(node.attributes);
     for (const attr of attrs) {
       const attrName = attr.name.toLowerCase();
-      if (attrName.startsWith('on') || attrName === 'style') {
+      if (attrName.startsWith('on') || attrName === 'style' || !allowedAttrs.includes(attrName)) {
         node.removeAttribute(attr.name);
         continue;
       }
 
-      if (tagName === 'A' && VALIDATION.ALLOWED_LINK_ATTRIBUTES.includes(attrName)) {
-        if (attrName === 'href') {
-          const val = attr.value.trim().toLowerCase();
-          if (val.startsWith('javascript:') || val.startsWith('data:')) {
-            node.removeAttribute('href');
-          }
+      if (tagName === 'A' && attrName === 'href') {
+        const val = attr.value.replace(/[\s\x00-\x1f]/g, '').toLowerCase();
+        if (val.startsWith('javascript:') || val.startsWith('data:') || val.startsWith('vbscript:')) {
+          node.removeAttribute('href');
         }
+      } else if (attrName === 'class' && !VALIDATION.ALLOWED_CLASS_PATTERNS[tagName]?.test(attr.value)) {
+        node.removeAttribute('class');
+      }
+    }
+
+    // Task list checkboxes are display-only
+    if (tagName === 'INPUT') {
+      if (node.getAttribute('type') !== 'checkbox') {
+        nodesToRemove.push(node);
         continue;
       }
-      node.removeAttribute(attr.name);
+      node.setAttribute('disabled', '');
     }
   }
   nodesToRemove.forEach(n => n.remove());